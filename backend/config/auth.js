@@ -0,0 +1,20 @@
+require('dotenv').config();
+
+// Secreto por defecto solo para desarrollo y pruebas
+const DEV_SECRET = 'inventory-dev-secret';
+
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET es obligatorio en producción');
+}
+
+// Configuración de autenticación
+const authConfig = {
+  jwtSecret: process.env.JWT_SECRET || DEV_SECRET,
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  refreshSecret: process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET || DEV_SECRET,
+  refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+  bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 10,
+  issuer: 'inventory-api'
+};
+
+module.exports = authConfig;
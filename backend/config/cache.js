@@ -0,0 +1,28 @@
+require('dotenv').config();
+
+// Función para leer un TTL en segundos (0 desactiva la caché de esa ruta)
+const readTtl = (value, fallback) => {
+  const seconds = parseInt(value);
+  return Number.isNaN(seconds) ? fallback : Math.max(seconds, 0);
+};
+
+// Configuración de la caché de consultas de productos (listados, estadísticas y reportes)
+const cacheConfig = {
+  // Almacenamiento: memory (LRU en el proceso), redis (compartida entre procesos) o none
+  driver: process.env.CACHE_DRIVER || 'memory',
+  // Respuestas que conserva la caché en memoria; al superarlas se descartan las menos usadas
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 500,
+  // Conexión y prefijo de claves de la caché en Redis
+  redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+  keyPrefix: process.env.CACHE_KEY_PREFIX || 'inventory:cache',
+  // Milisegundos máximos de espera por Redis: al superarlos la petición se responde sin caché
+  timeoutMs: parseInt(process.env.CACHE_TIMEOUT_MS) || 250,
+  // Segundos que se conserva la respuesta de cada ruta
+  ttl: {
+    products: readTtl(process.env.CACHE_TTL_PRODUCTS, 30),
+    stats: readTtl(process.env.CACHE_TTL_STATS, 60),
+    reports: readTtl(process.env.CACHE_TTL_REPORTS, 120)
+  }
+};
+
+module.exports = cacheConfig;
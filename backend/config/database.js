@@ -10,6 +10,8 @@ const sequelize = new Sequelize(
     host: process.env.DB_HOST || 'localhost',
     port: process.env.DB_PORT || 3306,
     dialect: process.env.DB_DIALECT || 'mysql',
+    // Archivo de la base de datos cuando se usa SQLite (por defecto en memoria)
+    storage: process.env.DB_STORAGE,
     logging: process.env.NODE_ENV === 'development' ? console.log : false,
     pool: {
       max: 5,
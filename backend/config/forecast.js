@@ -0,0 +1,21 @@
+require('dotenv').config();
+
+// Configuración del pronóstico de demanda y punto de reorden
+const forecastConfig = {
+  // Días de historial de salidas usados para calcular el consumo
+  historyDays: parseInt(process.env.FORECAST_HISTORY_DAYS) || 90,
+  // Método de pronóstico por defecto (moving_average o exponential_smoothing)
+  method: process.env.FORECAST_METHOD || 'moving_average',
+  // Días de la ventana del promedio móvil
+  window: parseInt(process.env.FORECAST_WINDOW_DAYS) || 28,
+  // Factor de suavizado exponencial (0-1): más alto da más peso a los días recientes
+  alpha: parseFloat(process.env.FORECAST_ALPHA) || 0.3,
+  // Nivel de servicio objetivo: probabilidad de no quedarse sin stock durante la reposición
+  serviceLevel: parseFloat(process.env.FORECAST_SERVICE_LEVEL) || 0.95,
+  // Tiempo de entrega cuando ni el producto ni su proveedor lo indican (días)
+  defaultLeadTimeDays: parseInt(process.env.FORECAST_DEFAULT_LEAD_TIME_DAYS) || 7,
+  // Días de consumo que debe cubrir cada pedido además del punto de reorden
+  reviewDays: parseInt(process.env.FORECAST_REVIEW_DAYS) || 14
+};
+
+module.exports = forecastConfig;
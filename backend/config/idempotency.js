@@ -0,0 +1,16 @@
+require('dotenv').config();
+
+// Configuración de claves de idempotencia
+const idempotencyConfig = {
+  // Horas durante las que se conserva y reproduce la primera respuesta de cada clave
+  ttlHours: parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24,
+  // Longitud máxima aceptada para el encabezado Idempotency-Key
+  maxKeyLength: 255,
+  // Minutos tras los que una petición que sigue en curso se da por abandonada (proceso caído o
+  // respuesta sin guardar) y la clave puede usarse de nuevo
+  processingTimeoutMinutes: parseFloat(process.env.IDEMPOTENCY_PROCESSING_TIMEOUT_MINUTES) || 5,
+  // Cada cuánto se eliminan las claves expiradas (milisegundos)
+  sweepIntervalMs: parseInt(process.env.IDEMPOTENCY_SWEEP_INTERVAL_MS) || 60 * 60 * 1000
+};
+
+module.exports = idempotencyConfig;
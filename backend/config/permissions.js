@@ -0,0 +1,46 @@
+// Roles de usuario disponibles
+const ROLES = {
+  ADMIN: 'admin',
+  MANAGER: 'inventory_manager',
+  OPERATOR: 'warehouse_operator',
+  VIEWER: 'viewer'
+};
+
+const ALL_ROLES = Object.values(ROLES);
+
+// Permisos por acción y roles que los tienen
+const PERMISSIONS = {
+  'products:read': ALL_ROLES,
+  'products:create': [ROLES.ADMIN, ROLES.MANAGER],
+  'products:update': [ROLES.ADMIN, ROLES.MANAGER],
+  'products:delete': [ROLES.ADMIN, ROLES.MANAGER],
+  'products:restore': [ROLES.ADMIN],
+  'products:view_cost': [ROLES.ADMIN, ROLES.MANAGER, ROLES.OPERATOR],
+  'stock:update': [ROLES.ADMIN, ROLES.MANAGER, ROLES.OPERATOR],
+  'locations:manage': [ROLES.ADMIN, ROLES.MANAGER],
+  'categories:manage': [ROLES.ADMIN, ROLES.MANAGER],
+  'valuation:read': [ROLES.ADMIN, ROLES.MANAGER],
+  'purchasing:read': [ROLES.ADMIN, ROLES.MANAGER, ROLES.OPERATOR],
+  'purchasing:manage': [ROLES.ADMIN, ROLES.MANAGER],
+  'purchasing:receive': [ROLES.ADMIN, ROLES.MANAGER, ROLES.OPERATOR],
+  'reservations:manage': [ROLES.ADMIN, ROLES.MANAGER, ROLES.OPERATOR],
+  'audit:read': [ROLES.ADMIN, ROLES.MANAGER],
+  'webhooks:manage': [ROLES.ADMIN],
+  'users:manage': [ROLES.ADMIN]
+};
+
+// Función para verificar si un rol tiene un permiso
+const hasPermission = (role, permission) => {
+  const allowedRoles = PERMISSIONS[permission];
+  if (!allowedRoles) {
+    throw new Error(`Permiso desconocido: ${permission}`);
+  }
+  return allowedRoles.includes(role);
+};
+
+module.exports = {
+  ROLES,
+  ALL_ROLES,
+  PERMISSIONS,
+  hasPermission
+};
@@ -0,0 +1,13 @@
+require('dotenv').config();
+
+// Configuración de reservas de stock
+const reservationsConfig = {
+  // Tiempo de vida por defecto de una reserva (segundos)
+  defaultTtlSeconds: parseInt(process.env.RESERVATION_TTL_SECONDS) || 900,
+  // Tiempo de vida máximo permitido al crear una reserva (segundos)
+  maxTtlSeconds: parseInt(process.env.RESERVATION_MAX_TTL_SECONDS) || 7 * 24 * 60 * 60,
+  // Cada cuánto se liberan las reservas expiradas (milisegundos)
+  sweepIntervalMs: parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000
+};
+
+module.exports = reservationsConfig;
@@ -0,0 +1,17 @@
+require('dotenv').config();
+
+// Configuración del stream de eventos en tiempo real (Server-Sent Events)
+const streamConfig = {
+  // Cada cuánto se envía un comentario para mantener viva la conexión (milisegundos)
+  heartbeatMs: parseInt(process.env.STREAM_HEARTBEAT_MS) || 25 * 1000,
+  // Espera que el navegador aplica antes de reconectarse (campo retry de SSE, milisegundos)
+  retryMs: parseInt(process.env.STREAM_RETRY_MS) || 3 * 1000,
+  // Horas que se conservan los eventos para reanudar con Last-Event-ID
+  retentionHours: parseInt(process.env.STREAM_RETENTION_HOURS) || 24,
+  // Cada cuánto se eliminan los eventos más antiguos que la retención (milisegundos)
+  sweepIntervalMs: parseInt(process.env.STREAM_SWEEP_INTERVAL_MS) || 60 * 60 * 1000,
+  // Eventos leídos por consulta al reenviar los perdidos durante la desconexión
+  replayBatchSize: 500
+};
+
+module.exports = streamConfig;
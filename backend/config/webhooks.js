@@ -0,0 +1,19 @@
+require('dotenv').config();
+
+// Configuración de webhooks salientes
+const webhooksConfig = {
+  // Intentos de entrega antes de marcar la entrega como fallida
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  // Espera antes del primer reintento; se duplica en cada intento (milisegundos)
+  retryBaseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS) || 30 * 1000,
+  // Espera máxima entre reintentos (milisegundos)
+  retryMaxDelayMs: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_MS) || 60 * 60 * 1000,
+  // Tiempo máximo de espera de la respuesta del destino (milisegundos)
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+  // Cada cuánto se envían los reintentos pendientes (milisegundos)
+  sweepIntervalMs: parseInt(process.env.WEBHOOK_SWEEP_INTERVAL_MS) || 15 * 1000,
+  // Cantidad máxima de caracteres de la respuesta del destino que se guardan en el registro
+  maxResponseBodyLength: 2000
+};
+
+module.exports = webhooksConfig;
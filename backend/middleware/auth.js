@@ -0,0 +1,75 @@
+const { User, RefreshToken } = require('../models');
+const { verifyAccessToken } = require('../utils/tokens');
+const { catchAsync, createError } = require('./errorHandler');
+const { hasPermission } = require('../config/permissions');
+
+// Función para extraer el token Bearer del header Authorization
+const getBearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) {
+    return null;
+  }
+
+  return token;
+};
+
+// Función para crear el middleware de autenticación con una forma de obtener el token
+const createAuthenticate = (getToken) => catchAsync(async (req, res, next) => {
+  const token = getToken(req);
+  if (!token) {
+    throw createError('Token de autenticación requerido', 401);
+  }
+
+  // Los errores de JWT se traducen a 401 en errorHandler
+  const payload = verifyAccessToken(token);
+
+  const session = await RefreshToken.findByPk(payload.sid);
+  if (!session || !session.isValid()) {
+    throw createError('La sesión ha sido cerrada o expiró', 401);
+  }
+
+  const user = await User.findByPk(payload.sub);
+  if (!user || !user.is_active) {
+    throw createError('Usuario no autorizado', 401);
+  }
+
+  req.user = user;
+  req.authSession = session;
+  next();
+});
+
+// Middleware para exigir un access token válido
+const authenticate = createAuthenticate(getBearerToken);
+
+// Middleware de autenticación para streams: EventSource no permite enviar encabezados,
+// así que además del header Authorization acepta el parámetro access_token
+const authenticateStream = createAuthenticate(
+  (req) => getBearerToken(req) || (typeof req.query.access_token === 'string' ? req.query.access_token : null)
+);
+
+// Middleware para exigir un permiso según el rol del usuario autenticado
+const authorize = (permission) => {
+  // Fallar al arrancar si el permiso no existe
+  hasPermission(null, permission);
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(createError('Token de autenticación requerido', 401));
+    }
+
+    if (!req.user.can(permission)) {
+      return next(createError('No tiene permisos para realizar esta acción', 403));
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  authenticate,
+  authenticateStream,
+  authorize,
+  getBearerToken
+};
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const cacheConfig = require('../config/cache');
+const { getCacheStore, invalidateCache } = require('../utils/cache');
+const { resolveExportFormat } = require('../utils/export');
+
+// Métodos que modifican datos e invalidan la caché
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Función para calcular la clave de una consulta: ruta, generación vigente, rol del usuario
+// (la respuesta depende de sus permisos, ej: el costo) y la ruta con la query ya validada
+const buildCacheKey = (route, generation, req) => {
+  const hash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      path: req.baseUrl + req.path,
+      query: req.query,
+      role: req.user ? req.user.role : null
+    }))
+    .digest('hex');
+
+  return `${route}:${generation}:${hash}`;
+};
+
+// Middleware para guardar la respuesta JSON de una ruta de lectura durante su TTL
+// (cacheConfig.ttl[route]). Informa X-Cache: HIT, MISS o BYPASS (caché desactivada o exportación)
+// y en los aciertos Age con los segundos desde que se guardó. Si la caché falla se responde sin ella.
+const cacheResponse = (route) => async (req, res, next) => {
+  const cache = getCacheStore();
+  const ttl = cacheConfig.ttl[route];
+
+  if (!cache || !ttl || resolveExportFormat(req)) {
+    res.set('X-Cache', 'BYPASS');
+    return next();
+  }
+
+  let key;
+  try {
+    key = buildCacheKey(route, await cache.getGeneration(), req);
+    const cached = await cache.get(key);
+
+    if (cached !== null) {
+      const { stored_at: storedAt, body } = JSON.parse(cached);
+      res.set('X-Cache', 'HIT');
+      res.set('Age', String(Math.max(Math.floor((Date.now() - storedAt) / 1000), 0)));
+      return res.type('json').send(body);
+    }
+  } catch (error) {
+    console.error('❌ Error al leer la caché:', error.message);
+    res.set('X-Cache', 'BYPASS');
+    return next();
+  }
+
+  res.set('X-Cache', 'MISS');
+
+  // Guardar la respuesta exitosa sin demorar su envío
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode === 200) {
+      cache.set(key, JSON.stringify({ stored_at: Date.now(), body: JSON.stringify(body) }), ttl)
+        .catch((error) => {
+          console.error('❌ Error al guardar en la caché:', error.message);
+        });
+    }
+    return json(body);
+  };
+
+  next();
+};
+
+// Middleware para rutas de escritura: invalida la caché antes de enviar una respuesta exitosa,
+// así la siguiente consulta del cliente ya no recibe datos anteriores al cambio
+const invalidateCacheOnWrite = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400) {
+      return json(body);
+    }
+
+    invalidateCache().then(() => json(body));
+    return res;
+  };
+
+  next();
+};
+
+module.exports = {
+  cacheResponse,
+  invalidateCacheOnWrite
+};
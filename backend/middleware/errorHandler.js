@@ -140,6 +140,18 @@ const errorHandler = (err, req, res, next) => {
     err.field = sequelizeError.field;
   }
 
+  // Manejar conflictos de concurrencia optimista (el registro cambió desde que se leyó)
+  if (err.name === 'SequelizeOptimisticLockError') {
+    err = new AppError('El recurso fue modificado por otra operación; obtenga la versión actual e intente de nuevo', 412);
+  }
+
+  // Manejar errores de subida de archivos (multer)
+  if (err.name === 'MulterError') {
+    err = err.code === 'LIMIT_FILE_SIZE'
+      ? new AppError('El archivo excede el tamaño máximo permitido', 413)
+      : new AppError(`Error al subir el archivo: ${err.message}`, 400);
+  }
+
   // Manejar errores de conexión a la base de datos
   if (err.name === 'SequelizeConnectionError') {
     err = new AppError('Error de conexión a la base de datos', 503);
@@ -150,6 +162,13 @@ const errorHandler = (err, req, res, next) => {
     err = new AppError('Tiempo de espera agotado en la base de datos', 408);
   }
 
+  // Manejar errores de JWT
+  if (err.name === 'TokenExpiredError') {
+    err = new AppError('El token ha expirado', 401);
+  } else if (err.name === 'JsonWebTokenError' || err.name === 'NotBeforeError') {
+    err = new AppError('Token inválido', 401);
+  }
+
   // Manejar errores de sintaxis JSON
   if (err.name === 'SyntaxError' && err.message.includes('JSON')) {
     err = new AppError('Formato JSON inválido', 400);
@@ -186,6 +205,16 @@ const createError = (message, statusCode = 500) => {
   return new AppError(message, statusCode);
 };
 
+// Función para convertir en 400 las reglas de negocio de los modelos (ej: stock insuficiente o
+// reserva ya confirmada), que se lanzan como Error simple. Las validaciones las resuelve el
+// manejador de errores y el resto (base de datos, errores inesperados) se propaga como 500.
+const rethrowRuleError = (error) => {
+  if (error.name === 'Error' && !error.statusCode) {
+    throw createError(error.message, 400);
+  }
+  throw error;
+};
+
 // Manejador de errores no capturados
 process.on('uncaughtException', (err) => {
   console.error('UNCAUGHT EXCEPTION! 💥 Shutting down...');
@@ -208,5 +237,6 @@ module.exports = {
   notFound,
   catchAsync,
   createError,
+  rethrowRuleError,
   handleSequelizeError
 };
\ No newline at end of file
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const { UniqueConstraintError } = require('sequelize');
+const { IdempotencyKey } = require('../models');
+const idempotencyConfig = require('../config/idempotency');
+const { catchAsync, createError } = require('./errorHandler');
+
+// Métodos que modifican datos y admiten Idempotency-Key
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Encabezados de la respuesta original que se reproducen junto con el cuerpo
+const REPLAYED_HEADERS = ['ETag', 'Location'];
+
+// Función para calcular la huella de una petición (método, ruta con query y cuerpo).
+// En los envíos multipart el cuerpo incluye el sha256 del archivo ya leído por multer.
+const hashRequest = (req) => {
+  const body = req.file
+    ? {
+      fields: req.body || {},
+      file: crypto.createHash('sha256').update(req.file.buffer).digest('hex')
+    }
+    : req.body || {};
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ method: req.method, path: req.originalUrl, body }))
+    .digest('hex');
+};
+
+// Función para reproducir la respuesta guardada de una clave
+const replayResponse = (record, res) => {
+  Object.entries(record.response_headers || {}).forEach(([name, value]) => res.set(name, value));
+  res.set('Idempotent-Replayed', 'true');
+  res.status(record.response_status).json(record.response_body);
+};
+
+// Función para guardar la primera respuesta de la petición antes de enviarla, así un reintento
+// inmediato ya la encuentra. Los errores del servidor (5xx) no se guardan: la clave se libera,
+// igual que si la respuesta se envía sin pasar por res.json.
+const captureResponse = (record, res) => {
+  const json = res.json.bind(res);
+  let captured = false;
+
+  res.on('finish', () => {
+    if (captured) return;
+    record.destroy().catch((error) => {
+      console.error('❌ Error al liberar la Idempotency-Key:', error.message);
+    });
+  });
+
+  res.json = (body) => {
+    captured = true;
+    const headers = {};
+    REPLAYED_HEADERS.forEach((name) => {
+      const value = res.get(name);
+      if (value) headers[name] = value;
+    });
+
+    const save = res.statusCode >= 500
+      ? record.destroy()
+      : record.update({
+        status: 'completed',
+        response_status: res.statusCode,
+        response_body: body === undefined ? null : body,
+        response_headers: headers
+      });
+    save
+      .catch((error) => {
+        console.error('❌ Error al guardar la respuesta idempotente:', error.message);
+      })
+      .then(() => json(body));
+
+    return res;
+  };
+};
+
+// Función para registrar la clave de la petición o reproducir la respuesta ya guardada
+const handleIdempotencyKey = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key || !MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  if (key.length > idempotencyConfig.maxKeyLength) {
+    throw createError(`Idempotency-Key no puede exceder ${idempotencyConfig.maxKeyLength} caracteres`, 400);
+  }
+
+  const requestHash = hashRequest(req);
+  let record = await IdempotencyKey.findOne({ where: { user_id: req.user.id, key } });
+
+  // Una petición en curso desde hace demasiado no va a responder: se libera su clave
+  if (record && (record.isExpired() || record.isAbandoned(idempotencyConfig.processingTimeoutMinutes))) {
+    await record.destroy();
+    record = null;
+  }
+
+  if (record) {
+    if (record.request_hash !== requestHash) {
+      throw createError('La Idempotency-Key ya se usó con una petición distinta', 422);
+    }
+    if (record.isProcessing()) {
+      throw createError('Una petición con esta Idempotency-Key todavía está en curso', 409);
+    }
+    return replayResponse(record, res);
+  }
+
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      user_id: req.user.id,
+      method: req.method,
+      path: req.originalUrl,
+      request_hash: requestHash,
+      expires_at: new Date(Date.now() + idempotencyConfig.ttlHours * 60 * 60 * 1000)
+    });
+  } catch (error) {
+    // Otra petición con la misma clave se registró en paralelo
+    if (error instanceof UniqueConstraintError) {
+      throw createError('Una petición con esta Idempotency-Key todavía está en curso', 409);
+    }
+    throw error;
+  }
+
+  captureResponse(record, res);
+  next();
+};
+
+// Middleware para rutas de escritura: con el encabezado Idempotency-Key la primera respuesta
+// se guarda y los reintentos idénticos la reciben de nuevo sin repetir la operación.
+// Los envíos multipart se omiten aquí: su ruta aplica idempotentUpload después de leer el archivo.
+const idempotency = catchAsync(async (req, res, next) => {
+  if (req.is('multipart/form-data')) {
+    return next();
+  }
+  await handleIdempotencyKey(req, res, next);
+});
+
+// Middleware para rutas con archivos, después de multer: la huella incluye el contenido del archivo
+const idempotentUpload = catchAsync(handleIdempotencyKey);
+
+module.exports = {
+  idempotency,
+  idempotentUpload
+};
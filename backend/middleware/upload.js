@@ -0,0 +1,31 @@
+const path = require('path');
+const multer = require('multer');
+const { createError } = require('./errorHandler');
+
+// Formatos aceptados para importación de archivos
+const IMPORT_EXTENSIONS = ['.csv', '.xlsx'];
+
+// Tamaño máximo del archivo de importación (10 MB)
+const MAX_IMPORT_FILE_SIZE = 10 * 1024 * 1024;
+
+// Subida de archivos de importación en memoria (campo "file")
+const uploadImportFile = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!IMPORT_EXTENSIONS.includes(extension)) {
+      return cb(createError(`Formato no soportado. Use uno de: ${IMPORT_EXTENSIONS.join(', ')}`, 400));
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+module.exports = {
+  uploadImportFile,
+  IMPORT_EXTENSIONS,
+  MAX_IMPORT_FILE_SIZE
+};
@@ -1,4 +1,19 @@
 const Joi = require('joi');
+const { ALL_ROLES } = require('../config/permissions');
+const reservationsConfig = require('../config/reservations');
+const forecastConfig = require('../config/forecast');
+const { PRODUCT_FIELDS } = require('../utils/helpers');
+
+// Eventos de inventario que reciben los webhooks y el stream en tiempo real
+const INVENTORY_EVENTS = [
+  'product.created',
+  'product.updated',
+  'product.deleted',
+  'product.restored',
+  'stock.changed',
+  'stock.low',
+  'stock.restored'
+];
 
 // Esquemas de validación
 const productSchema = Joi.object({
@@ -85,6 +100,15 @@ const productSchema = Joi.object({
       'string.max': 'La categoría no puede exceder 100 caracteres'
     }),
   
+  // Categoría del árbol (tiene prioridad sobre category)
+  category_id: Joi.string()
+    .uuid()
+    .allow(null)
+    .optional()
+    .messages({
+      'string.guid': 'category_id debe ser un UUID válido'
+    }),
+
   brand: Joi.string()
     .trim()
     .max(100)
@@ -108,14 +132,206 @@ const productSchema = Joi.object({
     .messages({
       'string.uri': 'La URL de la imagen debe ser válida',
       'string.max': 'La URL de la imagen no puede exceder 500 caracteres'
+    }),
+
+  supplier_id: Joi.string()
+    .uuid()
+    .allow(null)
+    .optional()
+    .messages({
+      'string.guid': 'supplier_id debe ser un UUID válido'
+    }),
+
+  supplier_sku: Joi.string()
+    .trim()
+    .max(50)
+    .allow('', null)
+    .optional()
+    .messages({
+      'string.max': 'El SKU del proveedor no puede exceder 50 caracteres'
+    }),
+
+  lead_time_days: Joi.number()
+    .integer()
+    .min(0)
+    .allow(null)
+    .optional()
+    .messages({
+      'number.integer': 'El tiempo de entrega debe ser un número entero',
+      'number.min': 'El tiempo de entrega no puede ser negativo'
     })
 });
 
+// Versión del producto que el cliente editó (alternativa al encabezado If-Match)
+const productVersionField = Joi.number()
+  .integer()
+  .min(0)
+  .optional()
+  .messages({
+    'number.base': 'version debe ser un número',
+    'number.integer': 'version debe ser un número entero',
+    'number.min': 'version no puede ser negativa'
+  });
+
+// Esquema para reemplazo completo de un producto (PUT)
+const productReplaceSchema = productSchema.keys({
+  version: productVersionField
+});
+
+// Valores de opciones de una variante (ej: { talla: 'M', color: 'Rojo' })
+const variantOptionsField = Joi.object()
+  .pattern(
+    Joi.string().trim().min(1).max(50),
+    Joi.alternatives().try(Joi.string().trim().min(1).max(100), Joi.number())
+  )
+  .min(1)
+  .max(10)
+  .messages({
+    'object.base': 'options debe ser un objeto con los valores de la variante',
+    'object.min': 'options debe tener al menos una opción',
+    'object.max': 'options no puede tener más de 10 opciones',
+    'alternatives.match': 'Los valores de options deben ser textos de hasta 100 caracteres o números'
+  });
+
 // Esquema para actualización (todos los campos opcionales excepto validaciones específicas)
 const productUpdateSchema = productSchema.fork(
   ['name', 'sku', 'price', 'stock'],
   (schema) => schema.optional()
-);
+).keys({
+  version: productVersionField,
+  options: variantOptionsField.optional()
+});
+
+// Esquema para crear una variante: nombre y precio son opcionales (se toman del padre)
+// y los datos compartidos (descripción, categoría, marca) se heredan del padre
+const variantSchema = Joi.object({
+  sku: productSchema.extract('sku'),
+  options: variantOptionsField.required().messages({
+    'any.required': 'options es requerido'
+  }),
+  name: productSchema.extract('name').optional(),
+  price: productSchema.extract('price').optional(),
+  cost: productSchema.extract('cost'),
+  stock: productSchema.extract('stock').optional().default(0),
+  min_stock: productSchema.extract('min_stock'),
+  is_active: productSchema.extract('is_active'),
+  image_url: productSchema.extract('image_url'),
+  supplier_sku: productSchema.extract('supplier_sku')
+});
+
+// Filtros con operadores entre corchetes (price[gte]=10): cada campo admite solo sus operadores
+const filterOperators = (field, operators) => {
+  const names = Object.keys(operators);
+
+  return Joi.object(operators)
+    .pattern(Joi.any(), Joi.forbidden().messages({
+      'any.unknown': `Operador no válido para ${field}: {#key}. Operadores admitidos: ${names.join(', ')}`
+    }))
+    .optional()
+    .messages({
+      'object.base': `${field} debe indicar un operador, por ejemplo ${field}[${names[0]}]=valor`
+    });
+};
+
+// Rango numérico: gte, gt, lte, lt y eq
+const numberRangeFilter = (field) => {
+  const value = Joi.number().messages({
+    'number.base': `${field}[{#key}] debe ser un número`
+  });
+
+  return filterOperators(field, { gte: value, gt: value, lte: value, lt: value, eq: value });
+};
+
+// Rango de fechas ISO 8601: gte, gt, lte y lt
+const dateRangeFilter = (field) => {
+  const value = Joi.date().iso().messages({
+    'date.base': `${field}[{#key}] debe ser una fecha válida`,
+    'date.format': `${field}[{#key}] debe tener formato ISO 8601`
+  });
+
+  return filterOperators(field, { gte: value, gt: value, lte: value, lt: value });
+};
+
+// Texto simple (category=laptops) o lista separada por comas con in (category[in]=laptops,monitores)
+const listFilter = (field, single, maxLength) => {
+  const list = Joi.string()
+    .custom((value, helpers) => {
+      const items = value.split(',').map(item => item.trim()).filter(Boolean);
+      if (items.length === 0 || items.length > 20) {
+        return helpers.error('any.invalid');
+      }
+      if (items.some(item => item.length > maxLength)) {
+        return helpers.error('string.max');
+      }
+      return items;
+    })
+    .messages({
+      'string.base': `${field}[in] debe ser una lista separada por comas`,
+      'any.invalid': `${field}[in] debe tener entre 1 y 20 valores separados por comas`,
+      'string.max': `Cada valor de ${field}[in] no puede exceder ${maxLength} caracteres`
+    });
+
+  return Joi.alternatives()
+    .conditional(Joi.object(), {
+      then: filterOperators(field, { in: list }).custom(value => value.in),
+      otherwise: single
+    })
+    .optional();
+};
+
+// Categoría de un filtro (id, slug o nombre)
+const categoryQuery = Joi.string()
+  .trim()
+  .max(100)
+  .optional()
+  .messages({
+    'string.max': 'La categoría no puede exceder 100 caracteres'
+  });
+
+// Marca de un filtro
+const brandQuery = Joi.string()
+  .trim()
+  .max(100)
+  .optional()
+  .messages({
+    'string.max': 'La marca no puede exceder 100 caracteres'
+  });
+
+// Lista de valores separados por comas, cada uno dentro de los admitidos (fields=id,name,sku)
+const valueList = (field, allowed) => {
+  return Joi.string()
+    .custom((value, helpers) => {
+      const items = value.split(',').map(item => item.trim()).filter(Boolean);
+      if (items.length === 0) {
+        return helpers.error('any.invalid');
+      }
+
+      const invalid = items.filter(item => !allowed.includes(item));
+      if (invalid.length > 0) {
+        return helpers.error('any.only', { invalid: invalid.join(', ') });
+      }
+      return [...new Set(items)];
+    })
+    .optional()
+    .messages({
+      'string.base': `${field} debe ser una lista separada por comas`,
+      'string.empty': `${field} debe tener al menos un valor`,
+      'any.invalid': `${field} debe tener al menos un valor`,
+      'any.only': `Valores no válidos en ${field}: {#invalid}. Valores admitidos: ${allowed.join(', ')}`
+    });
+};
+
+// Datos relacionados que se pueden agregar a un producto con expand=
+const PRODUCT_EXPANSIONS = ['movements', 'supplier', 'locations'];
+
+// Campos de la respuesta y datos relacionados de un producto
+const productFieldsSchema = {
+  fields: valueList('fields', Object.keys(PRODUCT_FIELDS)),
+  expand: valueList('expand', PRODUCT_EXPANSIONS)
+};
+
+// Campos filtrables con operadores (se traducen en buildSearchFilters)
+const RANGE_FILTER_FIELDS = ['price', 'cost', 'stock', 'margin', 'created_at', 'updated_at'];
 
 // Esquema para consultas
 const querySchema = Joi.object({
@@ -149,20 +365,40 @@ const querySchema = Joi.object({
       'string.max': 'El término de búsqueda no puede exceder 255 caracteres'
     }),
   
-  category: Joi.string()
-    .trim()
-    .max(100)
-    .optional()
-    .messages({
-      'string.max': 'La categoría no puede exceder 100 caracteres'
-    }),
+  // Una categoría o varias con category[in]=a,b (id, slug o nombre)
+  category: listFilter('category', categoryQuery, 100),
   
-  brand: Joi.string()
-    .trim()
-    .max(100)
+  // Una marca o varias con brand[in]=a,b
+  brand: listFilter('brand', brandQuery, 100),
+
+  // Rangos: price[gte]=10&price[lte]=50, stock[lt]=5, created_at[gte]=2024-01-01
+  price: numberRangeFilter('price'),
+  cost: numberRangeFilter('cost'),
+  stock: numberRangeFilter('stock'),
+  created_at: dateRangeFilter('created_at'),
+  updated_at: dateRangeFilter('updated_at'),
+
+  // Margen sobre el precio en porcentaje: (price - cost) / price * 100 (solo productos con costo)
+  margin: numberRangeFilter('margin'),
+
+  // Prefijo de SKU: sku[prefix]=LAP
+  sku: filterOperators('sku', {
+    prefix: Joi.string()
+      .trim()
+      .uppercase()
+      .pattern(/^[A-Z0-9-_]+$/)
+      .max(50)
+      .messages({
+        'string.empty': 'sku[prefix] no puede estar vacío',
+        'string.pattern.base': 'sku[prefix] solo puede contener letras, números, guiones y guiones bajos',
+        'string.max': 'sku[prefix] no puede exceder 50 caracteres'
+      })
+  }),
+
+  has_image: Joi.boolean()
     .optional()
     .messages({
-      'string.max': 'La marca no puede exceder 100 caracteres'
+      'boolean.base': 'has_image debe ser true o false'
     }),
   
   is_active: Joi.boolean()
@@ -191,99 +427,1221 @@ const querySchema = Joi.object({
     .optional()
     .messages({
       'boolean.base': 'low_stock debe ser true o false'
+    }),
+
+  location_id: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'location_id debe ser un UUID válido'
+    }),
+
+  // Variantes: flat lista cada variante por separado, group solo productos principales
+  // (el padre con el stock total) y expand además anida las variantes de cada padre
+  variants: Joi.string()
+    .valid('flat', 'group', 'expand')
+    .optional()
+    .default('flat')
+    .messages({
+      'any.only': 'variants debe ser uno de: flat, group, expand'
+    }),
+
+  // Exportación del resultado completo (también se puede pedir con el encabezado Accept)
+  format: Joi.string()
+    .lowercase()
+    .valid('json', 'csv', 'xlsx')
+    .optional()
+    .messages({
+      'any.only': 'format debe ser uno de: json, csv, xlsx'
+    }),
+
+  // Paginación por cursor: next_cursor o prev_cursor de una respuesta anterior (reemplaza a page)
+  cursor: Joi.string()
+    .max(1000)
+    .optional()
+    .messages({
+      'string.max': 'El cursor no puede exceder 1000 caracteres'
+    }),
+
+  // Calcular el total de productos (por defecto sí al paginar por página y no por cursor)
+  include_total: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'include_total debe ser true o false'
+    }),
+
+  // Respuesta parcial (fields=id,name,sku,stock) y datos relacionados (expand=movements)
+  ...productFieldsSchema
+})
+  // Un filtro con operadores sobre un campo no filtrable es un error; el resto de parámetros
+  // desconocidos se ignora como antes
+  .pattern(Joi.any(), Joi.any().when(Joi.object(), {
+    then: Joi.forbidden().messages({
+      'any.unknown': `El campo {#key} no admite operadores. Campos admitidos: ${[...RANGE_FILTER_FIELDS, 'category', 'brand', 'sku'].join(', ')}`
+    }),
+    otherwise: Joi.any().strip()
+  }));
+
+// Esquema para consultar un producto
+const productQuerySchema = Joi.object(productFieldsSchema);
+
+// Esquema para estadísticas y reportes
+const statsQuerySchema = Joi.object({
+  location_id: querySchema.extract('location_id'),
+  variants: querySchema.extract('variants'),
+  format: querySchema.extract('format')
+});
+
+// Esquema para reportes: los filtros de las estadísticas más la paginación de las filas
+const reportQuerySchema = statsQuerySchema.keys({
+  page: querySchema.extract('page'),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(1000)
+    .optional()
+    .default(100)
+    .messages({
+      'number.integer': 'El límite debe ser un número entero',
+      'number.min': 'El límite debe ser mayor a 0',
+      'number.max': 'El límite no puede exceder 1000'
     })
 });
 
-// Middleware de validación genérico
-const validate = (schema, property = 'body') => {
-  return (req, res, next) => {
-    const { error, value } = schema.validate(req[property], {
-      abortEarly: false,
-      stripUnknown: true,
-      convert: true
-    });
+// Esquema para consultas del historial de stock
+const historyQuerySchema = Joi.object({
+  page: querySchema.extract('page'),
+  limit: querySchema.extract('limit'),
+
+  from: Joi.date()
+    .iso()
+    .optional()
+    .messages({
+      'date.base': 'from debe ser una fecha válida',
+      'date.format': 'from debe tener formato ISO 8601'
+    }),
 
-    if (error) {
-      const errors = error.details.map(detail => ({
-        field: detail.path.join('.'),
-        message: detail.message,
-        value: detail.context.value
-      }));
+  to: Joi.date()
+    .iso()
+    .optional()
+    .when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) })
+    .messages({
+      'date.base': 'to debe ser una fecha válida',
+      'date.format': 'to debe tener formato ISO 8601',
+      'date.min': 'to debe ser posterior a from'
+    }),
 
-      return res.status(400).json({
-        success: false,
-        message: 'Errores de validación',
-        errors
-      });
-    }
+  operation: Joi.string()
+    .valid('add', 'subtract', 'transfer_in', 'transfer_out')
+    .optional()
+    .messages({
+      'any.only': 'La operación debe ser una de: add, subtract, transfer_in, transfer_out'
+    }),
 
-    // Reemplazar el objeto original con el valor validado y limpio
-    req[property] = value;
-    next();
-  };
-};
+  location_id: querySchema.extract('location_id')
+});
 
-// Middleware específicos
-const validateProduct = validate(productSchema, 'body');
-const validateProductUpdate = validate(productUpdateSchema, 'body');
-const validateQuery = validate(querySchema, 'query');
+// Esquema para la valuación de un producto
+const valuationProductQuerySchema = Joi.object({
+  method: Joi.string()
+    .valid('fifo', 'lifo', 'average')
+    .optional()
+    .default('fifo')
+    .messages({
+      'any.only': 'El método debe ser uno de: fifo, lifo, average'
+    }),
 
-// Middleware para validar UUID
-const validateUUID = (req, res, next) => {
-  const { id } = req.params;
-  
-  const uuidSchema = Joi.string()
-    .uuid({ version: 'uuidv4' })
-    .required()
+  from: historyQuerySchema.extract('from'),
+  to: historyQuerySchema.extract('to')
+});
+
+// Esquema para el reporte de valuación del inventario
+const valuationQuerySchema = valuationProductQuerySchema.keys({
+  group_by: Joi.string()
+    .valid('product', 'category', 'period')
+    .optional()
+    .default('product')
     .messages({
-      'string.guid': 'El ID debe ser un UUID válido',
-      'any.required': 'El ID es requerido'
-    });
+      'any.only': 'group_by debe ser uno de: product, category, period'
+    }),
 
-  const { error } = uuidSchema.validate(id);
+  period: Joi.string()
+    .valid('day', 'week', 'month')
+    .optional()
+    .default('month')
+    .messages({
+      'any.only': 'El período debe ser uno de: day, week, month'
+    }),
 
-  if (error) {
-    return res.status(400).json({
-      success: false,
-      message: 'ID inválido',
-      error: error.details[0].message
-    });
-  }
+  category: categoryQuery,
 
-  next();
+  product_id: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'product_id debe ser un UUID válido'
+    })
+});
+
+// Parámetros del pronóstico de demanda (por defecto los de config/forecast)
+const forecastParams = {
+  method: Joi.string()
+    .valid('moving_average', 'exponential_smoothing')
+    .optional()
+    .default(forecastConfig.method)
+    .messages({
+      'any.only': 'El método debe ser uno de: moving_average, exponential_smoothing'
+    }),
+
+  history_days: Joi.number()
+    .integer()
+    .min(7)
+    .max(730)
+    .optional()
+    .default(forecastConfig.historyDays)
+    .messages({
+      'number.base': 'history_days debe ser un número',
+      'number.min': 'history_days debe ser al menos 7',
+      'number.max': 'history_days no puede exceder 730'
+    }),
+
+  window: Joi.number()
+    .integer()
+    .min(1)
+    .max(Joi.ref('history_days'))
+    .optional()
+    .default(forecastConfig.window)
+    .messages({
+      'number.base': 'window debe ser un número',
+      'number.min': 'window debe ser al menos 1',
+      'number.max': 'window no puede superar history_days'
+    }),
+
+  alpha: Joi.number()
+    .greater(0)
+    .max(1)
+    .optional()
+    .default(forecastConfig.alpha)
+    .messages({
+      'number.base': 'alpha debe ser un número',
+      'number.greater': 'alpha debe ser mayor a 0',
+      'number.max': 'alpha no puede ser mayor a 1'
+    }),
+
+  service_level: Joi.number()
+    .min(0.5)
+    .max(0.999)
+    .optional()
+    .default(forecastConfig.serviceLevel)
+    .messages({
+      'number.base': 'service_level debe ser un número',
+      'number.min': 'service_level debe ser al menos 0.5',
+      'number.max': 'service_level no puede exceder 0.999'
+    }),
+
+  // Reemplaza el tiempo de entrega del producto y del proveedor
+  lead_time_days: Joi.number()
+    .integer()
+    .min(0)
+    .max(365)
+    .optional()
+    .messages({
+      'number.base': 'lead_time_days debe ser un número',
+      'number.min': 'lead_time_days no puede ser negativo',
+      'number.max': 'lead_time_days no puede exceder 365'
+    }),
+
+  review_days: Joi.number()
+    .integer()
+    .min(0)
+    .max(365)
+    .optional()
+    .default(forecastConfig.reviewDays)
+    .messages({
+      'number.base': 'review_days debe ser un número',
+      'number.min': 'review_days no puede ser negativo',
+      'number.max': 'review_days no puede exceder 365'
+    })
 };
 
-// Middleware para validar operaciones de stock
-const validateStockOperation = (req, res, next) => {
-  const stockSchema = Joi.object({
-    quantity: Joi.number()
-      .integer()
-      .positive()
-      .required()
-      .messages({
-        'number.integer': 'La cantidad debe ser un número entero',
-        'number.positive': 'La cantidad debe ser mayor a 0',
-        'any.required': 'La cantidad es requerida'
-      }),
-    
-    operation: Joi.string()
-      .valid('add', 'subtract')
-      .required()
-      .messages({
-        'any.only': 'La operación debe ser "add" o "subtract"',
-        'any.required': 'La operación es requerida'
-      }),
-    
-    reason: Joi.string()
-      .trim()
-      .max(255)
-      .optional()
-      .messages({
-        'string.max': 'La razón no puede exceder 255 caracteres'
-      })
-  });
+// Esquema para el pronóstico de un producto
+const forecastProductQuerySchema = Joi.object(forecastParams);
+
+// Esquema para el pronóstico de varios productos
+const forecastQuerySchema = forecastProductQuerySchema.keys({
+  page: querySchema.extract('page'),
+  limit: querySchema.extract('limit'),
+  category: categoryQuery,
+
+  supplier_id: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'supplier_id debe ser un UUID válido'
+    }),
+
+  needs_reorder: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'needs_reorder debe ser true o false'
+    })
+});
+
+// Esquema para guardar el punto de reorden sugerido como min_stock
+const forecastApplySchema = forecastProductQuerySchema.keys({
+  product_ids: Joi.array()
+    .items(Joi.string().uuid().messages({
+      'string.guid': 'Cada producto debe ser un UUID válido'
+    }))
+    .min(1)
+    .max(500)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'Debe indicar al menos un producto',
+      'array.max': 'No se pueden actualizar más de 500 productos por solicitud',
+      'array.unique': 'Hay productos repetidos',
+      'any.required': 'product_ids es requerido'
+    })
+});
+
+// Esquema para consultas de auditoría
+const auditQuerySchema = Joi.object({
+  page: querySchema.extract('page'),
+  limit: querySchema.extract('limit'),
+  from: historyQuerySchema.extract('from'),
+  to: historyQuerySchema.extract('to'),
+
+  field: Joi.string()
+    .trim()
+    .pattern(/^[a-zA-Z_]+$/)
+    .max(50)
+    .optional()
+    .messages({
+      'string.pattern.base': 'field solo puede contener letras y guiones bajos',
+      'string.max': 'field no puede exceder 50 caracteres'
+    }),
 
-  const { error, value } = stockSchema.validate(req.body);
+  performed_by: Joi.string()
+    .trim()
+    .max(100)
+    .optional()
+    .messages({
+      'string.max': 'performed_by no puede exceder 100 caracteres'
+    }),
+
+  action: Joi.string()
+    .valid('create', 'update', 'delete', 'restore')
+    .optional()
+    .messages({
+      'any.only': 'action debe ser uno de: create, update, delete, restore'
+    }),
+
+  entity_type: Joi.string()
+    .trim()
+    .max(50)
+    .optional()
+    .messages({
+      'string.max': 'entity_type no puede exceder 50 caracteres'
+    }),
+
+  entity_id: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'entity_id debe ser un UUID válido'
+    })
+});
+
+// Esquema para inicio de sesión
+const loginSchema = Joi.object({
+  email: Joi.string()
+    .trim()
+    .lowercase()
+    .email()
+    .required()
+    .messages({
+      'string.email': 'El email debe ser válido',
+      'string.empty': 'El email es requerido',
+      'any.required': 'El email es requerido'
+    }),
+
+  password: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'La contraseña es requerida',
+      'any.required': 'La contraseña es requerida'
+    })
+});
+
+// Esquema para renovar tokens
+const refreshTokenSchema = Joi.object({
+  refresh_token: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'El refresh token es requerido',
+      'any.required': 'El refresh token es requerido'
+    })
+});
+
+// Esquema para creación de usuarios
+const userSchema = Joi.object({
+  email: loginSchema.extract('email'),
+
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .required()
+    .messages({
+      'string.empty': 'El nombre es requerido',
+      'string.min': 'El nombre debe tener al menos 2 caracteres',
+      'string.max': 'El nombre no puede exceder 100 caracteres',
+      'any.required': 'El nombre es requerido'
+    }),
+
+  password: Joi.string()
+    .min(8)
+    .max(128)
+    .required()
+    .messages({
+      'string.min': 'La contraseña debe tener al menos 8 caracteres',
+      'string.max': 'La contraseña no puede exceder 128 caracteres',
+      'any.required': 'La contraseña es requerida'
+    }),
+
+  role: Joi.string()
+    .valid(...ALL_ROLES)
+    .optional()
+    .messages({
+      'any.only': `El rol debe ser uno de: ${ALL_ROLES.join(', ')}`
+    }),
+
+  is_active: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'is_active debe ser true o false'
+    })
+});
+
+// Esquema para actualización de usuarios
+const userUpdateSchema = userSchema.fork(
+  ['email', 'name', 'password'],
+  (schema) => schema.optional()
+).min(1).messages({
+  'object.min': 'No se proporcionaron datos para actualizar'
+});
+
+// Esquema para ubicaciones (almacenes y tiendas)
+const locationSchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9-_]+$/)
+    .min(2)
+    .max(20)
+    .required()
+    .messages({
+      'string.pattern.base': 'El código solo puede contener letras mayúsculas, números, guiones y guiones bajos',
+      'string.min': 'El código debe tener al menos 2 caracteres',
+      'string.max': 'El código no puede exceder 20 caracteres',
+      'any.required': 'El código es requerido'
+    }),
+
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .required()
+    .messages({
+      'string.min': 'El nombre debe tener al menos 2 caracteres',
+      'string.max': 'El nombre no puede exceder 100 caracteres',
+      'any.required': 'El nombre es requerido'
+    }),
+
+  type: Joi.string()
+    .valid('warehouse', 'store')
+    .optional()
+    .messages({
+      'any.only': 'El tipo debe ser "warehouse" o "store"'
+    }),
+
+  address: Joi.string()
+    .trim()
+    .max(255)
+    .allow('')
+    .optional()
+    .messages({
+      'string.max': 'La dirección no puede exceder 255 caracteres'
+    }),
+
+  is_default: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'is_default debe ser true o false'
+    }),
+
+  is_active: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'is_active debe ser true o false'
+    })
+});
+
+// Esquema para actualización de ubicaciones
+const locationUpdateSchema = locationSchema.fork(
+  ['code', 'name'],
+  (schema) => schema.optional()
+).min(1).messages({
+  'object.min': 'No se proporcionaron datos para actualizar'
+});
+
+// Esquema para consultar el stock de una ubicación
+const locationStockQuerySchema = Joi.object({
+  page: querySchema.extract('page'),
+  limit: querySchema.extract('limit'),
+
+  low_stock: querySchema.extract('low_stock'),
+
+  threshold: Joi.number()
+    .integer()
+    .min(0)
+    .optional()
+    .messages({
+      'number.integer': 'threshold debe ser un número entero',
+      'number.min': 'threshold no puede ser negativo'
+    })
+});
+
+// Esquema para operaciones de stock (entrada o salida)
+const stockOperationSchema = Joi.object({
+  quantity: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'number.integer': 'La cantidad debe ser un número entero',
+      'number.positive': 'La cantidad debe ser mayor a 0',
+      'any.required': 'La cantidad es requerida'
+    }),
+  
+  operation: Joi.string()
+    .valid('add', 'subtract')
+    .required()
+    .messages({
+      'any.only': 'La operación debe ser "add" o "subtract"',
+      'any.required': 'La operación es requerida'
+    }),
+  
+  reason: Joi.string()
+    .trim()
+    .max(255)
+    .optional()
+    .messages({
+      'string.max': 'La razón no puede exceder 255 caracteres'
+    }),
+
+  location_id: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'location_id debe ser un UUID válido'
+    })
+});
+
+// Esquema para una línea de ajuste masivo: operación de stock sobre un producto (id o sku)
+const stockBatchLineSchema = stockOperationSchema.keys({
+  id: Joi.string()
+    .uuid()
+    .messages({
+      'string.guid': 'id debe ser un UUID válido'
+    }),
+
+  sku: Joi.string()
+    .trim()
+    .uppercase()
+    .max(50)
+    .messages({
+      'string.max': 'El SKU no puede exceder 50 caracteres'
+    })
+})
+  .xor('id', 'sku')
+  .messages({
+    'object.missing': 'Cada línea debe indicar id o sku',
+    'object.xor': 'Cada línea debe indicar id o sku, no ambos'
+  });
+
+// Esquema para ajustes masivos de stock (las líneas se validan una a una con stockBatchLineSchema)
+const stockBatchSchema = Joi.object({
+  items: Joi.array()
+    .items(Joi.object())
+    .min(1)
+    .max(500)
+    .required()
+    .messages({
+      'array.base': 'items debe ser una lista de operaciones',
+      'array.min': 'Debe enviar al menos una operación',
+      'array.max': 'No se pueden enviar más de 500 operaciones por lote',
+      'object.base': 'Cada operación debe ser un objeto',
+      'any.required': 'items es requerido'
+    }),
+
+  reason: Joi.string()
+    .trim()
+    .max(255)
+    .optional()
+    .messages({
+      'string.max': 'La razón no puede exceder 255 caracteres'
+    })
+});
+
+// Esquema para transferencias de stock entre ubicaciones
+const stockTransferSchema = Joi.object({
+  from_location_id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'from_location_id debe ser un UUID válido',
+      'any.required': 'La ubicación de origen es requerida'
+    }),
+
+  to_location_id: Joi.string()
+    .uuid()
+    .invalid(Joi.ref('from_location_id'))
+    .required()
+    .messages({
+      'string.guid': 'to_location_id debe ser un UUID válido',
+      'any.invalid': 'La ubicación de destino debe ser distinta a la de origen',
+      'any.required': 'La ubicación de destino es requerida'
+    }),
+
+  quantity: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'number.integer': 'La cantidad debe ser un número entero',
+      'number.positive': 'La cantidad debe ser mayor a 0',
+      'any.required': 'La cantidad es requerida'
+    }),
+
+  reason: Joi.string()
+    .trim()
+    .max(255)
+    .optional()
+    .messages({
+      'string.max': 'La razón no puede exceder 255 caracteres'
+    })
+});
+
+// Esquema para categorías
+const categorySchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .required()
+    .messages({
+      'string.min': 'El nombre debe tener al menos 2 caracteres',
+      'string.max': 'El nombre no puede exceder 100 caracteres',
+      'any.required': 'El nombre es requerido'
+    }),
+
+  // Sin slug se genera a partir del nombre
+  slug: Joi.string()
+    .trim()
+    .lowercase()
+    .pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/)
+    .max(120)
+    .optional()
+    .messages({
+      'string.pattern.base': 'El slug solo puede contener letras minúsculas, números y guiones',
+      'string.max': 'El slug no puede exceder 120 caracteres'
+    }),
+
+  parent_id: Joi.string()
+    .uuid()
+    .allow(null)
+    .optional()
+    .messages({
+      'string.guid': 'parent_id debe ser un UUID válido'
+    }),
+
+  description: Joi.string()
+    .trim()
+    .max(1000)
+    .allow('', null)
+    .optional()
+    .messages({
+      'string.max': 'La descripción no puede exceder 1000 caracteres'
+    })
+});
+
+// Esquema para actualización de categorías
+const categoryUpdateSchema = categorySchema.fork(
+  ['name'],
+  (schema) => schema.optional()
+).min(1).messages({
+  'object.min': 'No se proporcionaron datos para actualizar'
+});
+
+// Esquema para listar categorías
+const categoryQuerySchema = Joi.object({
+  tree: Joi.boolean()
+    .optional()
+    .default(false)
+    .messages({
+      'boolean.base': 'tree debe ser true o false'
+    })
+});
+
+// Esquema para proveedores
+const supplierSchema = Joi.object({
+  code: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(/^[A-Z0-9-_]+$/)
+    .min(2)
+    .max(20)
+    .required()
+    .messages({
+      'string.pattern.base': 'El código solo puede contener letras mayúsculas, números, guiones y guiones bajos',
+      'string.min': 'El código debe tener al menos 2 caracteres',
+      'string.max': 'El código no puede exceder 20 caracteres',
+      'any.required': 'El código es requerido'
+    }),
+
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(255)
+    .required()
+    .messages({
+      'string.min': 'El nombre debe tener al menos 2 caracteres',
+      'string.max': 'El nombre no puede exceder 255 caracteres',
+      'any.required': 'El nombre es requerido'
+    }),
+
+  contact_name: Joi.string()
+    .trim()
+    .max(100)
+    .allow('')
+    .optional()
+    .messages({
+      'string.max': 'El nombre de contacto no puede exceder 100 caracteres'
+    }),
+
+  email: Joi.string()
+    .trim()
+    .lowercase()
+    .email()
+    .allow('')
+    .optional()
+    .messages({
+      'string.email': 'El email debe ser válido'
+    }),
+
+  phone: Joi.string()
+    .trim()
+    .max(50)
+    .allow('')
+    .optional()
+    .messages({
+      'string.max': 'El teléfono no puede exceder 50 caracteres'
+    }),
+
+  address: Joi.string()
+    .trim()
+    .max(255)
+    .allow('')
+    .optional()
+    .messages({
+      'string.max': 'La dirección no puede exceder 255 caracteres'
+    }),
+
+  default_lead_time_days: Joi.number()
+    .integer()
+    .min(0)
+    .allow(null)
+    .optional()
+    .messages({
+      'number.integer': 'El tiempo de entrega debe ser un número entero',
+      'number.min': 'El tiempo de entrega no puede ser negativo'
+    }),
+
+  is_active: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'is_active debe ser true o false'
+    })
+});
+
+// Esquema para actualización de proveedores
+const supplierUpdateSchema = supplierSchema.fork(
+  ['code', 'name'],
+  (schema) => schema.optional()
+).min(1).messages({
+  'object.min': 'No se proporcionaron datos para actualizar'
+});
+
+// Esquema para líneas de órdenes de compra
+const purchaseOrderLineSchema = Joi.object({
+  product_id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'product_id debe ser un UUID válido',
+      'any.required': 'El producto es requerido'
+    }),
+
+  quantity: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'number.integer': 'La cantidad debe ser un número entero',
+      'number.positive': 'La cantidad debe ser mayor a 0',
+      'any.required': 'La cantidad es requerida'
+    }),
+
+  unit_cost: Joi.number()
+    .min(0)
+    .precision(2)
+    .required()
+    .messages({
+      'number.min': 'El costo unitario no puede ser negativo',
+      'number.precision': 'El costo unitario puede tener máximo 2 decimales',
+      'any.required': 'El costo unitario es requerido'
+    })
+});
+
+// Esquema para órdenes de compra
+const purchaseOrderSchema = Joi.object({
+  supplier_id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'supplier_id debe ser un UUID válido',
+      'any.required': 'El proveedor es requerido'
+    }),
+
+  location_id: Joi.string()
+    .uuid()
+    .allow(null)
+    .optional()
+    .messages({
+      'string.guid': 'location_id debe ser un UUID válido'
+    }),
+
+  expected_at: Joi.date()
+    .iso()
+    .allow(null)
+    .optional()
+    .messages({
+      'date.format': 'expected_at debe tener formato ISO 8601'
+    }),
+
+  notes: Joi.string()
+    .trim()
+    .max(1000)
+    .allow('')
+    .optional()
+    .messages({
+      'string.max': 'Las notas no pueden exceder 1000 caracteres'
+    }),
+
+  lines: Joi.array()
+    .items(purchaseOrderLineSchema)
+    .min(1)
+    .unique('product_id')
+    .required()
+    .messages({
+      'array.min': 'La orden debe tener al menos una línea',
+      'array.unique': 'Cada producto solo puede aparecer una vez en la orden',
+      'any.required': 'Las líneas de la orden son requeridas'
+    })
+});
+
+// Esquema para actualización de órdenes de compra (solo en borrador)
+const purchaseOrderUpdateSchema = purchaseOrderSchema.fork(
+  ['supplier_id', 'lines'],
+  (schema) => schema.optional()
+).min(1).messages({
+  'object.min': 'No se proporcionaron datos para actualizar'
+});
+
+// Esquema para recepción de mercancía
+const purchaseOrderReceiveSchema = Joi.object({
+  location_id: purchaseOrderSchema.extract('location_id'),
+
+  lines: Joi.array()
+    .items(Joi.object({
+      line_id: Joi.string()
+        .uuid()
+        .required()
+        .messages({
+          'string.guid': 'line_id debe ser un UUID válido',
+          'any.required': 'La línea es requerida'
+        }),
+
+      quantity: purchaseOrderLineSchema.extract('quantity')
+    }))
+    .min(1)
+    .required()
+    .messages({
+      'array.min': 'Debe recibir al menos una línea',
+      'any.required': 'Las líneas a recibir son requeridas'
+    })
+});
+
+// Esquema para consultas de órdenes de compra
+const purchaseOrderQuerySchema = Joi.object({
+  page: querySchema.extract('page'),
+  limit: querySchema.extract('limit'),
+
+  status: Joi.string()
+    .valid('draft', 'sent', 'partially_received', 'received', 'cancelled')
+    .optional()
+    .messages({
+      'any.only': 'status debe ser uno de: draft, sent, partially_received, received, cancelled'
+    }),
+
+  supplier_id: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'supplier_id debe ser un UUID válido'
+    })
+});
+
+// Esquema para opciones de importación masiva de productos
+const importQuerySchema = Joi.object({
+  dry_run: Joi.boolean()
+    .default(false)
+    .messages({
+      'boolean.base': 'dry_run debe ser true o false'
+    }),
+
+  mode: Joi.string()
+    .valid('upsert', 'create')
+    .default('upsert')
+    .messages({
+      'any.only': 'mode debe ser upsert o create'
+    })
+});
+
+// Esquema para reservas de stock
+const reservationSchema = Joi.object({
+  product_id: Joi.string()
+    .uuid()
+    .required()
+    .messages({
+      'string.guid': 'product_id debe ser un UUID válido',
+      'any.required': 'El producto es requerido'
+    }),
+
+  quantity: Joi.number()
+    .integer()
+    .positive()
+    .required()
+    .messages({
+      'number.integer': 'La cantidad debe ser un número entero',
+      'number.positive': 'La cantidad debe ser mayor a 0',
+      'any.required': 'La cantidad es requerida'
+    }),
+
+  ttl_seconds: Joi.number()
+    .integer()
+    .min(1)
+    .max(reservationsConfig.maxTtlSeconds)
+    .default(reservationsConfig.defaultTtlSeconds)
+    .messages({
+      'number.integer': 'ttl_seconds debe ser un número entero',
+      'number.min': 'ttl_seconds debe ser mayor a 0',
+      'number.max': `ttl_seconds no puede exceder ${reservationsConfig.maxTtlSeconds}`
+    }),
+
+  reference: Joi.string()
+    .trim()
+    .max(100)
+    .optional()
+    .messages({
+      'string.max': 'La referencia no puede exceder 100 caracteres'
+    }),
+
+  location_id: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'location_id debe ser un UUID válido'
+    })
+});
+
+// Esquema para consultas de reservas
+const reservationQuerySchema = Joi.object({
+  page: querySchema.extract('page'),
+  limit: querySchema.extract('limit'),
+
+  status: Joi.string()
+    .valid('active', 'confirmed', 'released', 'expired')
+    .optional()
+    .messages({
+      'any.only': 'status debe ser uno de: active, confirmed, released, expired'
+    }),
+
+  product_id: Joi.string()
+    .uuid()
+    .optional()
+    .messages({
+      'string.guid': 'product_id debe ser un UUID válido'
+    }),
+
+  reference: Joi.string()
+    .trim()
+    .max(100)
+    .optional()
+});
+
+// Esquema para suscripciones de webhook
+const webhookSchema = Joi.object({
+  url: Joi.string()
+    .trim()
+    .uri({ scheme: ['http', 'https'] })
+    .max(2048)
+    .required()
+    .messages({
+      'string.uri': 'La URL debe ser una dirección http o https válida',
+      'string.uriCustomScheme': 'La URL debe ser una dirección http o https válida',
+      'string.max': 'La URL no puede exceder 2048 caracteres',
+      'any.required': 'La URL es requerida'
+    }),
+
+  events: Joi.array()
+    .items(Joi.string().valid('*', ...INVENTORY_EVENTS).messages({
+      'any.only': `Los eventos deben ser: *, ${INVENTORY_EVENTS.join(', ')}`
+    }))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      'array.min': 'Debe suscribirse al menos a un evento',
+      'array.unique': 'Hay eventos repetidos',
+      'any.required': 'Los eventos son requeridos'
+    }),
+
+  // Sin secreto se genera uno aleatorio
+  secret: Joi.string()
+    .min(16)
+    .max(128)
+    .optional()
+    .messages({
+      'string.min': 'El secreto debe tener al menos 16 caracteres',
+      'string.max': 'El secreto no puede exceder 128 caracteres'
+    }),
+
+  description: Joi.string()
+    .trim()
+    .max(255)
+    .allow('', null)
+    .optional()
+    .messages({
+      'string.max': 'La descripción no puede exceder 255 caracteres'
+    }),
+
+  is_active: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'is_active debe ser true o false'
+    })
+});
+
+// Esquema para actualización de suscripciones de webhook
+const webhookUpdateSchema = webhookSchema.fork(
+  ['url', 'events'],
+  (schema) => schema.optional()
+).keys({
+  // Generar un secreto nuevo (se muestra una sola vez en la respuesta)
+  rotate_secret: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'rotate_secret debe ser true o false'
+    })
+}).min(1).messages({
+  'object.min': 'No se proporcionaron datos para actualizar'
+});
+
+// Esquema para consultas del registro de entregas
+const webhookDeliveryQuerySchema = Joi.object({
+  page: querySchema.extract('page'),
+  limit: querySchema.extract('limit'),
+
+  status: Joi.string()
+    .valid('pending', 'succeeded', 'failed')
+    .optional()
+    .messages({
+      'any.only': 'status debe ser uno de: pending, succeeded, failed'
+    }),
+
+  event_type: Joi.string()
+    .trim()
+    .max(50)
+    .optional()
+});
+
+// Esquema para el stream de eventos en tiempo real (product_id y types se repiten para varios valores)
+const streamQuerySchema = Joi.object({
+  product_id: Joi.array()
+    .items(Joi.string().uuid().messages({
+      'string.guid': 'product_id debe ser un UUID válido'
+    }))
+    .single()
+    .max(100)
+    .optional()
+    .messages({
+      'array.max': 'Se pueden filtrar como máximo 100 productos'
+    }),
+
+  category: categoryQuery,
+
+  types: Joi.array()
+    .items(Joi.string().valid(...INVENTORY_EVENTS).messages({
+      'any.only': `Los tipos deben ser: ${INVENTORY_EVENTS.join(', ')}`
+    }))
+    .single()
+    .unique()
+    .optional(),
+
+  // Solo los cruces del stock mínimo (stock.low y stock.restored)
+  low_stock: Joi.boolean()
+    .optional()
+    .messages({
+      'boolean.base': 'low_stock debe ser true o false'
+    }),
+
+  // Alternativa al encabezado Last-Event-ID para reanudar el stream
+  last_event_id: Joi.number()
+    .integer()
+    .min(0)
+    .optional()
+    .messages({
+      'number.base': 'last_event_id debe ser un número entero',
+      'number.integer': 'last_event_id debe ser un número entero',
+      'number.min': 'last_event_id no puede ser negativo'
+    })
+});
+
+// Función para validar datos con un esquema. Retorna el valor limpio y los errores
+// con la forma { field, message, value } (null si no hay errores)
+const validateData = (schema, data) => {
+  const { error, value } = schema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+
+  if (!error) {
+    return { value, errors: null };
+  }
+
+  const errors = error.details.map(detail => ({
+    field: detail.path.join('.'),
+    message: detail.message,
+    value: detail.context.value
+  }));
+
+  return { value, errors };
+};
+
+// Middleware de validación genérico
+const validate = (schema, property = 'body') => {
+  return (req, res, next) => {
+    const { value, errors } = validateData(schema, req[property]);
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Errores de validación',
+        errors
+      });
+    }
+
+    // Reemplazar el objeto original con el valor validado y limpio
+    req[property] = value;
+    next();
+  };
+};
+
+// Middleware específicos
+const validateProduct = validate(productSchema, 'body');
+const validateProductReplace = validate(productReplaceSchema, 'body');
+const validateProductUpdate = validate(productUpdateSchema, 'body');
+const validateVariant = validate(variantSchema, 'body');
+const validateQuery = validate(querySchema, 'query');
+const validateProductQuery = validate(productQuerySchema, 'query');
+const validateStatsQuery = validate(statsQuerySchema, 'query');
+const validateReportQuery = validate(reportQuerySchema, 'query');
+const validateHistoryQuery = validate(historyQuerySchema, 'query');
+const validateValuationQuery = validate(valuationQuerySchema, 'query');
+const validateForecastQuery = validate(forecastQuerySchema, 'query');
+const validateForecastProductQuery = validate(forecastProductQuerySchema, 'query');
+const validateForecastApply = validate(forecastApplySchema, 'body');
+const validateValuationProductQuery = validate(valuationProductQuerySchema, 'query');
+const validateAuditQuery = validate(auditQuerySchema, 'query');
+const validateLogin = validate(loginSchema, 'body');
+const validateRefreshToken = validate(refreshTokenSchema, 'body');
+const validateUser = validate(userSchema, 'body');
+const validateUserUpdate = validate(userUpdateSchema, 'body');
+const validateLocation = validate(locationSchema, 'body');
+const validateLocationUpdate = validate(locationUpdateSchema, 'body');
+const validateStockTransfer = validate(stockTransferSchema, 'body');
+const validateStockBatch = validate(stockBatchSchema, 'body');
+const validateLocationStockQuery = validate(locationStockQuerySchema, 'query');
+const validateSupplier = validate(supplierSchema, 'body');
+const validateSupplierUpdate = validate(supplierUpdateSchema, 'body');
+const validatePurchaseOrder = validate(purchaseOrderSchema, 'body');
+const validatePurchaseOrderUpdate = validate(purchaseOrderUpdateSchema, 'body');
+const validatePurchaseOrderReceive = validate(purchaseOrderReceiveSchema, 'body');
+const validatePurchaseOrderQuery = validate(purchaseOrderQuerySchema, 'query');
+const validateImportQuery = validate(importQuerySchema, 'query');
+const validateCategory = validate(categorySchema, 'body');
+const validateCategoryUpdate = validate(categoryUpdateSchema, 'body');
+const validateCategoryQuery = validate(categoryQuerySchema, 'query');
+const validateWebhook = validate(webhookSchema, 'body');
+const validateWebhookUpdate = validate(webhookUpdateSchema, 'body');
+const validateWebhookDeliveryQuery = validate(webhookDeliveryQuerySchema, 'query');
+const validateStreamQuery = validate(streamQuerySchema, 'query');
+const validateReservation = validate(reservationSchema, 'body');
+const validateReservationQuery = validate(reservationQuerySchema, 'query');
+
+// Middleware para validar UUID
+const validateUUID = (req, res, next) => {
+  const { id } = req.params;
+  
+  const uuidSchema = Joi.string()
+    .uuid({ version: 'uuidv4' })
+    .required()
+    .messages({
+      'string.guid': 'El ID debe ser un UUID válido',
+      'any.required': 'El ID es requerido'
+    });
+
+  const { error } = uuidSchema.validate(id);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: 'ID inválido',
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Middleware para validar operaciones de stock
+const validateStockOperation = (req, res, next) => {
+  const { error, value } = stockOperationSchema.validate(req.body);
 
   if (error) {
     const errors = error.details.map(detail => ({
@@ -305,12 +1663,89 @@ const validateStockOperation = (req, res, next) => {
 
 module.exports = {
   validate,
+  validateData,
   validateProduct,
+  validateProductReplace,
   validateProductUpdate,
+  validateVariant,
   validateQuery,
+  validateProductQuery,
+  validateStatsQuery,
+  validateReportQuery,
+  validateHistoryQuery,
+  validateValuationQuery,
+  validateValuationProductQuery,
+  validateForecastQuery,
+  validateForecastProductQuery,
+  validateForecastApply,
+  validateAuditQuery,
+  validateLogin,
+  validateRefreshToken,
+  validateUser,
+  validateUserUpdate,
+  validateLocation,
+  validateLocationUpdate,
+  validateStockTransfer,
+  validateLocationStockQuery,
+  validateSupplier,
+  validateSupplierUpdate,
+  validatePurchaseOrder,
+  validatePurchaseOrderUpdate,
+  validatePurchaseOrderReceive,
+  validatePurchaseOrderQuery,
+  validateImportQuery,
+  validateCategory,
+  validateCategoryUpdate,
+  validateCategoryQuery,
+  validateWebhook,
+  validateWebhookUpdate,
+  validateWebhookDeliveryQuery,
+  validateStreamQuery,
+  validateReservation,
+  validateReservationQuery,
   validateUUID,
   validateStockOperation,
+  validateStockBatch,
   productSchema,
+  productReplaceSchema,
   productUpdateSchema,
-  querySchema
+  variantSchema,
+  querySchema,
+  productQuerySchema,
+  historyQuerySchema,
+  valuationQuerySchema,
+  valuationProductQuerySchema,
+  forecastQuerySchema,
+  forecastProductQuerySchema,
+  forecastApplySchema,
+  auditQuerySchema,
+  loginSchema,
+  refreshTokenSchema,
+  userSchema,
+  userUpdateSchema,
+  statsQuerySchema,
+  reportQuerySchema,
+  locationSchema,
+  locationUpdateSchema,
+  stockOperationSchema,
+  stockBatchLineSchema,
+  stockBatchSchema,
+  stockTransferSchema,
+  locationStockQuerySchema,
+  supplierSchema,
+  supplierUpdateSchema,
+  purchaseOrderSchema,
+  purchaseOrderUpdateSchema,
+  purchaseOrderReceiveSchema,
+  purchaseOrderQuerySchema,
+  importQuerySchema,
+  categorySchema,
+  webhookSchema,
+  webhookUpdateSchema,
+  webhookDeliveryQuerySchema,
+  streamQuerySchema,
+  categoryUpdateSchema,
+  categoryQuerySchema,
+  reservationSchema,
+  reservationQuerySchema
 };
\ No newline at end of file
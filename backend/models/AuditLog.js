@@ -0,0 +1,161 @@
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Acciones registradas en la auditoría
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore'];
+
+// Atributos que nunca se auditan (las columnas de búsqueda de productos se derivan de otros campos)
+const IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt', 'deletedAt', 'search_text', 'brand_search'];
+
+// Función para comparar valores ignorando diferencias de representación (ej: "10.00" vs 10)
+const isSameValue = (a, b) => {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null || b === undefined) return false;
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  if (typeof a !== 'boolean' && typeof b !== 'boolean' &&
+      a !== '' && b !== '' && !isNaN(Number(a)) && !isNaN(Number(b))) {
+    return Number(a) === Number(b);
+  }
+  return false;
+};
+
+class AuditLog extends Model {
+  // Método estático para registrar una entrada de auditoría de una instancia
+  static async record(instance, action, changes, options = {}) {
+    return await this.create({
+      entity_type: instance.constructor.name,
+      entity_id: instance.id,
+      action,
+      changes,
+      changed_fields: `,${Object.keys(changes).join(',')},`,
+      performed_by: options.performedBy || null
+    }, { transaction: options.transaction });
+  }
+
+  // Método estático para calcular el diff de atributos de una instancia
+  static diff(instance, action) {
+    const changes = {};
+    const fields = Object.keys(instance.constructor.rawAttributes)
+      .filter(field => !IGNORED_FIELDS.includes(field));
+
+    fields.forEach(field => {
+      const after = instance.getDataValue(field);
+
+      if (action === 'create') {
+        if (after !== null && after !== undefined) {
+          changes[field] = { before: null, after };
+        }
+        return;
+      }
+
+      if (action === 'delete' || action === 'restore') {
+        return;
+      }
+
+      const before = instance.previous(field);
+      if (instance.changed(field) && !isSameValue(before, after)) {
+        changes[field] = { before: before === undefined ? null : before, after };
+      }
+    });
+
+    return changes;
+  }
+
+  // Método estático para auditar el ciclo de vida de un modelo
+  static track(TrackedModel) {
+    TrackedModel.addHook('afterCreate', 'audit', (instance, options) => {
+      return this.record(instance, 'create', this.diff(instance, 'create'), options);
+    });
+
+    TrackedModel.addHook('afterUpdate', 'audit', (instance, options) => {
+      const changes = this.diff(instance, 'update');
+      if (Object.keys(changes).length === 0) return;
+      return this.record(instance, 'update', changes, options);
+    });
+
+    TrackedModel.addHook('afterDestroy', 'audit', (instance, options) => {
+      return this.record(instance, 'delete', {
+        deletedAt: { before: null, after: instance.getDataValue('deletedAt') || new Date() }
+      }, options);
+    });
+
+    // restore() sincroniza los valores previos antes de afterRestore, así que se guarda la fecha aquí
+    TrackedModel.addHook('beforeRestore', 'audit', (instance) => {
+      instance.auditDeletedAt = instance.getDataValue('deletedAt');
+    });
+
+    TrackedModel.addHook('afterRestore', 'audit', (instance, options) => {
+      return this.record(instance, 'restore', {
+        deletedAt: { before: instance.auditDeletedAt || null, after: null }
+      }, options);
+    });
+  }
+
+  // Método para obtener la lista de campos modificados
+  getChangedFields() {
+    return Object.keys(this.changes || {});
+  }
+}
+
+// Definición del modelo
+AuditLog.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  entity_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  entity_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  action: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      isIn: {
+        args: [AUDIT_ACTIONS],
+        msg: 'La acción de auditoría no es válida'
+      }
+    }
+  },
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {}
+  },
+  // Lista de campos delimitada por comas (",price,sku,") para filtrar sin depender del soporte JSON del motor
+  changed_fields: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    defaultValue: ','
+  },
+  performed_by: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  }
+}, {
+  sequelize,
+  modelName: 'AuditLog',
+  tableName: 'audit_logs',
+  timestamps: true,
+  updatedAt: false, // Las entradas de auditoría son inmutables
+  indexes: [
+    {
+      fields: ['entity_type', 'entity_id', 'created_at']
+    },
+    {
+      fields: ['performed_by']
+    }
+  ]
+});
+
+AuditLog.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = AuditLog;
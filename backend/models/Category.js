@@ -0,0 +1,251 @@
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Profundidad máxima del árbol de categorías (una raíz tiene profundidad 1)
+const MAX_CATEGORY_DEPTH = 5;
+
+// Expresión para reconocer un UUID (resolver categorías por id o por slug)
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class Category extends Model {
+  // Método estático para generar el slug de un nombre: sin acentos, en minúsculas y con guiones
+  // (ej: "Electrónica " -> "electronica")
+  static slugify(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 120);
+  }
+
+  // Método estático para obtener los ids de una categoría y de todos sus descendientes.
+  // Las categorías son pocas: se recorre el árbol en memoria y funciona igual en cualquier base.
+  static async getDescendantIds(categoryId, options = {}) {
+    const categories = await this.findAll({
+      attributes: ['id', 'parent_id'],
+      transaction: options.transaction
+    });
+
+    const childrenByParent = new Map();
+    categories.forEach(category => {
+      const siblings = childrenByParent.get(category.parent_id) || [];
+      siblings.push(category.id);
+      childrenByParent.set(category.parent_id, siblings);
+    });
+
+    const ids = [];
+    const pending = [categoryId];
+    while (pending.length > 0) {
+      const id = pending.shift();
+      if (ids.includes(id)) continue;
+      ids.push(id);
+      pending.push(...(childrenByParent.get(id) || []));
+    }
+    return ids;
+  }
+
+  // Método estático para resolver una categoría por id, slug o nombre
+  static async resolve(value, options = {}) {
+    if (!value) return null;
+
+    if (UUID_PATTERN.test(value)) {
+      return await this.findByPk(value, { transaction: options.transaction });
+    }
+    return await this.findOne({ where: { slug: this.slugify(value) }, transaction: options.transaction });
+  }
+
+  // Método estático para obtener los ids de la categoría indicada (id, slug o nombre) y sus
+  // subcategorías. Una categoría inexistente retorna una lista vacía: un filtro sin resultados.
+  static async resolveDescendantIds(value, options = {}) {
+    const category = await this.resolve(value, options);
+    return category ? await this.getDescendantIds(category.id, options) : [];
+  }
+
+  // Método estático para obtener la categoría de un nombre libre, creándola como raíz si no existe.
+  // Los nombres que solo difieren en acentos, mayúsculas o espacios comparten categoría.
+  static async findOrCreateByName(name, options = {}) {
+    const slug = this.slugify(name);
+    if (!slug) return null;
+
+    const [category] = await this.findOrCreate({
+      where: { slug },
+      defaults: { name: String(name).trim() },
+      transaction: options.transaction
+    });
+    return category;
+  }
+
+  // Método estático para migrar las categorías de texto de los productos al árbol de categorías.
+  // Retorna la cantidad de productos asignados a una categoría.
+  static async backfillFromProducts(options = {}) {
+    const { Product } = this.sequelize.models;
+
+    return await this.sequelize.transaction(async (transaction) => {
+      const products = await Product.findAll({
+        where: {
+          category_id: null,
+          category: { [Op.and]: [{ [Op.not]: null }, { [Op.ne]: '' }] }
+        },
+        attributes: ['id', 'category'],
+        paranoid: false,
+        transaction
+      });
+
+      const productIdsByCategory = new Map();
+      for (const product of products) {
+        const category = await this.findOrCreateByName(product.category, { transaction });
+        if (!category) continue;
+
+        const entry = productIdsByCategory.get(category.id) || { category, ids: [] };
+        entry.ids.push(product.id);
+        productIdsByCategory.set(category.id, entry);
+      }
+
+      let migrated = 0;
+      for (const { category, ids } of productIdsByCategory.values()) {
+        await Product.update(
+          { category_id: category.id, category: category.name },
+          { where: { id: { [Op.in]: ids } }, paranoid: false, transaction, logging: options.logging }
+        );
+        migrated += ids.length;
+      }
+
+      return migrated;
+    });
+  }
+
+  // Método para validar un nuevo padre: debe existir, no puede ser la categoría ni una descendiente
+  // y el árbol resultante no puede superar la profundidad máxima
+  async validateParent(parentId, options = {}) {
+    if (!parentId) return;
+
+    const parent = await Category.findByPk(parentId, { transaction: options.transaction });
+    if (!parent) {
+      throw new Error('La categoría padre no existe');
+    }
+
+    if (!this.isNewRecord) {
+      const descendants = await Category.getDescendantIds(this.id, options);
+      if (descendants.includes(parentId)) {
+        throw new Error('Una categoría no puede moverse dentro de sí misma o de sus subcategorías');
+      }
+    }
+
+    // Profundidad del padre más la altura del subárbol que se mueve
+    let depth = 1;
+    let current = parent;
+    while (current.parent_id) {
+      depth += 1;
+      current = await Category.findByPk(current.parent_id, { transaction: options.transaction });
+    }
+    const subtreeHeight = this.isNewRecord ? 1 : await this.getSubtreeHeight(options);
+    if (depth + subtreeHeight > MAX_CATEGORY_DEPTH) {
+      throw new Error(`El árbol de categorías no puede tener más de ${MAX_CATEGORY_DEPTH} niveles`);
+    }
+  }
+
+  // Método para obtener la altura del subárbol de la categoría (1 si no tiene subcategorías)
+  async getSubtreeHeight(options = {}) {
+    const children = await Category.findAll({
+      where: { parent_id: this.id },
+      transaction: options.transaction
+    });
+
+    let height = 1;
+    for (const child of children) {
+      height = Math.max(height, 1 + await child.getSubtreeHeight(options));
+    }
+    return height;
+  }
+
+  // Método para obtener la ruta desde la raíz hasta la categoría (ej: Electrónica > Audio)
+  async getPath(options = {}) {
+    const path = [this];
+    let current = this;
+    while (current.parent_id) {
+      current = await Category.findByPk(current.parent_id, { transaction: options.transaction });
+      if (!current) break;
+      path.unshift(current);
+    }
+    return path;
+  }
+}
+
+// Definición del modelo
+Category.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: {
+        args: [1, 100],
+        msg: 'El nombre debe tener entre 1 y 100 caracteres'
+      }
+    }
+  },
+  slug: {
+    type: DataTypes.STRING(120),
+    allowNull: false,
+    unique: {
+      name: 'unique_category_slug',
+      msg: 'Ya existe una categoría con ese slug'
+    },
+    validate: {
+      is: {
+        args: /^[a-z0-9]+(-[a-z0-9]+)*$/,
+        msg: 'El slug solo puede contener letras minúsculas, números y guiones'
+      }
+    }
+  },
+  parent_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  sequelize,
+  modelName: 'Category',
+  tableName: 'categories',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['parent_id']
+    }
+  ],
+  hooks: {
+    beforeValidate: (category) => {
+      if (category.name) {
+        category.name = category.name.trim();
+      }
+      // Sin slug explícito se genera a partir del nombre
+      category.slug = Category.slugify(category.slug || category.name);
+    },
+    afterUpdate: async (category, options) => {
+      // Mantener el nombre de categoría que muestran los productos
+      if (!category.changed('name')) return;
+
+      const { Product } = category.sequelize.models;
+      await Product.updateAtomic(
+        { category: category.name },
+        { category_id: category.id },
+        { transaction: options.transaction }
+      );
+      await Product.refreshSearchText({ category_id: category.id }, { transaction: options.transaction });
+    }
+  }
+});
+
+Category.MAX_DEPTH = MAX_CATEGORY_DEPTH;
+
+module.exports = Category;
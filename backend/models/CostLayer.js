@@ -0,0 +1,120 @@
+const { DataTypes, Model, Op, col, fn } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Productos que se completan por transacción en el backfill
+const BACKFILL_BATCH_SIZE = 500;
+
+class CostLayer extends Model {
+  // Método estático para crear capas de apertura para el stock sin capas de costo
+  // (productos anteriores al registro de capas). La capa toma el costo actual del producto y la
+  // fecha de su creación. La valuación vuelve a descontar las salidas registradas, así que la capa
+  // incluye el stock actual más esas salidas: al reproducirlas queda exactamente el stock actual.
+  // Se leen solo los productos sin capas, en lotes: si no falta ninguno es una sola consulta.
+  static async backfillFromProducts(options = {}) {
+    const { Product, StockMovement } = this.sequelize.models;
+    const batchSize = options.batchSize || BACKFILL_BATCH_SIZE;
+
+    let total = 0;
+    let created;
+    do {
+      created = await this.sequelize.transaction(async (transaction) => {
+        const products = await Product.findAll({
+          attributes: ['id', 'stock', 'cost', 'createdAt'],
+          where: { stock: { [Op.gt]: 0 }, has_variants: false, [Op.and]: Product.missingIn(this) },
+          order: [['id', 'ASC']],
+          limit: batchSize,
+          paranoid: false,
+          transaction
+        });
+        if (products.length === 0) return 0;
+
+        const issued = await StockMovement.findAll({
+          attributes: ['product_id', [fn('SUM', col('quantity')), 'quantity']],
+          where: { product_id: { [Op.in]: products.map(product => product.id) }, operation: 'subtract' },
+          group: ['product_id'],
+          raw: true,
+          transaction
+        });
+        const issuedByProduct = Object.fromEntries(issued.map(row => [row.product_id, Number(row.quantity)]));
+
+        await this.bulkCreate(products.map(product => ({
+          product_id: product.id,
+          quantity: product.stock + (issuedByProduct[product.id] || 0),
+          unit_cost: product.cost || 0,
+          received_at: product.createdAt
+        })), { transaction, logging: options.logging });
+
+        return products.length;
+      });
+      total += created;
+    } while (created === batchSize);
+
+    return total;
+  }
+}
+
+// Definición del modelo (unidades que ingresaron juntas a un mismo costo unitario).
+// Las capas son inmutables: cada método de valuación decide al calcular qué capas consumen las salidas.
+CostLayer.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  product_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  // Movimiento de entrada que originó la capa (null en las capas de apertura)
+  stock_movement_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: {
+        msg: 'La cantidad debe ser un número entero'
+      },
+      min: {
+        args: [1],
+        msg: 'La cantidad debe ser mayor a 0'
+      }
+    }
+  },
+  unit_cost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'El costo unitario no puede ser negativo'
+      }
+    },
+    get() {
+      const value = this.getDataValue('unit_cost');
+      return value ? parseFloat(value) : 0;
+    }
+  },
+  received_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  sequelize,
+  modelName: 'CostLayer',
+  tableName: 'cost_layers',
+  timestamps: true,
+  updatedAt: false, // Las capas son inmutables
+  indexes: [
+    {
+      fields: ['product_id', 'received_at']
+    }
+  ]
+});
+
+module.exports = CostLayer;
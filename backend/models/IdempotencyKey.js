@@ -0,0 +1,103 @@
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+class IdempotencyKey extends Model {
+  // Método para verificar si la clave ya expiró
+  isExpired(now = new Date()) {
+    return new Date(this.expires_at) <= now;
+  }
+
+  // Método para verificar si la petición original sigue en curso
+  isProcessing() {
+    return this.status === 'processing';
+  }
+
+  // Método para verificar si la petición original quedó en curso más de timeoutMinutes
+  isAbandoned(timeoutMinutes, now = new Date()) {
+    return this.isProcessing() &&
+      now - new Date(this.createdAt) >= timeoutMinutes * 60 * 1000;
+  }
+
+  // Método estático para eliminar las claves expiradas. Retorna la cantidad eliminada.
+  static async purgeExpired() {
+    return await this.destroy({
+      where: { expires_at: { [Op.lte]: new Date() } }
+    });
+  }
+}
+
+// Definición del modelo
+IdempotencyKey.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  key: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  // Las claves las genera el cliente: se aíslan por usuario
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  method: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  path: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  // Huella (sha256) de método, ruta y cuerpo para detectar reutilización con otra petición
+  request_hash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'processing',
+    validate: {
+      isIn: {
+        args: [['processing', 'completed']],
+        msg: 'El estado debe ser processing o completed'
+      }
+    }
+  },
+  response_status: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  response_body: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  response_headers: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  sequelize,
+  modelName: 'IdempotencyKey',
+  tableName: 'idempotency_keys',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'key'],
+      name: 'unique_idempotency_key_per_user'
+    },
+    {
+      fields: ['expires_at']
+    }
+  ]
+});
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,107 @@
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Tipos de ubicación soportados
+const LOCATION_TYPES = ['warehouse', 'store'];
+
+// Ubicación creada automáticamente cuando no existe ninguna por defecto
+const DEFAULT_LOCATION = {
+  code: 'PRINCIPAL',
+  name: 'Almacén principal',
+  type: 'warehouse'
+};
+
+class Location extends Model {
+  // Método estático para obtener (o crear) la ubicación por defecto
+  static async getDefault(options = {}) {
+    const [location] = await this.findOrCreate({
+      where: { is_default: true },
+      defaults: { ...DEFAULT_LOCATION, is_default: true },
+      transaction: options.transaction
+    });
+    return location;
+  }
+
+  // Método estático para resolver una ubicación por id o la ubicación por defecto
+  static async resolve(locationId, options = {}) {
+    if (!locationId) {
+      return await this.getDefault(options);
+    }
+    return await this.findByPk(locationId, { transaction: options.transaction });
+  }
+}
+
+// Definición del modelo
+Location.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  code: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: {
+      name: 'unique_location_code',
+      msg: 'El código de ubicación ya existe'
+    },
+    validate: {
+      is: {
+        args: /^[A-Z0-9-_]+$/,
+        msg: 'El código solo puede contener letras mayúsculas, números, guiones y guiones bajos'
+      }
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      len: {
+        args: [2, 100],
+        msg: 'El nombre debe tener entre 2 y 100 caracteres'
+      }
+    }
+  },
+  type: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'warehouse',
+    validate: {
+      isIn: {
+        args: [LOCATION_TYPES],
+        msg: `El tipo de ubicación debe ser uno de: ${LOCATION_TYPES.join(', ')}`
+      }
+    }
+  },
+  address: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  is_default: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  sequelize,
+  modelName: 'Location',
+  tableName: 'locations',
+  timestamps: true,
+  hooks: {
+    beforeValidate: (location) => {
+      if (location.code) {
+        location.code = location.code.toUpperCase().trim();
+      }
+    }
+  }
+});
+
+Location.TYPES = LOCATION_TYPES;
+
+module.exports = Location;
@@ -1,5 +1,14 @@
-const { DataTypes, Model } = require('sequelize');
+const crypto = require('crypto');
+const { DataTypes, Model, Op } = require('sequelize');
 const { sequelize } = require('../config/database');
+const reservationsConfig = require('../config/reservations');
+const { normalizeSearchText } = require('../utils/helpers');
+
+// Campos que una variante hereda de su producto padre
+const VARIANT_SHARED_FIELDS = ['description', 'category_id', 'category', 'brand'];
+
+// Campos que se buscan por texto (su versión normalizada se guarda en search_text)
+const SEARCH_FIELDS = ['name', 'sku', 'description', 'category', 'brand'];
 
 class Product extends Model {
   // Método para obtener información básica del producto
@@ -13,34 +22,380 @@ class Product extends Model {
     };
   }
 
+  // Método para obtener el stock disponible (en existencia menos lo reservado)
+  getAvailableStock() {
+    return Math.max(this.stock - (this.reserved || 0), 0);
+  }
+
   // Método para verificar si hay stock disponible
   hasStock(quantity = 1) {
-    return this.stock >= quantity;
+    return this.getAvailableStock() >= quantity;
   }
 
-  // Método para actualizar stock
-  async updateStock(quantity, operation = 'subtract') {
-    if (operation === 'subtract') {
-      if (this.stock < quantity) {
-        throw new Error('Stock insuficiente');
+  // Método para aplicar un cambio de stock en una ubicación dentro de una transacción.
+  // affectsTotal = false se usa en transferencias, donde el total del producto no cambia.
+  // Cada entrada (add) crea una capa de costo a unitCost o, si no se indica, al costo actual.
+  // Los cambios son UPDATE atómicos condicionados (ej: stock = stock - 5 WHERE stock >= 5):
+  // la comprobación y la escritura ocurren en la misma sentencia, así dos salidas concurrentes
+  // no pueden pisarse ni dejar el stock negativo.
+  async applyStockChange(location, quantity, operation, options) {
+    const {
+      transaction,
+      reason = null,
+      performedBy = null,
+      transferId = null,
+      affectsTotal = true,
+      adjustment = false
+    } = options;
+    const { StockLevel, StockMovement, AuditLog, CostLayer } = this.sequelize.models;
+    const { literal, where } = this.sequelize;
+
+    const isOutbound = operation === 'subtract' || operation === 'transfer_out';
+    const delta = this.sequelize.escape(isOutbound ? -quantity : quantity);
+
+    if (affectsTotal) {
+      const productWhere = { id: this.id };
+      // Las salidas no pueden consumir unidades reservadas
+      if (operation === 'subtract') {
+        productWhere[Op.and] = where(literal('stock - reserved'), Op.gte, quantity);
+      }
+
+      const updated = await Product.updateAtomic(
+        { stock: literal(`stock + ${delta}`) },
+        productWhere,
+        { transaction }
+      );
+      if (!updated) {
+        await this.reload({ transaction });
+        throw new Error(`Stock insuficiente: disponibles ${this.getAvailableStock()} (${this.reserved} reservadas)`);
       }
-      this.stock -= quantity;
-    } else if (operation === 'add') {
-      this.stock += quantity;
+
+      await Product.applyParentDelta(this.parent_id, { stock: isOutbound ? -quantity : quantity }, { transaction });
+    }
+
+    await StockLevel.findOrCreate({
+      where: { product_id: this.id, location_id: location.id },
+      defaults: { quantity: 0 },
+      transaction
+    });
+
+    const levelWhere = { product_id: this.id, location_id: location.id };
+    if (isOutbound) {
+      levelWhere.quantity = { [Op.gte]: quantity };
+    }
+
+    const [levelUpdated] = await StockLevel.update(
+      { quantity: literal(`quantity + ${delta}`) },
+      { where: levelWhere, transaction }
+    );
+    if (levelUpdated === 0) {
+      throw new Error(`Stock insuficiente en la ubicación ${location.code}`);
+    }
+
+    // Releer los valores resultantes: el stock en memoria puede estar desactualizado
+    await this.reload({ transaction });
+    const currentStock = this.stock;
+    const previousStock = affectsTotal ? currentStock + (isOutbound ? quantity : -quantity) : currentStock;
+
+    // El UPDATE directo no dispara los hooks de auditoría, se registra explícitamente
+    if (affectsTotal) {
+      await AuditLog.record(this, 'update', {
+        stock: { before: previousStock, after: currentStock }
+      }, { transaction, performedBy });
+    }
+
+    const movement = await StockMovement.create({
+      product_id: this.id,
+      location_id: location.id,
+      transfer_id: transferId,
+      operation,
+      quantity,
+      previous_stock: previousStock,
+      current_stock: currentStock,
+      reason,
+      adjustment,
+      performed_by: performedBy
+    }, { transaction });
+
+    if (affectsTotal && operation === 'add') {
+      await CostLayer.create({
+        product_id: this.id,
+        stock_movement_id: movement.id,
+        quantity,
+        unit_cost: options.unitCost !== undefined ? options.unitCost : (this.cost || 0),
+        received_at: movement.createdAt
+      }, { transaction });
     }
-    
-    return await this.save();
+
+    return movement;
   }
 
-  // Método estático para buscar productos con stock bajo
-  static async findLowStock(threshold = 10) {
-    return await this.findAll({
+  // Método para ejecutar una operación de stock en su propia transacción o en la del llamador
+  async runStockTransaction(options, fn) {
+    // El stock de un producto con variantes es el total de ellas y no se ajusta directamente
+    if (this.has_variants) {
+      throw new Error('El producto tiene variantes: el stock se gestiona en cada variante');
+    }
+
+    if (options.transaction) {
+      return await fn(options.transaction);
+    }
+
+    try {
+      return await this.sequelize.transaction(fn);
+    } catch (error) {
+      await this.reload();
+      throw error;
+    }
+  }
+
+  // Método para actualizar stock registrando el movimiento en la misma transacción.
+  // Sin options.locationId se usa la ubicación por defecto; options.adjustment marca el movimiento
+  // como corrección de inventario. Retorna el StockMovement creado.
+  async updateStock(quantity, operation = 'subtract', options = {}) {
+    const { Location } = this.sequelize.models;
+
+    return await this.runStockTransaction(options, async (transaction) => {
+      const location = await Location.resolve(options.locationId, { transaction });
+      if (!location || !location.is_active) {
+        throw new Error('Ubicación no encontrada o inactiva');
+      }
+
+      // Liberar reservas vencidas antes de calcular el disponible para una salida
+      if (operation === 'subtract') {
+        await this.releaseExpiredReservations(transaction);
+      }
+
+      return await this.applyStockChange(location, quantity, operation, { ...options, transaction });
+    });
+  }
+
+  // Método para liberar las reservas vencidas del producto y refrescar la cantidad reservada
+  async releaseExpiredReservations(transaction) {
+    const { Reservation } = this.sequelize.models;
+
+    const released = await Reservation.releaseExpired({ productId: this.id, transaction });
+    if (released.length > 0) {
+      await this.reload({ transaction });
+    }
+    return released;
+  }
+
+  // Método para obtener las unidades de una ubicación que no retienen reservas activas.
+  // Las reservas sin ubicación se confirman en la ubicación por defecto: cuentan en ella.
+  async getAvailableAtLocation(locationId, transaction) {
+    const { StockLevel, Reservation, Location } = this.sequelize.models;
+
+    const level = await StockLevel.findOne({ where: { product_id: this.id, location_id: locationId }, transaction });
+    const defaultLocation = await Location.getDefault({ transaction });
+    const reserved = await Reservation.sum('quantity', {
       where: {
-        stock: {
-          [require('sequelize').Op.lte]: threshold
-        }
+        product_id: this.id,
+        status: 'active',
+        location_id: defaultLocation.id === locationId ? { [Op.or]: [locationId, null] } : locationId
       },
-      order: [['stock', 'ASC']]
+      transaction
+    });
+
+    const quantity = level ? level.quantity : 0;
+    return { quantity, reserved: reserved || 0, available: quantity - (reserved || 0) };
+  }
+
+  // Método para reservar stock disponible durante un tiempo limitado.
+  // Sin options.ttlSeconds se usa el tiempo de vida por defecto. Con options.locationId las unidades
+  // deben estar disponibles en esa ubicación, donde se descontarán al confirmar.
+  // Retorna la Reservation creada.
+  async reserve(quantity, options = {}) {
+    const { Reservation } = this.sequelize.models;
+    const {
+      ttlSeconds = reservationsConfig.defaultTtlSeconds,
+      reference = null,
+      locationId = null,
+      performedBy = null
+    } = options;
+
+    return await this.runStockTransaction(options, async (transaction) => {
+      await this.releaseExpiredReservations(transaction);
+
+      // Retener las unidades solo si siguen disponibles, en una única sentencia atómica
+      const { literal, where } = this.sequelize;
+      const updated = await Product.updateAtomic(
+        { reserved: literal(`reserved + ${this.sequelize.escape(quantity)}`) },
+        {
+          id: this.id,
+          [Op.and]: where(literal('stock - reserved'), Op.gte, quantity)
+        },
+        { transaction }
+      );
+      if (!updated) {
+        await this.reload({ transaction });
+        throw new Error(`Stock insuficiente: disponibles ${this.getAvailableStock()} (${this.reserved} reservadas)`);
+      }
+
+      // El UPDATE anterior bloquea el producto hasta el final de la transacción, así las reservas
+      // concurrentes del producto comprueban la ubicación una después de otra
+      if (locationId) {
+        const atLocation = await this.getAvailableAtLocation(locationId, transaction);
+        if (atLocation.available < quantity) {
+          throw new Error(`Stock insuficiente en la ubicación: disponibles ${atLocation.available} (${atLocation.reserved} reservadas)`);
+        }
+      }
+      await Product.applyParentDelta(this.parent_id, { reserved: quantity }, { transaction });
+
+      const reservation = await Reservation.create({
+        product_id: this.id,
+        location_id: locationId,
+        quantity,
+        reference,
+        expires_at: new Date(Date.now() + ttlSeconds * 1000),
+        created_by: performedBy
+      }, { transaction });
+
+      await this.reload({ transaction });
+
+      return reservation;
+    });
+  }
+
+  // Método para transferir stock entre dos ubicaciones de forma atómica.
+  // Retorna los movimientos [salida, entrada].
+  async transferStock(quantity, fromLocationId, toLocationId, options = {}) {
+    const { Location } = this.sequelize.models;
+
+    if (fromLocationId === toLocationId) {
+      throw new Error('Las ubicaciones de origen y destino deben ser distintas');
+    }
+
+    return await this.runStockTransaction(options, async (transaction) => {
+      const [from, to] = await Promise.all([
+        Location.findByPk(fromLocationId, { transaction }),
+        Location.findByPk(toLocationId, { transaction })
+      ]);
+      if (!from || !from.is_active || !to || !to.is_active) {
+        throw new Error('Ubicación no encontrada o inactiva');
+      }
+
+      const changeOptions = {
+        ...options,
+        transaction,
+        transferId: crypto.randomUUID(),
+        affectsTotal: false
+      };
+
+      const outbound = await this.applyStockChange(from, quantity, 'transfer_out', changeOptions);
+      const inbound = await this.applyStockChange(to, quantity, 'transfer_in', changeOptions);
+      return [outbound, inbound];
+    });
+  }
+
+  // Método estático para aplicar un UPDATE atómico que además incrementa la versión del registro,
+  // así el ETag cambia aunque la escritura no pase por save(). Con paranoid: false también alcanza
+  // productos eliminados. Retorna true si alguna fila cumplió la condición.
+  static async updateAtomic(values, where, options = {}) {
+    const [updated] = await this.update(
+      { ...values, version: this.sequelize.literal('version + 1') },
+      { where, transaction: options.transaction, paranoid: options.paranoid }
+    );
+    return updated > 0;
+  }
+
+  // Método estático para obtener las columnas normalizadas de búsqueda (search_text y brand_search)
+  // de los datos de un producto
+  static buildSearchValues(values) {
+    return {
+      search_text: normalizeSearchText(SEARCH_FIELDS.map(field => values[field]).filter(Boolean).join(' ')),
+      brand_search: normalizeSearchText(values.brand || '') || null
+    };
+  }
+
+  // Método estático para recalcular las columnas de búsqueda de los productos que cumplen where.
+  // Se usa después de UPDATE directos que cambian campos de búsqueda (no disparan los hooks).
+  // Retorna la cantidad de productos actualizados.
+  static async refreshSearchText(where, options = {}) {
+    const products = await this.findAll({
+      where,
+      attributes: ['id', ...SEARCH_FIELDS],
+      paranoid: false,
+      transaction: options.transaction
+    });
+
+    for (const product of products) {
+      await this.update(this.buildSearchValues(product), {
+        where: { id: product.id },
+        paranoid: false,
+        hooks: false,
+        transaction: options.transaction
+      });
+    }
+    return products.length;
+  }
+
+  // Método estático para obtener la condición "el producto no tiene filas en la tabla de model"
+  // (NOT EXISTS sobre product_id), para que los backfills lean solo los productos que les faltan
+  static missingIn(model) {
+    const quote = (path) => this.sequelize.getQueryInterface().quoteIdentifiers(path);
+    return this.sequelize.literal(
+      `NOT EXISTS (SELECT 1 FROM ${quote(model.tableName)} WHERE ${quote(`${model.tableName}.product_id`)} = ${quote(`${this.name}.id`)})`
+    );
+  }
+
+  // Método estático para completar las columnas de búsqueda de los productos creados antes
+  // de que existieran. Retorna la cantidad de productos actualizados.
+  static async backfillSearchText() {
+    return await this.refreshSearchText({ search_text: null });
+  }
+
+  // Método estático para trasladar al producto padre el cambio de stock o reservas de una variante,
+  // así el padre expone el total de sus variantes (ej: { stock: -2 }). Sin parentId no hace nada.
+  static async applyParentDelta(parentId, changes, options = {}) {
+    if (!parentId) return false;
+
+    const values = {};
+    Object.entries(changes).forEach(([field, delta]) => {
+      values[field] = this.sequelize.literal(`${field} + ${this.sequelize.escape(delta)}`);
+    });
+
+    return await this.updateAtomic(values, { id: parentId }, {
+      transaction: options.transaction,
+      paranoid: options.paranoid
+    });
+  }
+
+  // Método estático para obtener una clave comparable de las opciones de una variante
+  // (claves y valores sin mayúsculas ni espacios, ordenadas)
+  static variantOptionsKey(options = {}) {
+    const normalize = (text) => String(text).trim().toLowerCase();
+    return JSON.stringify(
+      Object.entries(options)
+        .map(([name, value]) => [normalize(name), normalize(value)])
+        .sort(([a], [b]) => a.localeCompare(b))
+    );
+  }
+
+  // Método estático para buscar productos con stock bajo (opcionalmente en una ubicación)
+  static async findLowStock(threshold = 10, options = {}) {
+    if (!options.locationId) {
+      return await this.findAll({
+        where: {
+          stock: {
+            [Op.lte]: threshold
+          }
+        },
+        order: [['stock', 'ASC']]
+      });
+    }
+
+    return await this.findAll({
+      include: [{
+        model: this.sequelize.models.StockLevel,
+        as: 'stockLevels',
+        required: true,
+        where: {
+          location_id: options.locationId,
+          quantity: { [Op.lte]: threshold }
+        }
+      }],
+      order: [[{ model: this.sequelize.models.StockLevel, as: 'stockLevels' }, 'quantity', 'ASC']]
     });
   }
 }
@@ -101,7 +456,7 @@ Product.init({
         msg: 'El precio debe ser un número decimal válido'
       },
       min: {
-        args: 0,
+        args: [0],
         msg: 'El precio no puede ser negativo'
       }
     },
@@ -118,7 +473,7 @@ Product.init({
         msg: 'El costo debe ser un número decimal válido'
       },
       min: {
-        args: 0,
+        args: [0],
         msg: 'El costo no puede ser negativo'
       }
     },
@@ -136,11 +491,23 @@ Product.init({
         msg: 'El stock debe ser un número entero'
       },
       min: {
-        args: 0,
+        args: [0],
         msg: 'El stock no puede ser negativo'
       }
     }
   },
+  // Unidades retenidas por reservas activas (no disponibles para la venta)
+  reserved: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'Las unidades reservadas no pueden ser negativas'
+      }
+    }
+  },
   min_stock: {
     type: DataTypes.INTEGER,
     allowNull: true,
@@ -150,7 +517,7 @@ Product.init({
         msg: 'El stock mínimo debe ser un número entero'
       },
       min: {
-        args: 0,
+        args: [0],
         msg: 'El stock mínimo no puede ser negativo'
       }
     }
@@ -188,6 +555,66 @@ Product.init({
         msg: 'La URL de la imagen debe ser válida'
       }
     }
+  },
+  // Proveedor preferido para reposición
+  supplier_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  supplier_sku: {
+    type: DataTypes.STRING(50),
+    allowNull: true,
+    validate: {
+      len: {
+        args: [0, 50],
+        msg: 'El SKU del proveedor no puede exceder los 50 caracteres'
+      }
+    }
+  },
+  // Tiempo de entrega del proveedor preferido en días
+  lead_time_days: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      isInt: {
+        msg: 'El tiempo de entrega debe ser un número entero'
+      },
+      min: {
+        args: [0],
+        msg: 'El tiempo de entrega no puede ser negativo'
+      }
+    }
+  },
+  // Categoría del árbol de categorías (category guarda su nombre para mostrar)
+  category_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Producto padre de una variante (talla, color, etc.)
+  parent_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Valores de opciones de la variante (ej: { talla: 'M', color: 'Rojo' })
+  options: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // El producto agrupa variantes: su stock y reservas son el total de ellas
+  has_variants: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  // Nombre, SKU, descripción, categoría y marca en minúsculas y sin acentos (búsquedas)
+  search_text: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Marca en minúsculas y sin acentos (filtro por marca)
+  brand_search: {
+    type: DataTypes.STRING(100),
+    allowNull: true
   }
 }, {
   sequelize,
@@ -195,6 +622,7 @@ Product.init({
   tableName: 'products',
   timestamps: true,
   paranoid: true, // Soft deletes
+  version: true, // Control de concurrencia optimista (columna version)
   indexes: [
     {
       fields: ['sku']
@@ -207,6 +635,12 @@ Product.init({
     },
     {
       fields: ['stock']
+    },
+    {
+      fields: ['parent_id']
+    },
+    {
+      fields: ['category_id']
     }
   ],
   hooks: {
@@ -219,8 +653,102 @@ Product.init({
       if (product.name) {
         product.name = product.name.trim();
       }
+    },
+    beforeSave: async (product, options) => {
+      // category_id manda; un nombre de categoría libre se asocia a la categoría de su slug
+      // (creándola como raíz si no existe) y category queda con el nombre canónico
+      const { Category } = product.sequelize.models;
+      const { transaction } = options;
+
+      if (product.changed('category_id')) {
+        const category = product.category_id
+          ? await Category.findByPk(product.category_id, { transaction })
+          : null;
+        if (product.category_id && !category) {
+          throw new Error('Categoría no encontrada');
+        }
+        product.category = category ? category.name : null;
+      } else if (product.changed('category')) {
+        const category = product.category
+          ? await Category.findOrCreateByName(product.category, { transaction })
+          : null;
+        product.category_id = category ? category.id : null;
+        product.category = category ? category.name : null;
+      }
+
+      // Columnas normalizadas para buscar sin distinguir mayúsculas ni acentos en cualquier base de datos
+      if (product.isNewRecord || SEARCH_FIELDS.some(field => product.changed(field))) {
+        product.set(Product.buildSearchValues(product.get()));
+      }
+    },
+    afterCreate: async (product, options) => {
+      // Registrar el stock inicial en la ubicación por defecto
+      if (!product.stock) return;
+
+      const { Location, StockLevel, StockMovement, CostLayer } = product.sequelize.models;
+      const { transaction } = options;
+      const location = await Location.getDefault({ transaction });
+
+      await StockLevel.create({
+        product_id: product.id,
+        location_id: location.id,
+        quantity: product.stock
+      }, { transaction });
+
+      const movement = await StockMovement.create({
+        product_id: product.id,
+        location_id: location.id,
+        operation: 'add',
+        quantity: product.stock,
+        previous_stock: 0,
+        current_stock: product.stock,
+        reason: 'Stock inicial',
+        performed_by: options.performedBy || null
+      }, { transaction });
+
+      // El stock inicial entra como primera capa de costo
+      await CostLayer.create({
+        product_id: product.id,
+        stock_movement_id: movement.id,
+        quantity: product.stock,
+        unit_cost: product.cost || 0,
+        received_at: movement.createdAt
+      }, { transaction });
+
+      // El stock inicial de una variante se suma al total del padre
+      await Product.applyParentDelta(product.parent_id, { stock: product.stock }, { transaction });
+    },
+    afterUpdate: async (product, options) => {
+      // Los datos compartidos del padre se copian a sus variantes (búsquedas y filtros por variante)
+      if (!product.has_variants) return;
+
+      const shared = {};
+      VARIANT_SHARED_FIELDS.forEach(field => {
+        if (product.changed(field)) shared[field] = product[field];
+      });
+      if (Object.keys(shared).length === 0) return;
+
+      await Product.updateAtomic(shared, { parent_id: product.id }, { transaction: options.transaction });
+      if (SEARCH_FIELDS.some(field => field in shared)) {
+        await Product.refreshSearchText({ parent_id: product.id }, { transaction: options.transaction });
+      }
+    },
+    afterDestroy: async (product, options) => {
+      // Una variante eliminada deja de contar en el total del padre
+      await Product.applyParentDelta(product.parent_id, {
+        stock: -product.stock,
+        reserved: -(product.reserved || 0)
+      }, { transaction: options.transaction });
+    },
+    afterRestore: async (product, options) => {
+      await Product.applyParentDelta(product.parent_id, {
+        stock: product.stock,
+        reserved: product.reserved || 0
+      }, { transaction: options.transaction });
     }
   }
 });
 
+Product.VARIANT_SHARED_FIELDS = VARIANT_SHARED_FIELDS;
+
 module.exports = Product;
\ No newline at end of file
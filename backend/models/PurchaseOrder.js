@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Estados de la orden de compra y transiciones permitidas
+const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+
+const STATUS_TRANSITIONS = {
+  draft: ['sent', 'cancelled'],
+  sent: ['partially_received', 'received', 'cancelled'],
+  partially_received: ['partially_received', 'received', 'cancelled'],
+  received: [],
+  cancelled: []
+};
+
+class PurchaseOrder extends Model {
+  // Método para verificar si la orden puede pasar a un estado
+  canTransitionTo(status) {
+    return STATUS_TRANSITIONS[this.status].includes(status);
+  }
+
+  // Método para verificar si la orden admite recepciones
+  canReceive() {
+    return this.canTransitionTo('received');
+  }
+
+  // Método para calcular los totales a partir de las líneas cargadas
+  getTotals() {
+    const lines = this.lines || [];
+
+    const totals = lines.reduce((acc, line) => {
+      acc.total_amount += line.quantity_ordered * line.unit_cost;
+      acc.received_amount += line.quantity_received * line.unit_cost;
+      acc.quantity_ordered += line.quantity_ordered;
+      acc.quantity_received += line.quantity_received;
+      return acc;
+    }, { total_amount: 0, received_amount: 0, quantity_ordered: 0, quantity_received: 0 });
+
+    totals.total_amount = Math.round(totals.total_amount * 100) / 100;
+    totals.received_amount = Math.round(totals.received_amount * 100) / 100;
+
+    return totals;
+  }
+
+  // Método para recibir mercancía de una o varias líneas (recepciones parciales permitidas).
+  // Cada recepción suma stock en la ubicación de la orden y actualiza el costo del producto.
+  // Requiere que las líneas estén cargadas (include 'lines'). Retorna los movimientos de stock
+  // generados junto con su producto ([{ product, movement }]).
+  async receive(receipts, options = {}) {
+    const { Product, PurchaseOrderLine } = this.sequelize.models;
+    const { performedBy = null } = options;
+    const stockChanges = [];
+
+    return await this.sequelize.transaction(async (transaction) => {
+      // Bloquear la orden (SELECT ... FOR UPDATE) para serializar recepciones concurrentes
+      const current = await PurchaseOrder.findByPk(this.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!current.canReceive()) {
+        throw new Error(`No se puede recibir una orden en estado ${current.status}`);
+      }
+
+      for (const receipt of receipts) {
+        const line = this.lines.find(l => l.id === receipt.line_id);
+        if (!line) {
+          throw new Error(`La línea ${receipt.line_id} no pertenece a la orden`);
+        }
+
+        // Sumar lo recibido solo si no supera lo pendiente, de forma atómica frente a recepciones paralelas
+        const [updated] = await PurchaseOrderLine.update(
+          { quantity_received: this.sequelize.literal(`quantity_received + ${this.sequelize.escape(receipt.quantity)}`) },
+          {
+            where: {
+              id: line.id,
+              [Op.and]: this.sequelize.where(this.sequelize.literal('quantity_ordered - quantity_received'), Op.gte, receipt.quantity)
+            },
+            transaction
+          }
+        );
+        if (updated === 0) {
+          await line.reload({ transaction });
+          throw new Error(`La cantidad recibida excede lo pendiente (${line.getPendingQuantity()}) en la línea ${line.id}`);
+        }
+        await line.reload({ transaction });
+
+        const product = await Product.findByPk(line.product_id, { transaction });
+        if (!product) {
+          throw new Error(`El producto ${line.product_id} ya no existe`);
+        }
+
+        const movement = await product.updateStock(receipt.quantity, 'add', {
+          transaction,
+          performedBy,
+          locationId: options.locationId || this.location_id,
+          reason: `Recepción de ${this.number}`,
+          unitCost: line.unit_cost
+        });
+        await product.update({ cost: line.unit_cost }, { transaction, performedBy });
+        stockChanges.push({ product, movement });
+      }
+
+      const lines = await PurchaseOrderLine.findAll({
+        where: { purchase_order_id: this.id },
+        transaction
+      });
+      const fullyReceived = lines.every(line => line.isFullyReceived());
+
+      this.status = fullyReceived ? 'received' : 'partially_received';
+      if (fullyReceived) {
+        this.received_at = new Date();
+      }
+      await this.save({ transaction });
+
+      this.lines = lines;
+      return stockChanges;
+    });
+  }
+
+  // Método estático para generar un número de orden legible
+  static generateNumber() {
+    const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+    return `OC-${date}-${suffix}`;
+  }
+}
+
+// Definición del modelo
+PurchaseOrder.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  number: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    unique: {
+      name: 'unique_purchase_order_number',
+      msg: 'El número de orden ya existe'
+    }
+  },
+  supplier_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  // Ubicación donde se recibe la mercancía (null = ubicación por defecto)
+  location_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'draft',
+    validate: {
+      isIn: {
+        args: [PURCHASE_ORDER_STATUSES],
+        msg: `El estado debe ser uno de: ${PURCHASE_ORDER_STATUSES.join(', ')}`
+      }
+    }
+  },
+  expected_at: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  sent_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  received_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  cancelled_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  sequelize,
+  modelName: 'PurchaseOrder',
+  tableName: 'purchase_orders',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['supplier_id']
+    },
+    {
+      fields: ['status']
+    }
+  ],
+  hooks: {
+    beforeValidate: (order) => {
+      if (!order.number) {
+        order.number = PurchaseOrder.generateNumber();
+      }
+    }
+  }
+});
+
+PurchaseOrder.STATUSES = PURCHASE_ORDER_STATUSES;
+PurchaseOrder.TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = PurchaseOrder;
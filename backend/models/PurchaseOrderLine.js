@@ -0,0 +1,85 @@
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+class PurchaseOrderLine extends Model {
+  // Método para obtener la cantidad pendiente de recibir
+  getPendingQuantity() {
+    return this.quantity_ordered - this.quantity_received;
+  }
+
+  // Método para verificar si la línea fue recibida por completo
+  isFullyReceived() {
+    return this.quantity_received >= this.quantity_ordered;
+  }
+}
+
+// Definición del modelo
+PurchaseOrderLine.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  purchase_order_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  product_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  quantity_ordered: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: {
+        msg: 'La cantidad pedida debe ser un número entero'
+      },
+      min: {
+        args: [1],
+        msg: 'La cantidad pedida debe ser mayor a 0'
+      }
+    }
+  },
+  quantity_received: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'La cantidad recibida no puede ser negativa'
+      }
+    }
+  },
+  unit_cost: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'El costo unitario no puede ser negativo'
+      }
+    },
+    get() {
+      const value = this.getDataValue('unit_cost');
+      return value ? parseFloat(value) : 0;
+    }
+  }
+}, {
+  sequelize,
+  modelName: 'PurchaseOrderLine',
+  tableName: 'purchase_order_lines',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['purchase_order_id']
+    },
+    {
+      fields: ['product_id']
+    }
+  ]
+});
+
+module.exports = PurchaseOrderLine;
@@ -0,0 +1,90 @@
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+class RefreshToken extends Model {
+  // Método para verificar si la sesión sigue siendo válida
+  isValid() {
+    return !this.revoked_at && new Date(this.expires_at) > new Date();
+  }
+
+  // Método para revocar la sesión
+  async revoke(options = {}) {
+    if (this.revoked_at) return this;
+    this.revoked_at = new Date();
+    return await this.save(options);
+  }
+
+  // Método para revocar la sesión al rotarla, con un UPDATE condicionado: de varias peticiones
+  // simultáneas con el mismo refresh token solo una la revoca. Retorna false si ya estaba
+  // revocada o vencida.
+  async rotate(options = {}) {
+    const revokedAt = new Date();
+    const [updated] = await RefreshToken.update(
+      { revoked_at: revokedAt },
+      {
+        where: { id: this.id, revoked_at: null, expires_at: { [Op.gt]: revokedAt } },
+        transaction: options.transaction
+      }
+    );
+    if (updated === 0) return false;
+
+    this.revoked_at = revokedAt;
+    return true;
+  }
+
+  // Método estático para revocar todas las sesiones vigentes de una familia (las que se
+  // originaron por rotación desde un mismo inicio de sesión). Retorna la cantidad revocada.
+  static async revokeFamily(familyId, options = {}) {
+    const [revoked] = await this.update(
+      { revoked_at: new Date() },
+      { where: { family_id: familyId, revoked_at: null }, transaction: options.transaction }
+    );
+    return revoked;
+  }
+}
+
+// Definición del modelo (el id se usa como jti del refresh token y sid del access token)
+RefreshToken.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  // Sesión del inicio de sesión original: la comparten todas las sesiones obtenidas al rotar
+  family_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revoked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  replaced_by: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  sequelize,
+  modelName: 'RefreshToken',
+  tableName: 'refresh_tokens',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['family_id']
+    }
+  ]
+});
+
+module.exports = RefreshToken;
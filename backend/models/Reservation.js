@@ -0,0 +1,217 @@
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Estados de una reserva: solo las activas retienen stock
+const RESERVATION_STATUSES = ['active', 'confirmed', 'released', 'expired'];
+
+class Reservation extends Model {
+  // Método para verificar si la reserva ya superó su tiempo de vida
+  isExpired(now = new Date()) {
+    return this.expires_at <= now;
+  }
+
+  // Método para verificar si la reserva sigue reteniendo stock
+  isActive() {
+    return this.status === 'active' && !this.isExpired();
+  }
+
+  // Método para ejecutar una operación en su propia transacción o en la del llamador
+  async runTransaction(options, fn) {
+    if (options.transaction) {
+      return await fn(options.transaction);
+    }
+
+    try {
+      return await this.sequelize.transaction(fn);
+    } catch (error) {
+      await this.reload();
+      throw error;
+    }
+  }
+
+  // Método para devolver las unidades retenidas al stock disponible del producto.
+  // El cambio de estado es condicionado para que dos peticiones concurrentes no liberen dos veces.
+  // Retorna false si la reserva ya no estaba activa. El producto puede estar eliminado (paranoid):
+  // sus unidades retenidas se devuelven igual.
+  async releaseHold(status, transaction) {
+    const { Product } = this.sequelize.models;
+
+    const [updated] = await Reservation.update(
+      { status, released_at: new Date() },
+      { where: { id: this.id, status: 'active' }, transaction }
+    );
+    if (updated === 0) {
+      return false;
+    }
+
+    await Product.updateAtomic(
+      { reserved: this.sequelize.literal(`reserved - ${this.sequelize.escape(this.quantity)}`) },
+      { id: this.product_id },
+      { transaction, paranoid: false }
+    );
+
+    const product = await Product.findByPk(this.product_id, { attributes: ['id', 'parent_id'], transaction, paranoid: false });
+    await Product.applyParentDelta(product && product.parent_id, { reserved: -this.quantity }, { transaction, paranoid: false });
+
+    await this.reload({ transaction });
+    return true;
+  }
+
+  // Método para confirmar la reserva: descuenta el stock reservado registrando el movimiento.
+  // Retorna el StockMovement creado.
+  async confirm(options = {}) {
+    const { Product } = this.sequelize.models;
+    const { performedBy = null } = options;
+
+    return await this.runTransaction(options, async (transaction) => {
+      if (!this.isActive()) {
+        throw new Error(this.status === 'active' ? 'La reserva expiró' : `La reserva está en estado ${this.status}`);
+      }
+
+      const product = await Product.findByPk(this.product_id, { transaction });
+      if (!product) {
+        throw new Error('El producto de la reserva ya no existe');
+      }
+
+      // Primero se libera la retención para que la salida pueda usar esas unidades
+      if (!(await this.releaseHold('confirmed', transaction))) {
+        throw new Error('La reserva ya no está activa');
+      }
+      this.confirmed_at = this.released_at;
+      await this.save({ transaction });
+      await product.reload({ transaction });
+
+      return await product.updateStock(this.quantity, 'subtract', {
+        transaction,
+        performedBy,
+        locationId: this.location_id,
+        reason: `Confirmación de reserva${this.reference ? ` ${this.reference}` : ''}`
+      });
+    });
+  }
+
+  // Método para liberar la reserva sin descontar stock
+  async release(options = {}) {
+    if (this.status !== 'active') {
+      throw new Error(`La reserva está en estado ${this.status}`);
+    }
+
+    return await this.runTransaction(options, async (transaction) => {
+      if (!(await this.releaseHold(this.isExpired() ? 'expired' : 'released', transaction))) {
+        throw new Error('La reserva ya no está activa');
+      }
+      return this;
+    });
+  }
+
+  // Método estático para liberar las reservas activas cuyo tiempo de vida terminó.
+  // Retorna las reservas expiradas.
+  static async releaseExpired(options = {}) {
+    const { productId, transaction } = options;
+
+    const where = {
+      status: 'active',
+      expires_at: { [Op.lte]: new Date() }
+    };
+    if (productId) {
+      where.product_id = productId;
+    }
+
+    const expired = await this.findAll({ where, transaction });
+    const released = [];
+
+    // Una reserva pudo liberarse en paralelo: releaseHold la omite sin descontar dos veces
+    for (const reservation of expired) {
+      const wasReleased = transaction
+        ? await reservation.releaseHold('expired', transaction)
+        : await this.sequelize.transaction((t) => reservation.releaseHold('expired', t));
+      if (wasReleased) released.push(reservation);
+    }
+
+    return released;
+  }
+}
+
+// Definición del modelo
+Reservation.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  product_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  // Ubicación de la que se descuenta al confirmar (null = ubicación por defecto)
+  location_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: {
+        msg: 'La cantidad debe ser un número entero'
+      },
+      min: {
+        args: [1],
+        msg: 'La cantidad debe ser mayor a 0'
+      }
+    }
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'active',
+    validate: {
+      isIn: {
+        args: [RESERVATION_STATUSES],
+        msg: `El estado debe ser uno de: ${RESERVATION_STATUSES.join(', ')}`
+      }
+    }
+  },
+  // Identificador externo de la reserva (carrito, pedido, etc.)
+  reference: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  confirmed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  released_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_by: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  }
+}, {
+  sequelize,
+  modelName: 'Reservation',
+  tableName: 'reservations',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['product_id', 'status']
+    },
+    {
+      fields: ['status', 'expires_at']
+    },
+    {
+      fields: ['reference']
+    }
+  ]
+});
+
+Reservation.STATUSES = RESERVATION_STATUSES;
+
+module.exports = Reservation;
@@ -0,0 +1,110 @@
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Productos que se completan por transacción en el backfill
+const BACKFILL_BATCH_SIZE = 500;
+
+class StockLevel extends Model {
+  // Método para obtener el umbral de stock bajo de la ubicación
+  getMinStock(product) {
+    if (this.min_stock !== null && this.min_stock !== undefined) {
+      return this.min_stock;
+    }
+    return product ? product.min_stock : null;
+  }
+
+  // Método estático para crear niveles en la ubicación por defecto para productos sin niveles.
+  // Los productos con variantes no tienen stock propio (es el total de sus variantes).
+  // Se leen solo los productos sin niveles, en lotes: si no falta ninguno es una sola consulta.
+  static async backfillFromProducts(options = {}) {
+    const { Product, Location } = this.sequelize.models;
+    const batchSize = options.batchSize || BACKFILL_BATCH_SIZE;
+
+    let total = 0;
+    let created;
+    do {
+      created = await this.sequelize.transaction(async (transaction) => {
+        const products = await Product.findAll({
+          attributes: ['id', 'stock'],
+          where: { stock: { [Op.gt]: 0 }, has_variants: false, [Op.and]: Product.missingIn(this) },
+          order: [['id', 'ASC']],
+          limit: batchSize,
+          paranoid: false,
+          transaction
+        });
+        if (products.length === 0) return 0;
+
+        const location = await Location.getDefault({ transaction });
+        await this.bulkCreate(products.map(product => ({
+          product_id: product.id,
+          location_id: location.id,
+          quantity: product.stock
+        })), { transaction, logging: options.logging });
+
+        return products.length;
+      });
+      total += created;
+    } while (created === batchSize);
+
+    return total;
+  }
+}
+
+// Definición del modelo (stock de un producto en una ubicación)
+StockLevel.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  product_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  location_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      isInt: {
+        msg: 'La cantidad debe ser un número entero'
+      },
+      min: {
+        args: [0],
+        msg: 'El stock de la ubicación no puede ser negativo'
+      }
+    }
+  },
+  // Umbral de stock bajo propio de la ubicación (null = usar el del producto)
+  min_stock: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'El stock mínimo no puede ser negativo'
+      }
+    }
+  }
+}, {
+  sequelize,
+  modelName: 'StockLevel',
+  tableName: 'stock_levels',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['product_id', 'location_id']
+    },
+    {
+      fields: ['location_id', 'quantity']
+    }
+  ]
+});
+
+module.exports = StockLevel;
@@ -0,0 +1,103 @@
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Operaciones de stock soportadas por el libro de movimientos
+const STOCK_OPERATIONS = ['add', 'subtract', 'transfer_in', 'transfer_out'];
+
+class StockMovement extends Model {
+  // Método para obtener la diferencia neta del movimiento
+  getDelta() {
+    return this.current_stock - this.previous_stock;
+  }
+
+  // Método para verificar si el movimiento es parte de una transferencia
+  isTransfer() {
+    return this.operation === 'transfer_in' || this.operation === 'transfer_out';
+  }
+}
+
+// Definición del modelo
+StockMovement.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  product_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  // Ubicación afectada (null en movimientos anteriores al soporte multi-almacén)
+  location_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Identificador compartido por los dos movimientos de una transferencia
+  transfer_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  operation: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      isIn: {
+        args: [STOCK_OPERATIONS],
+        msg: 'La operación de stock no es válida'
+      }
+    }
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      isInt: {
+        msg: 'La cantidad debe ser un número entero'
+      },
+      min: {
+        args: [1],
+        msg: 'La cantidad debe ser mayor a 0'
+      }
+    }
+  },
+  // previous_stock y current_stock son el total del producto en todas las ubicaciones
+  previous_stock: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  current_stock: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Corrección de inventario (PUT/PATCH con stock, importación o ajuste masivo): una salida
+  // corregida descuenta capas de costo pero no es una venta ni un consumo
+  adjustment: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  performed_by: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  }
+}, {
+  sequelize,
+  modelName: 'StockMovement',
+  tableName: 'stock_movements',
+  timestamps: true,
+  updatedAt: false, // Los movimientos son inmutables
+  indexes: [
+    {
+      fields: ['product_id', 'created_at']
+    }
+  ]
+});
+
+StockMovement.OPERATIONS = STOCK_OPERATIONS;
+
+module.exports = StockMovement;
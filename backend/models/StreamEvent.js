@@ -0,0 +1,98 @@
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Registro de eventos de inventario publicados en el stream en tiempo real.
+// El id autoincremental es el id del evento SSE: un cliente que se reconecta con Last-Event-ID
+// recibe los eventos con id mayor que todavía estén dentro de la retención.
+class StreamEvent extends Model {
+  // Método estático para armar el where de los filtros de una conexión
+  // ({ productIds, categoryIds, types }; un filtro vacío no restringe)
+  static buildWhere(filters = {}) {
+    const where = {};
+    if (filters.productIds) where.product_id = { [Op.in]: filters.productIds };
+    if (filters.categoryIds) where.category_id = { [Op.in]: filters.categoryIds };
+    if (filters.types) where.type = { [Op.in]: filters.types };
+    return where;
+  }
+
+  // Método estático para obtener los eventos posteriores a un id que cumplen los filtros
+  static async findAfter(lastId, filters, limit) {
+    return await this.findAll({
+      where: { ...this.buildWhere(filters), id: { [Op.gt]: lastId } },
+      order: [['id', 'ASC']],
+      limit
+    });
+  }
+
+  // Método estático para eliminar los eventos más antiguos que la retención. Retorna la cantidad eliminada.
+  static async prune(retentionHours) {
+    return await this.destroy({
+      where: { createdAt: { [Op.lt]: new Date(Date.now() - retentionHours * 60 * 60 * 1000) } }
+    });
+  }
+
+  // Método para verificar si el evento cumple los filtros de una conexión (misma regla que buildWhere)
+  matches(filters = {}) {
+    return (!filters.productIds || filters.productIds.includes(this.product_id))
+      && (!filters.categoryIds || filters.categoryIds.includes(this.category_id))
+      && (!filters.types || filters.types.includes(this.type));
+  }
+
+  // Método para convertir el registro al evento { id, type, created_at, data } que se envía
+  toEvent() {
+    return {
+      id: this.event_id,
+      type: this.type,
+      created_at: this.createdAt,
+      data: this.data
+    };
+  }
+}
+
+// Definición del modelo
+StreamEvent.init({
+  id: {
+    type: DataTypes.INTEGER,
+    autoIncrement: true,
+    primaryKey: true,
+    allowNull: false
+  },
+  // Identificador del evento: el mismo que reciben los webhooks
+  event_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // Producto y categoría del evento, copiados para filtrar sin leer el contenido
+  product_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  category_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  data: {
+    type: DataTypes.JSON,
+    allowNull: false
+  }
+}, {
+  sequelize,
+  modelName: 'StreamEvent',
+  tableName: 'stream_events',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['product_id']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+module.exports = StreamEvent;
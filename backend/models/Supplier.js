@@ -0,0 +1,104 @@
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+class Supplier extends Model {
+  // Método para obtener información básica del proveedor
+  getBasicInfo() {
+    return {
+      id: this.id,
+      code: this.code,
+      name: this.name
+    };
+  }
+}
+
+// Definición del modelo
+Supplier.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  code: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: {
+      name: 'unique_supplier_code',
+      msg: 'El código de proveedor ya existe'
+    },
+    validate: {
+      is: {
+        args: /^[A-Z0-9-_]+$/,
+        msg: 'El código solo puede contener letras mayúsculas, números, guiones y guiones bajos'
+      }
+    }
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    validate: {
+      len: {
+        args: [2, 255],
+        msg: 'El nombre debe tener entre 2 y 255 caracteres'
+      }
+    }
+  },
+  contact_name: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    validate: {
+      isEmail: {
+        msg: 'El email debe ser válido'
+      }
+    }
+  },
+  phone: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  address: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Tiempo de entrega habitual del proveedor en días
+  default_lead_time_days: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: {
+        args: [0],
+        msg: 'El tiempo de entrega no puede ser negativo'
+      }
+    }
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  }
+}, {
+  sequelize,
+  modelName: 'Supplier',
+  tableName: 'suppliers',
+  timestamps: true,
+  hooks: {
+    beforeValidate: (supplier) => {
+      if (supplier.code) {
+        supplier.code = supplier.code.toUpperCase().trim();
+      }
+      if (supplier.name) {
+        supplier.name = supplier.name.trim();
+      }
+      if (supplier.email === '') {
+        supplier.email = null;
+      }
+    }
+  }
+});
+
+module.exports = Supplier;
@@ -0,0 +1,137 @@
+const { DataTypes, Model } = require('sequelize');
+const bcrypt = require('bcryptjs');
+const { sequelize } = require('../config/database');
+const { bcryptRounds } = require('../config/auth');
+const { ROLES, ALL_ROLES, hasPermission } = require('../config/permissions');
+
+class User extends Model {
+  // Método para verificar la contraseña en texto plano
+  async checkPassword(password) {
+    if (!password || !this.password_hash) return false;
+    return await bcrypt.compare(password, this.password_hash);
+  }
+
+  // Método para obtener información pública del usuario
+  getPublicInfo() {
+    return {
+      id: this.id,
+      email: this.email,
+      name: this.name,
+      role: this.role,
+      is_active: this.is_active,
+      last_login_at: this.last_login_at
+    };
+  }
+
+  // Método para verificar si el usuario tiene un permiso
+  can(permission) {
+    return hasPermission(this.role, permission);
+  }
+
+  // Nunca serializar el hash de la contraseña
+  toJSON() {
+    const values = { ...this.get() };
+    delete values.password_hash;
+    delete values.password;
+    return values;
+  }
+
+  // Método estático para crear el usuario administrador inicial si no existe ninguno
+  static async ensureInitialUser({ email, password, name = 'Administrador' }) {
+    if (!email || !password) return null;
+
+    const count = await this.count();
+    if (count > 0) return null;
+
+    return await this.create({ email, password, name, role: ROLES.ADMIN });
+  }
+}
+
+// Definición del modelo
+User.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: {
+      name: 'unique_email',
+      msg: 'El email ya está registrado'
+    },
+    validate: {
+      isEmail: {
+        msg: 'El email debe ser válido'
+      }
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'El nombre no puede estar vacío'
+      },
+      len: {
+        args: [2, 100],
+        msg: 'El nombre debe tener entre 2 y 100 caracteres'
+      }
+    }
+  },
+  // Contraseña en texto plano, solo existe en memoria hasta que se hashea
+  password: {
+    type: DataTypes.VIRTUAL,
+    validate: {
+      len: {
+        args: [8, 128],
+        msg: 'La contraseña debe tener entre 8 y 128 caracteres'
+      }
+    }
+  },
+  password_hash: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  role: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    defaultValue: ROLES.VIEWER,
+    validate: {
+      isIn: {
+        args: [ALL_ROLES],
+        msg: `El rol debe ser uno de: ${ALL_ROLES.join(', ')}`
+      }
+    }
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  last_login_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  sequelize,
+  modelName: 'User',
+  tableName: 'users',
+  timestamps: true,
+  hooks: {
+    beforeValidate: async (user) => {
+      // Normalizar email
+      if (user.email) {
+        user.email = user.email.toLowerCase().trim();
+      }
+      // Hashear la contraseña cuando cambia
+      if (user.password) {
+        user.password_hash = await bcrypt.hash(user.password, bcryptRounds);
+      }
+    }
+  }
+});
+
+module.exports = User;
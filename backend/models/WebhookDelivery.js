@@ -0,0 +1,149 @@
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const webhooksConfig = require('../config/webhooks');
+
+// Estados de una entrega: pending espera su envío o un reintento
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+class WebhookDelivery extends Model {
+  // Método estático para calcular la espera antes del siguiente intento (backoff exponencial)
+  static getRetryDelay(attempts) {
+    const delay = webhooksConfig.retryBaseDelayMs * 2 ** Math.max(attempts - 1, 0);
+    return Math.min(delay, webhooksConfig.retryMaxDelayMs);
+  }
+
+  // Método estático para obtener las entregas pendientes cuyo intento ya corresponde
+  static async findDue(limit = 50) {
+    return await this.findAll({
+      where: { status: 'pending', next_attempt_at: { [Op.lte]: new Date() } },
+      order: [['next_attempt_at', 'ASC']],
+      limit
+    });
+  }
+
+  // Método para tomar la entrega antes de enviarla. El UPDATE condicionado evita que el envío
+  // inmediato y el barrido de reintentos envíen la misma entrega a la vez; la entrega queda
+  // reservada durante leaseMs. Retorna false si otro proceso la tomó primero.
+  async claim(leaseMs) {
+    const now = new Date();
+    const [updated] = await WebhookDelivery.update(
+      { next_attempt_at: new Date(now.getTime() + leaseMs) },
+      { where: { id: this.id, status: 'pending', next_attempt_at: { [Op.lte]: now } } }
+    );
+    return updated > 0;
+  }
+
+  // Método para registrar el resultado de un intento y programar el reintento si corresponde
+  async recordAttempt({ ok, responseStatus = null, responseBody = null, error = null }) {
+    const now = new Date();
+    const attempts = this.attempts + 1;
+    const values = {
+      attempts,
+      last_attempt_at: now,
+      response_status: responseStatus,
+      response_body: responseBody,
+      error
+    };
+
+    if (ok) {
+      Object.assign(values, { status: 'succeeded', delivered_at: now, next_attempt_at: null });
+    } else if (attempts >= webhooksConfig.maxAttempts) {
+      Object.assign(values, { status: 'failed', next_attempt_at: null });
+    } else {
+      values.next_attempt_at = new Date(now.getTime() + WebhookDelivery.getRetryDelay(attempts));
+    }
+
+    return await this.update(values);
+  }
+}
+
+// Definición del modelo (registro de entregas de un evento a una suscripción)
+WebhookDelivery.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  subscription_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  // Identificador del evento: el mismo en todas sus entregas y reenvíos
+  event_id: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  event_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'pending',
+    validate: {
+      isIn: {
+        args: [DELIVERY_STATUSES],
+        msg: `El estado debe ser uno de: ${DELIVERY_STATUSES.join(', ')}`
+      }
+    }
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Próximo intento programado (null cuando la entrega terminó)
+  next_attempt_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    defaultValue: DataTypes.NOW
+  },
+  last_attempt_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  response_status: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  response_body: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  delivered_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Entrega original cuando esta es un reenvío manual
+  replay_of: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  sequelize,
+  modelName: 'WebhookDelivery',
+  tableName: 'webhook_deliveries',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['subscription_id', 'created_at']
+    },
+    {
+      fields: ['status', 'next_attempt_at']
+    }
+  ]
+});
+
+WebhookDelivery.STATUSES = DELIVERY_STATUSES;
+
+module.exports = WebhookDelivery;
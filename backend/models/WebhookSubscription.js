@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Eventos de inventario que pueden suscribirse ('*' suscribe a todos)
+const WEBHOOK_EVENTS = [
+  'product.created',
+  'product.updated',
+  'product.deleted',
+  'product.restored',
+  'stock.changed',
+  'stock.low',
+  'stock.restored'
+];
+
+class WebhookSubscription extends Model {
+  // Método estático para generar un secreto de firma aleatorio
+  static generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  // Método para verificar si la suscripción recibe un tipo de evento
+  matches(eventType) {
+    return this.is_active && (this.events.includes('*') || this.events.includes(eventType));
+  }
+}
+
+// Definición del modelo
+WebhookSubscription.init({
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  },
+  url: {
+    type: DataTypes.STRING(2048),
+    allowNull: false,
+    validate: {
+      isUrl: {
+        msg: 'La URL del webhook debe ser válida'
+      }
+    }
+  },
+  // Tipos de evento suscritos
+  events: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    validate: {
+      isValidEvents(value) {
+        if (!Array.isArray(value) || value.length === 0) {
+          throw new Error('Debe suscribirse al menos a un evento');
+        }
+        const unknown = value.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) {
+          throw new Error(`Eventos desconocidos: ${unknown.join(', ')}`);
+        }
+      }
+    }
+  },
+  // Secreto compartido para firmar las entregas (HMAC-SHA256)
+  secret: {
+    type: DataTypes.STRING(128),
+    allowNull: false,
+    defaultValue: () => WebhookSubscription.generateSecret()
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  is_active: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  created_by: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  }
+}, {
+  sequelize,
+  modelName: 'WebhookSubscription',
+  tableName: 'webhook_subscriptions',
+  timestamps: true
+});
+
+WebhookSubscription.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookSubscription;
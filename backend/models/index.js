@@ -0,0 +1,179 @@
+const { sequelize } = require('../config/database');
+const Product = require('./Product');
+const StockMovement = require('./StockMovement');
+const AuditLog = require('./AuditLog');
+const User = require('./User');
+const RefreshToken = require('./RefreshToken');
+const Location = require('./Location');
+const StockLevel = require('./StockLevel');
+const Supplier = require('./Supplier');
+const PurchaseOrder = require('./PurchaseOrder');
+const PurchaseOrderLine = require('./PurchaseOrderLine');
+const Reservation = require('./Reservation');
+const IdempotencyKey = require('./IdempotencyKey');
+const Category = require('./Category');
+const CostLayer = require('./CostLayer');
+const WebhookSubscription = require('./WebhookSubscription');
+const WebhookDelivery = require('./WebhookDelivery');
+const StreamEvent = require('./StreamEvent');
+
+// Asociaciones entre modelos
+Product.hasMany(StockMovement, {
+  foreignKey: 'product_id',
+  as: 'stockMovements'
+});
+StockMovement.belongsTo(Product, {
+  foreignKey: 'product_id',
+  as: 'product'
+});
+
+Product.hasMany(CostLayer, {
+  foreignKey: 'product_id',
+  as: 'costLayers'
+});
+CostLayer.belongsTo(Product, {
+  foreignKey: 'product_id',
+  as: 'product'
+});
+CostLayer.belongsTo(StockMovement, {
+  foreignKey: 'stock_movement_id',
+  as: 'stockMovement'
+});
+
+Product.hasMany(StockLevel, {
+  foreignKey: 'product_id',
+  as: 'stockLevels'
+});
+StockLevel.belongsTo(Product, {
+  foreignKey: 'product_id',
+  as: 'product'
+});
+Location.hasMany(StockLevel, {
+  foreignKey: 'location_id',
+  as: 'stockLevels'
+});
+StockLevel.belongsTo(Location, {
+  foreignKey: 'location_id',
+  as: 'location'
+});
+StockMovement.belongsTo(Location, {
+  foreignKey: 'location_id',
+  as: 'location'
+});
+
+// Variantes de producto (un solo nivel: una variante no tiene variantes)
+Product.hasMany(Product, {
+  foreignKey: 'parent_id',
+  as: 'variants'
+});
+Product.belongsTo(Product, {
+  foreignKey: 'parent_id',
+  as: 'parent'
+});
+
+// Árbol de categorías
+Category.hasMany(Category, {
+  foreignKey: 'parent_id',
+  as: 'children'
+});
+Category.belongsTo(Category, {
+  foreignKey: 'parent_id',
+  as: 'parent'
+});
+Category.hasMany(Product, {
+  foreignKey: 'category_id',
+  as: 'products'
+});
+Product.belongsTo(Category, {
+  foreignKey: 'category_id',
+  as: 'categoryRef'
+});
+
+Supplier.hasMany(Product, {
+  foreignKey: 'supplier_id',
+  as: 'products'
+});
+Product.belongsTo(Supplier, {
+  foreignKey: 'supplier_id',
+  as: 'supplier'
+});
+Supplier.hasMany(PurchaseOrder, {
+  foreignKey: 'supplier_id',
+  as: 'purchaseOrders'
+});
+PurchaseOrder.belongsTo(Supplier, {
+  foreignKey: 'supplier_id',
+  as: 'supplier'
+});
+PurchaseOrder.belongsTo(Location, {
+  foreignKey: 'location_id',
+  as: 'location'
+});
+PurchaseOrder.hasMany(PurchaseOrderLine, {
+  foreignKey: 'purchase_order_id',
+  as: 'lines'
+});
+PurchaseOrderLine.belongsTo(PurchaseOrder, {
+  foreignKey: 'purchase_order_id',
+  as: 'purchaseOrder'
+});
+PurchaseOrderLine.belongsTo(Product, {
+  foreignKey: 'product_id',
+  as: 'product'
+});
+
+Product.hasMany(Reservation, {
+  foreignKey: 'product_id',
+  as: 'reservations'
+});
+Reservation.belongsTo(Product, {
+  foreignKey: 'product_id',
+  as: 'product'
+});
+Reservation.belongsTo(Location, {
+  foreignKey: 'location_id',
+  as: 'location'
+});
+
+// Webhooks salientes y su registro de entregas
+WebhookSubscription.hasMany(WebhookDelivery, {
+  foreignKey: 'subscription_id',
+  as: 'deliveries'
+});
+WebhookDelivery.belongsTo(WebhookSubscription, {
+  foreignKey: 'subscription_id',
+  as: 'subscription'
+});
+
+User.hasMany(RefreshToken, {
+  foreignKey: 'user_id',
+  as: 'refreshTokens'
+});
+RefreshToken.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// Auditoría de cambios a nivel de campo
+AuditLog.track(Product);
+
+module.exports = {
+  sequelize,
+  Product,
+  StockMovement,
+  AuditLog,
+  User,
+  RefreshToken,
+  Location,
+  StockLevel,
+  Supplier,
+  PurchaseOrder,
+  PurchaseOrderLine,
+  Reservation,
+  IdempotencyKey,
+  Category,
+  CostLayer,
+  WebhookSubscription,
+  WebhookDelivery,
+  StreamEvent
+};
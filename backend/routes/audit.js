@@ -0,0 +1,36 @@
+const express = require('express');
+const { AuditLog } = require('../models');
+const { validateAuditQuery } = require('../middleware/validation');
+const { catchAsync } = require('../middleware/errorHandler');
+const {
+  createResponse,
+  createPaginationMeta,
+  formatAuditLog,
+  buildAuditFilters
+} = require('../utils/helpers');
+
+const router = express.Router();
+
+// GET /api/audit - Consultar la auditoría global con filtros
+router.get('/', validateAuditQuery, catchAsync(async (req, res) => {
+  const { page, limit } = req.query;
+
+  const { count, rows: entries } = await AuditLog.findAndCountAll({
+    where: buildAuditFilters(req.query),
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit)
+  });
+
+  const meta = createPaginationMeta(parseInt(page), parseInt(limit), count);
+
+  res.json(createResponse(
+    true,
+    count > 0 ? `Se encontraron ${count} entradas de auditoría` : 'No se encontraron entradas de auditoría',
+    entries.map(formatAuditLog),
+    null,
+    meta
+  ));
+}));
+
+module.exports = router;
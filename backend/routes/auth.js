@@ -0,0 +1,107 @@
+const express = require('express');
+const { sequelize, User, RefreshToken } = require('../models');
+const { validateLogin, validateRefreshToken } = require('../middleware/validation');
+const { authenticate } = require('../middleware/auth');
+const { catchAsync, createError } = require('../middleware/errorHandler');
+const { createResponse } = require('../utils/helpers');
+const { issueTokens, verifyRefreshToken } = require('../utils/tokens');
+
+const router = express.Router();
+
+// POST /api/auth/login - Iniciar sesión con email y contraseña
+router.post('/login', validateLogin, catchAsync(async (req, res) => {
+  const { email, password } = req.body;
+
+  const user = await User.findOne({ where: { email } });
+
+  // Mismo mensaje para usuario inexistente o contraseña incorrecta
+  if (!user || !(await user.checkPassword(password))) {
+    throw createError('Credenciales inválidas', 401);
+  }
+
+  if (!user.is_active) {
+    throw createError('La cuenta de usuario está desactivada', 403);
+  }
+
+  const { tokens } = await issueTokens(user);
+  await user.update({ last_login_at: new Date() });
+
+  res.json(createResponse(
+    true,
+    'Inicio de sesión exitoso',
+    {
+      user: user.getPublicInfo(),
+      ...tokens
+    }
+  ));
+}));
+
+// POST /api/auth/refresh - Renovar el par de tokens (rotación del refresh token)
+router.post('/refresh', validateRefreshToken, catchAsync(async (req, res) => {
+  const payload = verifyRefreshToken(req.body.refresh_token);
+
+  const session = await RefreshToken.findByPk(payload.jti);
+  if (!session) {
+    throw createError('El refresh token fue revocado o expiró', 401);
+  }
+
+  // Un refresh token ya rotado que vuelve a usarse pudo ser robado: se cierra toda la familia
+  if (session.replaced_by) {
+    await RefreshToken.revokeFamily(session.family_id);
+    throw createError('El refresh token ya fue utilizado: se cerraron las sesiones derivadas de él', 401);
+  }
+
+  if (!session.isValid()) {
+    throw createError('El refresh token fue revocado o expiró', 401);
+  }
+
+  const user = await User.findByPk(payload.sub);
+  if (!user || !user.is_active) {
+    throw createError('Usuario no autorizado', 401);
+  }
+
+  // Revocar primero con un UPDATE condicionado: si otra petición ya rotó este token,
+  // no se emite una sesión nueva
+  const tokens = await sequelize.transaction(async (transaction) => {
+    if (!(await session.rotate({ transaction }))) {
+      return null;
+    }
+
+    const issued = await issueTokens(user, { transaction, familyId: session.family_id });
+    session.replaced_by = issued.session.id;
+    await session.save({ transaction });
+    return issued.tokens;
+  });
+
+  if (!tokens) {
+    await RefreshToken.revokeFamily(session.family_id);
+    throw createError('El refresh token ya fue utilizado: se cerraron las sesiones derivadas de él', 401);
+  }
+
+  res.json(createResponse(
+    true,
+    'Tokens renovados correctamente',
+    tokens
+  ));
+}));
+
+// POST /api/auth/logout - Cerrar la sesión actual revocando sus tokens
+router.post('/logout', authenticate, catchAsync(async (req, res) => {
+  await req.authSession.revoke();
+
+  res.json(createResponse(
+    true,
+    'Sesión cerrada correctamente'
+  ));
+}));
+
+// GET /api/auth/me - Obtener el usuario autenticado
+router.get('/me', authenticate, catchAsync(async (req, res) => {
+  res.json(createResponse(
+    true,
+    'Usuario obtenido correctamente',
+    req.user.getPublicInfo()
+  ));
+}));
+
+module.exports = router;
@@ -0,0 +1,185 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { sequelize, Product, Category } = require('../models');
+const {
+  validateCategory,
+  validateCategoryUpdate,
+  validateCategoryQuery,
+  validateUUID
+} = require('../middleware/validation');
+const { authorize } = require('../middleware/auth');
+const { catchAsync, createError } = require('../middleware/errorHandler');
+const {
+  createResponse,
+  formatCategory,
+  buildCategoryTree
+} = require('../utils/helpers');
+const { emitProductEvent } = require('../utils/webhooks');
+
+const router = express.Router();
+
+// Función para contar los productos de cada categoría ({ category_id: cantidad }).
+// Se cuentan simples y variantes, sin los padres, para no duplicar productos.
+const countProductsByCategory = async () => {
+  const rows = await Product.findAll({
+    attributes: [
+      'category_id',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+    ],
+    where: { category_id: { [Op.not]: null }, has_variants: false },
+    group: ['category_id'],
+    raw: true
+  });
+
+  return Object.fromEntries(rows.map(row => [row.category_id, Number(row.count)]));
+};
+
+// Función para verificar que el slug no esté en uso por otra categoría
+const ensureUniqueSlug = async (slug, excludeId = null) => {
+  const where = { slug };
+  if (excludeId) {
+    where.id = { [Op.ne]: excludeId };
+  }
+
+  if (await Category.findOne({ where })) {
+    throw createError('Ya existe una categoría con ese slug', 409);
+  }
+};
+
+// Función para validar el padre de una categoría (las reglas del árbol son errores de negocio)
+const validateCategoryParent = async (category, parentId) => {
+  try {
+    await category.validateParent(parentId);
+  } catch (error) {
+    throw createError(error.message, 400);
+  }
+};
+
+// GET /api/categories - Listar categorías (lista plana o árbol con tree=true)
+router.get('/', authorize('products:read'), validateCategoryQuery, catchAsync(async (req, res) => {
+  const categories = await Category.findAll({ order: [['name', 'ASC']] });
+
+  const data = req.query.tree
+    ? buildCategoryTree(categories, await countProductsByCategory())
+    : categories.map(formatCategory);
+
+  res.json(createResponse(
+    true,
+    `Se encontraron ${categories.length} categorías`,
+    data
+  ));
+}));
+
+// GET /api/categories/:id - Obtener una categoría con su ruta, subcategorías y productos
+router.get('/:id', authorize('products:read'), validateUUID, catchAsync(async (req, res) => {
+  const category = await Category.findByPk(req.params.id, {
+    include: [{ model: Category, as: 'children' }],
+    order: [[{ model: Category, as: 'children' }, 'name', 'ASC']]
+  });
+  if (!category) {
+    throw createError('Categoría no encontrada', 404);
+  }
+
+  const descendantIds = await Category.getDescendantIds(category.id);
+  const countWhere = { has_variants: false };
+  const path = await category.getPath();
+
+  res.json(createResponse(
+    true,
+    'Categoría obtenida correctamente',
+    {
+      ...formatCategory(category),
+      path: path.map(formatCategory),
+      children: category.children.map(formatCategory),
+      product_count: await Product.count({ where: { ...countWhere, category_id: category.id } }),
+      total_product_count: await Product.count({
+        where: { ...countWhere, category_id: { [Op.in]: descendantIds } }
+      })
+    }
+  ));
+}));
+
+// POST /api/categories - Crear una categoría
+router.post('/', authorize('categories:manage'), validateCategory, catchAsync(async (req, res) => {
+  const category = Category.build(req.body);
+
+  await ensureUniqueSlug(Category.slugify(category.slug || category.name));
+  await validateCategoryParent(category, category.parent_id);
+  await category.save();
+
+  res.status(201).json(createResponse(
+    true,
+    'Categoría creada correctamente',
+    formatCategory(category)
+  ));
+}));
+
+// PATCH /api/categories/:id - Actualizar o mover una categoría
+router.patch('/:id', authorize('categories:manage'), validateUUID, validateCategoryUpdate, catchAsync(async (req, res) => {
+  const updateData = req.body;
+
+  const category = await Category.findByPk(req.params.id);
+  if (!category) {
+    throw createError('Categoría no encontrada', 404);
+  }
+
+  if (updateData.slug !== undefined) {
+    await ensureUniqueSlug(Category.slugify(updateData.slug), category.id);
+  }
+
+  if (updateData.parent_id !== undefined && updateData.parent_id !== category.parent_id) {
+    await validateCategoryParent(category, updateData.parent_id);
+  }
+
+  // Renombrar cambia la categoría de sus productos; moverla, la ruta de la categoría de los
+  // productos de toda la rama
+  const renamed = updateData.name !== undefined && updateData.name !== category.name;
+  const moved = updateData.parent_id !== undefined && updateData.parent_id !== category.parent_id;
+
+  // El nombre nuevo se copia a los productos de la categoría (hook afterUpdate)
+  await sequelize.transaction((transaction) => category.update(updateData, { transaction }));
+
+  if (renamed || moved) {
+    const categoryIds = moved ? await Category.getDescendantIds(category.id) : [category.id];
+    const products = await Product.findAll({ where: { category_id: { [Op.in]: categoryIds } } });
+    for (const product of products) {
+      await emitProductEvent('product.updated', product, {
+        changes: ['category'],
+        category: formatCategory(category)
+      });
+    }
+  }
+
+  res.json(createResponse(
+    true,
+    'Categoría actualizada correctamente',
+    formatCategory(category)
+  ));
+}));
+
+// DELETE /api/categories/:id - Eliminar una categoría sin subcategorías ni productos
+router.delete('/:id', authorize('categories:manage'), validateUUID, catchAsync(async (req, res) => {
+  const category = await Category.findByPk(req.params.id);
+  if (!category) {
+    throw createError('Categoría no encontrada', 404);
+  }
+
+  if (await Category.count({ where: { parent_id: category.id } }) > 0) {
+    throw createError('No se puede eliminar una categoría con subcategorías', 400);
+  }
+
+  // También cuentan los productos eliminados: al restaurarlos conservarían la categoría
+  if (await Product.count({ where: { category_id: category.id }, paranoid: false }) > 0) {
+    throw createError('No se puede eliminar una categoría con productos asignados', 400);
+  }
+
+  await category.destroy();
+
+  res.json(createResponse(
+    true,
+    'Categoría eliminada correctamente',
+    formatCategory(category)
+  ));
+}));
+
+module.exports = router;
@@ -0,0 +1,250 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { sequelize, Product, StockMovement, Supplier, PurchaseOrder, PurchaseOrderLine, Category } = require('../models');
+const {
+  validateForecastQuery,
+  validateForecastProductQuery,
+  validateForecastApply,
+  validateUUID
+} = require('../middleware/validation');
+const { authorize } = require('../middleware/auth');
+const { catchAsync, createError } = require('../middleware/errorHandler');
+const { createResponse, createPaginationMeta, getRequestActor } = require('../utils/helpers');
+const { getUsageStart, buildDailyUsage, forecastDemand } = require('../utils/forecast');
+const { emitProductEvent } = require('../utils/webhooks');
+const forecastConfig = require('../config/forecast');
+
+const router = express.Router();
+
+// Estados de orden de compra cuyas unidades pendientes ya están en camino
+const OPEN_ORDER_STATUSES = ['sent', 'partially_received'];
+
+// Milisegundos de un día
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Productos pronosticados por lote al filtrar por needs_reorder
+const FORECAST_BATCH_SIZE = 500;
+
+// Opciones para leer los productos a pronosticar (con el tiempo de entrega del proveedor)
+const forecastProductOptions = (where = {}) => ({
+  where: { ...where, has_variants: false },
+  include: [{ model: Supplier, as: 'supplier', attributes: ['id', 'default_lead_time_days'] }],
+  order: [['name', 'ASC'], ['id', 'ASC']]
+});
+
+// Función para calcular el pronóstico de varios productos con los parámetros de la consulta.
+// El consumo sale de las salidas (subtract) del historial; las transferencias no son consumo.
+// Con includeSeries se agrega la serie de consumo diario (daily_usage).
+const computeForecasts = async (products, params, options = {}) => {
+  if (products.length === 0) return [];
+
+  const productIds = products.map(product => product.id);
+  const now = new Date();
+  const since = new Date(getUsageStart(params.history_days, now));
+
+  const issues = await StockMovement.findAll({
+    attributes: ['product_id', 'quantity', 'createdAt'],
+    // Las correcciones de inventario no son consumo
+    where: { product_id: { [Op.in]: productIds }, operation: 'subtract', adjustment: false, createdAt: { [Op.gte]: since } }
+  });
+  const issuesByProduct = issues.reduce((acc, issue) => {
+    (acc[issue.product_id] = acc[issue.product_id] || []).push({ quantity: issue.quantity, created_at: issue.createdAt });
+    return acc;
+  }, {});
+
+  // Unidades pedidas y no recibidas en órdenes enviadas
+  const openLines = await PurchaseOrderLine.findAll({
+    where: { product_id: { [Op.in]: productIds } },
+    include: [{
+      model: PurchaseOrder,
+      as: 'purchaseOrder',
+      attributes: ['id'],
+      where: { status: { [Op.in]: OPEN_ORDER_STATUSES } },
+      required: true
+    }]
+  });
+  const onOrderByProduct = openLines.reduce((acc, line) => {
+    acc[line.product_id] = (acc[line.product_id] || 0) + line.getPendingQuantity();
+    return acc;
+  }, {});
+
+  return products.map(product => {
+    // Tiempo de entrega: el de la consulta, el del producto, el de su proveedor o el configurado
+    const candidates = [
+      params.lead_time_days,
+      product.lead_time_days,
+      product.supplier ? product.supplier.default_lead_time_days : null,
+      forecastConfig.defaultLeadTimeDays
+    ];
+    const leadTimeDays = candidates.find(value => value !== null && value !== undefined);
+    const available = product.getAvailableStock();
+    const onOrder = onOrderByProduct[product.id] || 0;
+    const series = buildDailyUsage(issuesByProduct[product.id] || [], params.history_days, now);
+
+    const forecast = forecastDemand({
+      series,
+      method: params.method,
+      window: params.window,
+      alpha: params.alpha,
+      serviceLevel: params.service_level,
+      leadTimeDays,
+      reviewDays: params.review_days,
+      available,
+      onOrder
+    });
+
+    const result = {
+      product_id: product.id,
+      sku: product.sku,
+      name: product.name,
+      stock: product.stock,
+      reserved: product.reserved,
+      available,
+      on_order: onOrder,
+      min_stock: product.min_stock,
+      lead_time_days: leadTimeDays,
+      ...forecast
+    };
+
+    if (options.includeSeries) {
+      const firstDay = since.getTime();
+      result.daily_usage = series.map((quantity, index) => ({
+        date: new Date(firstDay + index * DAY_MS).toISOString().slice(0, 10),
+        quantity
+      }));
+    }
+
+    return result;
+  });
+};
+
+// Función para obtener los parámetros usados en el cálculo (se devuelven con el resultado)
+const getForecastParams = (query) => ({
+  method: query.method,
+  history_days: query.history_days,
+  window: query.method === 'moving_average' ? query.window : undefined,
+  alpha: query.method === 'exponential_smoothing' ? query.alpha : undefined,
+  service_level: query.service_level,
+  lead_time_days: query.lead_time_days,
+  review_days: query.review_days
+});
+
+// GET /api/forecast - Pronóstico de demanda y punto de reorden sugerido por producto
+router.get('/', authorize('products:read'), validateForecastQuery, catchAsync(async (req, res) => {
+  const { page, limit, category, supplier_id, needs_reorder } = req.query;
+
+  const where = { is_active: true };
+  if (category) {
+    where.category_id = { [Op.in]: await Category.resolveDescendantIds(category) };
+  }
+  if (supplier_id) {
+    where.supplier_id = supplier_id;
+  }
+
+  const options = forecastProductOptions(where);
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  let forecasts;
+  let total;
+
+  if (needs_reorder === undefined) {
+    // Se pagina en la base de datos y solo se pronostica la página pedida
+    const { count, rows } = await Product.findAndCountAll({ ...options, limit: parseInt(limit), offset });
+    forecasts = await computeForecasts(rows, req.query);
+    total = count;
+  } else {
+    // needs_reorder depende del cálculo: se pronostica por lotes y solo se guarda la página pedida
+    forecasts = [];
+    total = 0;
+    let batchOffset = 0;
+    let batch;
+    do {
+      batch = await Product.findAll({ ...options, limit: FORECAST_BATCH_SIZE, offset: batchOffset });
+      for (const forecast of await computeForecasts(batch, req.query)) {
+        if (forecast.needs_reorder !== needs_reorder) continue;
+        if (total >= offset && forecasts.length < parseInt(limit)) forecasts.push(forecast);
+        total++;
+      }
+      batchOffset += batch.length;
+    } while (batch.length === FORECAST_BATCH_SIZE);
+  }
+
+  const meta = createPaginationMeta(parseInt(page), parseInt(limit), total);
+  meta.parameters = getForecastParams(req.query);
+
+  res.json(createResponse(
+    true,
+    `Pronóstico calculado para ${total} productos`,
+    forecasts,
+    null,
+    meta
+  ));
+}));
+
+// GET /api/forecast/products/:id - Pronóstico de un producto con su serie de consumo diario
+router.get('/products/:id', authorize('products:read'), validateUUID, validateForecastProductQuery, catchAsync(async (req, res) => {
+  const product = await Product.findOne(forecastProductOptions({ id: req.params.id }));
+  if (!product) {
+    const exists = await Product.count({ where: { id: req.params.id } });
+    throw exists
+      ? createError('El producto tiene variantes: consulte el pronóstico de cada variante', 400)
+      : createError('Producto no encontrado', 404);
+  }
+
+  const [forecast] = await computeForecasts([product], req.query, { includeSeries: true });
+
+  res.json(createResponse(
+    true,
+    'Pronóstico del producto calculado correctamente',
+    { ...forecast, parameters: getForecastParams(req.query) }
+  ));
+}));
+
+// POST /api/forecast/apply - Guardar el punto de reorden sugerido como min_stock de los productos.
+// Los productos sin consumo en el historial no se modifican: no hay datos para sugerir un mínimo.
+router.post('/apply', authorize('products:update'), validateForecastApply, catchAsync(async (req, res) => {
+  const { product_ids } = req.body;
+
+  const products = await Product.findAll(forecastProductOptions({ id: { [Op.in]: product_ids } }));
+  const found = new Set(products.map(product => product.id));
+  const missing = product_ids.filter(id => !found.has(id));
+  if (missing.length > 0) {
+    throw createError(`Productos no encontrados o con variantes: ${missing.join(', ')}`, 400);
+  }
+
+  const forecasts = await computeForecasts(products, req.body);
+  const performedBy = getRequestActor(req);
+
+  const results = await sequelize.transaction(async (transaction) => {
+    const applied = [];
+    for (const forecast of forecasts) {
+      const product = products.find(p => p.id === forecast.product_id);
+      const previous = product.min_stock;
+      const result = { product_id: product.id, sku: product.sku, previous_min_stock: previous };
+
+      if (forecast.total_usage === 0) {
+        applied.push({ ...result, min_stock: previous, changed: false, skipped: 'Sin consumo en el historial' });
+        continue;
+      }
+
+      if (previous !== forecast.reorder_point) {
+        await product.update({ min_stock: forecast.reorder_point }, { transaction, performedBy });
+      }
+      applied.push({ ...result, min_stock: forecast.reorder_point, changed: previous !== forecast.reorder_point });
+    }
+    return applied;
+  });
+
+  const changedResults = results.filter(result => result.changed);
+  for (const result of changedResults) {
+    const product = products.find(p => p.id === result.product_id);
+    await emitProductEvent('product.updated', product, { changes: ['min_stock'] });
+  }
+
+  res.json(createResponse(
+    true,
+    `Stock mínimo actualizado en ${changedResults.length} productos`,
+    { parameters: getForecastParams(req.body), results }
+  ));
+}));
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { sequelize, Product, Location, StockLevel } = require('../models');
+const {
+  validateLocation,
+  validateLocationUpdate,
+  validateLocationStockQuery,
+  validateUUID
+} = require('../middleware/validation');
+const { authorize } = require('../middleware/auth');
+const { catchAsync, createError } = require('../middleware/errorHandler');
+const {
+  createResponse,
+  createPaginationMeta,
+  formatLocation,
+  formatProductsList,
+  getFormatOptions,
+  applyLocationStock
+} = require('../utils/helpers');
+
+const router = express.Router();
+
+// Función para marcar una ubicación como la única por defecto
+const setDefaultLocation = async (location, transaction) => {
+  await Location.update(
+    { is_default: false },
+    { where: { id: { [Op.ne]: location.id }, is_default: true }, transaction }
+  );
+};
+
+// GET /api/locations - Listar ubicaciones
+router.get('/', authorize('products:read'), catchAsync(async (req, res) => {
+  const locations = await Location.findAll({ order: [['code', 'ASC']] });
+
+  res.json(createResponse(
+    true,
+    `Se encontraron ${locations.length} ubicaciones`,
+    locations.map(formatLocation)
+  ));
+}));
+
+// POST /api/locations - Crear una ubicación
+router.post('/', authorize('locations:manage'), validateLocation, catchAsync(async (req, res) => {
+  const existingLocation = await Location.findOne({ where: { code: req.body.code } });
+  if (existingLocation) {
+    throw createError('El código de ubicación ya existe', 409);
+  }
+
+  const location = await sequelize.transaction(async (transaction) => {
+    const created = await Location.create(req.body, { transaction });
+    if (created.is_default) {
+      await setDefaultLocation(created, transaction);
+    }
+    return created;
+  });
+
+  res.status(201).json(createResponse(
+    true,
+    'Ubicación creada correctamente',
+    formatLocation(location)
+  ));
+}));
+
+// PATCH /api/locations/:id - Actualizar una ubicación
+router.patch('/:id', authorize('locations:manage'), validateUUID, validateLocationUpdate, catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const updateData = req.body;
+
+  const location = await Location.findByPk(id);
+  if (!location) {
+    throw createError('Ubicación no encontrada', 404);
+  }
+
+  if (updateData.code && updateData.code !== location.code) {
+    const existingLocation = await Location.findOne({
+      where: { code: updateData.code, id: { [Op.ne]: id } }
+    });
+    if (existingLocation) {
+      throw createError('El código de ubicación ya existe', 409);
+    }
+  }
+
+  if (location.is_default && (updateData.is_default === false || updateData.is_active === false)) {
+    throw createError('Marque otra ubicación como predeterminada antes de desactivar esta', 400);
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await location.update(updateData, { transaction });
+    if (updateData.is_default) {
+      await setDefaultLocation(location, transaction);
+    }
+  });
+
+  res.json(createResponse(
+    true,
+    'Ubicación actualizada correctamente',
+    formatLocation(location)
+  ));
+}));
+
+// GET /api/locations/:id/stock - Productos con stock en una ubicación
+router.get('/:id/stock', authorize('products:read'), validateUUID, validateLocationStockQuery, catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { page, limit, low_stock, threshold } = req.query;
+
+  const location = await Location.findByPk(id);
+  if (!location) {
+    throw createError('Ubicación no encontrada', 404);
+  }
+
+  // Stock bajo en la ubicación: umbral explícito o, si no se indica, 10 como en findLowStock
+  const levelWhere = { location_id: id };
+  if (low_stock) {
+    levelWhere.quantity = { [Op.lte]: threshold !== undefined ? threshold : 10 };
+  }
+
+  const { count, rows } = await Product.findAndCountAll({
+    include: [{
+      model: StockLevel,
+      as: 'stockLevels',
+      where: levelWhere,
+      required: true
+    }],
+    distinct: true,
+    order: [['name', 'ASC']],
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit)
+  });
+
+  const products = applyLocationStock(rows, id);
+  const meta = createPaginationMeta(parseInt(page), parseInt(limit), count);
+
+  res.json(createResponse(
+    true,
+    count > 0 ? `Se encontraron ${count} productos en ${location.code}` : `No hay productos en ${location.code}`,
+    {
+      location: formatLocation(location),
+      products: formatProductsList(products, getFormatOptions(req))
+    },
+    null,
+    meta
+  ));
+}));
+
+module.exports = router;
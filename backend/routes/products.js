@@ -1,29 +1,461 @@
 const express = require('express');
-const { Op } = require('sequelize');
-const Product = require('../models/Product');
+const { Op, ValidationError } = require('sequelize');
+const { sequelize, Product, StockMovement, AuditLog, Location, StockLevel, Supplier, Category, Reservation } = require('../models');
 const { 
   validateProduct, 
+  validateProductReplace,
   validateProductUpdate, 
+  validateVariant,
   validateQuery, 
+  validateProductQuery,
+  validateStatsQuery,
+  validateReportQuery,
+  validateHistoryQuery,
+  validateAuditQuery,
   validateUUID,
-  validateStockOperation 
+  validateStockOperation,
+  validateStockTransfer,
+  validateImportQuery,
+  validateStockBatch,
+  validateData,
+  stockBatchLineSchema
 } = require('../middleware/validation');
-const { catchAsync, createError } = require('../middleware/errorHandler');
+const { uploadImportFile } = require('../middleware/upload');
+const { idempotentUpload } = require('../middleware/idempotency');
+const { authorize } = require('../middleware/auth');
+const { cacheResponse } = require('../middleware/cache');
+const { catchAsync, createError, rethrowRuleError } = require('../middleware/errorHandler');
 const {
   createResponse,
   createPaginationMeta,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetQuery,
   buildSearchFilters,
+  buildTextSearch,
+  buildVariantFilter,
   buildSortOptions,
+  SORT_ATTRIBUTES,
+  resolveProductAttributes,
   formatProductResponse,
   formatProductsList,
-  calculateInventoryStats,
-  generateSimpleReport
+  formatStockByLocation,
+  formatSupplier,
+  buildETag,
+  getExpectedVersions,
+  getFormatOptions,
+  applyLocationStock,
+  formatStockMovement,
+  buildDateRangeFilter,
+  formatAuditLog,
+  buildAuditFilters,
+  buildCategoryTree,
+  getRequestActor,
+  calculateInventoryStats
 } = require('../utils/helpers');
+const {
+  REPORT_TYPES,
+  summarizeInventory,
+  countProductsBy,
+  findReportProducts,
+  generateInventoryReport
+} = require('../utils/inventoryStats');
+const { MAX_IMPORT_ROWS, parseImportFile, validateImportRows } = require('../utils/productImport');
+const { resolveExportFormat, getProductExportColumns, streamExport } = require('../utils/export');
+const { emitProductEvent, emitStockMovement } = require('../utils/webhooks');
 
 const router = express.Router();
 
+// Función para incluir solo el nivel de stock de una ubicación
+const stockLevelsAt = (locationId) => ({
+  model: StockLevel,
+  as: 'stockLevels',
+  where: { location_id: locationId },
+  required: true
+});
+
+// Función para incluir las variantes de un producto padre
+const variantsInclude = () => ({
+  model: Product,
+  as: 'variants'
+});
+
+// Movimientos recientes que agrega expand=movements a cada producto
+const RECENT_MOVEMENTS_LIMIT = 5;
+
+// Función para cargar los datos relacionados pedidos con expand= (movements, supplier, locations).
+// Se leen aparte de los productos para no alterar la paginación. Retorna uno por producto, en orden.
+const loadProductExpansions = async (products, expand) => {
+  const expansions = products.map(() => ({}));
+  if (!expand || products.length === 0) return expansions;
+
+  const ids = products.map(product => product.id);
+
+  if (expand.includes('movements')) {
+    const movements = await Promise.all(ids.map(id => StockMovement.findAll({
+      where: { product_id: id },
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: RECENT_MOVEMENTS_LIMIT
+    })));
+    movements.forEach((list, index) => {
+      expansions[index].recent_movements = list.map(formatStockMovement);
+    });
+  }
+
+  if (expand.includes('supplier')) {
+    const supplierIds = [...new Set(products.map(product => product.supplier_id).filter(Boolean))];
+    const suppliers = supplierIds.length > 0 ? await Supplier.findAll({ where: { id: supplierIds } }) : [];
+    const byId = new Map(suppliers.map(supplier => [supplier.id, formatSupplier(supplier)]));
+    products.forEach((product, index) => {
+      expansions[index].supplier = byId.get(product.supplier_id) || null;
+    });
+  }
+
+  if (expand.includes('locations')) {
+    const levels = await StockLevel.findAll({
+      where: { product_id: ids },
+      include: [{ model: Location, as: 'location' }],
+      order: [['location_id', 'ASC']]
+    });
+    products.forEach((product, index) => {
+      expansions[index].stock_by_location = levels
+        .filter(level => level.product_id === product.id)
+        .map(formatStockByLocation);
+    });
+  }
+
+  return expansions;
+};
+
+// Función para reemplazar las variantes encontradas por su producto padre, sin repetir
+// y respetando el orden de los resultados (búsqueda agrupada por padre)
+const groupVariantMatches = async (products, expand) => {
+  const parentIds = [...new Set(products.filter(product => product.parent_id).map(product => product.parent_id))];
+  const parents = parentIds.length > 0
+    ? await Product.findAll({ where: { id: { [Op.in]: parentIds } }, include: expand ? [variantsInclude()] : [] })
+    : [];
+  const parentsById = new Map(parents.map(parent => [parent.id, parent]));
+
+  const seen = new Set();
+  return products.reduce((grouped, product) => {
+    const item = product.parent_id ? parentsById.get(product.parent_id) : product;
+    if (item && !seen.has(item.id)) {
+      seen.add(item.id);
+      grouped.push(item);
+    }
+    return grouped;
+  }, []);
+};
+
+// Función para verificar que las opciones de una variante no se repitan entre sus hermanas
+const ensureUniqueVariantOptions = async (parentId, options, excludeId = null) => {
+  const siblings = await Product.findAll({
+    where: { parent_id: parentId, ...(excludeId ? { id: { [Op.ne]: excludeId } } : {}) },
+    attributes: ['id', 'sku', 'options']
+  });
+
+  const key = Product.variantOptionsKey(options);
+  const duplicate = siblings.find(sibling => Product.variantOptionsKey(sibling.options || {}) === key);
+  if (duplicate) {
+    throw createError(`Ya existe una variante con esas opciones (${duplicate.sku})`, 409);
+  }
+};
+
+// Función para resolver una o varias categorías (id, slug o nombre) con sus subcategorías
+const resolveCategoryIds = async (category) => {
+  const categories = Array.isArray(category) ? category : [category];
+  const ids = await Promise.all(categories.map(value => Category.resolveDescendantIds(value)));
+  return [...new Set(ids.flat())];
+};
+
+// Función para tomar de la consulta los filtros con operadores (rangos, margen, SKU e imagen)
+const pickRangeFilters = (query) => {
+  const { price, cost, stock, margin, created_at, updated_at, sku, has_image } = query;
+  return { price, cost, stock, margin, created_at, updated_at, sku, has_image };
+};
+
+// Función para verificar que el proveedor asignado exista
+const ensureSupplierExists = async (supplierId) => {
+  if (supplierId && !(await Supplier.findByPk(supplierId))) {
+    throw createError('Proveedor no encontrado', 400);
+  }
+};
+
+// Función para verificar que la categoría asignada exista
+const ensureCategoryExists = async (categoryId) => {
+  if (categoryId && !(await Category.findByPk(categoryId))) {
+    throw createError('Categoría no encontrada', 400);
+  }
+};
+
+// Función para guardar los atributos de un producto. Retorna los campos que realmente cambiaron.
+const updateAttributes = async (product, attributes, options) => {
+  product.set(attributes);
+  const changes = product.changed() || [];
+  await product.save(options);
+  return changes;
+};
+
+// Función para actualizar un producto aplicando los cambios de stock como movimientos
+// en la ubicación por defecto, para que el total siga coincidiendo con las ubicaciones.
+// El producto se relee con SELECT ... FOR UPDATE para comparar la versión que editó el cliente
+// y calcular la diferencia sobre el stock vigente. Retorna los campos cambiados y el
+// StockMovement del ajuste (o null).
+const updateProductWithStock = async (product, updateData, options) => {
+  const { performedBy, expectedVersions } = options;
+  const { stock, ...attributes } = updateData;
+
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      await product.reload({ transaction, lock: transaction.LOCK.UPDATE });
+      if (expectedVersions !== '*' && !expectedVersions.includes(product.version)) {
+        throw createError('El producto fue modificado por otra operación; obtenga la versión actual e intente de nuevo', 412);
+      }
+
+      const changes = await updateAttributes(product, attributes, { transaction, performedBy });
+
+      if (stock === undefined || stock === product.stock) {
+        return { changes, movement: null };
+      }
+
+      const difference = stock - product.stock;
+      const movement = await product.updateStock(Math.abs(difference), difference > 0 ? 'add' : 'subtract', {
+        transaction,
+        performedBy,
+        reason: 'Ajuste por actualización del producto',
+        adjustment: true
+      });
+      return { changes, movement };
+    });
+  } catch (error) {
+    await product.reload();
+    rethrowRuleError(error);
+  }
+};
+
+// Función para separar la versión esperada de los datos a actualizar (If-Match o campo version)
+const extractExpectedVersions = (req) => {
+  const expectedVersions = getExpectedVersions(req);
+  if (!expectedVersions) {
+    throw createError('Se requiere el encabezado If-Match o el campo version para actualizar el producto', 428);
+  }
+
+  const { version, ...updateData } = req.body;
+  return { expectedVersions, updateData };
+};
+
+// Función para clasificar las filas válidas de una importación: crear o actualizar según el SKU.
+// Agrega como errores de fila los SKUs de productos eliminados, los SKUs existentes en modo create
+// y los proveedores inexistentes.
+const planProductImport = async (entries, errors, mode) => {
+  const skus = entries.map(entry => entry.data.sku);
+  const existing = skus.length > 0
+    ? await Product.findAll({ where: { sku: { [Op.in]: skus } }, paranoid: false })
+    : [];
+  const productsBySku = new Map(existing.map(product => [product.sku, product]));
+
+  const supplierIds = [...new Set(entries.map(entry => entry.data.supplier_id).filter(Boolean))];
+  const suppliers = supplierIds.length > 0
+    ? await Supplier.findAll({ where: { id: { [Op.in]: supplierIds } }, attributes: ['id'] })
+    : [];
+  const knownSuppliers = new Set(suppliers.map(supplier => supplier.id));
+
+  const categoryIds = [...new Set(entries.map(entry => entry.data.category_id).filter(Boolean))];
+  const categories = categoryIds.length > 0
+    ? await Category.findAll({ where: { id: { [Op.in]: categoryIds } }, attributes: ['id'] })
+    : [];
+  const knownCategories = new Set(categories.map(category => category.id));
+
+  const plan = [];
+  entries.forEach(({ row, data }) => {
+    const product = productsBySku.get(data.sku);
+    const rowErrors = [];
+
+    if (product && product.deletedAt) {
+      rowErrors.push({ field: 'sku', message: 'El SKU pertenece a un producto eliminado; restáurelo antes de importar', value: data.sku });
+    } else if (product && mode === 'create') {
+      rowErrors.push({ field: 'sku', message: 'El SKU ya existe', value: data.sku });
+    }
+
+    if (data.supplier_id && !knownSuppliers.has(data.supplier_id)) {
+      rowErrors.push({ field: 'supplier_id', message: 'Proveedor no encontrado', value: data.supplier_id });
+    }
+
+    if (data.category_id && !knownCategories.has(data.category_id)) {
+      rowErrors.push({ field: 'category_id', message: 'Categoría no encontrada', value: data.category_id });
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ row, sku: data.sku, errors: rowErrors });
+    } else {
+      plan.push({ row, sku: data.sku, action: product ? 'update' : 'create', product, data });
+    }
+  });
+
+  errors.sort((a, b) => a.row - b.row);
+  return plan;
+};
+
+// Función para aplicar una importación en una sola transacción: si una fila falla no se guarda nada.
+// Los productos existentes se releen con bloqueo y la diferencia de stock se registra como movimiento.
+// Retorna los productos creados y los movimientos de stock ({ product, movement }) aplicados.
+const applyProductImport = async (plan, performedBy) => {
+  let current;
+  const applied = { created: [], updated: [], movements: [] };
+
+  try {
+    await sequelize.transaction(async (transaction) => {
+      for (const entry of plan) {
+        current = entry;
+
+        if (entry.action === 'create') {
+          applied.created.push(await Product.create(entry.data, { transaction, performedBy }));
+          continue;
+        }
+
+        const { stock, ...attributes } = entry.data;
+        const product = entry.product;
+        await product.reload({ transaction, lock: transaction.LOCK.UPDATE });
+        const changes = await updateAttributes(product, attributes, { transaction, performedBy });
+        if (changes.length > 0) {
+          applied.updated.push({ product, changes });
+        }
+
+        if (stock !== undefined && stock !== product.stock) {
+          const difference = stock - product.stock;
+          const movement = await product.updateStock(Math.abs(difference), difference > 0 ? 'add' : 'subtract', {
+            transaction,
+            performedBy,
+            reason: 'Ajuste por importación',
+            adjustment: true
+          });
+          applied.movements.push({ product, movement });
+        }
+      }
+    });
+  } catch (error) {
+    // Errores de validación del modelo o reglas de negocio: se informan en la fila que falló
+    const rowErrors = error instanceof ValidationError
+      ? error.errors.map(err => ({ field: err.path, message: err.message, value: err.value }))
+      : error.name === 'Error' ? [{ field: null, message: error.message, value: null }] : null;
+
+    if (!rowErrors || !current) {
+      throw error;
+    }
+
+    const importError = createError(`La importación falló en la fila ${current.row}; no se aplicó ningún cambio`, 400);
+    importError.errors = [{ row: current.row, sku: current.sku, errors: rowErrors }];
+    throw importError;
+  }
+
+  return applied;
+};
+
+// Función para validar las líneas de un ajuste masivo y resolver sus productos (por id o sku).
+// Retorna las líneas válidas con su producto y los errores por línea.
+const planStockBatch = async (items, defaultReason) => {
+  const lines = [];
+  const errors = [];
+
+  items.forEach((item, index) => {
+    const { value, errors: lineErrors } = validateData(stockBatchLineSchema, item);
+    if (lineErrors) {
+      errors.push({ line: index + 1, id: item.id || null, sku: item.sku || null, errors: lineErrors });
+    } else {
+      lines.push({ line: index + 1, ...value, reason: value.reason || defaultReason || 'Ajuste masivo de stock' });
+    }
+  });
+
+  const ids = lines.filter(line => line.id).map(line => line.id);
+  const skus = lines.filter(line => line.sku).map(line => line.sku);
+  const products = ids.length > 0 || skus.length > 0
+    ? await Product.findAll({ where: { [Op.or]: [{ id: { [Op.in]: ids } }, { sku: { [Op.in]: skus } }] } })
+    : [];
+  const productsById = new Map(products.map(product => [product.id, product]));
+  const productsBySku = new Map(products.map(product => [product.sku, product]));
+
+  const plan = [];
+  lines.forEach(line => {
+    const product = line.id ? productsById.get(line.id) : productsBySku.get(line.sku);
+    if (!product) {
+      const field = line.id ? 'id' : 'sku';
+      errors.push({
+        line: line.line,
+        id: line.id || null,
+        sku: line.sku || null,
+        errors: [{ field, message: 'Producto no encontrado', value: line[field] }]
+      });
+      return;
+    }
+    plan.push({ ...line, product });
+  });
+
+  errors.sort((a, b) => a.line - b.line);
+  return { plan, errors };
+};
+
+// Función para aplicar un ajuste masivo en una sola transacción. Las líneas que fallan por reglas
+// de negocio (ej: stock insuficiente) se acumulan y, si hay alguna, se revierte todo el lote.
+// movements ({ product, movement }) solo tiene los movimientos de un lote confirmado.
+const applyStockBatch = async (plan, performedBy) => {
+  const results = [];
+  const errors = [];
+  let movements = [];
+  // Error interno para forzar el rollback después de evaluar todas las líneas
+  const rollback = new Error('Ajuste masivo revertido');
+
+  try {
+    await sequelize.transaction(async (transaction) => {
+      for (const line of plan) {
+        try {
+          const movement = await line.product.updateStock(line.quantity, line.operation, {
+            transaction,
+            performedBy,
+            reason: line.reason,
+            locationId: line.location_id,
+            adjustment: true
+          });
+          results.push({ line: line.line, product_id: line.product.id, sku: line.product.sku, status: 'applied', stock_movement: formatStockMovement(movement) });
+          movements.push({ product: line.product, movement });
+        } catch (error) {
+          if (error.name !== 'Error') {
+            throw error;
+          }
+          results.push({ line: line.line, product_id: line.product.id, sku: line.product.sku, status: 'failed' });
+          errors.push({
+            line: line.line,
+            id: line.product.id,
+            sku: line.product.sku,
+            errors: [{ field: 'quantity', message: error.message, value: line.quantity }]
+          });
+        }
+      }
+
+      if (errors.length > 0) {
+        throw rollback;
+      }
+    });
+  } catch (error) {
+    if (error !== rollback) {
+      throw error;
+    }
+
+    movements = [];
+    // Las instancias en memoria quedaron con valores de la transacción revertida
+    await Promise.all([...new Set(plan.map(line => line.product))].map(product => product.reload()));
+    results.forEach(result => {
+      if (result.status === 'applied') {
+        result.status = 'rolled_back';
+        delete result.stock_movement;
+      }
+    });
+  }
+
+  return { results, errors, movements };
+};
+
 // GET /api/products - Obtener todos los productos con paginación y filtros
-router.get('/', validateQuery, catchAsync(async (req, res) => {
+router.get('/', authorize('products:read'), validateQuery, cacheResponse('products'), catchAsync(async (req, res) => {
   const { 
     page, 
     limit, 
@@ -33,75 +465,199 @@ router.get('/', validateQuery, catchAsync(async (req, res) => {
     is_active, 
     low_stock, 
     sort_by, 
-    sort_order 
+    sort_order,
+    location_id,
+    variants,
+    cursor,
+    include_total,
+    fields,
+    expand
   } = req.query;
 
-  // Construir filtros de búsqueda
-  const where = buildSearchFilters({ search, category, brand, is_active, low_stock });
+  // Filtrar por costo o margen permitiría deducir el costo a quien no puede verlo
+  if ((req.query.cost || req.query.margin) && !req.user.can('products:view_cost')) {
+    throw createError('No tiene permisos para filtrar por costo o margen', 403);
+  }
+
+  // Con cursor, el orden es el que guarda el cursor
+  const keyset = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !keyset) {
+    throw createError('Cursor inválido', 400);
+  }
+
+  // Construir filtros de búsqueda (cada categoría incluye sus subcategorías)
+  const category_ids = category ? await resolveCategoryIds(category) : undefined;
+  const where = {
+    ...buildSearchFilters({ search, category_ids, brand, is_active, low_stock, ...pickRangeFilters(req.query) }),
+    ...buildVariantFilter(variants)
+  };
   
   // Construir opciones de ordenamiento
-  const order = buildSortOptions(sort_by, sort_order);
+  const order = keyset ? keyset.sort : buildSortOptions(sort_by, sort_order);
 
   // Opciones de consulta
   const options = {
     where,
     order,
-    limit: parseInt(limit),
-    offset: (parseInt(page) - 1) * parseInt(limit),
     attributes: [
       'id', 'name', 'sku', 'description', 'price', 'cost', 
-      'stock', 'min_stock', 'category', 'brand', 'is_active', 
-      'image_url', 'created_at', 'updated_at'
-    ]
+      'version', 'stock', 'reserved', 'min_stock', 'category', 'category_id', 'brand', 'is_active',
+      'image_url', 'supplier_id', 'supplier_sku', 'lead_time_days', 'parent_id', 'options',
+      'has_variants', 'createdAt', 'updatedAt'
+    ],
+    include: []
   };
 
-  // Ejecutar consulta con conteo total
-  const { count, rows: products } = await Product.findAndCountAll(options);
+  // Limitar a los productos con stock registrado en la ubicación solicitada
+  if (location_id) {
+    options.include.push(stockLevelsAt(location_id));
+    options.distinct = true;
+  }
+
+  // Anidar las variantes de cada producto padre
+  if (variants === 'expand') {
+    options.include.push(variantsInclude());
+    options.distinct = true;
+  }
 
-  // Formatear productos
-  const formattedProducts = formatProductsList(products);
+  // Exportación: todos los productos que cumplen los filtros, leídos en lotes (sin paginar)
+  const exportFormat = resolveExportFormat(req);
+  if (exportFormat) {
+    const formatOptions = getFormatOptions(req);
+    // El id desempata el orden para que los lotes no repitan ni salteen productos
+    options.order = [...order, ['id', 'ASC']];
 
-  // Crear metadatos de paginación
-  const meta = createPaginationMeta(parseInt(page), parseInt(limit), count);
+    return streamExport(res, exportFormat, {
+      filename: `productos-${new Date().toISOString().slice(0, 10)}`,
+      columns: getProductExportColumns(formatOptions),
+      fetchBatch: async (offset, batchSize) => {
+        const batch = await Product.findAll({ ...options, limit: batchSize, offset });
+        return formatProductsList(location_id ? applyLocationStock(batch, location_id) : batch, formatOptions);
+      }
+    });
+  }
+
+  // Respuesta parcial: solo se leen los atributos de los campos pedidos, más el id,
+  // el campo de orden (para los cursores) y los que usan las variantes y expand
+  if (fields) {
+    options.attributes = resolveProductAttributes(fields, [
+      SORT_ATTRIBUTES[order[0][0]],
+      ...(variants === 'expand' ? ['has_variants'] : []),
+      ...(expand && expand.includes('supplier') ? ['supplier_id'] : [])
+    ]);
+  }
+
+  const perPage = parseInt(limit);
+  const currentPage = keyset ? null : parseInt(page);
+  // El conteo total es opcional: por defecto se calcula al paginar por página y no por cursor
+  const withTotal = include_total ?? !keyset;
+
+  // Se lee un producto de más para saber si hay otra página sin contar
+  options.limit = perPage + 1;
+  if (keyset) {
+    const keysetQuery = buildKeysetQuery(keyset);
+    options.where = { [Op.and]: [where, keysetQuery.where] };
+    options.order = keysetQuery.order;
+  } else {
+    // El id desempata el orden para que los cursores de esta página sean exactos
+    options.order = [...order, ['id', order[0][1]]];
+    options.offset = (currentPage - 1) * perPage;
+  }
+
+  const [count, fetched] = await Promise.all([
+    withTotal ? Product.count({ where, include: options.include, distinct: true, col: 'id' }) : null,
+    Product.findAll(options)
+  ]);
+  const hasMore = fetched.length > perPage;
+  const rows = fetched.slice(0, perPage);
+  // Hacia atrás la consulta va en orden inverso
+  if (keyset && keyset.direction === 'prev') {
+    rows.reverse();
+  }
+  const products = location_id ? applyLocationStock(rows, location_id) : rows;
+
+  // Formatear productos con los campos pedidos y agregar los datos relacionados
+  const expansions = await loadProductExpansions(products, expand);
+  const formattedProducts = formatProductsList(products, { ...getFormatOptions(req), fields })
+    .map((product, index) => ({ ...product, ...expansions[index] }));
+
+  // Crear metadatos de paginación con los cursores de la primera y la última fila
+  const hasNext = keyset && keyset.direction === 'prev' ? true : hasMore;
+  const hasPrev = keyset ? (keyset.direction === 'prev' ? hasMore : true) : currentPage > 1;
+  const meta = createPaginationMeta(currentPage, perPage, count, {
+    hasNext,
+    hasPrev,
+    cursors: {
+      next: hasNext && rows.length > 0 ? encodeCursor(rows[rows.length - 1], order, 'next') : null,
+      prev: hasPrev && rows.length > 0 ? encodeCursor(rows[0], order, 'prev') : null
+    }
+  });
 
   // Agregar estadísticas si se solicita
   if (req.query.include_stats) {
     meta.stats = calculateInventoryStats(products);
   }
 
+  const found = count ?? products.length;
   res.json(createResponse(
     true,
-    count > 0 ? `Se encontraron ${count} productos` : 'No se encontraron productos',
+    found > 0 ? `Se encontraron ${found} productos` : 'No se encontraron productos',
     formattedProducts,
     null,
     meta
   ));
 }));
 
-// GET /api/products/stats - Obtener estadísticas del inventario
-router.get('/stats', catchAsync(async (req, res) => {
-  const products = await Product.findAll({
-    attributes: ['price', 'cost', 'stock', 'min_stock', 'category', 'brand', 'is_active']
-  });
+// GET /api/products/stats - Obtener estadísticas del inventario (total o por ubicación)
+router.get('/stats', authorize('products:read'), validateStatsQuery, cacheResponse('stats'), catchAsync(async (req, res) => {
+  const { location_id, variants } = req.query;
+  // Sin duplicar stock: flat cuenta simples y variantes; group cuenta simples y padres (con el total)
+  const variantFilter = buildVariantFilter(variants);
 
-  const stats = calculateInventoryStats(products);
+  // Totales calculados en la base (con el stock de la ubicación si se indica)
+  const stats = await summarizeInventory(variantFilter, location_id);
+
+  // Agrupado por padre: el valor se calcula por variante, porque su precio puede diferir del padre
+  if (variants !== 'flat') {
+    stats.total_value = (await summarizeInventory(buildVariantFilter('flat'), location_id)).total_value;
+  }
   
   // Estadísticas adicionales
   const additionalStats = {
-    active_products: await Product.count({ where: { is_active: true } }),
-    inactive_products: await Product.count({ where: { is_active: false } }),
-    total_products: await Product.count(),
-    products_by_category: await Product.findAll({
+    active_products: await Product.count({ where: { ...variantFilter, is_active: true } }),
+    inactive_products: await Product.count({ where: { ...variantFilter, is_active: false } }),
+    products_by_category: await countProductsBy('category', variantFilter),
+    products_by_brand: await countProductsBy('brand', variantFilter),
+    // Árbol de categorías con los productos propios y los acumulados de cada rama
+    category_tree: buildCategoryTree(
+      await Category.findAll({ order: [['name', 'ASC']] }),
+      Object.fromEntries((await Product.findAll({
+        attributes: [
+          'category_id',
+          [Product.sequelize.fn('COUNT', Product.sequelize.col('id')), 'count']
+        ],
+        where: { ...variantFilter, category_id: { [Op.not]: null } },
+        group: ['category_id'],
+        raw: true
+      })).map(row => [row.category_id, row.count]))
+    ),
+    stock_by_location: await StockLevel.findAll({
       attributes: [
-        'category',
-        [Product.sequelize.fn('COUNT', Product.sequelize.col('id')), 'count']
+        'location_id',
+        [sequelize.fn('SUM', sequelize.col('quantity')), 'total_quantity'],
+        [sequelize.fn('COUNT', sequelize.col('product_id')), 'products']
       ],
-      where: { category: { [Op.not]: null } },
-      group: ['category'],
-      order: [[Product.sequelize.fn('COUNT', Product.sequelize.col('id')), 'DESC']]
+      where: location_id ? { location_id } : {},
+      group: ['location_id'],
+      raw: true
     })
   };
 
+  // Stats de una ubicación: los totales reflejan solo esa ubicación
+  if (location_id) {
+    additionalStats.location_id = location_id;
+  }
+
   res.json(createResponse(
     true,
     'Estadísticas del inventario obtenidas correctamente',
@@ -110,54 +666,82 @@ router.get('/stats', catchAsync(async (req, res) => {
 }));
 
 // GET /api/products/reports/:type - Generar reportes
-router.get('/reports/:type', catchAsync(async (req, res) => {
+router.get('/reports/:type', authorize('products:read'), validateReportQuery, cacheResponse('reports'), catchAsync(async (req, res) => {
   const { type } = req.params;
-  const validTypes = ['inventory', 'low_stock', 'out_of_stock', 'high_value'];
+  const { location_id, variants, page, limit } = req.query;
 
-  if (!validTypes.includes(type)) {
+  if (!REPORT_TYPES[type]) {
     throw createError('Tipo de reporte inválido', 400);
   }
 
-  const products = await Product.findAll({
-    where: { is_active: true },
-    order: [['name', 'ASC']]
-  });
+  const where = { ...buildVariantFilter(variants), is_active: true };
+  // Función para dar el formato de respuesta a las filas (con el stock de la ubicación si se indica)
+  const formatRows = (rows) => formatProductsList(
+    location_id ? applyLocationStock(rows, location_id) : rows,
+    getFormatOptions(req)
+  );
 
-  const report = generateSimpleReport(products, type);
+  // Exportación de todas las filas del reporte (CSV, XLSX o JSON), leídas en lotes
+  const exportFormat = resolveExportFormat(req);
+  if (exportFormat) {
+    return streamExport(res, exportFormat, {
+      filename: `reporte-${type}-${new Date().toISOString().slice(0, 10)}`,
+      columns: getProductExportColumns(getFormatOptions(req)),
+      fetchBatch: async (offset, batchSize) => formatRows(
+        await findReportProducts(type, { where, locationId: location_id, limit: batchSize, offset })
+      )
+    });
+  }
+
+  // Una página de filas; total_items y stats abarcan todos los productos del reporte
+  const report = await generateInventoryReport(type, {
+    where,
+    locationId: location_id,
+    limit,
+    offset: (page - 1) * limit
+  });
+  report.data = formatRows(report.data);
+  if (location_id) {
+    report.location_id = location_id;
+  }
 
   res.json(createResponse(
     true,
     `Reporte de ${type} generado correctamente`,
-    report
+    report,
+    null,
+    createPaginationMeta(page, limit, report.total_items)
   ));
 }));
 
 // GET /api/products/search - Búsqueda avanzada
-router.get('/search', validateQuery, catchAsync(async (req, res) => {
-  const { search } = req.query;
+router.get('/search', authorize('products:read'), validateQuery, catchAsync(async (req, res) => {
+  const { search, variants } = req.query;
 
   if (!search || search.trim().length < 2) {
     throw createError('El término de búsqueda debe tener al menos 2 caracteres', 400);
   }
 
-  const searchTerm = search.trim();
+  // Sin distinguir mayúsculas ni acentos, en cualquier base de datos
+  const textSearch = buildTextSearch(search);
+  if (!textSearch) {
+    throw createError('El término de búsqueda debe contener letras o números', 400);
+  }
   
-  const products = await Product.findAll({
+  const matches = await Product.findAll({
     where: {
-      [Op.or]: [
-        { name: { [Op.iLike]: `%${searchTerm}%` } },
-        { sku: { [Op.iLike]: `%${searchTerm}%` } },
-        { description: { [Op.iLike]: `%${searchTerm}%` } },
-        { category: { [Op.iLike]: `%${searchTerm}%` } },
-        { brand: { [Op.iLike]: `%${searchTerm}%` } }
-      ],
-      is_active: true
+      ...textSearch,
+      is_active: true,
+      // Agrupado: los padres también se encuentran por los datos de sus variantes
+      ...(variants === 'flat' ? buildVariantFilter(variants) : {})
     },
+    include: variants === 'expand' ? [variantsInclude()] : [],
     order: [['name', 'ASC']],
     limit: 20
   });
+  const products = variants === 'flat' ? matches : await groupVariantMatches(matches, variants === 'expand');
 
-  const formattedProducts = formatProductsList(products);
+  const formattedProducts = formatProductsList(products, getFormatOptions(req));
 
   res.json(createResponse(
     true,
@@ -166,18 +750,170 @@ router.get('/search', validateQuery, catchAsync(async (req, res) => {
   ));
 }));
 
+// POST /api/products/import - Importación masiva desde CSV o XLSX (crea o actualiza por SKU)
+router.post('/import', authorize('products:create'), authorize('products:update'), uploadImportFile, idempotentUpload, validateImportQuery, catchAsync(async (req, res) => {
+  const { dry_run, mode } = req.query;
+
+  if (!req.file) {
+    throw createError('Debe adjuntar un archivo CSV o XLSX en el campo file', 400);
+  }
+
+  let rows;
+  try {
+    rows = await parseImportFile(req.file);
+  } catch (error) {
+    throw createError(error.message, 400);
+  }
+
+  if (rows.length === 0) {
+    throw createError('El archivo no contiene filas de productos', 400);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw createError(`El archivo no puede tener más de ${MAX_IMPORT_ROWS} filas`, 400);
+  }
+
+  const { entries, errors } = validateImportRows(rows);
+  const plan = await planProductImport(entries, errors, mode);
+
+  const summary = {
+    total_rows: rows.length,
+    valid_rows: plan.length,
+    invalid_rows: errors.length,
+    to_create: plan.filter(entry => entry.action === 'create').length,
+    to_update: plan.filter(entry => entry.action === 'update').length
+  };
+  const report = {
+    dry_run,
+    mode,
+    summary,
+    rows: plan.map(({ row, sku, action }) => ({ row, sku, action }))
+  };
+
+  // Simulación: se informa el resultado sin modificar datos
+  if (dry_run) {
+    return res.json(createResponse(
+      errors.length === 0,
+      errors.length === 0
+        ? 'Simulación completada: el archivo puede importarse'
+        : `Simulación completada con ${errors.length} filas inválidas`,
+      report,
+      errors.length > 0 ? errors : null
+    ));
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json(createResponse(
+      false,
+      `El archivo tiene ${errors.length} filas inválidas; no se importó ningún producto`,
+      report,
+      errors
+    ));
+  }
+
+  const applied = await applyProductImport(plan, getRequestActor(req));
+
+  for (const product of applied.created) {
+    await emitProductEvent('product.created', product);
+  }
+  for (const { product, changes } of applied.updated) {
+    await emitProductEvent('product.updated', product, { changes });
+  }
+  for (const { product, movement } of applied.movements) {
+    await emitStockMovement(product, movement);
+  }
+
+  res.json(createResponse(
+    true,
+    `Importación completada: ${summary.to_create} productos creados y ${summary.to_update} actualizados`,
+    report
+  ));
+}));
+
+// POST /api/products/stock/batch - Ajuste masivo de stock en una sola transacción
+router.post('/stock/batch', authorize('stock:update'), validateStockBatch, catchAsync(async (req, res) => {
+  const { items, reason } = req.body;
+
+  const { plan, errors } = await planStockBatch(items, reason);
+
+  if (errors.length > 0) {
+    const invalidLines = new Set(errors.map(error => error.line));
+    return res.status(400).json(createResponse(
+      false,
+      `El lote tiene ${errors.length} líneas inválidas; no se aplicó ningún ajuste`,
+      {
+        summary: { total_lines: items.length, applied: 0, failed: errors.length },
+        results: items.map((item, index) => ({
+          line: index + 1,
+          status: invalidLines.has(index + 1) ? 'invalid' : 'not_applied'
+        }))
+      },
+      errors
+    ));
+  }
+
+  const { results, errors: applyErrors, movements } = await applyStockBatch(plan, getRequestActor(req));
+  const summary = {
+    total_lines: items.length,
+    applied: applyErrors.length > 0 ? 0 : results.length,
+    failed: applyErrors.length
+  };
+
+  if (applyErrors.length > 0) {
+    return res.status(400).json(createResponse(
+      false,
+      `${applyErrors.length} líneas no se pudieron aplicar; se revirtió todo el lote`,
+      { summary, results },
+      applyErrors
+    ));
+  }
+
+  for (const { product, movement } of movements) {
+    await emitStockMovement(product, movement);
+  }
+
+  res.json(createResponse(
+    true,
+    `Ajuste masivo aplicado: ${results.length} operaciones`,
+    { summary, results }
+  ));
+}));
+
 // GET /api/products/:id - Obtener un producto por ID
-router.get('/:id', validateUUID, catchAsync(async (req, res) => {
+router.get('/:id', authorize('products:read'), validateUUID, validateProductQuery, catchAsync(async (req, res) => {
   const { id } = req.params;
+  const { fields, expand } = req.query;
+  // Sin fields el desglose por ubicación se incluye siempre; con fields, solo con expand=locations
+  const withLocations = !fields || Boolean(expand && expand.includes('locations'));
 
-  const product = await Product.findByPk(id);
+  const product = await Product.findByPk(id, {
+    // Con fields se leen solo esos atributos, más la versión para el ETag
+    attributes: fields
+      ? resolveProductAttributes(fields, ['version', 'has_variants', 'supplier_id'])
+      : undefined,
+    include: [
+      ...(withLocations ? [{
+        model: StockLevel,
+        as: 'stockLevels',
+        include: [{ model: Location, as: 'location' }]
+      }] : []),
+      variantsInclude()
+    ]
+  });
 
   if (!product) {
     throw createError('Producto no encontrado', 404);
   }
 
-  const formattedProduct = formatProductResponse(product);
+  const [expansions] = await loadProductExpansions(
+    [product],
+    expand && expand.filter(value => value !== 'locations')
+  );
+  const formattedProduct = {
+    ...formatProductResponse(product, { ...getFormatOptions(req), fields }),
+    ...expansions
+  };
 
+  res.set('ETag', buildETag(product.version));
   res.json(createResponse(
     true,
     'Producto obtenido correctamente',
@@ -186,7 +922,7 @@ router.get('/:id', validateUUID, catchAsync(async (req, res) => {
 }));
 
 // POST /api/products - Crear un nuevo producto
-router.post('/', validateProduct, catchAsync(async (req, res) => {
+router.post('/', authorize('products:create'), validateProduct, catchAsync(async (req, res) => {
   const productData = req.body;
 
   // Verificar si el SKU ya existe
@@ -195,9 +931,17 @@ router.post('/', validateProduct, catchAsync(async (req, res) => {
     throw createError('El SKU ya existe', 409);
   }
 
-  const product = await Product.create(productData);
-  const formattedProduct = formatProductResponse(product);
+  await ensureSupplierExists(productData.supplier_id);
+  await ensureCategoryExists(productData.category_id);
 
+  // El stock inicial se registra en la ubicación por defecto (hook afterCreate)
+  const product = await sequelize.transaction((transaction) => {
+    return Product.create(productData, { transaction, performedBy: getRequestActor(req) });
+  });
+  await emitProductEvent('product.created', product);
+  const formattedProduct = formatProductResponse(product, getFormatOptions(req));
+
+  res.set('ETag', buildETag(product.version));
   res.status(201).json(createResponse(
     true,
     'Producto creado correctamente',
@@ -206,9 +950,9 @@ router.post('/', validateProduct, catchAsync(async (req, res) => {
 }));
 
 // PUT /api/products/:id - Actualizar un producto completamente
-router.put('/:id', validateUUID, validateProduct, catchAsync(async (req, res) => {
+router.put('/:id', authorize('products:update'), validateUUID, validateProductReplace, catchAsync(async (req, res) => {
   const { id } = req.params;
-  const updateData = req.body;
+  const { expectedVersions, updateData } = extractExpectedVersions(req);
 
   const product = await Product.findByPk(id);
   if (!product) {
@@ -228,9 +972,19 @@ router.put('/:id', validateUUID, validateProduct, catchAsync(async (req, res) =>
     }
   }
 
-  await product.update(updateData);
-  const formattedProduct = formatProductResponse(product);
+  await ensureSupplierExists(updateData.supplier_id);
+  await ensureCategoryExists(updateData.category_id);
+  const { changes, movement } = await updateProductWithStock(product, updateData, {
+    performedBy: getRequestActor(req),
+    expectedVersions
+  });
+  if (changes.length > 0) {
+    await emitProductEvent('product.updated', product, { changes });
+  }
+  await emitStockMovement(product, movement);
+  const formattedProduct = formatProductResponse(product, getFormatOptions(req));
 
+  res.set('ETag', buildETag(product.version));
   res.json(createResponse(
     true,
     'Producto actualizado correctamente',
@@ -239,9 +993,9 @@ router.put('/:id', validateUUID, validateProduct, catchAsync(async (req, res) =>
 }));
 
 // PATCH /api/products/:id - Actualizar un producto parcialmente
-router.patch('/:id', validateUUID, validateProductUpdate, catchAsync(async (req, res) => {
+router.patch('/:id', authorize('products:update'), validateUUID, validateProductUpdate, catchAsync(async (req, res) => {
   const { id } = req.params;
-  const updateData = req.body;
+  const { expectedVersions, updateData } = extractExpectedVersions(req);
 
   if (Object.keys(updateData).length === 0) {
     throw createError('No se proporcionaron datos para actualizar', 400);
@@ -265,9 +1019,27 @@ router.patch('/:id', validateUUID, validateProductUpdate, catchAsync(async (req,
     }
   }
 
-  await product.update(updateData);
-  const formattedProduct = formatProductResponse(product);
+  // Solo las variantes tienen opciones, y no pueden repetirse entre hermanas
+  if (updateData.options) {
+    if (!product.parent_id) {
+      throw createError('Solo las variantes pueden tener opciones', 400);
+    }
+    await ensureUniqueVariantOptions(product.parent_id, updateData.options, product.id);
+  }
+
+  await ensureSupplierExists(updateData.supplier_id);
+  await ensureCategoryExists(updateData.category_id);
+  const { changes, movement } = await updateProductWithStock(product, updateData, {
+    performedBy: getRequestActor(req),
+    expectedVersions
+  });
+  if (changes.length > 0) {
+    await emitProductEvent('product.updated', product, { changes });
+  }
+  await emitStockMovement(product, movement);
+  const formattedProduct = formatProductResponse(product, getFormatOptions(req));
 
+  res.set('ETag', buildETag(product.version));
   res.json(createResponse(
     true,
     'Producto actualizado correctamente',
@@ -276,47 +1048,155 @@ router.patch('/:id', validateUUID, validateProductUpdate, catchAsync(async (req,
 }));
 
 // PATCH /api/products/:id/stock - Actualizar stock de un producto
-router.patch('/:id/stock', validateUUID, validateStockOperation, catchAsync(async (req, res) => {
+router.patch('/:id/stock', authorize('stock:update'), validateUUID, validateStockOperation, catchAsync(async (req, res) => {
   const { id } = req.params;
-  const { quantity, operation, reason } = req.body;
+  const { quantity, operation, reason, location_id } = req.body;
 
   const product = await Product.findByPk(id);
   if (!product) {
     throw createError('Producto no encontrado', 404);
   }
 
-  const previousStock = product.stock;
-  
+  if (location_id && !(await Location.findByPk(location_id))) {
+    throw createError('Ubicación no encontrada', 404);
+  }
+
+  let movement;
   try {
-    await product.updateStock(quantity, operation);
+    movement = await product.updateStock(quantity, operation, {
+      reason,
+      locationId: location_id,
+      performedBy: getRequestActor(req)
+    });
   } catch (error) {
-    throw createError(error.message, 400);
+    rethrowRuleError(error);
   }
+  await emitStockMovement(product, movement);
 
-  const formattedProduct = formatProductResponse(product);
-
-  // Agregar información del movimiento de stock
-  const stockMovement = {
-    previous_stock: previousStock,
-    current_stock: product.stock,
-    operation,
-    quantity,
-    reason: reason || null,
-    timestamp: new Date().toISOString()
-  };
+  const formattedProduct = formatProductResponse(product, getFormatOptions(req));
 
   res.json(createResponse(
     true,
     `Stock ${operation === 'add' ? 'aumentado' : 'reducido'} correctamente`,
     {
       product: formattedProduct,
-      stock_movement: stockMovement
+      stock_movement: formatStockMovement(movement)
+    }
+  ));
+}));
+
+// POST /api/products/:id/transfer - Transferir stock entre ubicaciones
+router.post('/:id/transfer', authorize('stock:update'), validateUUID, validateStockTransfer, catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { from_location_id, to_location_id, quantity, reason } = req.body;
+
+  const product = await Product.findByPk(id);
+  if (!product) {
+    throw createError('Producto no encontrado', 404);
+  }
+
+  const locations = await Location.count({ where: { id: [from_location_id, to_location_id] } });
+  if (locations !== 2) {
+    throw createError('Ubicación no encontrada', 404);
+  }
+
+  let movements;
+  try {
+    movements = await product.transferStock(quantity, from_location_id, to_location_id, {
+      reason,
+      performedBy: getRequestActor(req)
+    });
+  } catch (error) {
+    rethrowRuleError(error);
+  }
+  // El total no cambia: stock.changed informa la salida y la entrada de cada ubicación
+  for (const movement of movements) {
+    await emitStockMovement(product, movement);
+  }
+
+  res.json(createResponse(
+    true,
+    'Stock transferido correctamente',
+    {
+      product: formatProductResponse(product, getFormatOptions(req)),
+      stock_movements: movements.map(formatStockMovement)
     }
   ));
 }));
 
+// GET /api/products/:id/variants - Listar las variantes de un producto
+router.get('/:id/variants', authorize('products:read'), validateUUID, catchAsync(async (req, res) => {
+  const product = await Product.findByPk(req.params.id);
+  if (!product) {
+    throw createError('Producto no encontrado', 404);
+  }
+
+  const variants = await Product.findAll({
+    where: { parent_id: product.id },
+    order: [['sku', 'ASC']]
+  });
+
+  res.json(createResponse(
+    true,
+    variants.length > 0 ? `Se encontraron ${variants.length} variantes` : 'El producto no tiene variantes',
+    formatProductsList(variants, getFormatOptions(req))
+  ));
+}));
+
+// POST /api/products/:id/variants - Crear una variante (talla, color, etc.) de un producto
+router.post('/:id/variants', authorize('products:create'), validateUUID, validateVariant, catchAsync(async (req, res) => {
+  const { options, ...variantData } = req.body;
+
+  const parent = await Product.findByPk(req.params.id);
+  if (!parent) {
+    throw createError('Producto no encontrado', 404);
+  }
+  if (parent.parent_id) {
+    throw createError('Una variante no puede tener variantes propias', 400);
+  }
+  // Al agrupar variantes el stock del padre pasa a ser el total de ellas
+  if (!parent.has_variants && (parent.stock > 0 || parent.reserved > 0)) {
+    throw createError('El producto tiene stock propio; llévelo a 0 antes de crear variantes', 400);
+  }
+
+  if (await Product.findOne({ where: { sku: variantData.sku } })) {
+    throw createError('El SKU ya existe', 409);
+  }
+  await ensureUniqueVariantOptions(parent.id, options);
+
+  const shared = {};
+  Product.VARIANT_SHARED_FIELDS.forEach(field => { shared[field] = parent[field]; });
+
+  const variant = await sequelize.transaction(async (transaction) => {
+    if (!parent.has_variants) {
+      await parent.update({ has_variants: true }, { transaction, performedBy: getRequestActor(req) });
+    }
+
+    return Product.create({
+      name: `${parent.name} - ${Object.values(options).join(' / ')}`,
+      price: parent.price,
+      cost: parent.cost,
+      min_stock: parent.min_stock,
+      supplier_id: parent.supplier_id,
+      lead_time_days: parent.lead_time_days,
+      ...variantData,
+      ...shared,
+      options,
+      parent_id: parent.id
+    }, { transaction, performedBy: getRequestActor(req) });
+  });
+  await emitProductEvent('product.created', variant);
+
+  res.set('ETag', buildETag(variant.version));
+  res.status(201).json(createResponse(
+    true,
+    'Variante creada correctamente',
+    formatProductResponse(variant, getFormatOptions(req))
+  ));
+}));
+
 // DELETE /api/products/:id - Eliminar un producto (soft delete)
-router.delete('/:id', validateUUID, catchAsync(async (req, res) => {
+router.delete('/:id', authorize('products:delete'), validateUUID, catchAsync(async (req, res) => {
   const { id } = req.params;
 
   const product = await Product.findByPk(id);
@@ -324,7 +1204,19 @@ router.delete('/:id', validateUUID, catchAsync(async (req, res) => {
     throw createError('Producto no encontrado', 404);
   }
 
-  await product.destroy(); // Soft delete gracias a paranoid: true
+  if (product.has_variants && (await Product.count({ where: { parent_id: product.id } })) > 0) {
+    throw createError('El producto tiene variantes; elimínelas antes de eliminar el producto', 400);
+  }
+
+  const activeReservations = await Reservation.count({
+    where: { product_id: product.id, status: 'active', expires_at: { [Op.gt]: new Date() } }
+  });
+  if (activeReservations > 0) {
+    throw createError(`El producto tiene ${activeReservations} reservas activas; confírmelas o libérelas antes de eliminarlo`, 409);
+  }
+
+  await product.destroy({ performedBy: getRequestActor(req) }); // Soft delete gracias a paranoid: true
+  await emitProductEvent('product.deleted', product);
 
   res.json(createResponse(
     true,
@@ -333,7 +1225,7 @@ router.delete('/:id', validateUUID, catchAsync(async (req, res) => {
 }));
 
 // POST /api/products/:id/restore - Restaurar un producto eliminado
-router.post('/:id/restore', validateUUID, catchAsync(async (req, res) => {
+router.post('/:id/restore', authorize('products:restore'), validateUUID, catchAsync(async (req, res) => {
   const { id } = req.params;
 
   const product = await Product.findByPk(id, { paranoid: false });
@@ -341,12 +1233,17 @@ router.post('/:id/restore', validateUUID, catchAsync(async (req, res) => {
     throw createError('Producto no encontrado', 404);
   }
 
-  if (!product.deleted_at) {
+  if (!product.deletedAt) {
     throw createError('El producto no está eliminado', 400);
   }
 
-  await product.restore();
-  const formattedProduct = formatProductResponse(product);
+  if (product.parent_id && !(await Product.findByPk(product.parent_id))) {
+    throw createError('El producto padre de la variante está eliminado; restáurelo primero', 400);
+  }
+
+  await product.restore({ performedBy: getRequestActor(req) });
+  await emitProductEvent('product.restored', product);
+  const formattedProduct = formatProductResponse(product, getFormatOptions(req));
 
   res.json(createResponse(
     true,
@@ -355,26 +1252,79 @@ router.post('/:id/restore', validateUUID, catchAsync(async (req, res) => {
   ));
 }));
 
-// GET /api/products/:id/history - Obtener historial de un producto (placeholder)
-router.get('/:id/history', validateUUID, catchAsync(async (req, res) => {
+// GET /api/products/:id/history - Obtener historial de movimientos de stock
+router.get('/:id/history', authorize('products:read'), validateUUID, validateHistoryQuery, catchAsync(async (req, res) => {
   const { id } = req.params;
+  const { page, limit, from, to, operation, location_id } = req.query;
 
-  const product = await Product.findByPk(id);
+  // Incluir productos eliminados para conservar la trazabilidad
+  const product = await Product.findByPk(id, { paranoid: false });
   if (!product) {
     throw createError('Producto no encontrado', 404);
   }
 
-  // Placeholder para futuro sistema de auditoría
-  const history = {
+  const where = {
     product_id: id,
-    message: 'Sistema de historial no implementado aún',
-    events: []
+    ...buildDateRangeFilter(from, to)
   };
 
+  if (operation) {
+    where.operation = operation;
+  }
+
+  if (location_id) {
+    where.location_id = location_id;
+  }
+
+  const { count, rows: movements } = await StockMovement.findAndCountAll({
+    where,
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit)
+  });
+
+  const meta = createPaginationMeta(parseInt(page), parseInt(limit), count);
+
+  res.json(createResponse(
+    true,
+    count > 0 ? `Se encontraron ${count} movimientos de stock` : 'El producto no tiene movimientos de stock',
+    {
+      product_id: id,
+      events: movements.map(formatStockMovement)
+    },
+    null,
+    meta
+  ));
+}));
+
+// GET /api/products/:id/audit - Obtener auditoría de cambios de un producto
+router.get('/:id/audit', authorize('audit:read'), validateUUID, validateAuditQuery, catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { page, limit } = req.query;
+
+  const product = await Product.findByPk(id, { paranoid: false });
+  if (!product) {
+    throw createError('Producto no encontrado', 404);
+  }
+
+  const { count, rows: entries } = await AuditLog.findAndCountAll({
+    where: buildAuditFilters({ ...req.query, entity_type: 'Product', entity_id: id }),
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit)
+  });
+
+  const meta = createPaginationMeta(parseInt(page), parseInt(limit), count);
+
   res.json(createResponse(
     true,
-    'Historial del producto (funcionalidad pendiente)',
-    history
+    count > 0 ? `Se encontraron ${count} cambios` : 'El producto no tiene cambios registrados',
+    {
+      product_id: id,
+      entries: entries.map(formatAuditLog)
+    },
+    null,
+    meta
   ));
 }));
 
@@ -0,0 +1,232 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { sequelize, PurchaseOrder, PurchaseOrderLine, Supplier, Product, Location } = require('../models');
+const {
+  validatePurchaseOrder,
+  validatePurchaseOrderUpdate,
+  validatePurchaseOrderReceive,
+  validatePurchaseOrderQuery,
+  validateUUID
+} = require('../middleware/validation');
+const { authorize } = require('../middleware/auth');
+const { catchAsync, createError } = require('../middleware/errorHandler');
+const {
+  createResponse,
+  createPaginationMeta,
+  formatPurchaseOrder,
+  getRequestActor
+} = require('../utils/helpers');
+const { emitStockMovement } = require('../utils/webhooks');
+
+const router = express.Router();
+
+// Función para obtener una orden con sus líneas y proveedor
+const findOrder = async (id) => {
+  const order = await PurchaseOrder.findByPk(id, {
+    include: [
+      { model: Supplier, as: 'supplier' },
+      { model: PurchaseOrderLine, as: 'lines' }
+    ],
+    order: [[{ model: PurchaseOrderLine, as: 'lines' }, 'created_at', 'ASC']]
+  });
+  if (!order) {
+    throw createError('Orden de compra no encontrada', 404);
+  }
+  return order;
+};
+
+// Función para verificar proveedor, ubicación y productos de una orden
+const checkOrderReferences = async ({ supplier_id, location_id, lines }) => {
+  if (supplier_id) {
+    const supplier = await Supplier.findByPk(supplier_id);
+    if (!supplier) {
+      throw createError('Proveedor no encontrado', 400);
+    }
+    if (!supplier.is_active) {
+      throw createError('El proveedor está inactivo', 400);
+    }
+  }
+
+  if (location_id && !(await Location.findByPk(location_id))) {
+    throw createError('Ubicación no encontrada', 400);
+  }
+
+  if (lines) {
+    // count cuenta productos distintos: se compara con los ids sin repetir
+    const productIds = new Set(lines.map(line => line.product_id));
+    const found = await Product.count({ where: { id: { [Op.in]: [...productIds] } } });
+    if (found !== productIds.size) {
+      throw createError('Uno o más productos de la orden no existen', 400);
+    }
+  }
+};
+
+// Función para convertir las líneas del cuerpo en registros de la orden
+const buildLines = (orderId, lines) => lines.map(line => ({
+  purchase_order_id: orderId,
+  product_id: line.product_id,
+  quantity_ordered: line.quantity,
+  unit_cost: line.unit_cost
+}));
+
+// Función para cambiar el estado de una orden validando la transición
+const transitionOrder = async (order, status, extra = {}) => {
+  if (!order.canTransitionTo(status)) {
+    throw createError(`No se puede pasar una orden de ${order.status} a ${status}`, 400);
+  }
+  await order.update({ status, ...extra });
+};
+
+// GET /api/purchase-orders - Listar órdenes de compra
+router.get('/', authorize('purchasing:read'), validatePurchaseOrderQuery, catchAsync(async (req, res) => {
+  const { page, limit, status, supplier_id } = req.query;
+
+  const where = {};
+  if (status) where.status = status;
+  if (supplier_id) where.supplier_id = supplier_id;
+
+  const { count, rows } = await PurchaseOrder.findAndCountAll({
+    where,
+    include: [{ model: Supplier, as: 'supplier' }],
+    order: [['created_at', 'DESC']],
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit)
+  });
+
+  const meta = createPaginationMeta(parseInt(page), parseInt(limit), count);
+
+  res.json(createResponse(
+    true,
+    count > 0 ? `Se encontraron ${count} órdenes de compra` : 'No se encontraron órdenes de compra',
+    rows.map(formatPurchaseOrder),
+    null,
+    meta
+  ));
+}));
+
+// GET /api/purchase-orders/:id - Obtener una orden de compra
+router.get('/:id', authorize('purchasing:read'), validateUUID, catchAsync(async (req, res) => {
+  const order = await findOrder(req.params.id);
+
+  res.json(createResponse(
+    true,
+    'Orden de compra obtenida correctamente',
+    formatPurchaseOrder(order)
+  ));
+}));
+
+// POST /api/purchase-orders - Crear una orden de compra en borrador
+router.post('/', authorize('purchasing:manage'), validatePurchaseOrder, catchAsync(async (req, res) => {
+  const { lines, ...orderData } = req.body;
+
+  await checkOrderReferences(req.body);
+
+  const orderId = await sequelize.transaction(async (transaction) => {
+    const order = await PurchaseOrder.create({
+      ...orderData,
+      status: 'draft',
+      created_by: getRequestActor(req)
+    }, { transaction });
+    await PurchaseOrderLine.bulkCreate(buildLines(order.id, lines), { transaction, validate: true });
+    return order.id;
+  });
+
+  const order = await findOrder(orderId);
+
+  res.status(201).json(createResponse(
+    true,
+    'Orden de compra creada correctamente',
+    formatPurchaseOrder(order)
+  ));
+}));
+
+// PATCH /api/purchase-orders/:id - Modificar una orden en borrador
+router.patch('/:id', authorize('purchasing:manage'), validateUUID, validatePurchaseOrderUpdate, catchAsync(async (req, res) => {
+  const { lines, ...orderData } = req.body;
+
+  const order = await findOrder(req.params.id);
+  if (order.status !== 'draft') {
+    throw createError('Solo se pueden modificar órdenes en borrador', 400);
+  }
+
+  await checkOrderReferences(req.body);
+
+  // Si se envían líneas, reemplazan por completo a las existentes
+  await sequelize.transaction(async (transaction) => {
+    await order.update(orderData, { transaction });
+    if (lines) {
+      await PurchaseOrderLine.destroy({ where: { purchase_order_id: order.id }, transaction });
+      await PurchaseOrderLine.bulkCreate(buildLines(order.id, lines), { transaction, validate: true });
+    }
+  });
+
+  const updated = await findOrder(order.id);
+
+  res.json(createResponse(
+    true,
+    'Orden de compra actualizada correctamente',
+    formatPurchaseOrder(updated)
+  ));
+}));
+
+// POST /api/purchase-orders/:id/send - Marcar la orden como enviada al proveedor
+router.post('/:id/send', authorize('purchasing:manage'), validateUUID, catchAsync(async (req, res) => {
+  const order = await findOrder(req.params.id);
+  await transitionOrder(order, 'sent', { sent_at: new Date() });
+
+  res.json(createResponse(
+    true,
+    'Orden de compra enviada correctamente',
+    formatPurchaseOrder(order)
+  ));
+}));
+
+// POST /api/purchase-orders/:id/receive - Recibir mercancía (total o parcial)
+router.post('/:id/receive', authorize('purchasing:receive'), validateUUID, validatePurchaseOrderReceive, catchAsync(async (req, res) => {
+  const { lines, location_id } = req.body;
+
+  const order = await findOrder(req.params.id);
+
+  if (location_id && !(await Location.findByPk(location_id))) {
+    throw createError('Ubicación no encontrada', 404);
+  }
+
+  let stockChanges;
+  try {
+    stockChanges = await order.receive(lines, {
+      performedBy: getRequestActor(req),
+      locationId: location_id
+    });
+  } catch (error) {
+    // Las reglas de negocio del modelo se lanzan como Error genérico
+    if (error.name === 'Error') {
+      throw createError(error.message, 400);
+    }
+    throw error;
+  }
+  for (const { product, movement } of stockChanges) {
+    await emitStockMovement(product, movement);
+  }
+
+  const updated = await findOrder(order.id);
+
+  res.json(createResponse(
+    true,
+    updated.status === 'received' ? 'Orden de compra recibida por completo' : 'Recepción parcial registrada',
+    formatPurchaseOrder(updated)
+  ));
+}));
+
+// POST /api/purchase-orders/:id/cancel - Cancelar una orden de compra
+router.post('/:id/cancel', authorize('purchasing:manage'), validateUUID, catchAsync(async (req, res) => {
+  const order = await findOrder(req.params.id);
+  await transitionOrder(order, 'cancelled', { cancelled_at: new Date() });
+
+  res.json(createResponse(
+    true,
+    'Orden de compra cancelada correctamente',
+    formatPurchaseOrder(order)
+  ));
+}));
+
+module.exports = router;
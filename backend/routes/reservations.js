@@ -0,0 +1,172 @@
+const express = require('express');
+const { Product, Location, Reservation } = require('../models');
+const {
+  validateReservation,
+  validateReservationQuery,
+  validateUUID
+} = require('../middleware/validation');
+const { authorize } = require('../middleware/auth');
+const { catchAsync, createError, rethrowRuleError } = require('../middleware/errorHandler');
+const {
+  createResponse,
+  createPaginationMeta,
+  formatReservation,
+  formatProductResponse,
+  formatStockMovement,
+  getFormatOptions,
+  getRequestActor
+} = require('../utils/helpers');
+const { emitStockMovement, emitReservationChange, emitExpiredReservations } = require('../utils/webhooks');
+const { invalidateCache } = require('../utils/cache');
+
+const router = express.Router();
+
+// Función para liberar las reservas vencidas (de un producto o de todos). Liberarlas cambia
+// el stock reservado de sus productos: se invalida la caché y se emiten los eventos.
+const releaseExpired = async (productId) => {
+  const released = await Reservation.releaseExpired({ productId });
+  if (released.length > 0) {
+    await invalidateCache();
+    await emitExpiredReservations(released);
+  }
+};
+
+// Función para obtener una reserva liberando antes las vencidas de su producto
+const findReservation = async (id) => {
+  const reservation = await Reservation.findByPk(id);
+  if (!reservation) {
+    throw createError('Reserva no encontrada', 404);
+  }
+
+  if (reservation.status === 'active' && reservation.isExpired()) {
+    await releaseExpired(reservation.product_id);
+    await reservation.reload();
+  }
+  return reservation;
+};
+
+// GET /api/reservations - Listar reservas
+router.get('/', authorize('products:read'), validateReservationQuery, catchAsync(async (req, res) => {
+  const { page, limit, status, product_id, reference } = req.query;
+
+  await releaseExpired(product_id);
+
+  const where = {};
+  if (status) where.status = status;
+  if (product_id) where.product_id = product_id;
+  if (reference) where.reference = reference;
+
+  const { count, rows } = await Reservation.findAndCountAll({
+    where,
+    order: [['created_at', 'DESC']],
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit)
+  });
+
+  const meta = createPaginationMeta(parseInt(page), parseInt(limit), count);
+
+  res.json(createResponse(
+    true,
+    count > 0 ? `Se encontraron ${count} reservas` : 'No se encontraron reservas',
+    rows.map(formatReservation),
+    null,
+    meta
+  ));
+}));
+
+// GET /api/reservations/:id - Obtener una reserva
+router.get('/:id', authorize('products:read'), validateUUID, catchAsync(async (req, res) => {
+  const reservation = await findReservation(req.params.id);
+
+  res.json(createResponse(
+    true,
+    'Reserva obtenida correctamente',
+    formatReservation(reservation)
+  ));
+}));
+
+// POST /api/reservations - Reservar stock durante un tiempo limitado
+router.post('/', authorize('reservations:manage'), validateReservation, catchAsync(async (req, res) => {
+  const { product_id, quantity, ttl_seconds, reference, location_id } = req.body;
+
+  const product = await Product.findByPk(product_id);
+  if (!product) {
+    throw createError('Producto no encontrado', 404);
+  }
+
+  if (location_id && !(await Location.findByPk(location_id))) {
+    throw createError('Ubicación no encontrada', 404);
+  }
+
+  let reservation;
+  try {
+    reservation = await product.reserve(quantity, {
+      ttlSeconds: ttl_seconds,
+      reference,
+      locationId: location_id,
+      performedBy: getRequestActor(req)
+    });
+  } catch (error) {
+    rethrowRuleError(error);
+  }
+  await emitReservationChange(product, reservation);
+
+  res.status(201).json(createResponse(
+    true,
+    'Stock reservado correctamente',
+    {
+      reservation: formatReservation(reservation),
+      product: formatProductResponse(product, getFormatOptions(req))
+    }
+  ));
+}));
+
+// POST /api/reservations/:id/confirm - Confirmar una reserva descontando el stock
+router.post('/:id/confirm', authorize('reservations:manage'), validateUUID, catchAsync(async (req, res) => {
+  const reservation = await findReservation(req.params.id);
+
+  let movement;
+  try {
+    movement = await reservation.confirm({ performedBy: getRequestActor(req) });
+  } catch (error) {
+    rethrowRuleError(error);
+  }
+
+  const product = await Product.findByPk(reservation.product_id);
+  await emitStockMovement(product, movement);
+
+  res.json(createResponse(
+    true,
+    'Reserva confirmada correctamente',
+    {
+      reservation: formatReservation(reservation),
+      product: formatProductResponse(product, getFormatOptions(req)),
+      stock_movement: formatStockMovement(movement)
+    }
+  ));
+}));
+
+// POST /api/reservations/:id/release - Liberar una reserva sin descontar stock
+router.post('/:id/release', authorize('reservations:manage'), validateUUID, catchAsync(async (req, res) => {
+  const reservation = await findReservation(req.params.id);
+
+  try {
+    await reservation.release();
+  } catch (error) {
+    rethrowRuleError(error);
+  }
+
+  const product = await Product.findByPk(reservation.product_id, { paranoid: false });
+  await emitReservationChange(product, reservation);
+
+  res.json(createResponse(
+    true,
+    'Reserva liberada correctamente',
+    {
+      reservation: formatReservation(reservation),
+      product: formatProductResponse(product, getFormatOptions(req))
+    }
+  ));
+}));
+
+module.exports = router;
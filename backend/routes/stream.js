@@ -0,0 +1,69 @@
+const express = require('express');
+const { Category } = require('../models');
+const { validateStreamQuery } = require('../middleware/validation');
+const { authorize } = require('../middleware/auth');
+const { catchAsync, createError } = require('../middleware/errorHandler');
+const { openEventStream } = require('../utils/eventStream');
+
+const router = express.Router();
+
+// Eventos que informan los cruces del stock mínimo (filtro low_stock)
+const LOW_STOCK_EVENTS = ['stock.low', 'stock.restored'];
+
+// Función para obtener el último evento recibido por el cliente (encabezado Last-Event-ID
+// que envía EventSource al reconectarse, o el parámetro last_event_id)
+const getLastEventId = (req) => {
+  const header = req.get('Last-Event-ID');
+  if (header === undefined || header === '') {
+    return req.query.last_event_id ?? null;
+  }
+
+  if (!/^\d+$/.test(header.trim())) {
+    throw createError('El encabezado Last-Event-ID debe ser un número entero', 400);
+  }
+  return parseInt(header.trim());
+};
+
+// Función para armar los filtros de la conexión ({ productIds, categoryIds, types })
+const buildStreamFilters = async (query) => {
+  const { product_id, category, types, low_stock } = query;
+  const filters = {};
+
+  if (product_id) {
+    filters.productIds = product_id;
+  }
+
+  if (category) {
+    const categoryIds = await Category.resolveDescendantIds(category);
+    if (categoryIds.length === 0) {
+      throw createError('Categoría no encontrada', 400);
+    }
+    filters.categoryIds = categoryIds;
+  }
+
+  if (types) {
+    filters.types = types;
+  }
+  if (low_stock) {
+    filters.types = (filters.types || LOW_STOCK_EVENTS).filter(type => LOW_STOCK_EVENTS.includes(type));
+    if (filters.types.length === 0) {
+      throw createError('low_stock solo admite los tipos stock.low y stock.restored', 400);
+    }
+  }
+
+  return filters;
+};
+
+// GET /api/stream - Stream de eventos de inventario (Server-Sent Events)
+router.get('/', authorize('products:read'), validateStreamQuery, catchAsync(async (req, res) => {
+  const lastEventId = getLastEventId(req);
+  const filters = await buildStreamFilters(req.query);
+
+  await openEventStream(req, res, {
+    filters,
+    lastEventId,
+    includeCost: req.user.can('products:view_cost')
+  });
+}));
+
+module.exports = router;
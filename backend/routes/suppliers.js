@@ -0,0 +1,94 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { Supplier, Product } = require('../models');
+const {
+  validateSupplier,
+  validateSupplierUpdate,
+  validateUUID
+} = require('../middleware/validation');
+const { authorize } = require('../middleware/auth');
+const { catchAsync, createError } = require('../middleware/errorHandler');
+const {
+  createResponse,
+  formatSupplier,
+  formatProductsList,
+  getFormatOptions
+} = require('../utils/helpers');
+
+const router = express.Router();
+
+// GET /api/suppliers - Listar proveedores
+router.get('/', authorize('purchasing:read'), catchAsync(async (req, res) => {
+  const suppliers = await Supplier.findAll({ order: [['name', 'ASC']] });
+
+  res.json(createResponse(
+    true,
+    `Se encontraron ${suppliers.length} proveedores`,
+    suppliers.map(formatSupplier)
+  ));
+}));
+
+// GET /api/suppliers/:id - Obtener un proveedor con sus productos
+router.get('/:id', authorize('purchasing:read'), validateUUID, catchAsync(async (req, res) => {
+  const supplier = await Supplier.findByPk(req.params.id, {
+    include: [{ model: Product, as: 'products' }]
+  });
+  if (!supplier) {
+    throw createError('Proveedor no encontrado', 404);
+  }
+
+  res.json(createResponse(
+    true,
+    'Proveedor obtenido correctamente',
+    {
+      ...formatSupplier(supplier),
+      products: formatProductsList(supplier.products, getFormatOptions(req))
+    }
+  ));
+}));
+
+// POST /api/suppliers - Crear un proveedor
+router.post('/', authorize('purchasing:manage'), validateSupplier, catchAsync(async (req, res) => {
+  const existingSupplier = await Supplier.findOne({ where: { code: req.body.code } });
+  if (existingSupplier) {
+    throw createError('El código de proveedor ya existe', 409);
+  }
+
+  const supplier = await Supplier.create(req.body);
+
+  res.status(201).json(createResponse(
+    true,
+    'Proveedor creado correctamente',
+    formatSupplier(supplier)
+  ));
+}));
+
+// PATCH /api/suppliers/:id - Actualizar un proveedor
+router.patch('/:id', authorize('purchasing:manage'), validateUUID, validateSupplierUpdate, catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const updateData = req.body;
+
+  const supplier = await Supplier.findByPk(id);
+  if (!supplier) {
+    throw createError('Proveedor no encontrado', 404);
+  }
+
+  if (updateData.code && updateData.code !== supplier.code) {
+    const existingSupplier = await Supplier.findOne({
+      where: { code: updateData.code, id: { [Op.ne]: id } }
+    });
+    if (existingSupplier) {
+      throw createError('El código de proveedor ya existe', 409);
+    }
+  }
+
+  await supplier.update(updateData);
+
+  res.json(createResponse(
+    true,
+    'Proveedor actualizado correctamente',
+    formatSupplier(supplier)
+  ));
+}));
+
+module.exports = router;
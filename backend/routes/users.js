@@ -0,0 +1,82 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { sequelize, User, RefreshToken } = require('../models');
+const { validateUser, validateUserUpdate, validateUUID } = require('../middleware/validation');
+const { catchAsync, createError } = require('../middleware/errorHandler');
+const { ROLES } = require('../config/permissions');
+const { createResponse } = require('../utils/helpers');
+
+const router = express.Router();
+
+// GET /api/users - Listar usuarios
+router.get('/', catchAsync(async (req, res) => {
+  const users = await User.findAll({ order: [['email', 'ASC']] });
+
+  res.json(createResponse(
+    true,
+    `Se encontraron ${users.length} usuarios`,
+    users.map(user => user.getPublicInfo())
+  ));
+}));
+
+// POST /api/users - Crear un usuario con rol
+router.post('/', validateUser, catchAsync(async (req, res) => {
+  const existingUser = await User.findOne({ where: { email: req.body.email } });
+  if (existingUser) {
+    throw createError('El email ya está registrado', 409);
+  }
+
+  const user = await User.create(req.body);
+
+  res.status(201).json(createResponse(
+    true,
+    'Usuario creado correctamente',
+    user.getPublicInfo()
+  ));
+}));
+
+// PATCH /api/users/:id - Actualizar rol, estado, nombre o contraseña de un usuario
+router.patch('/:id', validateUUID, validateUserUpdate, catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const updateData = req.body;
+
+  const user = await User.findByPk(id);
+  if (!user) {
+    throw createError('Usuario no encontrado', 404);
+  }
+
+  // Evitar que un administrador se bloquee a sí mismo
+  if (user.id === req.user.id &&
+      ((updateData.role && updateData.role !== ROLES.ADMIN) || updateData.is_active === false)) {
+    throw createError('No puede quitarse el rol de administrador ni desactivar su propia cuenta', 400);
+  }
+
+  if (updateData.email && updateData.email !== user.email) {
+    const existingUser = await User.findOne({
+      where: { email: updateData.email, id: { [Op.ne]: id } }
+    });
+    if (existingUser) {
+      throw createError('El email ya está registrado', 409);
+    }
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await user.update(updateData, { transaction });
+
+    // Cerrar las sesiones abiertas si cambia la contraseña o se desactiva la cuenta
+    if (updateData.password || updateData.is_active === false) {
+      await RefreshToken.update(
+        { revoked_at: new Date() },
+        { where: { user_id: id, revoked_at: null }, transaction }
+      );
+    }
+  });
+
+  res.json(createResponse(
+    true,
+    'Usuario actualizado correctamente',
+    user.getPublicInfo()
+  ));
+}));
+
+module.exports = router;
@@ -0,0 +1,240 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { Product, StockMovement, CostLayer, Category } = require('../models');
+const {
+  validateValuationQuery,
+  validateValuationProductQuery,
+  validateUUID
+} = require('../middleware/validation');
+const { authorize } = require('../middleware/auth');
+const { catchAsync, createError } = require('../middleware/errorHandler');
+const { createResponse } = require('../utils/helpers');
+const {
+  roundMoney,
+  buildPeriods,
+  valueProduct,
+  summarizeIssues
+} = require('../utils/valuation');
+
+const router = express.Router();
+
+// Función para leer las capas de costo y las salidas de los productos hasta una fecha,
+// agrupadas por producto ({ product_id: [...] })
+const loadCostHistory = async (productIds, to) => {
+  const groupByProduct = (rows) => rows.reduce((acc, row) => {
+    (acc[row.product_id] = acc[row.product_id] || []).push(row);
+    return acc;
+  }, {});
+
+  const layers = await CostLayer.findAll({
+    attributes: ['product_id', 'quantity', 'unit_cost', 'received_at'],
+    where: { product_id: { [Op.in]: productIds }, received_at: { [Op.lte]: to } },
+    order: [['received_at', 'ASC']]
+  });
+
+  // Solo las salidas consumen capas: las transferencias no cambian el total del producto.
+  // Las correcciones de inventario también consumen capas, pero no cuentan como ventas.
+  const issues = await StockMovement.findAll({
+    attributes: ['product_id', 'quantity', 'adjustment', 'createdAt'],
+    where: { product_id: { [Op.in]: productIds }, operation: 'subtract', createdAt: { [Op.lte]: to } },
+    order: [['createdAt', 'ASC']]
+  });
+
+  return {
+    layers: groupByProduct(layers.map(layer => ({
+      product_id: layer.product_id,
+      quantity: layer.quantity,
+      unit_cost: layer.unit_cost,
+      received_at: layer.received_at
+    }))),
+    issues: groupByProduct(issues.map(issue => ({
+      product_id: issue.product_id,
+      quantity: issue.quantity,
+      adjustment: issue.adjustment,
+      created_at: issue.createdAt
+    })))
+  };
+};
+
+// Función para armar una fila de valuación con importes redondeados
+const buildValuationRow = (base, { quantity, value, units_sold, cogs }) => ({
+  ...base,
+  quantity,
+  inventory_value: roundMoney(value),
+  average_unit_cost: quantity > 0 ? roundMoney(value / quantity) : 0,
+  units_sold,
+  cogs: roundMoney(cogs)
+});
+
+// GET /api/valuation - Valor del inventario y costo de ventas por producto, categoría o período
+router.get('/', authorize('valuation:read'), validateValuationQuery, catchAsync(async (req, res) => {
+  const { method, group_by, period, from, category, product_id } = req.query;
+  const to = req.query.to || new Date();
+
+  // Los productos con variantes no tienen stock propio: se valúan sus variantes
+  const where = { has_variants: false };
+  if (category) {
+    where.category_id = { [Op.in]: await Category.resolveDescendantIds(category) };
+  }
+  if (product_id) {
+    where.id = product_id;
+  }
+
+  const products = await Product.findAll({
+    attributes: ['id', 'sku', 'name', 'cost', 'category_id', 'category'],
+    where,
+    order: [['name', 'ASC']]
+  });
+  const history = await loadCostHistory(products.map(product => product.id), to);
+
+  // Agrupado por período: el valor se toma al cierre de cada período, desde from o la primera entrada
+  let periods = null;
+  if (group_by === 'period') {
+    const firstReceipt = Object.values(history.layers)
+      .map(layers => new Date(layers[0].received_at))
+      .reduce((min, date) => (date < min ? date : min), to);
+
+    try {
+      periods = buildPeriods(from || firstReceipt, to, period);
+    } catch (error) {
+      throw createError(error.message, 400);
+    }
+  }
+  const checkpoints = periods ? periods.map(p => p.end) : [to];
+
+  const valuations = products.map(product => ({
+    product,
+    ...valueProduct({
+      layers: history.layers[product.id] || [],
+      issues: history.issues[product.id] || [],
+      method,
+      fallbackCost: product.cost || 0,
+      checkpoints
+    })
+  }));
+
+  // Totales al cierre (to) y costo de ventas del rango
+  const totals = valuations.reduce((acc, { snapshots, issues }) => {
+    const closing = snapshots[snapshots.length - 1];
+    const sales = summarizeIssues(issues, from, to);
+    acc.quantity += closing.quantity;
+    acc.value += closing.value;
+    acc.units_sold += sales.units_sold;
+    acc.cogs += sales.cogs;
+    return acc;
+  }, { quantity: 0, value: 0, units_sold: 0, cogs: 0 });
+
+  let data;
+  if (group_by === 'period') {
+    data = periods.map((p, index) => {
+      const start = from && from > p.start ? from : p.start;
+      const acc = { quantity: 0, value: 0, units_sold: 0, cogs: 0 };
+      valuations.forEach(({ snapshots, issues }) => {
+        const sales = summarizeIssues(issues, start, p.end);
+        acc.quantity += snapshots[index].quantity;
+        acc.value += snapshots[index].value;
+        acc.units_sold += sales.units_sold;
+        acc.cogs += sales.cogs;
+      });
+      return buildValuationRow({ period: p.period, start, end: p.end }, acc);
+    });
+  } else if (group_by === 'category') {
+    const byCategory = new Map();
+    valuations.forEach(({ product, snapshots, issues }) => {
+      const key = product.category_id || null;
+      const entry = byCategory.get(key) || {
+        base: { category_id: key, category: product.category || null, products: 0 },
+        acc: { quantity: 0, value: 0, units_sold: 0, cogs: 0 }
+      };
+      const closing = snapshots[snapshots.length - 1];
+      const sales = summarizeIssues(issues, from, to);
+      entry.base.products += 1;
+      entry.acc.quantity += closing.quantity;
+      entry.acc.value += closing.value;
+      entry.acc.units_sold += sales.units_sold;
+      entry.acc.cogs += sales.cogs;
+      byCategory.set(key, entry);
+    });
+    data = [...byCategory.values()]
+      .map(({ base, acc }) => buildValuationRow(base, acc))
+      .sort((a, b) => b.inventory_value - a.inventory_value);
+  } else {
+    data = valuations.map(({ product, snapshots, issues }) => {
+      const closing = snapshots[snapshots.length - 1];
+      return buildValuationRow({
+        product_id: product.id,
+        sku: product.sku,
+        name: product.name,
+        category_id: product.category_id,
+        category: product.category
+      }, { ...closing, ...summarizeIssues(issues, from, to) });
+    });
+  }
+
+  res.json(createResponse(
+    true,
+    'Valuación del inventario obtenida correctamente',
+    {
+      method,
+      group_by,
+      period: group_by === 'period' ? period : undefined,
+      from: from || null,
+      to,
+      totals: buildValuationRow({}, totals),
+      data
+    }
+  ));
+}));
+
+// GET /api/valuation/products/:id - Capas de costo vigentes y salidas costeadas de un producto
+router.get('/products/:id', authorize('valuation:read'), validateUUID, validateValuationProductQuery, catchAsync(async (req, res) => {
+  const { method, from } = req.query;
+  const to = req.query.to || new Date();
+
+  const product = await Product.findByPk(req.params.id);
+  if (!product) {
+    throw createError('Producto no encontrado', 404);
+  }
+  if (product.has_variants) {
+    throw createError('El producto tiene variantes: consulte la valuación de cada variante', 400);
+  }
+
+  const history = await loadCostHistory([product.id], to);
+  const { snapshots, issues, layers } = valueProduct({
+    layers: history.layers[product.id] || [],
+    issues: history.issues[product.id] || [],
+    method,
+    fallbackCost: product.cost || 0,
+    checkpoints: [to]
+  });
+
+  const issuesInRange = issues.filter(issue => !from || issue.at >= from);
+  const shortage = issuesInRange.reduce((total, issue) => total + issue.shortage, 0);
+
+  res.json(createResponse(
+    true,
+    'Valuación del producto obtenida correctamente',
+    {
+      ...buildValuationRow({
+        product_id: product.id,
+        sku: product.sku,
+        name: product.name,
+        method,
+        from: from || null,
+        to
+      }, { ...snapshots[0], ...summarizeIssues(issues, from, to) }),
+      // Unidades vendidas sin capa de costo (historial anterior a las capas): valuadas al costo actual
+      uncosted_units: shortage,
+      layers,
+      issues: issuesInRange.map(issue => ({
+        date: issue.at,
+        quantity: issue.quantity,
+        adjustment: issue.adjustment,
+        unit_cost: roundMoney(issue.cost / issue.quantity),
+        cost: roundMoney(issue.cost)
+      }))
+    }
+  ));
+}));
+
+module.exports = router;
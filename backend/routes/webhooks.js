@@ -0,0 +1,211 @@
+const express = require('express');
+const { sequelize, WebhookSubscription, WebhookDelivery } = require('../models');
+const {
+  validateWebhook,
+  validateWebhookUpdate,
+  validateWebhookDeliveryQuery,
+  validateUUID
+} = require('../middleware/validation');
+const { authorize } = require('../middleware/auth');
+const { catchAsync, createError } = require('../middleware/errorHandler');
+const {
+  createResponse,
+  createPaginationMeta,
+  formatWebhookSubscription,
+  formatWebhookDelivery,
+  getRequestActor
+} = require('../utils/helpers');
+const { buildEvent, createDelivery, sendDelivery } = require('../utils/webhooks');
+
+const router = express.Router();
+
+// Función para enviar una entrega al momento y responder con su resultado
+const sendAndRespond = async (res, delivery, messages) => {
+  const result = (await sendDelivery(delivery)) || delivery;
+  const delivered = result.status === 'succeeded';
+
+  res.status(201).json(createResponse(
+    delivered,
+    delivered ? messages.succeeded : messages.failed,
+    formatWebhookDelivery(result, { includePayload: true })
+  ));
+};
+
+// GET /api/webhooks - Listar suscripciones
+router.get('/', authorize('webhooks:manage'), catchAsync(async (req, res) => {
+  const subscriptions = await WebhookSubscription.findAll({ order: [['createdAt', 'ASC']] });
+
+  res.json(createResponse(
+    true,
+    `Se encontraron ${subscriptions.length} suscripciones`,
+    subscriptions.map(subscription => formatWebhookSubscription(subscription))
+  ));
+}));
+
+// POST /api/webhooks - Crear una suscripción (el secreto se muestra solo en esta respuesta)
+router.post('/', authorize('webhooks:manage'), validateWebhook, catchAsync(async (req, res) => {
+  const subscription = await WebhookSubscription.create({
+    ...req.body,
+    created_by: getRequestActor(req)
+  });
+
+  res.status(201).json(createResponse(
+    true,
+    'Suscripción creada correctamente',
+    formatWebhookSubscription(subscription, { includeSecret: true })
+  ));
+}));
+
+// GET /api/webhooks/deliveries/:id - Obtener una entrega con su contenido y la respuesta del destino
+router.get('/deliveries/:id', authorize('webhooks:manage'), validateUUID, catchAsync(async (req, res) => {
+  const delivery = await WebhookDelivery.findByPk(req.params.id);
+  if (!delivery) {
+    throw createError('Entrega no encontrada', 404);
+  }
+
+  res.json(createResponse(
+    true,
+    'Entrega obtenida correctamente',
+    formatWebhookDelivery(delivery, { includePayload: true })
+  ));
+}));
+
+// POST /api/webhooks/deliveries/:id/replay - Reenviar una entrega (nueva entrega con el mismo evento)
+router.post('/deliveries/:id/replay', authorize('webhooks:manage'), validateUUID, catchAsync(async (req, res) => {
+  const original = await WebhookDelivery.findByPk(req.params.id);
+  if (!original) {
+    throw createError('Entrega no encontrada', 404);
+  }
+
+  const subscription = await WebhookSubscription.findByPk(original.subscription_id);
+  if (!subscription) {
+    throw createError('La suscripción de la entrega fue eliminada', 400);
+  }
+  if (!subscription.is_active) {
+    throw createError('La suscripción está inactiva', 400);
+  }
+
+  const delivery = await createDelivery(subscription, original.payload, { replayOf: original.id });
+
+  await sendAndRespond(res, delivery, {
+    succeeded: 'Entrega reenviada correctamente',
+    failed: 'El reenvío falló; se reintentará automáticamente'
+  });
+}));
+
+// GET /api/webhooks/:id - Obtener una suscripción con el resumen de sus entregas
+router.get('/:id', authorize('webhooks:manage'), validateUUID, catchAsync(async (req, res) => {
+  const subscription = await WebhookSubscription.findByPk(req.params.id);
+  if (!subscription) {
+    throw createError('Suscripción no encontrada', 404);
+  }
+
+  const counts = await WebhookDelivery.count({
+    where: { subscription_id: subscription.id },
+    group: ['status']
+  });
+  const deliveries = { pending: 0, succeeded: 0, failed: 0 };
+  counts.forEach(({ status, count }) => { deliveries[status] = Number(count); });
+
+  res.json(createResponse(
+    true,
+    'Suscripción obtenida correctamente',
+    { ...formatWebhookSubscription(subscription), deliveries }
+  ));
+}));
+
+// PATCH /api/webhooks/:id - Actualizar una suscripción (rotate_secret genera un secreto nuevo)
+router.patch('/:id', authorize('webhooks:manage'), validateUUID, validateWebhookUpdate, catchAsync(async (req, res) => {
+  const { rotate_secret, ...updateData } = req.body;
+
+  const subscription = await WebhookSubscription.findByPk(req.params.id);
+  if (!subscription) {
+    throw createError('Suscripción no encontrada', 404);
+  }
+
+  if (rotate_secret) {
+    updateData.secret = WebhookSubscription.generateSecret();
+  }
+  await subscription.update(updateData);
+
+  res.json(createResponse(
+    true,
+    'Suscripción actualizada correctamente',
+    formatWebhookSubscription(subscription, { includeSecret: Boolean(rotate_secret || updateData.secret) })
+  ));
+}));
+
+// DELETE /api/webhooks/:id - Eliminar una suscripción (sus entregas pendientes se cancelan)
+router.delete('/:id', authorize('webhooks:manage'), validateUUID, catchAsync(async (req, res) => {
+  const subscription = await WebhookSubscription.findByPk(req.params.id);
+  if (!subscription) {
+    throw createError('Suscripción no encontrada', 404);
+  }
+
+  await sequelize.transaction(async (transaction) => {
+    await WebhookDelivery.update(
+      { status: 'failed', next_attempt_at: null, error: 'La suscripción fue eliminada' },
+      { where: { subscription_id: subscription.id, status: 'pending' }, transaction }
+    );
+    await subscription.destroy({ transaction });
+  });
+
+  res.json(createResponse(
+    true,
+    'Suscripción eliminada correctamente'
+  ));
+}));
+
+// POST /api/webhooks/:id/test - Enviar un evento de prueba (webhook.test) y mostrar el resultado
+router.post('/:id/test', authorize('webhooks:manage'), validateUUID, catchAsync(async (req, res) => {
+  const subscription = await WebhookSubscription.findByPk(req.params.id);
+  if (!subscription) {
+    throw createError('Suscripción no encontrada', 404);
+  }
+  if (!subscription.is_active) {
+    throw createError('La suscripción está inactiva', 400);
+  }
+
+  const event = buildEvent('webhook.test', {
+    subscription_id: subscription.id,
+    message: 'Evento de prueba',
+    requested_by: getRequestActor(req)
+  });
+  const delivery = await createDelivery(subscription, event);
+
+  await sendAndRespond(res, delivery, {
+    succeeded: 'Evento de prueba entregado correctamente',
+    failed: 'El destino no aceptó el evento de prueba; se reintentará automáticamente'
+  });
+}));
+
+// GET /api/webhooks/:id/deliveries - Registro de entregas de una suscripción
+router.get('/:id/deliveries', authorize('webhooks:manage'), validateUUID, validateWebhookDeliveryQuery, catchAsync(async (req, res) => {
+  const { page, limit, status, event_type } = req.query;
+
+  const subscription = await WebhookSubscription.findByPk(req.params.id);
+  if (!subscription) {
+    throw createError('Suscripción no encontrada', 404);
+  }
+
+  const where = { subscription_id: subscription.id };
+  if (status) where.status = status;
+  if (event_type) where.event_type = event_type;
+
+  const { count, rows } = await WebhookDelivery.findAndCountAll({
+    where,
+    order: [['createdAt', 'DESC']],
+    limit: parseInt(limit),
+    offset: (parseInt(page) - 1) * parseInt(limit)
+  });
+
+  res.json(createResponse(
+    true,
+    count > 0 ? `Se encontraron ${count} entregas` : 'No se encontraron entregas',
+    rows.map(delivery => formatWebhookDelivery(delivery)),
+    null,
+    createPaginationMeta(parseInt(page), parseInt(limit), count)
+  ));
+}));
+
+module.exports = router;
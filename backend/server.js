@@ -6,12 +6,38 @@ require('dotenv').config();
 
 // Importar configuración de base de datos
 const { testConnection, syncDatabase } = require('./config/database');
+const reservationsConfig = require('./config/reservations');
+const idempotencyConfig = require('./config/idempotency');
+const webhooksConfig = require('./config/webhooks');
+const streamConfig = require('./config/stream');
+const cacheConfig = require('./config/cache');
 
 // Importar middleware
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { authenticate, authenticateStream, authorize } = require('./middleware/auth');
+const { idempotency } = require('./middleware/idempotency');
+const { invalidateCacheOnWrite } = require('./middleware/cache');
+
+// Importar modelos
+const { User, Product, StockLevel, Category, CostLayer, Reservation, IdempotencyKey, StreamEvent } = require('./models');
+const { retryDueDeliveries, flushDeliveries, emitExpiredReservations } = require('./utils/webhooks');
+const { closeEventStreams } = require('./utils/eventStream');
+const { getCacheStore, invalidateCache, closeCache } = require('./utils/cache');
 
 // Importar rutas
 const productsRoutes = require('./routes/products');
+const auditRoutes = require('./routes/audit');
+const authRoutes = require('./routes/auth');
+const usersRoutes = require('./routes/users');
+const locationsRoutes = require('./routes/locations');
+const suppliersRoutes = require('./routes/suppliers');
+const categoriesRoutes = require('./routes/categories');
+const valuationRoutes = require('./routes/valuation');
+const forecastRoutes = require('./routes/forecast');
+const webhooksRoutes = require('./routes/webhooks');
+const streamRoutes = require('./routes/stream');
+const purchaseOrdersRoutes = require('./routes/purchaseOrders');
+const reservationsRoutes = require('./routes/reservations');
 
 // Crear aplicación Express
 const app = express();
@@ -23,7 +49,8 @@ const PORT = process.env.PORT || 3001;
 const corsOptions = {
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match', 'If-None-Match', 'Idempotency-Key', 'Last-Event-ID'],
+  exposedHeaders: ['ETag', 'Idempotent-Replayed', 'Content-Disposition'],
   credentials: true
 };
 
@@ -32,6 +59,8 @@ app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" }
 })); // Seguridad
 app.use(cors(corsOptions)); // CORS
+// El stream acepta el token en la URL (access_token): no se escribe en el log
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]access_token=)[^&]*/g, '$1[oculto]'));
 app.use(morgan('combined')); // Logging de requests
 app.use(express.json({ limit: '10mb' })); // Parser JSON
 app.use(express.urlencoded({ extended: true, limit: '10mb' })); // Parser URL-encoded
@@ -68,7 +97,19 @@ app.get('/', (req, res) => {
       version: '1.0.0',
       environment: process.env.NODE_ENV || 'development',
       endpoints: {
+        auth: '/api/auth',
         products: '/api/products',
+        locations: '/api/locations',
+        suppliers: '/api/suppliers',
+        categories: '/api/categories',
+        valuation: '/api/valuation',
+        forecast: '/api/forecast',
+        webhooks: '/api/webhooks',
+        stream: '/api/stream',
+        purchase_orders: '/api/purchase-orders',
+        reservations: '/api/reservations',
+        audit: '/api/audit',
+        users: '/api/users',
         health: '/health',
         documentation: '/api/docs'
       },
@@ -76,6 +117,10 @@ app.get('/', (req, res) => {
         'CRUD de productos',
         'Búsqueda y filtrado avanzado',
         'Gestión de stock',
+        'Proveedores y órdenes de compra',
+        'Reservas de stock con expiración',
+        'Reintentos seguros con Idempotency-Key',
+        'Eventos de stock en tiempo real (Server-Sent Events)',
         'Reportes de inventario',
         'Validación de datos',
         'Paginación',
@@ -87,7 +132,19 @@ app.get('/', (req, res) => {
 });
 
 // Rutas de la API
-app.use('/api/products', productsRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/products', authenticate, idempotency, invalidateCacheOnWrite, productsRoutes);
+app.use('/api/locations', authenticate, idempotency, invalidateCacheOnWrite, locationsRoutes);
+app.use('/api/suppliers', authenticate, idempotency, invalidateCacheOnWrite, suppliersRoutes);
+app.use('/api/categories', authenticate, idempotency, invalidateCacheOnWrite, categoriesRoutes);
+app.use('/api/valuation', authenticate, valuationRoutes);
+app.use('/api/forecast', authenticate, idempotency, invalidateCacheOnWrite, forecastRoutes);
+app.use('/api/webhooks', authenticate, idempotency, webhooksRoutes);
+app.use('/api/stream', authenticateStream, streamRoutes);
+app.use('/api/purchase-orders', authenticate, idempotency, invalidateCacheOnWrite, purchaseOrdersRoutes);
+app.use('/api/reservations', authenticate, idempotency, invalidateCacheOnWrite, reservationsRoutes);
+app.use('/api/audit', authenticate, authorize('audit:read'), auditRoutes);
+app.use('/api/users', authenticate, authorize('users:manage'), usersRoutes);
 
 // Ruta para documentación (placeholder)
 app.get('/api/docs', (req, res) => {
@@ -99,39 +156,118 @@ app.get('/api/docs', (req, res) => {
       version: '1.0.0',
       description: 'API RESTful para gestión de inventarios',
       base_url: `${req.protocol}://${req.get('host')}`,
+      authentication: 'Bearer token en el header Authorization (requerido en todas las rutas excepto /api/auth; /api/stream también acepta el parámetro access_token)',
+      idempotency: 'Encabezado Idempotency-Key opcional en POST/PUT/PATCH/DELETE: los reintentos idénticos reciben la respuesta original',
+      cache: 'GET /api/products, /api/products/stats y /api/products/reports/:type se guardan en caché (memoria o Redis) hasta su TTL o la siguiente escritura; el encabezado X-Cache indica HIT, MISS o BYPASS',
+      roles: {
+        admin: 'Acceso total, incluye restaurar productos y gestionar usuarios',
+        inventory_manager: 'Crear, actualizar y eliminar productos, gestionar stock, proveedores y órdenes de compra, y consultar auditoría',
+        warehouse_operator: 'Consultar productos, gestionar stock y reservas, y recibir órdenes de compra',
+        viewer: 'Solo lectura, sin acceso al costo de los productos'
+      },
       endpoints: {
-        'GET /api/products': 'Obtener todos los productos con paginación y filtros',
+        'POST /api/auth/login': 'Iniciar sesión y obtener access/refresh tokens',
+        'POST /api/auth/refresh': 'Renovar tokens con un refresh token',
+        'POST /api/auth/logout': 'Cerrar la sesión actual',
+        'GET /api/auth/me': 'Obtener el usuario autenticado',
+        'GET /api/users': 'Listar usuarios (admin)',
+        'POST /api/users': 'Crear un usuario con rol (admin)',
+        'PATCH /api/users/:id': 'Actualizar rol, estado o contraseña de un usuario (admin)',
+        'GET /api/products': 'Obtener todos los productos con paginación y filtros (variants=flat|group|expand; format=csv|xlsx|json o Accept exporta todo el resultado)',
         'GET /api/products/:id': 'Obtener un producto específico',
         'POST /api/products': 'Crear un nuevo producto',
-        'PUT /api/products/:id': 'Actualizar un producto completamente',
-        'PATCH /api/products/:id': 'Actualizar un producto parcialmente',
-        'PATCH /api/products/:id/stock': 'Actualizar stock de un producto',
-        'DELETE /api/products/:id': 'Eliminar un producto (soft delete)',
+        'POST /api/products/import': 'Importación masiva desde CSV o XLSX en el campo file (dry_run, mode: upsert|create)',
+        'PUT /api/products/:id': 'Actualizar un producto completamente (requiere If-Match o version)',
+        'PATCH /api/products/:id': 'Actualizar un producto parcialmente (requiere If-Match o version)',
+        'PATCH /api/products/:id/stock': 'Actualizar stock de un producto (location_id opcional, por defecto la ubicación principal)',
+        'POST /api/products/:id/transfer': 'Transferir stock entre dos ubicaciones',
+        'GET /api/products/:id/variants': 'Listar las variantes de un producto',
+        'POST /api/products/:id/variants': 'Crear una variante (sku, options, precio y stock propios; hereda descripción, categoría y marca)',
+        'POST /api/products/stock/batch': 'Ajuste masivo de stock (items: [{ id o sku, quantity, operation, reason }]) en una sola transacción',
+        'DELETE /api/products/:id': 'Eliminar un producto (soft delete; 409 si tiene reservas activas)',
         'POST /api/products/:id/restore': 'Restaurar un producto eliminado',
-        'GET /api/products/stats': 'Obtener estadísticas del inventario',
-        'GET /api/products/reports/:type': 'Generar reportes',
+        'GET /api/products/:id/history': 'Historial de movimientos de stock (filtros: from, to, operation)',
+        'GET /api/products/:id/audit': 'Auditoría de cambios de un producto (filtros: field, performed_by, action, from, to)',
+        'GET /api/audit': 'Auditoría global de cambios (filtros: entity_type, entity_id, field, performed_by, action, from, to)',
+        'GET /api/products/stats': 'Obtener estadísticas del inventario (location_id opcional)',
+        'GET /api/products/reports/:type': 'Generar reportes paginados (page, limit hasta 1000; location_id opcional; format=csv|xlsx|json o Accept para exportar todo)',
+        'GET /api/locations': 'Listar ubicaciones (almacenes y tiendas)',
+        'POST /api/locations': 'Crear una ubicación',
+        'PATCH /api/locations/:id': 'Actualizar una ubicación',
+        'GET /api/locations/:id/stock': 'Stock de productos en una ubicación (low_stock, threshold)',
+        'GET /api/suppliers': 'Listar proveedores',
+        'GET /api/suppliers/:id': 'Obtener un proveedor con sus productos',
+        'POST /api/suppliers': 'Crear un proveedor',
+        'PATCH /api/suppliers/:id': 'Actualizar un proveedor',
+        'GET /api/categories': 'Listar categorías (tree=true para el árbol con conteo de productos)',
+        'GET /api/categories/:id': 'Obtener una categoría con su ruta, subcategorías y productos',
+        'POST /api/categories': 'Crear una categoría (parent_id opcional)',
+        'PATCH /api/categories/:id': 'Renombrar o mover una categoría',
+        'DELETE /api/categories/:id': 'Eliminar una categoría sin subcategorías ni productos',
+        'GET /api/valuation': 'Valor del inventario y costo de ventas (method=fifo|lifo|average, group_by=product|category|period, from, to)',
+        'GET /api/valuation/products/:id': 'Capas de costo vigentes y salidas costeadas de un producto',
+        'GET /api/forecast': 'Pronóstico de demanda y punto de reorden sugerido (method, history_days, service_level, lead_time_days, needs_reorder)',
+        'GET /api/forecast/products/:id': 'Pronóstico de un producto con su consumo diario',
+        'POST /api/forecast/apply': 'Guardar el punto de reorden sugerido como min_stock (product_ids)',
+        'GET /api/webhooks': 'Listar suscripciones de webhook',
+        'POST /api/webhooks': 'Crear una suscripción (url, events, secret opcional)',
+        'GET /api/webhooks/:id': 'Obtener una suscripción con el resumen de entregas',
+        'PATCH /api/webhooks/:id': 'Actualizar una suscripción (rotate_secret para un secreto nuevo)',
+        'DELETE /api/webhooks/:id': 'Eliminar una suscripción',
+        'POST /api/webhooks/:id/test': 'Enviar un evento de prueba',
+        'GET /api/webhooks/:id/deliveries': 'Registro de entregas (filtros: status, event_type)',
+        'GET /api/webhooks/deliveries/:id': 'Obtener una entrega con su contenido y la respuesta del destino',
+        'POST /api/webhooks/deliveries/:id/replay': 'Reenviar una entrega',
+        'GET /api/stream': 'Stream de eventos en tiempo real por SSE (product_id, category, types, low_stock; reanuda con Last-Event-ID)',
+        'GET /api/purchase-orders': 'Listar órdenes de compra (filtros: status, supplier_id)',
+        'GET /api/purchase-orders/:id': 'Obtener una orden de compra con sus líneas y totales',
+        'POST /api/purchase-orders': 'Crear una orden de compra en borrador',
+        'PATCH /api/purchase-orders/:id': 'Modificar una orden en borrador',
+        'POST /api/purchase-orders/:id/send': 'Marcar la orden como enviada',
+        'POST /api/purchase-orders/:id/receive': 'Recibir mercancía (parcial o total): suma stock y actualiza el costo',
+        'POST /api/purchase-orders/:id/cancel': 'Cancelar una orden de compra',
+        'GET /api/reservations': 'Listar reservas (filtros: status, product_id, reference)',
+        'GET /api/reservations/:id': 'Obtener una reserva',
+        'POST /api/reservations': 'Reservar stock durante ttl_seconds (por defecto RESERVATION_TTL_SECONDS)',
+        'POST /api/reservations/:id/confirm': 'Confirmar una reserva descontando el stock',
+        'POST /api/reservations/:id/release': 'Liberar una reserva sin descontar stock',
         'GET /api/products/search': 'Búsqueda avanzada',
         'GET /health': 'Verificar estado de la API'
       },
       query_parameters: {
         page: 'Número de página (default: 1)',
         limit: 'Elementos por página (default: 10, max: 100)',
+        cursor: 'Cursor de meta.pagination (next_cursor/prev_cursor) para paginar sin offset',
+        include_total: 'Calcular el total de elementos (default: true por página, false con cursor)',
         search: 'Término de búsqueda',
-        category: 'Filtrar por categoría',
-        brand: 'Filtrar por marca',
+        category: 'Filtrar por categoría (id, slug o nombre; incluye subcategorías). Varias: category[in]=a,b',
+        brand: 'Filtrar por marca. Varias: brand[in]=a,b',
+        'price[op], cost[op], stock[op]': 'Rangos numéricos con op: gte, gt, lte, lt, eq (ej. price[gte]=10)',
+        'created_at[op], updated_at[op]': 'Rangos de fechas ISO 8601 con op: gte, gt, lte, lt',
+        'margin[op]': 'Margen sobre el precio en % ((price - cost) / price * 100) con op: gte, gt, lte, lt, eq (cost y margin requieren products:view_cost)',
+        'sku[prefix]': 'Filtrar por prefijo de SKU',
+        has_image: 'Filtrar productos con o sin imagen (true/false)',
         is_active: 'Filtrar por estado activo (true/false)',
         low_stock: 'Filtrar productos con stock bajo (true/false)',
+        location_id: 'Mostrar el stock de una ubicación en lugar del total',
         sort_by: 'Campo para ordenar (name, sku, price, stock, created_at, updated_at)',
         sort_order: 'Orden de clasificación (ASC, DESC)',
-        include_stats: 'Incluir estadísticas en la respuesta (true/false)'
+        include_stats: 'Incluir estadísticas en la respuesta (true/false)',
+        fields: 'Campos de cada producto separados por comas, incluidos los calculados (ej. id,name,sku,stock_value); también en GET /api/products/:id',
+        expand: 'Datos relacionados separados por comas: movements, supplier, locations; también en GET /api/products/:id'
       },
       status_codes: {
         200: 'Operación exitosa',
         201: 'Recurso creado exitosamente',
         400: 'Solicitud incorrecta',
+        401: 'No autenticado (token ausente, inválido o expirado)',
+        403: 'Sin permisos para la acción según el rol',
         404: 'Recurso no encontrado',
-        409: 'Conflicto (ej: SKU duplicado)',
-        422: 'Error de validación',
+        409: 'Conflicto (ej: SKU duplicado o Idempotency-Key en curso)',
+        412: 'El recurso cambió desde que se leyó (If-Match o version desactualizados)',
+        413: 'El archivo subido excede el tamaño máximo permitido',
+        422: 'Error de validación o Idempotency-Key reutilizada con otra petición',
+        428: 'Falta la precondición (If-Match o version) en la actualización',
         500: 'Error interno del servidor'
       }
     }
@@ -160,6 +296,79 @@ const startServer = async () => {
       console.log('🔄 Base de datos reiniciada (modo desarrollo)');
     }
 
+    // Asignar a la ubicación por defecto el stock de productos sin niveles por ubicación
+    const backfilled = await StockLevel.backfillFromProducts();
+    if (backfilled > 0) {
+      console.log(`📦 Stock de ${backfilled} productos asignado a la ubicación por defecto`);
+    }
+
+    // Migrar las categorías de texto de los productos al árbol de categorías
+    const categorized = await Category.backfillFromProducts();
+    if (categorized > 0) {
+      console.log(`🗂️  ${categorized} productos asignados al árbol de categorías`);
+    }
+
+    // Completar el texto normalizado de búsqueda de los productos creados antes de tenerlo
+    const indexed = await Product.backfillSearchText();
+    if (indexed > 0) {
+      console.log(`🔎 Texto de búsqueda generado para ${indexed} productos`);
+    }
+
+    // Crear capas de costo de apertura para el stock registrado antes de la valuación por capas
+    const layered = await CostLayer.backfillFromProducts();
+    if (layered > 0) {
+      console.log(`💰 Capas de costo de apertura creadas para ${layered} productos`);
+    }
+
+    // Crear usuario inicial si la base de datos no tiene usuarios
+    const initialUser = await User.ensureInitialUser({
+      email: process.env.ADMIN_EMAIL,
+      password: process.env.ADMIN_PASSWORD
+    });
+    if (initialUser) {
+      console.log(`👤 Usuario inicial creado: ${initialUser.email}`);
+    }
+
+    // Crear la caché de respuestas al iniciar: una configuración inválida detiene el arranque
+    if (getCacheStore()) {
+      console.log(`🗄️  Caché de respuestas: ${cacheConfig.driver}`);
+    }
+
+    // Liberar periódicamente las reservas vencidas
+    const reservationSweeper = setInterval(() => {
+      // El stock reservado aparece en las respuestas de productos: invalidar la caché si cambió
+      Reservation.releaseExpired()
+        .then(async (released) => {
+          if (released.length === 0) return;
+          await invalidateCache();
+          await emitExpiredReservations(released);
+        })
+        .catch((error) => {
+          console.error('❌ Error al liberar reservas vencidas:', error.message);
+        });
+    }, reservationsConfig.sweepIntervalMs);
+
+    // Eliminar periódicamente las claves de idempotencia expiradas
+    const idempotencySweeper = setInterval(() => {
+      IdempotencyKey.purgeExpired().catch((error) => {
+        console.error('❌ Error al eliminar claves de idempotencia expiradas:', error.message);
+      });
+    }, idempotencyConfig.sweepIntervalMs);
+
+    // Reintentar periódicamente las entregas de webhooks pendientes
+    const webhookSweeper = setInterval(() => {
+      retryDueDeliveries().catch((error) => {
+        console.error('❌ Error al reintentar entregas de webhooks:', error.message);
+      });
+    }, webhooksConfig.sweepIntervalMs);
+
+    // Eliminar periódicamente los eventos del stream más antiguos que la retención
+    const streamSweeper = setInterval(() => {
+      StreamEvent.prune(streamConfig.retentionHours).catch((error) => {
+        console.error('❌ Error al eliminar eventos antiguos del stream:', error.message);
+      });
+    }, streamConfig.sweepIntervalMs);
+
     // Iniciar servidor
     const server = app.listen(PORT, () => {
       console.log(`✅ Servidor iniciado en puerto ${PORT}`);
@@ -180,12 +389,21 @@ const startServer = async () => {
     // Manejo graceful de cierre del servidor
     const gracefulShutdown = (signal) => {
       console.log(`\n📴 Recibida señal ${signal}, cerrando servidor...`);
+      clearInterval(reservationSweeper);
+      clearInterval(idempotencySweeper);
+      clearInterval(webhookSweeper);
+      clearInterval(streamSweeper);
+      // Las conexiones SSE no terminan solas: cerrarlas para que el servidor pueda detenerse
+      closeEventStreams();
+      closeCache().catch((error) => {
+        console.error('❌ Error al cerrar la caché:', error.message);
+      });
       
       server.close(() => {
         console.log('✅ Servidor HTTP cerrado.');
         
-        // Cerrar conexión a la base de datos
-        require('./config/database').sequelize.close().then(() => {
+        // Terminar los envíos de webhooks en curso y cerrar la conexión a la base de datos
+        flushDeliveries().then(() => require('./config/database').sequelize.close()).then(() => {
           console.log('✅ Conexión a la base de datos cerrada.');
           process.exit(0);
         }).catch((error) => {
@@ -0,0 +1,100 @@
+const request = require('supertest');
+const { app, setupDatabase, createUserHeader } = require('./support/app');
+const { sequelize } = require('../models');
+
+describe('Auditoría de cambios', () => {
+  let authHeader;
+  let product;
+
+  // Función para consultar la auditoría de un producto
+  const getAudit = async (query = {}) => {
+    const response = await request(app)
+      .get(`/api/products/${product.id}/audit`)
+      .query(query)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    return response.body.data.entries;
+  };
+
+  beforeAll(async () => {
+    authHeader = await setupDatabase();
+
+    const created = await request(app)
+      .post('/api/products')
+      .set('Authorization', authHeader)
+      .send({ name: 'Producto Auditado', sku: 'AUD-001', price: 10, stock: 4 })
+      .expect(201);
+    product = created.body.data;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('Debería registrar la creación con los valores iniciales', async () => {
+    const [entry] = await getAudit({ action: 'create' });
+
+    expect(entry.performed_by).toBe('admin@test.com');
+    expect(entry.changes.sku).toEqual({ before: null, after: 'AUD-001' });
+    expect(entry.changes.price).toEqual({ before: null, after: 10 });
+  });
+
+  test('Debería registrar solo los campos modificados', async () => {
+    await request(app)
+      .patch(`/api/products/${product.id}`)
+      .set('Authorization', authHeader)
+      .set('If-Match', '*')
+      .send({ name: 'Producto Auditado 2', price: 12, sku: 'AUD-001' })
+      .expect(200);
+
+    const [entry] = await getAudit({ action: 'update' });
+    expect(entry.changes).toEqual({
+      name: { before: 'Producto Auditado', after: 'Producto Auditado 2' },
+      price: { before: 10, after: 12 }
+    });
+  });
+
+  test('Debería registrar los cambios de stock', async () => {
+    await request(app)
+      .patch(`/api/products/${product.id}/stock`)
+      .set('Authorization', authHeader)
+      .send({ quantity: 3, operation: 'add' })
+      .expect(200);
+
+    const [entry] = await getAudit({ field: 'stock', action: 'update' });
+    expect(entry.changes.stock).toEqual({ before: 4, after: 7 });
+  });
+
+  test('Debería registrar la eliminación y la restauración', async () => {
+    await request(app)
+      .delete(`/api/products/${product.id}`)
+      .set('Authorization', authHeader)
+      .expect(200);
+    await request(app)
+      .post(`/api/products/${product.id}/restore`)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    const entries = await getAudit();
+    expect(entries.map(entry => entry.action).slice(0, 2)).toEqual(['restore', 'delete']);
+    expect(entries[0].changes.deletedAt.after).toBeNull();
+  });
+
+  test('Debería filtrar la auditoría global por campo y entidad', async () => {
+    const response = await request(app)
+      .get('/api/audit')
+      .query({ entity_type: 'Product', entity_id: product.id, field: 'price' })
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    expect(response.body.data.map(entry => entry.action)).toEqual(['update', 'create']);
+  });
+
+  test('Debería rechazar la auditoría a usuarios sin permiso', async () => {
+    const viewerHeader = await createUserHeader(authHeader, { email: 'lector@test.com', name: 'Lector', role: 'viewer' });
+
+    await request(app).get('/api/audit').set('Authorization', viewerHeader).expect(403);
+    await request(app).get(`/api/products/${product.id}/audit`).set('Authorization', viewerHeader).expect(403);
+  });
+});
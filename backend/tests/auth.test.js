@@ -0,0 +1,151 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { app, setupDatabase } = require('./support/app');
+const { sequelize, RefreshToken } = require('../models');
+const { queueTransactions } = require('./support/sqliteTransactions');
+
+// Las renovaciones simultáneas abren transacciones en paralelo (ver tests/support)
+queueTransactions(sequelize);
+
+describe('Autenticación', () => {
+  // Función para iniciar sesión con el usuario inicial
+  const login = async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@test.com', password: 'clave-segura' })
+      .expect(200);
+
+    return response.body.data;
+  };
+
+  // Función para renovar los tokens con un refresh token
+  const refresh = (refreshToken) => request(app)
+    .post('/api/auth/refresh')
+    .send({ refresh_token: refreshToken });
+
+  // Función para consultar el usuario autenticado con un access token
+  const me = (accessToken) => request(app)
+    .get('/api/auth/me')
+    .set('Authorization', `Bearer ${accessToken}`);
+
+  beforeAll(async () => {
+    await setupDatabase();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('Inicio y cierre de sesión', () => {
+    test('Debería iniciar sesión con credenciales válidas', async () => {
+      const session = await login();
+
+      expect(session.user.email).toBe('admin@test.com');
+      expect(session.user.role).toBe('admin');
+      expect(session.user.password).toBeUndefined();
+      expect(session.access_token).toBeDefined();
+      expect(session.refresh_token).toBeDefined();
+
+      const response = await me(session.access_token).expect(200);
+      expect(response.body.data.email).toBe('admin@test.com');
+    });
+
+    test('Debería rechazar credenciales inválidas con el mismo mensaje', async () => {
+      const wrongPassword = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'admin@test.com', password: 'otra-clave' })
+        .expect(401);
+      const unknownUser = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'nadie@test.com', password: 'clave-segura' })
+        .expect(401);
+
+      expect(wrongPassword.body.message).toBe('Credenciales inválidas');
+      expect(unknownUser.body.message).toBe(wrongPassword.body.message);
+    });
+
+    test('Debería exigir un access token válido', async () => {
+      await request(app).get('/api/products').expect(401);
+      await me('token-invalido').expect(401);
+
+      const session = await login();
+      await me(session.refresh_token).expect(401);
+    });
+
+    test('Debería renovar los tokens y cerrar la sesión', async () => {
+      const session = await login();
+      const renewed = (await refresh(session.refresh_token).expect(200)).body.data;
+      expect(renewed.refresh_token).not.toBe(session.refresh_token);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${renewed.access_token}`)
+        .expect(200);
+
+      await me(renewed.access_token).expect(401);
+      await refresh(renewed.refresh_token).expect(401);
+    });
+
+    test('Debería cerrar las sesiones de un usuario desactivado', async () => {
+      const admin = await login();
+      await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${admin.access_token}`)
+        .send({ email: 'operador@test.com', name: 'Operador', password: 'clave-segura', role: 'warehouse_operator' })
+        .expect(201);
+
+      const operator = (await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'operador@test.com', password: 'clave-segura' })
+        .expect(200)).body.data;
+
+      await request(app)
+        .patch(`/api/users/${operator.user.id}`)
+        .set('Authorization', `Bearer ${admin.access_token}`)
+        .send({ is_active: false })
+        .expect(200);
+
+      await me(operator.access_token).expect(401);
+      await refresh(operator.refresh_token).expect(401);
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'operador@test.com', password: 'clave-segura' })
+        .expect(403);
+    });
+  });
+
+  describe('Rotación del refresh token', () => {
+    test('Debería revocar toda la familia al reutilizar un refresh token ya rotado', async () => {
+      const first = await login();
+      const second = (await refresh(first.refresh_token).expect(200)).body.data;
+      const third = (await refresh(second.refresh_token).expect(200)).body.data;
+
+      const reused = await refresh(first.refresh_token).expect(401);
+      expect(reused.body.message).toContain('ya fue utilizado');
+
+      await me(third.access_token).expect(401);
+      await refresh(third.refresh_token).expect(401);
+
+      // Otras sesiones del mismo usuario no se ven afectadas
+      const other = await login();
+      await me(other.access_token).expect(200);
+    });
+
+    test('Debería renovar una sola vez con el mismo refresh token en paralelo', async () => {
+      const session = await login();
+
+      const responses = await Promise.all([refresh(session.refresh_token), refresh(session.refresh_token)]);
+      const statuses = responses.map(response => response.status).sort();
+      expect(statuses).toEqual([200, 401]);
+
+      // La reutilización cierra también la sesión que obtuvo la renovación
+      const renewed = responses.find(response => response.status === 200).body.data;
+      await me(renewed.access_token).expect(401);
+
+      // Solo se emitió una sesión nueva y ninguna de la familia sigue vigente
+      const familyId = jwt.decode(session.refresh_token).jti;
+      expect(await RefreshToken.count({ where: { family_id: familyId } })).toBe(2);
+      expect(await RefreshToken.count({ where: { family_id: familyId, revoked_at: null } })).toBe(0);
+    });
+  });
+});
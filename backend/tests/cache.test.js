@@ -0,0 +1,203 @@
+const request = require('supertest');
+const { app, setupDatabase } = require('./support/app');
+const { sequelize, Reservation } = require('../models');
+const { createMemoryStore, createRedisStore, setCacheStore } = require('../utils/cache');
+
+// Reemplazo en memoria de un cliente de Redis con los comandos que usa la caché
+const createRedisStandIn = () => {
+  const data = new Map();
+  return {
+    data,
+    async get(key) {
+      return data.has(key) ? data.get(key).value : null;
+    },
+    async set(key, value, options = {}) {
+      data.set(key, { value, ttl: options.EX });
+      return 'OK';
+    },
+    async incr(key) {
+      const value = (parseInt(data.has(key) ? data.get(key).value : 0) || 0) + 1;
+      data.set(key, { value: String(value) });
+      return value;
+    }
+  };
+};
+
+describe('Caché de respuestas', () => {
+  describe('Almacenamiento en memoria', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('Debería descartar las entradas menos usadas al superar el máximo', async () => {
+      const store = createMemoryStore({ maxEntries: 2 });
+
+      await store.set('a', '1', 60);
+      await store.set('b', '2', 60);
+      expect(await store.get('a')).toBe('1');
+
+      await store.set('c', '3', 60);
+
+      expect(await store.get('b')).toBeNull();
+      expect(await store.get('a')).toBe('1');
+      expect(await store.get('c')).toBe('3');
+      expect(store.size).toBe(2);
+    });
+
+    test('Debería vencer las entradas al cumplirse su TTL', async () => {
+      const store = createMemoryStore({ maxEntries: 10 });
+      const now = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      await store.set('a', '1', 30);
+      clock.mockReturnValue(now + 29000);
+      expect(await store.get('a')).toBe('1');
+
+      clock.mockReturnValue(now + 30000);
+      expect(await store.get('a')).toBeNull();
+      expect(store.size).toBe(0);
+    });
+
+    test('Debería vaciarse al incrementar la generación', async () => {
+      const store = createMemoryStore({ maxEntries: 10 });
+
+      await store.set('a', '1', 60);
+      expect(await store.bumpGeneration()).toBe(1);
+
+      expect(await store.getGeneration()).toBe(1);
+      expect(await store.get('a')).toBeNull();
+    });
+  });
+
+  describe('Almacenamiento en Redis', () => {
+    test('Debería guardar con prefijo y vencimiento, y contar generaciones', async () => {
+      const client = createRedisStandIn();
+      const store = createRedisStore({ client, keyPrefix: 'test' });
+
+      await store.set('a', '1', 45);
+      expect(client.data.get('test:a')).toEqual({ value: '1', ttl: 45 });
+      expect(await store.get('a')).toBe('1');
+      expect(await store.get('b')).toBeNull();
+
+      expect(await store.getGeneration()).toBe(0);
+      await store.bumpGeneration();
+      await store.bumpGeneration();
+      expect(await store.getGeneration()).toBe(2);
+    });
+  });
+
+  describe('Rutas de productos', () => {
+    let authHeader;
+    let product;
+
+    const get = (path, query = {}) => request(app)
+      .get(path)
+      .query(query)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    beforeAll(async () => {
+      setCacheStore(createRedisStore({ client: createRedisStandIn(), keyPrefix: 'test' }));
+
+      authHeader = await setupDatabase();
+
+      const created = await request(app)
+        .post('/api/products')
+        .set('Authorization', authHeader)
+        .send({ name: 'Producto Caché', sku: 'CACHE-001', price: 10, stock: 20 })
+        .expect(201);
+      product = created.body.data;
+    });
+
+    afterAll(async () => {
+      setCacheStore(undefined);
+      await sequelize.close();
+    });
+
+    test('Debería responder desde la caché la misma consulta', async () => {
+      const first = await get('/api/products/stats');
+      expect(first.headers['x-cache']).toBe('MISS');
+
+      const second = await get('/api/products/stats');
+      expect(second.headers['x-cache']).toBe('HIT');
+      expect(second.headers.age).toBeDefined();
+      expect(second.body).toEqual(first.body);
+
+      const filtered = await get('/api/products/stats', { variants: 'group' });
+      expect(filtered.headers['x-cache']).toBe('MISS');
+    });
+
+    test('Debería invalidar la caché al modificar datos', async () => {
+      const before = await get('/api/products', { limit: 5 });
+      expect((await get('/api/products', { limit: 5 })).headers['x-cache']).toBe('HIT');
+      await get('/api/products/reports/inventory');
+
+      await request(app)
+        .post('/api/products')
+        .set('Authorization', authHeader)
+        .send({ name: 'Otro Producto', sku: 'CACHE-002', price: 5, stock: 0 })
+        .expect(201);
+
+      const list = await get('/api/products', { limit: 5 });
+      expect(list.headers['x-cache']).toBe('MISS');
+      expect(list.body.data).toHaveLength(before.body.data.length + 1);
+
+      const report = await get('/api/products/reports/inventory');
+      expect(report.headers['x-cache']).toBe('MISS');
+      expect(report.body.data.total_items).toBe(2);
+    });
+
+    test('Debería invalidar la caché al liberar reservas vencidas', async () => {
+      await request(app)
+        .post('/api/reservations')
+        .set('Authorization', authHeader)
+        .send({ product_id: product.id, quantity: 3 })
+        .expect(201);
+
+      const reserved = await get('/api/products', { 'sku[prefix]': 'CACHE-001' });
+      expect(reserved.body.data[0].reserved).toBe(3);
+      expect((await get('/api/products', { 'sku[prefix]': 'CACHE-001' })).headers['x-cache']).toBe('HIT');
+
+      await Reservation.update({ expires_at: new Date(Date.now() - 1000) }, { where: { product_id: product.id } });
+      await get('/api/reservations', { product_id: product.id });
+
+      const released = await get('/api/products', { 'sku[prefix]': 'CACHE-001' });
+      expect(released.headers['x-cache']).toBe('MISS');
+      expect(released.body.data[0].reserved).toBe(0);
+    });
+
+    test('No debería guardar las exportaciones', async () => {
+      const response = await request(app)
+        .get('/api/products')
+        .query({ format: 'csv' })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.headers['x-cache']).toBe('BYPASS');
+    });
+
+    test('Debería responder sin caché si Redis no contesta', async () => {
+      // Cliente que nunca responde, como node-redis con la conexión caída y cola de comandos
+      const pending = () => new Promise(() => {});
+      setCacheStore(createRedisStore({
+        client: { get: pending, set: pending, incr: pending },
+        keyPrefix: 'test',
+        timeoutMs: 50
+      }));
+
+      try {
+        const response = await get('/api/products/reports/inventory');
+        expect(response.headers['x-cache']).toBe('BYPASS');
+        expect(response.body.data.total_items).toBe(2);
+
+        await request(app)
+          .post('/api/products')
+          .set('Authorization', authHeader)
+          .send({ name: 'Producto Sin Caché', sku: 'CACHE-003', price: 5, stock: 1 })
+          .expect(201);
+      } finally {
+        setCacheStore(createRedisStore({ client: createRedisStandIn(), keyPrefix: 'test' }));
+      }
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const request = require('supertest');
+const { app, setupDatabase } = require('./support/app');
+const { sequelize, Product } = require('../models');
+
+describe('Árbol de categorías', () => {
+  let authHeader;
+  let electronics;
+  let computers;
+  let laptops;
+
+  // Función para crear una categoría
+  const createCategory = async (data) => (await request(app)
+    .post('/api/categories')
+    .set('Authorization', authHeader)
+    .send(data)
+    .expect(201)).body.data;
+
+  // Función para modificar una categoría
+  const patchCategory = (id, data) => request(app)
+    .patch(`/api/categories/${id}`)
+    .set('Authorization', authHeader)
+    .send(data);
+
+  // Función para obtener los SKU del listado filtrado por categoría
+  const listSkusByCategory = async (category) => (await request(app)
+    .get('/api/products')
+    .query({ category, sort_by: 'sku', sort_order: 'ASC' })
+    .set('Authorization', authHeader)
+    .expect(200)).body.data.map(product => product.sku);
+
+  beforeAll(async () => {
+    authHeader = await setupDatabase();
+
+    electronics = await createCategory({ name: 'Electrónica' });
+    computers = await createCategory({ name: 'Computadoras', parent_id: electronics.id });
+    laptops = await createCategory({ name: 'Portátiles', parent_id: computers.id });
+
+    for (const product of [
+      { name: 'Televisor', sku: 'CAT-001', category_id: electronics.id },
+      { name: 'Portátil Pro', sku: 'CAT-002', category_id: laptops.id },
+      { name: 'Silla', sku: 'CAT-003' }
+    ]) {
+      await request(app)
+        .post('/api/products')
+        .set('Authorization', authHeader)
+        .send({ price: 10, stock: 1, ...product })
+        .expect(201);
+    }
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('Debería generar el slug y armar el árbol con los productos acumulados', async () => {
+    expect(electronics.slug).toBe('electronica');
+
+    const response = await request(app)
+      .get('/api/categories')
+      .query({ tree: true })
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    const [root] = response.body.data;
+    expect(root).toMatchObject({ name: 'Electrónica', product_count: 1, total_product_count: 2 });
+    expect(root.children[0].children[0]).toMatchObject({ name: 'Portátiles', product_count: 1 });
+
+    const detail = await request(app)
+      .get(`/api/categories/${laptops.id}`)
+      .set('Authorization', authHeader)
+      .expect(200);
+    expect(detail.body.data.path.map(category => category.slug)).toEqual(['electronica', 'computadoras', 'portatiles']);
+  });
+
+  test('Debería filtrar productos por categoría incluyendo sus subcategorías', async () => {
+    expect(await listSkusByCategory(electronics.id)).toEqual(['CAT-001', 'CAT-002']);
+    expect(await listSkusByCategory('computadoras')).toEqual(['CAT-002']);
+    expect(await listSkusByCategory('no-existe')).toEqual([]);
+  });
+
+  test('Debería copiar el nombre nuevo a los productos de la categoría', async () => {
+    await patchCategory(laptops.id, { name: 'Notebooks' }).expect(200);
+
+    expect((await Product.findOne({ where: { sku: 'CAT-002' } })).category).toBe('Notebooks');
+  });
+
+  test('No debería mover una categoría dentro de sus subcategorías', async () => {
+    const response = await patchCategory(electronics.id, { parent_id: laptops.id }).expect(400);
+    expect(response.body.message).toContain('dentro de sí misma');
+
+    await patchCategory(computers.id, { slug: 'electronica' }).expect(409);
+
+    // Mover la rama a la raíz la saca del filtro de la categoría anterior
+    await patchCategory(computers.id, { parent_id: null }).expect(200);
+    expect(await listSkusByCategory(electronics.id)).toEqual(['CAT-001']);
+  });
+
+  test('No debería eliminar categorías con subcategorías o productos', async () => {
+    const withChildren = await request(app)
+      .delete(`/api/categories/${computers.id}`)
+      .set('Authorization', authHeader)
+      .expect(400);
+    expect(withChildren.body.message).toContain('subcategorías');
+
+    const withProducts = await request(app)
+      .delete(`/api/categories/${laptops.id}`)
+      .set('Authorization', authHeader)
+      .expect(400);
+    expect(withProducts.body.message).toContain('productos asignados');
+
+    const empty = await createCategory({ name: 'Vacía' });
+    await request(app)
+      .delete(`/api/categories/${empty.id}`)
+      .set('Authorization', authHeader)
+      .expect(200);
+  });
+});
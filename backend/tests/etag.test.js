@@ -0,0 +1,95 @@
+const request = require('supertest');
+const { app, setupDatabase } = require('./support/app');
+const { sequelize, Product } = require('../models');
+
+describe('Control de concurrencia optimista (ETag / If-Match)', () => {
+  let authHeader;
+  let product;
+
+  // Función para obtener el ETag vigente del producto
+  const getETag = async () => {
+    const response = await request(app)
+      .get(`/api/products/${product.id}`)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    return response.headers.etag;
+  };
+
+  // Función para modificar el producto con un If-Match opcional
+  const patchProduct = (data, ifMatch) => {
+    const pending = request(app)
+      .patch(`/api/products/${product.id}`)
+      .set('Authorization', authHeader);
+    if (ifMatch) {
+      pending.set('If-Match', ifMatch);
+    }
+    return pending.send(data);
+  };
+
+  beforeAll(async () => {
+    authHeader = await setupDatabase();
+
+    const created = await request(app)
+      .post('/api/products')
+      .set('Authorization', authHeader)
+      .send({ name: 'Producto Versionado', sku: 'ETAG-001', price: 10, stock: 5 })
+      .expect(201);
+    product = created.body.data;
+    expect(created.headers.etag).toBe('"0"');
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('Debería exigir If-Match o version para modificar el producto', async () => {
+    const response = await patchProduct({ price: 11 }).expect(428);
+    expect(response.body.message).toContain('If-Match');
+
+    await request(app)
+      .put(`/api/products/${product.id}`)
+      .set('Authorization', authHeader)
+      .send({ name: 'Producto Versionado', sku: 'ETAG-001', price: 11, stock: 5 })
+      .expect(428);
+  });
+
+  test('Debería aceptar la versión vigente y devolver el nuevo ETag', async () => {
+    const etag = await getETag();
+
+    const response = await patchProduct({ price: 12 }, etag).expect(200);
+    expect(response.headers.etag).toBe('"1"');
+    expect(response.body.data.version).toBe(1);
+
+    // Alternativa sin encabezado: campo version en el cuerpo
+    const byBody = await patchProduct({ price: 13, version: 1 }).expect(200);
+    expect(byBody.headers.etag).toBe('"2"');
+  });
+
+  test('Debería rechazar una versión desactualizada sin aplicar cambios', async () => {
+    const response = await patchProduct({ price: 99 }, '"1"').expect(412);
+    expect(response.body.message).toContain('modificado por otra operación');
+
+    expect((await Product.findByPk(product.id)).price).toBe(13);
+  });
+
+  test('Debería invalidar el ETag al cambiar el stock', async () => {
+    const etag = await getETag();
+
+    await request(app)
+      .patch(`/api/products/${product.id}/stock`)
+      .set('Authorization', authHeader)
+      .send({ quantity: 1, operation: 'add' })
+      .expect(200);
+
+    await patchProduct({ price: 14 }, etag).expect(412);
+    await patchProduct({ price: 14 }, await getETag()).expect(200);
+  });
+
+  test('Debería aceptar varias versiones o cualquiera con *', async () => {
+    const current = await getETag();
+
+    await patchProduct({ price: 15 }, `"0", ${current}`).expect(200);
+    await patchProduct({ price: 16 }, '*').expect(200);
+  });
+});
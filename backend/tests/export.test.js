@@ -0,0 +1,104 @@
+const request = require('supertest');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const { app, setupDatabase, createUserHeader } = require('./support/app');
+const { sequelize } = require('../models');
+
+describe('Exportación de productos', () => {
+  let authHeader;
+
+  // Función para exportar una ruta de productos en un formato
+  const exportProducts = (path, query, header = authHeader) => request(app)
+    .get(path)
+    .query(query)
+    .set('Authorization', header)
+    .expect(200);
+
+  // Función para leer un CSV exportado como lista de objetos por columna
+  const parseCsv = (text) => parse(text, { bom: true, columns: true });
+
+  // Función para leer el cuerpo binario de una respuesta (XLSX)
+  const binaryParser = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  beforeAll(async () => {
+    authHeader = await setupDatabase();
+
+    for (const product of [
+      { name: 'Tornillo, caja x100', sku: 'EXP-001', price: 10, cost: 6, stock: 4 },
+      { name: 'Tuerca Agotada', sku: 'EXP-002', price: 5, cost: 2, stock: 0 }
+    ]) {
+      await request(app)
+        .post('/api/products')
+        .set('Authorization', authHeader)
+        .send(product)
+        .expect(201);
+    }
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('Debería exportar el listado filtrado en CSV', async () => {
+    const response = await exportProducts('/api/products', { format: 'csv', sort_by: 'sku', sort_order: 'ASC' });
+
+    expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="productos-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+    const rows = parseCsv(response.text);
+    expect(rows.map(row => [row.sku, row.name, row.cost])).toEqual([
+      ['EXP-001', 'Tornillo, caja x100', '6'],
+      ['EXP-002', 'Tuerca Agotada', '2']
+    ]);
+
+    const filtered = await exportProducts('/api/products', { format: 'csv', 'stock[gt]': 0 });
+    expect(parseCsv(filtered.text).map(row => row.sku)).toEqual(['EXP-001']);
+  });
+
+  test('Debería exportar en JSON como descarga', async () => {
+    const response = await exportProducts('/api/products', { format: 'json', sort_by: 'sku', sort_order: 'ASC' });
+
+    expect(response.headers['content-disposition']).toMatch(/\.json"$/);
+    expect(response.body.map(product => product.sku)).toEqual(['EXP-001', 'EXP-002']);
+  });
+
+  test('Debería exportar en XLSX', async () => {
+    const response = await request(app)
+      .get('/api/products')
+      .query({ format: 'xlsx', sort_by: 'sku', sort_order: 'ASC' })
+      .set('Authorization', authHeader)
+      .buffer(true)
+      .parse(binaryParser)
+      .expect(200);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(response.body);
+    const sheet = workbook.worksheets[0];
+    const headers = sheet.getRow(1).values;
+    expect(sheet.getRow(2).getCell(headers.indexOf('sku')).value).toBe('EXP-001');
+    expect(sheet.rowCount).toBe(3);
+  });
+
+  test('Debería exportar reportes según el encabezado Accept', async () => {
+    const response = await request(app)
+      .get('/api/products/reports/out_of_stock')
+      .set('Authorization', authHeader)
+      .set('Accept', 'text/csv')
+      .expect(200);
+
+    expect(response.headers['content-disposition']).toContain('reporte-out_of_stock-');
+    expect(parseCsv(response.text).map(row => row.sku)).toEqual(['EXP-002']);
+  });
+
+  test('No debería exportar el costo a usuarios sin permiso', async () => {
+    const viewerHeader = await createUserHeader(authHeader, { email: 'lector@test.com', name: 'Lector', role: 'viewer' });
+
+    const response = await exportProducts('/api/products', { format: 'csv' }, viewerHeader);
+    const [row] = parseCsv(response.text);
+    expect(row).not.toHaveProperty('cost');
+  });
+});
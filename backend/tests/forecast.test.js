@@ -0,0 +1,140 @@
+const request = require('supertest');
+const { Op } = require('sequelize');
+const { app, setupDatabase } = require('./support/app');
+const { sequelize, Product, StockMovement } = require('../models');
+
+// Milisegundos de un día
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Pronóstico de demanda', () => {
+  let authHeader;
+  let seller;
+  let idle;
+
+  // Parámetros fijos: 7 días de historial, promedio de los 7 y 5 días de entrega
+  const params = { history_days: 7, window: 7, lead_time_days: 5 };
+
+  // Función para crear un producto con datos mínimos válidos
+  const createProduct = async (data) => (await request(app)
+    .post('/api/products')
+    .set('Authorization', authHeader)
+    .send({ price: 10, ...data })
+    .expect(201)).body.data;
+
+  // Función para registrar una venta con PATCH /:id/stock
+  const sell = (productId, quantity) => request(app)
+    .patch(`/api/products/${productId}/stock`)
+    .set('Authorization', authHeader)
+    .send({ quantity, operation: 'subtract' })
+    .expect(200);
+
+  // Función para aplicar el punto de reorden sugerido a los productos
+  const applyForecast = (productIds) => request(app)
+    .post('/api/forecast/apply')
+    .set('Authorization', authHeader)
+    .send({ ...params, product_ids: productIds });
+
+  beforeAll(async () => {
+    authHeader = await setupDatabase();
+
+    seller = await createProduct({ name: 'Producto Vendido', sku: 'FC-001', stock: 21, min_stock: 1 });
+    idle = await createProduct({ name: 'Producto Sin Ventas', sku: 'FC-002', stock: 5, min_stock: 2 });
+
+    // Dos unidades por día durante los últimos 7 días, más una venta hoy (día incompleto)
+    for (let day = 0; day < 7; day++) {
+      await sell(seller.id, 2);
+    }
+    await sell(seller.id, 1);
+
+    const sales = await StockMovement.findAll({ where: { product_id: seller.id, operation: 'subtract', quantity: 2 } });
+    for (const [index, sale] of sales.entries()) {
+      await StockMovement.update(
+        { createdAt: new Date(Date.now() - (index + 1) * DAY_MS) },
+        { where: { id: sale.id }, silent: true }
+      );
+    }
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('Debería calcular el consumo diario y el punto de reorden sin contar el día en curso', async () => {
+    const response = await request(app)
+      .get(`/api/forecast/products/${seller.id}`)
+      .query(params)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    const forecast = response.body.data;
+    expect(forecast).toMatchObject({
+      available: 6,
+      total_usage: 14,
+      forecast_daily_usage: 2,
+      safety_stock: 0,
+      reorder_point: 10,
+      days_of_cover: 3,
+      needs_reorder: true,
+      suggested_order_quantity: 32
+    });
+    expect(forecast.daily_usage.map(day => day.quantity)).toEqual([2, 2, 2, 2, 2, 2, 2]);
+  });
+
+  test('Debería filtrar los productos que necesitan reposición', async () => {
+    const response = await request(app)
+      .get('/api/forecast')
+      .query({ ...params, needs_reorder: true })
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    expect(response.body.data.map(forecast => forecast.sku)).toEqual(['FC-001']);
+    expect(response.body.meta.parameters).toMatchObject({ method: 'moving_average', history_days: 7 });
+  });
+
+  test('Debería pronosticar solo los productos de la página pedida', async () => {
+    const movements = jest.spyOn(StockMovement, 'findAll');
+    try {
+      const response = await request(app)
+        .get('/api/forecast')
+        .query({ ...params, page: 2, limit: 1 })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data.map(forecast => forecast.sku)).toEqual(['FC-001']);
+      expect(response.body.meta.pagination).toMatchObject({ total_items: 2, total_pages: 2 });
+      expect(movements.mock.calls[0][0].where.product_id[Op.in]).toEqual([seller.id]);
+    } finally {
+      movements.mockRestore();
+    }
+
+    const idleOnly = await request(app)
+      .get('/api/forecast')
+      .query({ ...params, needs_reorder: false, limit: 1 })
+      .set('Authorization', authHeader)
+      .expect(200);
+    expect(idleOnly.body.data.map(forecast => forecast.sku)).toEqual(['FC-002']);
+    expect(idleOnly.body.meta.pagination.total_items).toBe(1);
+  });
+
+  test('Debería guardar el punto de reorden como stock mínimo salvo sin consumo', async () => {
+    const response = await applyForecast([seller.id, idle.id]).expect(200);
+
+    expect(response.body.data.results).toEqual(expect.arrayContaining([
+      expect.objectContaining({ sku: 'FC-001', previous_min_stock: 1, min_stock: 10, changed: true }),
+      expect.objectContaining({ sku: 'FC-002', min_stock: 2, changed: false, skipped: 'Sin consumo en el historial' })
+    ]));
+    expect((await Product.findByPk(seller.id)).min_stock).toBe(10);
+    expect((await Product.findByPk(idle.id)).min_stock).toBe(2);
+
+    // Aplicar de nuevo no cambia nada
+    const again = await applyForecast([seller.id]).expect(200);
+    expect(again.body.data.results[0].changed).toBe(false);
+  });
+
+  test('No debería aplicar el pronóstico a productos inexistentes', async () => {
+    const missing = '00000000-0000-4000-8000-000000000000';
+
+    const response = await applyForecast([seller.id, missing]).expect(400);
+    expect(response.body.message).toContain(missing);
+  });
+});
@@ -0,0 +1,117 @@
+const request = require('supertest');
+const { app, setupDatabase, createUserHeader } = require('./support/app');
+const { sequelize, User, Product, Category, IdempotencyKey } = require('../models');
+
+describe('Idempotency-Key', () => {
+  let authHeader;
+
+  // Función para importar un CSV con una Idempotency-Key
+  const importCsv = (key, csv) => request(app)
+    .post('/api/products/import')
+    .set('Authorization', authHeader)
+    .set('Idempotency-Key', key)
+    .attach('file', Buffer.from(csv), 'productos.csv');
+
+  beforeAll(async () => {
+    authHeader = await setupDatabase();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('Reintentos', () => {
+    // Función para crear un producto con una Idempotency-Key
+    const createProduct = (key, data, header = authHeader) => request(app)
+      .post('/api/products')
+      .set('Authorization', header)
+      .set('Idempotency-Key', key)
+      .send({ name: 'Producto Idempotente', price: 10, stock: 5, ...data });
+
+    test('Debería reproducir la respuesta original sin repetir la operación', async () => {
+      const first = await createProduct('alta-1', { sku: 'IDEM-001' }).expect(201);
+      expect(first.headers['idempotent-replayed']).toBeUndefined();
+
+      const replayed = await createProduct('alta-1', { sku: 'IDEM-001' }).expect(201);
+      expect(replayed.headers['idempotent-replayed']).toBe('true');
+      expect(replayed.headers.etag).toBe(first.headers.etag);
+      expect(replayed.body).toEqual(first.body);
+
+      expect(await Product.count({ where: { sku: 'IDEM-001' } })).toBe(1);
+    });
+
+    test('Debería rechazar la misma clave con otra petición', async () => {
+      const response = await createProduct('alta-1', { sku: 'IDEM-002' }).expect(422);
+      expect(response.body.message).toContain('petición distinta');
+
+      expect(await Product.count({ where: { sku: 'IDEM-002' } })).toBe(0);
+    });
+
+    test('Debería reproducir también las respuestas de error del cliente', async () => {
+      const product = await Product.findOne({ where: { sku: 'IDEM-001' } });
+      const subtract = () => request(app)
+        .patch(`/api/products/${product.id}/stock`)
+        .set('Authorization', authHeader)
+        .set('Idempotency-Key', 'venta-1')
+        .send({ quantity: 50, operation: 'subtract' });
+
+      await subtract().expect(400);
+      const replayed = await subtract().expect(400);
+      expect(replayed.headers['idempotent-replayed']).toBe('true');
+    });
+
+    test('Debería aislar las claves de cada usuario', async () => {
+      const managerHeader = await createUserHeader(authHeader, { email: 'gerente@test.com', name: 'Gerente', role: 'inventory_manager' });
+
+      const response = await createProduct('alta-1', { sku: 'IDEM-003' }, managerHeader)
+        .expect(201);
+      expect(response.headers['idempotent-replayed']).toBeUndefined();
+    });
+  });
+
+  describe('Importación de archivos', () => {
+    test('Debería reproducir la importación solo si el archivo es el mismo', async () => {
+      const csv = 'name,sku,price,stock\nProducto Importado,IMP-001,10,5\n';
+
+      const first = await importCsv('importacion-1', csv).expect(200);
+      expect(first.headers['idempotent-replayed']).toBeUndefined();
+
+      const replayed = await importCsv('importacion-1', csv).expect(200);
+      expect(replayed.headers['idempotent-replayed']).toBe('true');
+      expect(replayed.body).toEqual(first.body);
+      expect(await Product.count({ where: { sku: 'IMP-001' } })).toBe(1);
+
+      // Mismo tamaño, distinto contenido
+      const changed = csv.replace('10,5', '10,6');
+      expect(changed.length).toBe(csv.length);
+      const response = await importCsv('importacion-1', changed).expect(422);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('Peticiones abandonadas', () => {
+    const send = (key) => request(app)
+      .post('/api/categories')
+      .set('Authorization', authHeader)
+      .set('Idempotency-Key', key)
+      .send({ name: 'Herramientas' });
+
+    test('Debería liberar la clave de una petición en curso después del tiempo límite', async () => {
+      const admin = await User.findOne({ where: { email: 'admin@test.com' } });
+      const first = await send('sin-respuesta').expect(201);
+      await Category.destroy({ where: { id: first.body.data.id }, force: true });
+
+      // Simular un proceso que cayó antes de guardar la respuesta
+      const record = await IdempotencyKey.findOne({ where: { user_id: admin.id, key: 'sin-respuesta' } });
+      await record.update({ status: 'processing', response_status: null, response_body: null });
+      await send('sin-respuesta').expect(409);
+
+      await IdempotencyKey.update(
+        { createdAt: new Date(Date.now() - 10 * 60 * 1000) },
+        { where: { id: record.id }, silent: true }
+      );
+      const retried = await send('sin-respuesta').expect(201);
+      expect(retried.headers['idempotent-replayed']).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const request = require('supertest');
+const ExcelJS = require('exceljs');
+const { app, setupDatabase } = require('./support/app');
+const { sequelize, Product, StockMovement } = require('../models');
+
+describe('Importación masiva de productos', () => {
+  let authHeader;
+
+  // Función para subir un archivo de importación
+  const importFile = (content, filename = 'productos.csv', query = {}) => request(app)
+    .post('/api/products/import')
+    .query(query)
+    .set('Authorization', authHeader)
+    .attach('file', Buffer.from(content), filename);
+
+  beforeAll(async () => {
+    authHeader = await setupDatabase();
+
+    await request(app)
+      .post('/api/products')
+      .set('Authorization', authHeader)
+      .send({ name: 'Producto Existente', sku: 'IMP-001', price: 10, stock: 5 })
+      .expect(201);
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('Debería simular la importación sin modificar datos', async () => {
+    const csv = [
+      'name,sku,price,stock',
+      'Producto Existente,IMP-001,12,8',
+      'Producto Nuevo,IMP-002,20,3'
+    ].join('\n');
+
+    const response = await importFile(csv, 'productos.csv', { dry_run: true }).expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.summary).toEqual({
+      total_rows: 2,
+      valid_rows: 2,
+      invalid_rows: 0,
+      to_create: 1,
+      to_update: 1
+    });
+    expect(response.body.data.rows).toEqual([
+      { row: 2, sku: 'IMP-001', action: 'update' },
+      { row: 3, sku: 'IMP-002', action: 'create' }
+    ]);
+
+    expect(await Product.count()).toBe(1);
+    expect((await Product.findOne({ where: { sku: 'IMP-001' } })).price).toBe(10);
+  });
+
+  test('Debería informar las filas inválidas y no importar ninguna', async () => {
+    const csv = [
+      'name,sku,price,stock',
+      'Producto Válido,IMP-003,20,3',
+      'Producto Sin Precio,IMP-004,,3',
+      'Producto Repetido,IMP-003,20,3'
+    ].join('\n');
+
+    const simulated = await importFile(csv, 'productos.csv', { dry_run: true }).expect(200);
+    expect(simulated.body.success).toBe(false);
+    expect(simulated.body.errors.map(error => error.row)).toEqual([3, 4]);
+    expect(simulated.body.errors[1].errors[0].message).toContain('repetido en el archivo (fila 2)');
+
+    const response = await importFile(csv).expect(400);
+    expect(response.body.data.summary.invalid_rows).toBe(2);
+    expect(await Product.count({ where: { sku: 'IMP-003' } })).toBe(0);
+  });
+
+  test('Debería crear y actualizar por SKU registrando el ajuste de stock', async () => {
+    const csv = [
+      'name,sku,price,stock',
+      'Producto Existente,IMP-001,12,8',
+      'Producto Nuevo,IMP-002,20,3'
+    ].join('\n');
+
+    const response = await importFile(csv).expect(200);
+    expect(response.body.message).toContain('1 productos creados y 1 actualizados');
+
+    const updated = await Product.findOne({ where: { sku: 'IMP-001' } });
+    expect(updated.price).toBe(12);
+    expect(updated.stock).toBe(8);
+
+    const adjustment = await StockMovement.findOne({
+      where: { product_id: updated.id, operation: 'add' },
+      order: [['created_at', 'DESC']]
+    });
+    expect(adjustment).toMatchObject({ quantity: 3, adjustment: true });
+
+    expect((await Product.findOne({ where: { sku: 'IMP-002' } })).stock).toBe(3);
+  });
+
+  test('Debería rechazar SKUs existentes en modo create', async () => {
+    const csv = 'name,sku,price,stock\nProducto Existente,IMP-001,15,8\n';
+
+    const response = await importFile(csv, 'productos.csv', { mode: 'create', dry_run: true }).expect(200);
+    expect(response.body.success).toBe(false);
+    expect(response.body.errors[0].errors[0].message).toBe('El SKU ya existe');
+  });
+
+  test('Debería importar archivos XLSX', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Productos');
+    sheet.addRow(['Name', 'SKU', 'Price', 'Stock']);
+    sheet.addRow(['Producto Planilla', 'IMP-XLSX-1', 30, 2]);
+
+    const response = await importFile(await workbook.xlsx.writeBuffer(), 'productos.xlsx').expect(200);
+    expect(response.body.data.summary.to_create).toBe(1);
+    expect((await Product.findOne({ where: { sku: 'IMP-XLSX-1' } })).price).toBe(30);
+  });
+
+  test('Debería rechazar formatos no soportados', async () => {
+    const response = await importFile('name,sku', 'productos.txt').expect(400);
+    expect(response.body.message).toContain('Formato no soportado');
+  });
+});
@@ -0,0 +1,145 @@
+const request = require('supertest');
+const { app, setupDatabase } = require('./support/app');
+const { sequelize, Product, StockLevel } = require('../models');
+
+describe('Stock por ubicación', () => {
+  let authHeader;
+  let product;
+  let mainLocation;
+  let branch;
+
+  // Función para obtener las cantidades del producto por código de ubicación
+  const getStockByLocation = async () => {
+    const response = await request(app)
+      .get(`/api/products/${product.id}`)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    const { stock, stock_by_location: levels } = response.body.data;
+    return {
+      stock,
+      levels: Object.fromEntries(levels.map(level => [level.location_code, level.quantity]))
+    };
+  };
+
+  // Función para transferir stock del producto entre ubicaciones
+  const transfer = (data) => request(app)
+    .post(`/api/products/${product.id}/transfer`)
+    .set('Authorization', authHeader)
+    .send(data);
+
+  beforeAll(async () => {
+    authHeader = await setupDatabase();
+
+    const created = await request(app)
+      .post('/api/products')
+      .set('Authorization', authHeader)
+      .send({ name: 'Producto Ubicado', sku: 'LOC-001', price: 10, stock: 8 })
+      .expect(201);
+    product = created.body.data;
+
+    const locations = await request(app)
+      .get('/api/locations')
+      .set('Authorization', authHeader)
+      .expect(200);
+    mainLocation = locations.body.data.find(location => location.is_default);
+
+    const branchResponse = await request(app)
+      .post('/api/locations')
+      .set('Authorization', authHeader)
+      .send({ code: 'suc-01', name: 'Sucursal Centro' })
+      .expect(201);
+    branch = branchResponse.body.data;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('Debería registrar el stock inicial en la ubicación predeterminada', async () => {
+    expect(mainLocation).toBeDefined();
+    expect(branch.code).toBe('SUC-01');
+
+    expect(await getStockByLocation()).toEqual({ stock: 8, levels: { PRINCIPAL: 8 } });
+  });
+
+  test('Debería rechazar códigos de ubicación duplicados', async () => {
+    await request(app)
+      .post('/api/locations')
+      .set('Authorization', authHeader)
+      .send({ code: 'SUC-01', name: 'Otra Sucursal' })
+      .expect(409);
+  });
+
+  test('Debería sumar stock en una ubicación y mantener el total', async () => {
+    await request(app)
+      .patch(`/api/products/${product.id}/stock`)
+      .set('Authorization', authHeader)
+      .send({ quantity: 2, operation: 'add', location_id: branch.id })
+      .expect(200);
+
+    expect(await getStockByLocation()).toEqual({ stock: 10, levels: { PRINCIPAL: 8, 'SUC-01': 2 } });
+  });
+
+  test('Debería transferir stock sin cambiar el total', async () => {
+    const response = await transfer({
+      from_location_id: mainLocation.id,
+      to_location_id: branch.id,
+      quantity: 3,
+      reason: 'Reposición de sucursal'
+    }).expect(200);
+
+    const [outbound, inbound] = response.body.data.stock_movements;
+    expect(outbound).toMatchObject({ operation: 'transfer_out', location_id: mainLocation.id, quantity: 3 });
+    expect(inbound).toMatchObject({ operation: 'transfer_in', location_id: branch.id, quantity: 3 });
+    expect(outbound.transfer_id).toBe(inbound.transfer_id);
+
+    expect(await getStockByLocation()).toEqual({ stock: 10, levels: { PRINCIPAL: 5, 'SUC-01': 5 } });
+  });
+
+  test('Debería rechazar transferir más de lo que hay en la ubicación de origen', async () => {
+    const response = await transfer({
+      from_location_id: branch.id,
+      to_location_id: mainLocation.id,
+      quantity: 6
+    }).expect(400);
+    expect(response.body.message).toContain('Stock insuficiente en la ubicación SUC-01');
+
+    const levels = await StockLevel.findAll({ where: { product_id: product.id } });
+    expect(levels.map(level => level.quantity).sort()).toEqual([5, 5]);
+  });
+
+  test('Debería listar el stock de una ubicación', async () => {
+    const response = await request(app)
+      .get(`/api/locations/${branch.id}/stock`)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    expect(response.body.data.products).toHaveLength(1);
+    expect(response.body.data.products[0]).toMatchObject({ sku: 'LOC-001', stock: 5 });
+  });
+
+  test('No debería desactivar la ubicación predeterminada', async () => {
+    await request(app)
+      .patch(`/api/locations/${mainLocation.id}`)
+      .set('Authorization', authHeader)
+      .send({ is_active: false })
+      .expect(400);
+  });
+
+  test('Debería completar en lotes los niveles de los productos que no los tienen', async () => {
+    const products = [];
+    for (const sku of ['LOC-BF-1', 'LOC-BF-2', 'LOC-BF-3']) {
+      products.push(await Product.create({ name: `Producto ${sku}`, sku, price: 1, stock: 4 }));
+    }
+    const ids = products.map(item => item.id);
+    // Productos anteriores al stock por ubicación: sin niveles
+    await StockLevel.destroy({ where: { product_id: ids } });
+
+    expect(await StockLevel.backfillFromProducts({ batchSize: 2 })).toBe(3);
+    expect(await StockLevel.count({ where: { product_id: ids, location_id: mainLocation.id, quantity: 4 } })).toBe(3);
+
+    // Sin productos pendientes no se crea nada
+    expect(await StockLevel.backfillFromProducts()).toBe(0);
+  });
+});
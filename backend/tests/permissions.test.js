@@ -0,0 +1,128 @@
+const request = require('supertest');
+const { app, setupDatabase, createUserHeader } = require('./support/app');
+const { sequelize } = require('../models');
+
+describe('Autorización por roles', () => {
+  // Encabezado Authorization de cada rol
+  const headers = {};
+  let product;
+
+  // Función para crear un usuario con un rol e iniciar sesión con él
+  const loginAs = (role) => createUserHeader(headers.admin, { email: `${role}@test.com`, name: `Usuario ${role}`, role });
+
+  beforeAll(async () => {
+    headers.admin = await setupDatabase();
+    headers.manager = await loginAs('inventory_manager');
+    headers.operator = await loginAs('warehouse_operator');
+    headers.viewer = await loginAs('viewer');
+
+    const created = await request(app)
+      .post('/api/products')
+      .set('Authorization', headers.admin)
+      .send({ name: 'Producto Permisos', sku: 'PERM-001', price: 20, cost: 12, stock: 10 })
+      .expect(201);
+    product = created.body.data;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('Consulta', () => {
+    test('Debería permitir consultar productos a todos los roles', async () => {
+      for (const role of ['admin', 'manager', 'operator', 'viewer']) {
+        await request(app)
+          .get(`/api/products/${product.id}`)
+          .set('Authorization', headers[role])
+          .expect(200);
+      }
+    });
+
+    test('Debería ocultar el costo a los usuarios de solo lectura', async () => {
+      const viewer = await request(app)
+        .get(`/api/products/${product.id}`)
+        .set('Authorization', headers.viewer)
+        .expect(200);
+      expect(viewer.body.data.cost).toBeUndefined();
+
+      const operator = await request(app)
+        .get(`/api/products/${product.id}`)
+        .set('Authorization', headers.operator)
+        .expect(200);
+      expect(operator.body.data.cost).toBe(12);
+    });
+  });
+
+  describe('Escritura', () => {
+    test('Debería permitir gestionar stock solo a operadores y superiores', async () => {
+      const response = await request(app)
+        .patch(`/api/products/${product.id}/stock`)
+        .set('Authorization', headers.viewer)
+        .send({ quantity: 1, operation: 'add' })
+        .expect(403);
+      expect(response.body.message).toBe('No tiene permisos para realizar esta acción');
+
+      await request(app)
+        .patch(`/api/products/${product.id}/stock`)
+        .set('Authorization', headers.operator)
+        .send({ quantity: 1, operation: 'add' })
+        .expect(200);
+    });
+
+    test('Debería permitir crear, modificar y eliminar productos solo a gerentes y administradores', async () => {
+      for (const role of ['operator', 'viewer']) {
+        await request(app)
+          .post('/api/products')
+          .set('Authorization', headers[role])
+          .send({ name: 'Producto No Permitido', sku: 'PERM-403', price: 10, stock: 0 })
+          .expect(403);
+        await request(app)
+          .patch(`/api/products/${product.id}`)
+          .set('Authorization', headers[role])
+          .set('If-Match', '*')
+          .send({ price: 25 })
+          .expect(403);
+        await request(app)
+          .delete(`/api/products/${product.id}`)
+          .set('Authorization', headers[role])
+          .expect(403);
+      }
+
+      const created = await request(app)
+        .post('/api/products')
+        .set('Authorization', headers.manager)
+        .send({ name: 'Producto Gerente', sku: 'PERM-002', price: 10, stock: 0 })
+        .expect(201);
+
+      await request(app)
+        .delete(`/api/products/${created.body.data.id}`)
+        .set('Authorization', headers.manager)
+        .expect(200);
+
+      // Restaurar queda reservado al administrador
+      await request(app)
+        .post(`/api/products/${created.body.data.id}/restore`)
+        .set('Authorization', headers.manager)
+        .expect(403);
+      await request(app)
+        .post(`/api/products/${created.body.data.id}/restore`)
+        .set('Authorization', headers.admin)
+        .expect(200);
+    });
+
+    test('Debería permitir gestionar usuarios solo al administrador', async () => {
+      for (const role of ['manager', 'operator', 'viewer']) {
+        await request(app)
+          .get('/api/users')
+          .set('Authorization', headers[role])
+          .expect(403);
+      }
+
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', headers.admin)
+        .expect(200);
+      expect(response.body.data).toHaveLength(4);
+    });
+  });
+});
@@ -1,132 +1,186 @@
 const request = require('supertest');
-const { Sequelize } = require('sequelize');
-const { app, sequelize, Product } = require('../server');
+const { randomUUID } = require('crypto');
+const { DatabaseError } = require('sequelize');
+const { app, setupDatabase, createUserHeader } = require('./support/app');
+const { sequelize, Product, Category, Reservation } = require('../models');
 
-// Configurar base de datos de prueba en memoria
-const testSequelize = new Sequelize('sqlite::memory:', {
-  dialect: 'sqlite',
-  logging: false
-});
+describe('API de Gestión de Inventarios', () => {
+  let authHeader;
+  let testProduct;
+
+  // Función para crear un producto con datos mínimos válidos
+  const createProduct = async (data) => {
+    const response = await request(app)
+      .post('/api/products')
+      .set('Authorization', authHeader)
+      .send({ price: 10, stock: 20, ...data })
+      .expect(201);
 
-// Mock del sequelize original con el de prueba
-jest.mock('../server', () => {
-  const originalModule = jest.requireActual('../server');
-  return {
-    ...originalModule,
-    sequelize: testSequelize
+    return response.body.data;
   };
-});
 
-describe('API de Gestión de Inventarios', () => {
-  let testProduct;
+  // Función para listar productos y obtener sus SKUs ordenados
+  const listSkus = async (query, path = '/api/products') => {
+    const response = await request(app)
+      .get(path)
+      .query(query)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    return response.body.data.map(product => product.sku).sort();
+  };
 
   beforeAll(async () => {
-    // Configurar base de datos de prueba
-    await testSequelize.authenticate();
-    
-    // Redefinir modelo para SQLite
-    const TestProduct = testSequelize.define('Product', {
-      id: {
-        type: Sequelize.INTEGER,
-        primaryKey: true,
-        autoIncrement: true
-      },
-      name: {
-        type: Sequelize.STRING(100),
-        allowNull: false
-      },
-      description: {
-        type: Sequelize.TEXT,
-        allowNull: true
-      },
-      price: {
-        type: Sequelize.DECIMAL(10, 2),
-        allowNull: false
-      },
-      quantity: {
-        type: Sequelize.INTEGER,
-        allowNull: false,
-        defaultValue: 0
-      },
-      category: {
-        type: Sequelize.STRING(50),
-        allowNull: true
-      },
-      sku: {
-        type: Sequelize.STRING(50),
-        allowNull: false,
-        unique: true
-      },
-      isActive: {
-        type: Sequelize.BOOLEAN,
-        defaultValue: true
-      }
-    }, {
-      timestamps: true,
-      tableName: 'products'
-    });
+    authHeader = await setupDatabase();
 
-    await testSequelize.sync({ force: true });
-    
-    // Crear datos de prueba
-    testProduct = await TestProduct.create({
+    testProduct = await createProduct({
       name: 'Producto Test',
       description: 'Descripción de prueba',
       price: 99.99,
-      quantity: 10,
+      stock: 10,
       category: 'Test',
       sku: 'TEST-001'
     });
   });
 
   afterAll(async () => {
-    await testSequelize.close();
+    await sequelize.close();
   });
 
-  describe('GET /api/health', () => {
+  describe('GET /health', () => {
     test('Debería retornar estado de salud del API', async () => {
       const response = await request(app)
-        .get('/api/health')
+        .get('/health')
         .expect(200);
 
-      expect(response.body).toHaveProperty('status', 'OK');
-      expect(response.body).toHaveProperty('timestamp');
-      expect(response.body).toHaveProperty('uptime');
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveProperty('status', 'healthy');
+      expect(response.body.data).toHaveProperty('timestamp');
+      expect(response.body.data).toHaveProperty('uptime');
     });
   });
 
   describe('GET /api/products', () => {
+    test('Debería exigir autenticación', async () => {
+      await request(app)
+        .get('/api/products')
+        .expect(401);
+    });
+
     test('Debería obtener lista de productos con paginación', async () => {
       const response = await request(app)
         .get('/api/products')
+        .set('Authorization', authHeader)
         .expect(200);
 
-      expect(response.body).toHaveProperty('products');
-      expect(response.body).toHaveProperty('pagination');
-      expect(Array.isArray(response.body.products)).toBe(true);
-      expect(response.body.pagination).toHaveProperty('total');
-      expect(response.body.pagination).toHaveProperty('page');
-      expect(response.body.pagination).toHaveProperty('pages');
+      expect(Array.isArray(response.body.data)).toBe(true);
+      expect(response.body.meta.pagination).toHaveProperty('total_items');
+      expect(response.body.meta.pagination).toHaveProperty('current_page', 1);
+      expect(response.body.meta.pagination).toHaveProperty('total_pages');
     });
 
     test('Debería filtrar productos por categoría', async () => {
       const response = await request(app)
-        .get('/api/products?category=Test')
+        .get('/api/products?category=test')
+        .set('Authorization', authHeader)
         .expect(200);
 
-      expect(response.body.products).toBeDefined();
-      response.body.products.forEach(product => {
+      expect(response.body.data.length).toBeGreaterThan(0);
+      response.body.data.forEach(product => {
         expect(product.category).toBe('Test');
       });
     });
 
     test('Debería buscar productos por término', async () => {
-      const response = await request(app)
-        .get('/api/products?search=Test')
+      expect(await listSkus({ search: 'Test' })).toContain('TEST-001');
+    });
+  });
+
+  describe('Búsqueda y filtros sin distinguir mayúsculas ni acentos', () => {
+    beforeAll(async () => {
+      await createProduct({
+        name: 'Cámara Réflex',
+        sku: 'BUS-CAM',
+        description: 'Lente 18-55 incluido',
+        category: 'Fotografía',
+        brand: 'Nikón'
+      });
+      await createProduct({ name: 'CAÑÓN de luz', sku: 'BUS-LUZ_01', brand: 'ÁCME', stock: 2, min_stock: 5 });
+      await createProduct({ name: 'Tornillo #8', sku: 'BUS-TOR', brand: 'Acme Industrial', stock: 12, min_stock: 15 });
+    });
+
+    test('Debería encontrar productos sin importar mayúsculas ni acentos', async () => {
+      expect(await listSkus({ search: 'camara' })).toEqual(['BUS-CAM']);
+      expect(await listSkus({ search: 'CÁMARA REFLEX' })).toEqual(['BUS-CAM']);
+      expect(await listSkus({ search: 'cañon' })).toEqual(['BUS-LUZ_01']);
+      expect(await listSkus({ search: 'canon' })).toEqual(['BUS-LUZ_01']);
+    });
+
+    test('Debería exigir que todas las palabras del término aparezcan', async () => {
+      expect(await listSkus({ search: 'camara lente' })).toEqual(['BUS-CAM']);
+      expect(await listSkus({ search: 'camara tornillo' })).toEqual([]);
+    });
+
+    test('Debería buscar por SKU, descripción, categoría y marca', async () => {
+      expect(await listSkus({ search: 'bus-cam' })).toEqual(['BUS-CAM']);
+      expect(await listSkus({ search: 'luz_01' })).toEqual(['BUS-LUZ_01']);
+      expect(await listSkus({ search: '18-55' })).toEqual(['BUS-CAM']);
+      expect(await listSkus({ search: 'fotografia' })).toEqual(['BUS-CAM']);
+      expect(await listSkus({ search: 'nikon' })).toEqual(['BUS-CAM']);
+    });
+
+    test('Debería tratar los comodines de LIKE como texto', async () => {
+      expect(await listSkus({ search: '%' })).toContain('TEST-001');
+      expect(await listSkus({ search: 'tornillo%' })).toEqual(['BUS-TOR']);
+    });
+
+    test('Debería filtrar por marca sin distinguir mayúsculas ni acentos', async () => {
+      expect(await listSkus({ brand: 'acme' })).toEqual(['BUS-LUZ_01', 'BUS-TOR']);
+      expect(await listSkus({ brand: 'NIKON' })).toEqual(['BUS-CAM']);
+    });
+
+    test('Debería filtrar stock bajo comparando con el mínimo de cada producto', async () => {
+      const skus = await listSkus({ low_stock: true, search: 'bus' });
+      expect(skus).toEqual(['BUS-LUZ_01', 'BUS-TOR']);
+    });
+
+    test('Debería combinar la búsqueda con el filtro de stock bajo', async () => {
+      expect(await listSkus({ low_stock: true, search: 'tornillo' })).toEqual(['BUS-TOR']);
+      expect(await listSkus({ low_stock: true, search: 'camara' })).toEqual([]);
+    });
+
+    test('Debería mantener la búsqueda al renombrar la categoría', async () => {
+      const category = await Category.findOne({ where: { slug: 'fotografia' } });
+
+      await request(app)
+        .patch(`/api/categories/${category.id}`)
+        .set('Authorization', authHeader)
+        .send({ name: 'Fotografía Digital' })
         .expect(200);
 
-      expect(response.body.products).toBeDefined();
-      expect(response.body.products.length).toBeGreaterThan(0);
+      expect(await listSkus({ search: 'digital' })).toEqual(['BUS-CAM']);
+    });
+
+    test('Debería buscar en /api/products/search con el mismo criterio', async () => {
+      expect(await listSkus({ search: 'CANON' }, '/api/products/search')).toEqual(['BUS-LUZ_01']);
+      expect(await listSkus({ search: 'acme' }, '/api/products/search')).toEqual(['BUS-LUZ_01', 'BUS-TOR']);
+    });
+
+    test('Debería rechazar en /api/products/search un término sin letras ni números', async () => {
+      const response = await request(app)
+        .get('/api/products/search')
+        .query({ search: '!!' })
+        .set('Authorization', authHeader)
+        .expect(400);
+
+      expect(response.body.message).toContain('letras o números');
+    });
+
+    test('Debería completar el texto de búsqueda de productos que no lo tienen', async () => {
+      await Product.update({ search_text: null, brand_search: null }, { where: { sku: 'BUS-CAM' }, hooks: false });
+
+      expect(await Product.backfillSearchText()).toBe(1);
+      expect(await listSkus({ search: 'reflex' })).toEqual(['BUS-CAM']);
     });
   });
 
@@ -134,27 +188,31 @@ describe('API de Gestión de Inventarios', () => {
     test('Debería obtener un producto específico por ID', async () => {
       const response = await request(app)
         .get(`/api/products/${testProduct.id}`)
+        .set('Authorization', authHeader)
         .expect(200);
 
-      expect(response.body).toHaveProperty('id', testProduct.id);
-      expect(response.body).toHaveProperty('name', 'Producto Test');
-      expect(response.body).toHaveProperty('sku', 'TEST-001');
+      expect(response.body.data).toHaveProperty('id', testProduct.id);
+      expect(response.body.data).toHaveProperty('name', 'Producto Test');
+      expect(response.body.data).toHaveProperty('sku', 'TEST-001');
+      expect(response.body.data).not.toHaveProperty('search_text');
     });
 
     test('Debería retornar 404 para producto inexistente', async () => {
       const response = await request(app)
-        .get('/api/products/999999')
+        .get(`/api/products/${randomUUID()}`)
+        .set('Authorization', authHeader)
         .expect(404);
 
-      expect(response.body).toHaveProperty('error', 'Producto no encontrado');
+      expect(response.body.message).toBe('Producto no encontrado');
     });
 
     test('Debería retornar 400 para ID inválido', async () => {
       const response = await request(app)
         .get('/api/products/invalid-id')
+        .set('Authorization', authHeader)
         .expect(400);
 
-      expect(response.body).toHaveProperty('error', 'ID inválido');
+      expect(response.body.message).toBe('ID inválido');
     });
   });
 
@@ -163,71 +221,54 @@ describe('API de Gestión de Inventarios', () => {
       const newProduct = {
         name: 'Nuevo Producto',
         description: 'Descripción del nuevo producto',
-        price: 150.00,
-        quantity: 25,
+        price: 150,
+        stock: 25,
         category: 'Electrónicos',
         sku: 'NEW-001'
       };
 
       const response = await request(app)
         .post('/api/products')
+        .set('Authorization', authHeader)
         .send(newProduct)
         .expect(201);
 
-      expect(response.body).toHaveProperty('id');
-      expect(response.body.name).toBe(newProduct.name);
-      expect(response.body.price).toBe(newProduct.price.toString());
-      expect(response.body.quantity).toBe(newProduct.quantity);
-      expect(response.body.sku).toBe(newProduct.sku);
+      expect(response.body.data).toHaveProperty('id');
+      expect(response.body.data.name).toBe(newProduct.name);
+      expect(response.body.data.price).toBe(newProduct.price);
+      expect(response.body.data.stock).toBe(newProduct.stock);
+      expect(response.body.data.sku).toBe(newProduct.sku);
     });
 
     test('Debería retornar error 400 para datos faltantes', async () => {
-      const incompleteProduct = {
-        name: 'Producto Incompleto'
-        // Faltan campos requeridos
-      };
-
       const response = await request(app)
         .post('/api/products')
-        .send(incompleteProduct)
+        .set('Authorization', authHeader)
+        .send({ name: 'Producto Incompleto' })
         .expect(400);
 
-      expect(response.body).toHaveProperty('error');
-      expect(response.body.error).toContain('Campos requeridos');
+      const fields = response.body.errors.map(error => error.field);
+      expect(fields).toEqual(expect.arrayContaining(['sku', 'price']));
     });
 
     test('Debería retornar error 400 para precio inválido', async () => {
-      const invalidProduct = {
-        name: 'Producto Precio Inválido',
-        price: -10,
-        quantity: 5,
-        sku: 'INVALID-001'
-      };
-
       const response = await request(app)
         .post('/api/products')
-        .send(invalidProduct)
+        .set('Authorization', authHeader)
+        .send({ name: 'Producto Precio Inválido', price: -10, stock: 5, sku: 'INVALID-001' })
         .expect(400);
 
-      expect(response.body).toHaveProperty('error');
-      expect(response.body.error).toContain('precio debe ser un número positivo');
+      expect(response.body.errors[0].message).toBe('El precio debe ser mayor a 0');
     });
 
-    test('Debería retornar error 400 para cantidad inválida', async () => {
-      const invalidProduct = {
-        name: 'Producto Cantidad Inválida',
-        price: 50.00,
-        quantity: -5,
-        sku: 'INVALID-002'
-      };
-
+    test('Debería retornar error 400 para stock inválido', async () => {
       const response = await request(app)
         .post('/api/products')
-        .send(invalidProduct)
+        .set('Authorization', authHeader)
+        .send({ name: 'Producto Stock Inválido', price: 50, stock: -5, sku: 'INVALID-002' })
         .expect(400);
 
-      expect(response.body).toHaveProperty('error');
-      expect(response.body.error).toContain('cantidad debe ser un número entero positivo');
+      expect(response.body.errors[0].field).toBe('stock');
     });
   });
 
@@ -237,148 +278,514 @@ describe('API de Gestión de Inventarios', () => {
         name: 'Producto Actualizado',
         description: 'Descripción actualizada',
         price: 199.99,
-        quantity: 15,
+        stock: 15,
         category: 'Test Updated',
         sku: 'TEST-001-UPDATED'
       };
 
       const response = await request(app)
         .put(`/api/products/${testProduct.id}`)
+        .set('Authorization', authHeader)
+        .set('If-Match', '*')
         .send(updatedData)
         .expect(200);
 
-      expect(response.body.name).toBe(updatedData.name);
-      expect(response.body.price).toBe(updatedData.price.toString());
-      expect(response.body.quantity).toBe(updatedData.quantity);
+      expect(response.body.data.name).toBe(updatedData.name);
+      expect(response.body.data.price).toBe(updatedData.price);
+      expect(response.body.data.stock).toBe(updatedData.stock);
+      expect(await listSkus({ search: 'actualizado' })).toEqual(['TEST-001-UPDATED']);
     });
 
     test('Debería retornar 404 para producto inexistente', async () => {
-      const updateData = {
-        name: 'Producto No Existe',
-        price: 100.00,
-        quantity: 5,
-        sku: 'NOT-EXISTS'
-      };
-
       const response = await request(app)
-        .put('/api/products/999999')
-        .send(updateData)
+        .put(`/api/products/${randomUUID()}`)
+        .set('Authorization', authHeader)
+        .set('If-Match', '*')
+        .send({ name: 'Producto No Existe', price: 100, stock: 5, sku: 'NOT-EXISTS' })
         .expect(404);
 
-      expect(response.body).toHaveProperty('error', 'Producto no encontrado');
+      expect(response.body.message).toBe('Producto no encontrado');
     });
   });
 
   describe('DELETE /api/products/:id', () => {
     test('Debería eliminar un producto (soft delete)', async () => {
-      // Crear producto para eliminar
-      const TestProduct = testSequelize.models.Product;
-      const productToDelete = await TestProduct.create({
-        name: 'Producto para Eliminar',
-        price: 50.00,
-        quantity: 3,
-        sku: 'DELETE-001'
-      });
+      const productToDelete = await createProduct({ name: 'Producto para Eliminar', sku: 'DELETE-001', stock: 3 });
 
-      const response = await request(app)
+      await request(app)
         .delete(`/api/products/${productToDelete.id}`)
-        .expect(204);
+        .set('Authorization', authHeader)
+        .expect(200);
 
-      // Verificar que el producto fue marcado como inactivo
-      const deletedProduct = await TestProduct.findByPk(productToDelete.id);
-      expect(deletedProduct.isActive).toBe(false);
+      expect(await Product.findByPk(productToDelete.id)).toBeNull();
+      const deletedProduct = await Product.findByPk(productToDelete.id, { paranoid: false });
+      expect(deletedProduct.deletedAt).not.toBeNull();
     });
 
     test('Debería retornar 404 para producto inexistente', async () => {
       const response = await request(app)
-        .delete('/api/products/999999')
+        .delete(`/api/products/${randomUUID()}`)
+        .set('Authorization', authHeader)
         .expect(404);
 
-      expect(response.body).toHaveProperty('error', 'Producto no encontrado');
+      expect(response.body.message).toBe('Producto no encontrado');
+    });
+
+    test('Debería rechazar eliminar un producto con reservas activas', async () => {
+      const product = await createProduct({ name: 'Producto Reservado', sku: 'DELETE-RES-001', stock: 5 });
+      const reservation = await request(app)
+        .post('/api/reservations')
+        .set('Authorization', authHeader)
+        .send({ product_id: product.id, quantity: 2 })
+        .expect(201);
+
+      const response = await request(app)
+        .delete(`/api/products/${product.id}`)
+        .set('Authorization', authHeader)
+        .expect(409);
+      expect(response.body.message).toContain('reservas activas');
+
+      await request(app)
+        .post(`/api/reservations/${reservation.body.data.reservation.id}/release`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/products/${product.id}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+    });
+
+    test('Debería devolver las unidades de una reserva vencida de un producto eliminado', async () => {
+      const product = await createProduct({ name: 'Producto Reserva Vencida', sku: 'DELETE-RES-002', stock: 5 });
+      await request(app)
+        .post('/api/reservations')
+        .set('Authorization', authHeader)
+        .send({ product_id: product.id, quantity: 3 })
+        .expect(201);
+      await Reservation.update({ expires_at: new Date(Date.now() - 1000) }, { where: { product_id: product.id } });
+
+      await request(app)
+        .delete(`/api/products/${product.id}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      const released = await Reservation.releaseExpired();
+      expect(released.map(reservation => reservation.product_id)).toContain(product.id);
+
+      const deleted = await Product.findByPk(product.id, { paranoid: false });
+      expect(deleted.reserved).toBe(0);
     });
   });
 
   describe('Casos de integración avanzados', () => {
     test('Debería manejar operaciones CRUD completas', async () => {
-      // 1. Crear producto
-      const createResponse = await request(app)
-        .post('/api/products')
-        .send({
-          name: 'Producto CRUD Test',
-          description: 'Test de operaciones CRUD',
-          price: 75.50,
-          quantity: 20,
-          category: 'CRUD',
-          sku: 'CRUD-TEST-001'
-        })
-        .expect(201);
-
-      const productId = createResponse.body.id;
+      const created = await createProduct({
+        name: 'Producto CRUD Test',
+        description: 'Test de operaciones CRUD',
+        price: 75.5,
+        stock: 20,
+        category: 'CRUD',
+        sku: 'CRUD-TEST-001'
+      });
 
-      // 2. Leer producto
       await request(app)
-        .get(`/api/products/${productId}`)
+        .get(`/api/products/${created.id}`)
+        .set('Authorization', authHeader)
         .expect(200);
 
-      // 3. Actualizar producto
       await request(app)
-        .put(`/api/products/${productId}`)
+        .put(`/api/products/${created.id}`)
+        .set('Authorization', authHeader)
+        .set('If-Match', '*')
         .send({
           name: 'Producto CRUD Actualizado',
           description: 'Descripción actualizada',
           price: 85.75,
-          quantity: 25,
+          stock: 25,
           category: 'CRUD Updated',
           sku: 'CRUD-TEST-001-UPD'
         })
         .expect(200);
 
-      // 4. Eliminar producto
       await request(app)
-        .delete(`/api/products/${productId}`)
-        .expect(204);
+        .delete(`/api/products/${created.id}`)
+        .set('Authorization', authHeader)
+        .expect(200);
 
-      // 5. Verificar que no se puede acceder al producto eliminado
       await request(app)
-        .get(`/api/products/${productId}`)
+        .get(`/api/products/${created.id}`)
+        .set('Authorization', authHeader)
         .expect(404);
     });
 
     test('Debería manejar paginación correctamente', async () => {
-      // Crear varios productos para probar paginación
-      const TestProduct = testSequelize.models.Product;
-      const products = [];
-      
-      for (let i = 0; i < 15; i++) {
-        products.push({
-          name: `Producto Paginación ${i}`,
-          price: 10.00 + i,
-          quantity: i + 1,
-          sku: `PAG-${i.toString().padStart(3, '0')}`
-        });
+      for (let i = 0; i < 12; i++) {
+        await createProduct({ name: `Producto Paginación ${i}`, price: 10 + i, stock: i + 1, sku: `PAG-${String(i).padStart(3, '0')}` });
       }
-      
-      await TestProduct.bulkCreate(products);
 
-      // Probar primera página
       const page1 = await request(app)
-        .get('/api/products?page=1&limit=5')
+        .get('/api/products?page=1&limit=5&search=paginacion')
+        .set('Authorization', authHeader)
         .expect(200);
 
-      expect(page1.body.products).toHaveLength(5);
-      expect(page1.body.pagination.page).toBe(1);
-      expect(page1.body.pagination.hasNext).toBe(true);
-      expect(page1.body.pagination.hasPrev).toBe(false);
+      expect(page1.body.data).toHaveLength(5);
+      expect(page1.body.meta.pagination.current_page).toBe(1);
+      expect(page1.body.meta.pagination.total_items).toBe(12);
+      expect(page1.body.meta.pagination.has_next_page).toBe(true);
+      expect(page1.body.meta.pagination.has_prev_page).toBe(false);
 
-      // Probar segunda página
-      const page2 = await request(app)
-        .get('/api/products?page=2&limit=5')
+      const page3 = await request(app)
+        .get('/api/products?page=3&limit=5&search=paginacion')
+        .set('Authorization', authHeader)
         .expect(200);
 
-      expect(page2.body.products).toHaveLength(5);
-      expect(page2.body.pagination.page).toBe(2);
-      expect(page2.body.pagination.hasNext).toBe(true);
-      expect(page2.body.pagination.hasPrev).toBe(true);
+      expect(page3.body.data).toHaveLength(2);
+      expect(page3.body.meta.pagination.has_next_page).toBe(false);
+      expect(page3.body.meta.pagination.has_prev_page).toBe(true);
+    });
+  });
+
+  describe('Filtros con operadores', () => {
+    // Función para listar solo los productos FIL que cumplen los filtros
+    const filterSkus = (query) => listSkus({ search: 'filtro', ...query });
+
+    beforeAll(async () => {
+      await createProduct({ name: 'Filtro Laptop', sku: 'FIL-LAP', price: 1000, cost: 700, stock: 3, brand: 'HP', category: 'Laptops', image_url: 'https://example.com/laptop.png' });
+      await createProduct({ name: 'Filtro Notebook', sku: 'FIL_NOTE', price: 500, cost: 450, stock: 20, brand: 'Dell', category: 'Laptops' });
+      await createProduct({ name: 'Filtro Monitor', sku: 'FILMON', price: 200, cost: 100, stock: 8, brand: 'LG', category: 'Monitores', image_url: 'https://example.com/monitor.png' });
+      await createProduct({ name: 'Filtro Teclado', sku: 'TEC-FIL', price: 50, stock: 40, brand: 'Logitech', category: 'Teclados' });
+    });
+
+    test('Debería filtrar por rangos de precio, costo y stock', async () => {
+      expect(await filterSkus({ 'price[gte]': 200, 'price[lte]': 600 })).toEqual(['FILMON', 'FIL_NOTE']);
+      expect(await filterSkus({ 'price[gt]': 500 })).toEqual(['FIL-LAP']);
+      expect(await filterSkus({ 'cost[eq]': 100 })).toEqual(['FILMON']);
+      expect(await filterSkus({ 'stock[lt]': 10 })).toEqual(['FIL-LAP', 'FILMON']);
+    });
+
+    test('Debería filtrar por rango de fechas', async () => {
+      expect(await filterSkus({ 'created_at[gte]': '2000-01-01', 'updated_at[lt]': '2999-01-01' })).toHaveLength(4);
+      expect(await filterSkus({ 'created_at[lt]': '2000-01-01' })).toEqual([]);
+    });
+
+    test('Debería filtrar por margen sobre el precio sin incluir productos sin costo', async () => {
+      expect(await filterSkus({ 'margin[gte]': 30 })).toEqual(['FIL-LAP', 'FILMON']);
+      expect(await filterSkus({ 'margin[lt]': 20 })).toEqual(['FIL_NOTE']);
+    });
+
+    test('Debería filtrar por varias categorías y marcas', async () => {
+      expect(await filterSkus({ 'category[in]': 'laptops,monitores' })).toEqual(['FIL-LAP', 'FILMON', 'FIL_NOTE']);
+      expect(await filterSkus({ 'brand[in]': 'hp, lg' })).toEqual(['FIL-LAP', 'FILMON']);
+    });
+
+    test('Debería filtrar por prefijo de SKU tratando _ como texto', async () => {
+      expect(await filterSkus({ 'sku[prefix]': 'fil' })).toEqual(['FIL-LAP', 'FILMON', 'FIL_NOTE']);
+      expect(await filterSkus({ 'sku[prefix]': 'FIL_' })).toEqual(['FIL_NOTE']);
+    });
+
+    test('Debería filtrar por productos con o sin imagen', async () => {
+      expect(await filterSkus({ has_image: true })).toEqual(['FIL-LAP', 'FILMON']);
+      expect(await filterSkus({ has_image: false })).toEqual(['FIL_NOTE', 'TEC-FIL']);
+    });
+
+    test('Debería rechazar operadores y campos no admitidos', async () => {
+      const cases = [
+        [{ 'price[between]': 10 }, 'price.between', 'Operador no válido para price'],
+        [{ 'price[gte]': 'abc' }, 'price.gte', 'debe ser un número'],
+        [{ price: 10 }, 'price', 'debe indicar un operador'],
+        [{ 'color[eq]': 'rojo' }, 'color', 'no admite operadores'],
+        [{ 'sku[prefix]': 'A%' }, 'sku.prefix', 'solo puede contener']
+      ];
+
+      for (const [query, field, message] of cases) {
+        const response = await request(app)
+          .get('/api/products')
+          .query(query)
+          .set('Authorization', authHeader)
+          .expect(400);
+
+        expect(response.body.errors[0].field).toBe(field);
+        expect(response.body.errors[0].message).toContain(message);
+      }
+    });
+
+    test('No debería permitir filtrar por costo o margen sin permiso para ver el costo', async () => {
+      const viewerHeader = await createUserHeader(authHeader, { email: 'viewer-filtros@test.com', name: 'Consulta', role: 'viewer' });
+
+      for (const query of [{ 'cost[gte]': 100 }, { 'margin[gte]': 30 }, { 'cost[lt]': 1, format: 'csv' }]) {
+        const response = await request(app)
+          .get('/api/products')
+          .query({ search: 'filtro', ...query })
+          .set('Authorization', viewerHeader)
+          .expect(403);
+
+        expect(response.body.message).toContain('costo o margen');
+      }
+
+      const allowed = await request(app)
+        .get('/api/products')
+        .query({ search: 'filtro', 'price[gte]': 200 })
+        .set('Authorization', viewerHeader)
+        .expect(200);
+
+      expect(allowed.body.data).toHaveLength(3);
+      expect(allowed.body.data[0]).not.toHaveProperty('cost');
+    });
+  });
+
+  describe('Campos parciales y datos relacionados', () => {
+    let product;
+
+    beforeAll(async () => {
+      const supplier = await request(app)
+        .post('/api/suppliers')
+        .set('Authorization', authHeader)
+        .send({ code: 'PROV-CAMPOS', name: 'Proveedor Campos' })
+        .expect(201);
+
+      product = await createProduct({ name: 'Producto Campos', sku: 'CAMPOS-001', price: 15, stock: 4, supplier_id: supplier.body.data.id });
+
+      for (let i = 0; i < 6; i++) {
+        await request(app)
+          .patch(`/api/products/${product.id}/stock`)
+          .set('Authorization', authHeader)
+          .send({ operation: 'add', quantity: 1, reason: `Ingreso ${i}` })
+          .expect(200);
+      }
+    });
+
+    test('Debería devolver solo los campos pedidos en el listado', async () => {
+      const response = await request(app)
+        .get('/api/products')
+        .query({ search: 'campos', fields: 'id,name,sku,stock' })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data).toEqual([{ id: product.id, name: 'Producto Campos', sku: 'CAMPOS-001', stock: 10 }]);
+    });
+
+    test('Debería calcular los campos calculados pedidos', async () => {
+      const response = await request(app)
+        .get(`/api/products/${product.id}`)
+        .query({ fields: 'sku,stock_value,needs_restock' })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.data).toEqual({ sku: 'CAMPOS-001', stock_value: 150, needs_restock: false });
+      expect(response.headers.etag).toBe('"6"');
+    });
+
+    test('Debería agregar movimientos recientes, proveedor y stock por ubicación con expand', async () => {
+      const response = await request(app)
+        .get('/api/products')
+        .query({ search: 'campos', fields: 'sku', expand: 'movements,supplier,locations' })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      const [listed] = response.body.data;
+      expect(listed.sku).toBe('CAMPOS-001');
+      expect(listed.recent_movements).toHaveLength(5);
+      expect(listed.recent_movements[0].reason).toBe('Ingreso 5');
+      expect(listed.supplier.code).toBe('PROV-CAMPOS');
+      expect(listed.stock_by_location[0].quantity).toBe(10);
+    });
+
+    test('Debería omitir el desglose por ubicación del detalle con fields salvo que se expanda', async () => {
+      const partial = await request(app)
+        .get(`/api/products/${product.id}`)
+        .query({ fields: 'name' })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(partial.body.data).toEqual({ name: 'Producto Campos' });
+
+      const full = await request(app)
+        .get(`/api/products/${product.id}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(full.body.data).toHaveProperty('description');
+      expect(full.body.data).toHaveProperty('stock_by_location');
+    });
+
+    test('Debería rechazar campos y expansiones desconocidos', async () => {
+      const fields = await request(app)
+        .get('/api/products')
+        .query({ fields: 'id,precio' })
+        .set('Authorization', authHeader)
+        .expect(400);
+
+      expect(fields.body.errors[0].message).toContain('Valores no válidos en fields: precio');
+
+      const expand = await request(app)
+        .get(`/api/products/${product.id}`)
+        .query({ expand: 'orders' })
+        .set('Authorization', authHeader)
+        .expect(400);
+
+      expect(expand.body.errors[0].message).toContain('Valores no válidos en expand: orders');
+    });
+  });
+
+  describe('Estadísticas y reportes', () => {
+    // Función para leer todos los productos del listado (una página alcanza en estas pruebas)
+    const listAllProducts = async () => {
+      const response = await request(app)
+        .get('/api/products')
+        .query({ limit: 100 })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.meta.pagination.total_pages).toBe(1);
+      return response.body.data;
+    };
+
+    // Función para pedir un reporte
+    const getReport = async (type, query = {}) => {
+      const response = await request(app)
+        .get(`/api/products/reports/${type}`)
+        .query(query)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      return response.body;
+    };
+
+    beforeAll(async () => {
+      await createProduct({ name: 'Reporte Agotado', sku: 'REP-AGOTADO', price: 40, stock: 0, brand: 'Marca Reporte' });
+      await createProduct({ name: 'Reporte Valioso', sku: 'REP-VALIOSO', price: 900, stock: 30, brand: 'Marca Reporte' });
+    });
+
+    test('Debería calcular las estadísticas igual que sumando producto por producto', async () => {
+      const products = await listAllProducts();
+      const response = await request(app)
+        .get('/api/products/stats')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      const stats = response.body.data;
+      const totalValue = products.reduce((sum, product) => sum + product.price * product.stock, 0);
+      expect(stats.total_products).toBe(products.length);
+      expect(stats.total_value).toBeCloseTo(totalValue, 2);
+      expect(stats.low_stock_count).toBe(products.filter(p => p.stock <= (p.min_stock || 5)).length);
+      expect(stats.out_of_stock_count).toBe(products.filter(p => p.stock === 0).length);
+      expect(stats.brands).toBe(new Set(products.map(p => p.brand).filter(Boolean)).size);
+      expect(stats.products_by_brand).toContainEqual({ brand: 'Marca Reporte', count: 2 });
+    });
+
+    test('Debería paginar las filas del reporte manteniendo el total y las estadísticas', async () => {
+      const all = await getReport('inventory', { limit: 1000 });
+      const first = await getReport('inventory', { limit: 3 });
+      const second = await getReport('inventory', { limit: 3, page: 2 });
+
+      expect(first.data.data).toHaveLength(3);
+      expect(first.data.total_items).toBe(all.data.total_items);
+      expect(first.data.stats).toEqual(all.data.stats);
+      expect(first.meta.pagination.total_items).toBe(all.data.total_items);
+      expect([...first.data.data, ...second.data.data].map(p => p.sku))
+        .toEqual(all.data.data.slice(0, 6).map(p => p.sku));
+    });
+
+    test('Debería filtrar y ordenar los reportes en la base', async () => {
+      const outOfStock = await getReport('out_of_stock');
+      expect(outOfStock.data.data.map(p => p.sku)).toContain('REP-AGOTADO');
+      outOfStock.data.data.forEach(product => expect(product.stock).toBe(0));
+
+      const highValue = await getReport('high_value');
+      const values = highValue.data.data.map(product => product.stock_value);
+      expect(highValue.data.data[0].sku).toBe('REP-VALIOSO');
+      expect(values).toEqual([...values].sort((a, b) => b - a));
+      values.forEach(value => expect(value).toBeGreaterThan(1000));
+
+      const lowStock = await getReport('low_stock');
+      lowStock.data.data.forEach(product => expect(product.stock).toBeLessThanOrEqual(product.min_stock || 5));
+      expect(lowStock.data.stats.low_stock_count).toBe(lowStock.data.total_items);
+    });
+
+    test('Debería rechazar un tipo de reporte desconocido', async () => {
+      await request(app)
+        .get('/api/products/reports/desconocido')
+        .set('Authorization', authHeader)
+        .expect(400);
+    });
+  });
+
+  describe('Paginación por cursor', () => {
+    // Función para pedir una página del listado de los productos CUR
+    const getPage = async (query) => {
+      const response = await request(app)
+        .get('/api/products')
+        .query({ search: 'cursor', limit: 4, ...query })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      return {
+        skus: response.body.data.map(product => product.sku),
+        pagination: response.body.meta.pagination
+      };
+    };
+
+    beforeAll(async () => {
+      for (let i = 0; i < 10; i++) {
+        await createProduct({ name: `Producto Cursor ${i}`, price: 10 + (i % 3), sku: `CUR-${String(i).padStart(2, '0')}` });
+      }
+    });
+
+    test('Debería recorrer todos los productos con next_cursor sin repetir ni saltear', async () => {
+      const first = await getPage({ sort_by: 'price', sort_order: 'ASC' });
+      expect(first.pagination.total_items).toBe(10);
+      expect(first.pagination.prev_cursor).toBeNull();
+
+      const skus = [...first.skus];
+      let cursor = first.pagination.next_cursor;
+      while (cursor) {
+        const page = await getPage({ cursor });
+        expect(page.pagination.total_items).toBeNull();
+        skus.push(...page.skus);
+        cursor = page.pagination.next_cursor;
+      }
+
+      expect(skus).toHaveLength(10);
+      expect(new Set(skus).size).toBe(10);
+    });
+
+    test('Debería volver a la página anterior con prev_cursor', async () => {
+      const first = await getPage({ sort_by: 'name', sort_order: 'ASC' });
+      const second = await getPage({ cursor: first.pagination.next_cursor });
+      const back = await getPage({ cursor: second.pagination.prev_cursor });
+
+      expect(back.skus).toEqual(first.skus);
+      expect(back.pagination.has_prev_page).toBe(false);
+    });
+
+    test('Debería mantener la página siguiente aunque se agreguen productos antes', async () => {
+      const first = await getPage({ sort_by: 'created_at', sort_order: 'DESC' });
+      await createProduct({ name: 'Producto Cursor Nuevo', sku: 'CUR-NEW' });
+
+      const byCursor = await getPage({ cursor: first.pagination.next_cursor });
+      const byOffset = await getPage({ page: 2, sort_by: 'created_at', sort_order: 'DESC' });
+
+      expect(byCursor.skus.some(sku => first.skus.includes(sku))).toBe(false);
+      expect(byOffset.skus).toContain(first.skus[first.skus.length - 1]);
+    });
+
+    test('Debería omitir el conteo total con include_total=false', async () => {
+      const page = await getPage({ include_total: false, limit: 100 });
+
+      expect(page.pagination.total_items).toBeNull();
+      expect(page.pagination.has_next_page).toBe(false);
+      expect(page.pagination.next_cursor).toBeNull();
+    });
+
+    test('Debería rechazar un cursor inválido', async () => {
+      const response = await request(app)
+        .get('/api/products')
+        .query({ cursor: 'no-es-un-cursor' })
+        .set('Authorization', authHeader)
+        .expect(400);
+
+      expect(response.body.message).toBe('Cursor inválido');
     });
   });
 
@@ -388,25 +795,37 @@ describe('API de Gestión de Inventarios', () => {
         .get('/api/ruta-inexistente')
         .expect(404);
 
-      expect(response.body).toHaveProperty('error', 'Ruta no encontrada');
+      expect(response.body.message).toContain('no encontrada');
     });
 
-    test('Debería manejar errores de base de datos', async () => {
-      // Intentar crear producto con SKU duplicado
-      const duplicateProduct = {
-        name: 'Producto Duplicado',
-        price: 100.00,
-        quantity: 5,
-        sku: 'TEST-001' // SKU que ya existe
-      };
-
+    test('Debería rechazar un SKU duplicado', async () => {
       const response = await request(app)
         .post('/api/products')
-        .send(duplicateProduct)
+        .set('Authorization', authHeader)
+        .send({ name: 'Producto Duplicado', price: 100, stock: 5, sku: 'NEW-001' })
         .expect(409);
 
-      expect(response.body).toHaveProperty('error');
-      expect(response.body.error).toContain('SKU ya existe');
+      expect(response.body.message).toContain('SKU ya existe');
+    });
+
+    test('Debería distinguir las reglas de stock de los errores del servidor', async () => {
+      const product = await createProduct({ name: 'Producto Errores Stock', sku: 'ERR-STOCK-001', stock: 2 });
+      const patchStock = () => request(app)
+        .patch(`/api/products/${product.id}/stock`)
+        .set('Authorization', authHeader)
+        .send({ quantity: 5, operation: 'subtract' });
+
+      const insufficient = await patchStock().expect(400);
+      expect(insufficient.body.message).toContain('Stock insuficiente');
+
+      const failure = jest
+        .spyOn(Product.prototype, 'updateStock')
+        .mockRejectedValueOnce(new DatabaseError(new Error('conexión perdida')));
+      try {
+        await patchStock().expect(500);
+      } finally {
+        failure.mockRestore();
+      }
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,156 @@
+const request = require('supertest');
+const { app, setupDatabase } = require('./support/app');
+const { sequelize, Product } = require('../models');
+
+describe('Órdenes de compra', () => {
+  let authHeader;
+  let supplier;
+  let hammer;
+  let saw;
+
+  // Función para crear un producto con datos mínimos válidos
+  const createProduct = async (data) => {
+    const response = await request(app)
+      .post('/api/products')
+      .set('Authorization', authHeader)
+      .send({ price: 20, stock: 0, ...data })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  // Función para crear una orden en borrador con una línea por producto
+  const createOrder = async (lines) => {
+    const response = await request(app)
+      .post('/api/purchase-orders')
+      .set('Authorization', authHeader)
+      .send({ supplier_id: supplier.id, lines })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  // Función para ejecutar una acción sobre una orden (send, receive o cancel)
+  const orderAction = (order, action, body = {}) => request(app)
+    .post(`/api/purchase-orders/${order.id}/${action}`)
+    .set('Authorization', authHeader)
+    .send(body);
+
+  beforeAll(async () => {
+    authHeader = await setupDatabase();
+
+    const supplierResponse = await request(app)
+      .post('/api/suppliers')
+      .set('Authorization', authHeader)
+      .send({ code: 'PROV-01', name: 'Ferretera Mayorista' })
+      .expect(201);
+    supplier = supplierResponse.body.data;
+
+    hammer = await createProduct({ name: 'Martillo', sku: 'OC-001', stock: 2 });
+    saw = await createProduct({ name: 'Serrucho', sku: 'OC-002' });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('Debería crear la orden en borrador con sus totales', async () => {
+    const order = await createOrder([
+      { product_id: hammer.id, quantity: 10, unit_cost: 4.5 },
+      { product_id: saw.id, quantity: 5, unit_cost: 8 }
+    ]);
+
+    expect(order.status).toBe('draft');
+    expect(order.supplier.code).toBe('PROV-01');
+    expect(order.lines).toHaveLength(2);
+    expect(order.totals.total_amount).toBe(85);
+  });
+
+  test('Debería recibir la mercancía en partes y sumar el stock', async () => {
+    const order = await createOrder([
+      { product_id: hammer.id, quantity: 10, unit_cost: 4.5 },
+      { product_id: saw.id, quantity: 5, unit_cost: 8 }
+    ]);
+    const hammerLine = order.lines.find(line => line.product_id === hammer.id);
+    const sawLine = order.lines.find(line => line.product_id === saw.id);
+
+    // Una orden en borrador todavía no puede recibirse
+    await orderAction(order, 'receive', { lines: [{ line_id: hammerLine.id, quantity: 1 }] }).expect(400);
+    await orderAction(order, 'send').expect(200);
+
+    const partial = await orderAction(order, 'receive', {
+      lines: [{ line_id: hammerLine.id, quantity: 4 }]
+    }).expect(200);
+    expect(partial.body.data.status).toBe('partially_received');
+    expect(partial.body.data.lines.find(line => line.id === hammerLine.id).quantity_pending).toBe(6);
+
+    const hammerAfter = await Product.findByPk(hammer.id);
+    expect(hammerAfter.stock).toBe(6);
+    expect(hammerAfter.cost).toBe(4.5);
+
+    const complete = await orderAction(order, 'receive', {
+      lines: [
+        { line_id: hammerLine.id, quantity: 6 },
+        { line_id: sawLine.id, quantity: 5 }
+      ]
+    }).expect(200);
+    expect(complete.body.data.status).toBe('received');
+    expect(complete.body.data.received_at).not.toBeNull();
+
+    expect((await Product.findByPk(hammer.id)).stock).toBe(12);
+    expect((await Product.findByPk(saw.id)).stock).toBe(5);
+  });
+
+  test('Debería rechazar recibir más de lo pendiente sin cambiar el stock', async () => {
+    const order = await createOrder([{ product_id: saw.id, quantity: 3, unit_cost: 8 }]);
+    await orderAction(order, 'send').expect(200);
+
+    const response = await orderAction(order, 'receive', {
+      lines: [{ line_id: order.lines[0].id, quantity: 4 }]
+    }).expect(400);
+    expect(response.body.message).toContain('excede lo pendiente');
+
+    expect((await Product.findByPk(saw.id)).stock).toBe(5);
+  });
+
+  test('Debería permitir modificar solo las órdenes en borrador', async () => {
+    const order = await createOrder([{ product_id: saw.id, quantity: 3, unit_cost: 8 }]);
+
+    const updated = await request(app)
+      .patch(`/api/purchase-orders/${order.id}`)
+      .set('Authorization', authHeader)
+      .send({ lines: [{ product_id: hammer.id, quantity: 7, unit_cost: 5 }] })
+      .expect(200);
+    expect(updated.body.data.lines).toEqual([expect.objectContaining({ product_id: hammer.id, quantity_ordered: 7 })]);
+
+    await orderAction(order, 'cancel').expect(200);
+    await request(app)
+      .patch(`/api/purchase-orders/${order.id}`)
+      .set('Authorization', authHeader)
+      .send({ notes: 'Tarde' })
+      .expect(400);
+    await orderAction(order, 'send').expect(400);
+  });
+
+  test('Debería rechazar una orden con dos líneas del mismo producto', async () => {
+    const duplicated = [
+      { product_id: hammer.id, quantity: 2, unit_cost: 4.5 },
+      { product_id: hammer.id, quantity: 3, unit_cost: 4.5 }
+    ];
+
+    const created = await request(app)
+      .post('/api/purchase-orders')
+      .set('Authorization', authHeader)
+      .send({ supplier_id: supplier.id, lines: duplicated })
+      .expect(400);
+    expect(created.body.errors.map(error => error.message)).toContain('Cada producto solo puede aparecer una vez en la orden');
+
+    const order = await createOrder([{ product_id: saw.id, quantity: 1, unit_cost: 8 }]);
+    const updated = await request(app)
+      .patch(`/api/purchase-orders/${order.id}`)
+      .set('Authorization', authHeader)
+      .send({ lines: duplicated })
+      .expect(400);
+    expect(updated.body.errors.map(error => error.message)).toContain('Cada producto solo puede aparecer una vez en la orden');
+  });
+});
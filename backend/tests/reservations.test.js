@@ -0,0 +1,176 @@
+const request = require('supertest');
+const { DatabaseError } = require('sequelize');
+const { app, setupDatabase } = require('./support/app');
+const { sequelize, Product, Reservation } = require('../models');
+
+describe('Reservas de stock', () => {
+  let authHeader;
+  let product;
+
+  // Función para reservar unidades del producto
+  const reserve = (data) => request(app)
+    .post('/api/reservations')
+    .set('Authorization', authHeader)
+    .send({ product_id: product.id, ...data });
+
+  // Función para obtener las cantidades del producto
+  const getQuantities = async () => {
+    const response = await request(app)
+      .get(`/api/products/${product.id}`)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    const { on_hand: onHand, reserved, available } = response.body.data;
+    return { on_hand: onHand, reserved, available };
+  };
+
+  beforeAll(async () => {
+    authHeader = await setupDatabase();
+
+    const created = await request(app)
+      .post('/api/products')
+      .set('Authorization', authHeader)
+      .send({ name: 'Producto Reservable', sku: 'RES-001', price: 10, stock: 10 })
+      .expect(201);
+    product = created.body.data;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('Debería retener unidades disponibles sin cambiar el stock en existencia', async () => {
+    const response = await reserve({ quantity: 4, reference: 'PEDIDO-1' }).expect(201);
+    expect(response.body.data.reservation).toMatchObject({ status: 'active', quantity: 4, reference: 'PEDIDO-1' });
+
+    expect(await getQuantities()).toEqual({ on_hand: 10, reserved: 4, available: 6 });
+  });
+
+  test('Debería impedir reservar o vender unidades ya reservadas', async () => {
+    await reserve({ quantity: 7 }).expect(400);
+
+    const response = await request(app)
+      .patch(`/api/products/${product.id}/stock`)
+      .set('Authorization', authHeader)
+      .send({ quantity: 7, operation: 'subtract' })
+      .expect(400);
+    expect(response.body.message).toContain('4 reservadas');
+  });
+
+  test('Debería descontar el stock al confirmar y devolverlo al liberar', async () => {
+    const confirmable = await Reservation.findOne({ where: { reference: 'PEDIDO-1' } });
+    const releasable = (await reserve({ quantity: 2 }).expect(201)).body.data.reservation;
+
+    const confirmed = await request(app)
+      .post(`/api/reservations/${confirmable.id}/confirm`)
+      .set('Authorization', authHeader)
+      .expect(200);
+    expect(confirmed.body.data.reservation.status).toBe('confirmed');
+    expect(await getQuantities()).toEqual({ on_hand: 6, reserved: 2, available: 4 });
+
+    await request(app)
+      .post(`/api/reservations/${releasable.id}/release`)
+      .set('Authorization', authHeader)
+      .expect(200);
+    expect(await getQuantities()).toEqual({ on_hand: 6, reserved: 0, available: 6 });
+
+    // Una reserva cerrada no puede confirmarse ni liberarse de nuevo
+    await request(app)
+      .post(`/api/reservations/${releasable.id}/confirm`)
+      .set('Authorization', authHeader)
+      .expect(400);
+    await request(app)
+      .post(`/api/reservations/${confirmable.id}/release`)
+      .set('Authorization', authHeader)
+      .expect(400);
+  });
+
+  test('Debería liberar las reservas vencidas', async () => {
+    const response = await reserve({ quantity: 3, ttl_seconds: 60 }).expect(201);
+    const { id } = response.body.data.reservation;
+    expect(await getQuantities()).toMatchObject({ reserved: 3, available: 3 });
+
+    await Reservation.update({ expires_at: new Date(Date.now() - 1000) }, { where: { id } });
+
+    // Las consultas liberan las vencidas del producto antes de responder
+    const list = await request(app)
+      .get('/api/reservations')
+      .query({ product_id: product.id, status: 'expired' })
+      .set('Authorization', authHeader)
+      .expect(200);
+    expect(list.body.data.map(reservation => reservation.id)).toEqual([id]);
+    expect(await getQuantities()).toEqual({ on_hand: 6, reserved: 0, available: 6 });
+
+    await request(app)
+      .post(`/api/reservations/${id}/confirm`)
+      .set('Authorization', authHeader)
+      .expect(400);
+  });
+
+  test('Debería liberar las reservas vencidas en el barrido periódico', async () => {
+    const response = await reserve({ quantity: 5 }).expect(201);
+    await Reservation.update(
+      { expires_at: new Date(Date.now() - 1000) },
+      { where: { id: response.body.data.reservation.id } }
+    );
+
+    const released = await Reservation.releaseExpired();
+    expect(released.map(reservation => reservation.status)).toEqual(['expired']);
+    expect(await getQuantities()).toMatchObject({ reserved: 0, available: 6 });
+  });
+
+  test('No debería responder 400 a errores de la base de datos', async () => {
+    const failure = jest.spyOn(Product.prototype, 'reserve')
+      .mockRejectedValueOnce(new DatabaseError(new Error('conexión perdida')));
+    try {
+      const response = await reserve({ quantity: 1 }).expect(500);
+      expect(response.body.message).not.toContain('conexión perdida');
+    } finally {
+      failure.mockRestore();
+    }
+
+    const reservation = (await reserve({ quantity: 1 }).expect(201)).body.data.reservation;
+    const confirmFailure = jest.spyOn(Reservation.prototype, 'confirm')
+      .mockRejectedValueOnce(new DatabaseError(new Error('conexión perdida')));
+    try {
+      await request(app)
+        .post(`/api/reservations/${reservation.id}/confirm`)
+        .set('Authorization', authHeader)
+        .expect(500);
+    } finally {
+      confirmFailure.mockRestore();
+    }
+  });
+
+  test('Debería reservar en una ubicación solo el stock disponible en ella', async () => {
+    const location = await request(app)
+      .post('/api/locations')
+      .set('Authorization', authHeader)
+      .send({ code: 'RES-SUC', name: 'Sucursal Reservas' })
+      .expect(201);
+    const locationId = location.body.data.id;
+
+    // Sin stock en la ubicación no se puede reservar aunque el producto tenga disponible
+    const empty = await reserve({ quantity: 1, location_id: locationId }).expect(400);
+    expect(empty.body.message).toContain('Stock insuficiente en la ubicación');
+
+    await request(app)
+      .patch(`/api/products/${product.id}/stock`)
+      .set('Authorization', authHeader)
+      .send({ quantity: 3, operation: 'add', location_id: locationId })
+      .expect(200);
+    const before = await getQuantities();
+
+    await reserve({ quantity: 4, location_id: locationId }).expect(400);
+    expect(await getQuantities()).toEqual(before);
+
+    const reservation = (await reserve({ quantity: 3, location_id: locationId }).expect(201)).body.data.reservation;
+    await reserve({ quantity: 1, location_id: locationId }).expect(400);
+
+    const confirmed = await request(app)
+      .post(`/api/reservations/${reservation.id}/confirm`)
+      .set('Authorization', authHeader)
+      .expect(200);
+    expect(confirmed.body.data.stock_movement).toMatchObject({ location_id: locationId, quantity: 3 });
+  });
+});
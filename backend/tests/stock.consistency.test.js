@@ -0,0 +1,121 @@
+const request = require('supertest');
+const { app, setupDatabase } = require('./support/app');
+const { sequelize, Product, StockLevel, StockMovement } = require('../models');
+const { queueTransactions } = require('./support/sqliteTransactions');
+
+// Pruebas de consistencia secuencial, no de concurrencia: SQLite en memoria no admite transacciones
+// simultáneas, así que aquí se ejecutan en cola. Las peticiones se lanzan juntas y se intercalan
+// entre transacciones (lecturas previas, validaciones y respuestas), pero nunca hay dos
+// transacciones abiertas a la vez. Se verifica que los totales, niveles y movimientos queden
+// consistentes; la carrera que evitan el UPDATE condicionado y los bloqueos de fila
+// (SELECT ... FOR UPDATE) solo ocurre con transacciones simultáneas en MySQL o PostgreSQL.
+queueTransactions(sequelize);
+
+describe('Consistencia del stock con peticiones simultáneas y transacciones en cola', () => {
+  let authHeader;
+
+  // Función para crear un producto de prueba con stock inicial
+  const createProduct = async (sku, stock) => {
+    const response = await request(app)
+      .post('/api/products')
+      .set('Authorization', authHeader)
+      .send({ name: `Producto ${sku}`, sku, price: 10, stock })
+      .expect(201);
+
+    return response.body.data.id;
+  };
+
+  // Función para lanzar juntas varias peticiones de stock sobre un producto
+  const fireStockRequests = (productId, operations) => {
+    return Promise.all(operations.map(({ quantity, operation }) => request(app)
+      .patch(`/api/products/${productId}/stock`)
+      .set('Authorization', authHeader)
+      .send({ quantity, operation })
+    ));
+  };
+
+  beforeAll(async () => {
+    authHeader = await setupDatabase();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('Debería impedir vender más unidades que el stock con muchas salidas a la vez', async () => {
+    const productId = await createProduct('CONC-001', 20);
+
+    const responses = await fireStockRequests(
+      productId,
+      Array.from({ length: 30 }, () => ({ quantity: 1, operation: 'subtract' }))
+    );
+
+    const succeeded = responses.filter(response => response.status === 200);
+    const rejected = responses.filter(response => response.status === 400);
+    expect(succeeded).toHaveLength(20);
+    expect(rejected).toHaveLength(10);
+    rejected.forEach(response => {
+      expect(response.body.message).toContain('Stock insuficiente');
+    });
+
+    const product = await Product.findByPk(productId);
+    const levels = await StockLevel.sum('quantity', { where: { product_id: productId } });
+    const movements = await StockMovement.count({ where: { product_id: productId, operation: 'subtract' } });
+    expect(product.stock).toBe(0);
+    expect(levels).toBe(0);
+    expect(movements).toBe(20);
+  });
+
+  test('Debería conservar todas las entradas y salidas lanzadas a la vez', async () => {
+    const productId = await createProduct('CONC-002', 50);
+
+    const operations = Array.from({ length: 40 }, (_, index) => (
+      index % 2 === 0
+        ? { quantity: 3, operation: 'add' }
+        : { quantity: 2, operation: 'subtract' }
+    ));
+    const responses = await fireStockRequests(productId, operations);
+
+    responses.forEach(response => expect(response.status).toBe(200));
+
+    const product = await Product.findByPk(productId);
+    const levels = await StockLevel.sum('quantity', { where: { product_id: productId } });
+    expect(product.stock).toBe(50 + 20 * 3 - 20 * 2);
+    expect(levels).toBe(product.stock);
+  });
+
+  test('Debería registrar movimientos con stock anterior y actual consistentes', async () => {
+    const productId = await createProduct('CONC-003', 10);
+
+    await fireStockRequests(
+      productId,
+      Array.from({ length: 10 }, () => ({ quantity: 1, operation: 'subtract' }))
+    );
+
+    const movements = await StockMovement.findAll({
+      where: { product_id: productId, operation: 'subtract' }
+    });
+    const previousValues = movements.map(movement => movement.previous_stock).sort((a, b) => a - b);
+    expect(previousValues).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    movements.forEach(movement => {
+      expect(movement.current_stock).toBe(movement.previous_stock - 1);
+    });
+  });
+
+  test('Debería impedir reservar más unidades que las disponibles con muchas reservas a la vez', async () => {
+    const productId = await createProduct('CONC-004', 5);
+
+    const responses = await Promise.all(Array.from({ length: 8 }, () => request(app)
+      .post('/api/reservations')
+      .set('Authorization', authHeader)
+      .send({ product_id: productId, quantity: 1 })
+    ));
+
+    expect(responses.filter(response => response.status === 201)).toHaveLength(5);
+    expect(responses.filter(response => response.status === 400)).toHaveLength(3);
+
+    const product = await Product.findByPk(productId);
+    expect(product.reserved).toBe(5);
+    expect(product.getAvailableStock()).toBe(0);
+  });
+});
@@ -0,0 +1,84 @@
+const request = require('supertest');
+const { app, setupDatabase } = require('./support/app');
+const { sequelize, Product, StockMovement } = require('../models');
+
+describe('Ajuste masivo de stock', () => {
+  let authHeader;
+  let bolt;
+  let nut;
+
+  // Función para enviar un lote de ajustes
+  const sendBatch = (items, reason) => request(app)
+    .post('/api/products/stock/batch')
+    .set('Authorization', authHeader)
+    .send({ items, reason });
+
+  // Función para obtener el stock actual de los productos del lote
+  const getStocks = async () => {
+    const products = await Product.findAll({ where: { id: [bolt.id, nut.id] } });
+    return Object.fromEntries(products.map(product => [product.sku, product.stock]));
+  };
+
+  beforeAll(async () => {
+    authHeader = await setupDatabase();
+
+    const create = async (data) => (await request(app)
+      .post('/api/products')
+      .set('Authorization', authHeader)
+      .send({ price: 1, ...data })
+      .expect(201)).body.data;
+
+    bolt = await create({ name: 'Perno', sku: 'LOTE-001', stock: 10 });
+    nut = await create({ name: 'Tuerca', sku: 'LOTE-002', stock: 3 });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('Debería aplicar todas las líneas por id o SKU como correcciones', async () => {
+    const response = await sendBatch([
+      { id: bolt.id, quantity: 4, operation: 'subtract' },
+      { sku: 'lote-002', quantity: 2, operation: 'add', reason: 'Conteo físico' },
+      { id: bolt.id, quantity: 1, operation: 'add' }
+    ], 'Inventario mensual').expect(200);
+
+    expect(response.body.data.summary).toEqual({ total_lines: 3, applied: 3, failed: 0 });
+    expect(response.body.data.results.map(result => result.status)).toEqual(['applied', 'applied', 'applied']);
+    expect(response.body.data.results[1].stock_movement).toMatchObject({ reason: 'Conteo físico', adjustment: true });
+    expect(response.body.data.results[0].stock_movement.reason).toBe('Inventario mensual');
+
+    expect(await getStocks()).toEqual({ 'LOTE-001': 7, 'LOTE-002': 5 });
+  });
+
+  test('Debería rechazar el lote completo si hay líneas inválidas', async () => {
+    const response = await sendBatch([
+      { id: bolt.id, quantity: 1, operation: 'add' },
+      { sku: 'NO-EXISTE', quantity: 1, operation: 'add' },
+      { quantity: 1, operation: 'add' }
+    ]).expect(400);
+
+    expect(response.body.data.results.map(result => result.status)).toEqual(['not_applied', 'invalid', 'invalid']);
+    expect(response.body.errors.map(error => error.line)).toEqual([2, 3]);
+    expect(response.body.errors[0].errors[0].message).toBe('Producto no encontrado');
+
+    expect(await getStocks()).toEqual({ 'LOTE-001': 7, 'LOTE-002': 5 });
+  });
+
+  test('Debería revertir todo el lote si una línea no puede aplicarse', async () => {
+    const movementsBefore = await StockMovement.count();
+
+    const response = await sendBatch([
+      { id: bolt.id, quantity: 2, operation: 'subtract' },
+      { id: nut.id, quantity: 50, operation: 'subtract' }
+    ]).expect(400);
+
+    expect(response.body.message).toContain('se revirtió todo el lote');
+    expect(response.body.data.summary).toEqual({ total_lines: 2, applied: 0, failed: 1 });
+    expect(response.body.data.results.map(result => result.status)).toEqual(['rolled_back', 'failed']);
+    expect(response.body.errors[0].errors[0].message).toContain('Stock insuficiente');
+
+    expect(await getStocks()).toEqual({ 'LOTE-001': 7, 'LOTE-002': 5 });
+    expect(await StockMovement.count()).toBe(movementsBefore);
+  });
+});
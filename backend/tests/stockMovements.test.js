@@ -0,0 +1,93 @@
+const request = require('supertest');
+const { app, setupDatabase } = require('./support/app');
+const { sequelize, StockMovement } = require('../models');
+
+describe('Movimientos de stock', () => {
+  let authHeader;
+  let product;
+
+  // Función para sumar o restar stock del producto
+  const updateStock = (data) => request(app)
+    .patch(`/api/products/${product.id}/stock`)
+    .set('Authorization', authHeader)
+    .send(data);
+
+  // Función para consultar el historial de movimientos del producto
+  const getHistory = async (query = {}) => {
+    const response = await request(app)
+      .get(`/api/products/${product.id}/history`)
+      .query(query)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    return response.body;
+  };
+
+  beforeAll(async () => {
+    authHeader = await setupDatabase();
+
+    const created = await request(app)
+      .post('/api/products')
+      .set('Authorization', authHeader)
+      .send({ name: 'Producto Movimientos', sku: 'MOV-001', price: 10, stock: 10 })
+      .expect(201);
+    product = created.body.data;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('Debería registrar cada cambio de stock con el stock anterior y el actual', async () => {
+    const added = await updateStock({ quantity: 5, operation: 'add', reason: 'Compra' }).expect(200);
+    expect(added.body.data.product.stock).toBe(15);
+    expect(added.body.data.stock_movement).toMatchObject({
+      operation: 'add',
+      quantity: 5,
+      previous_stock: 10,
+      current_stock: 15,
+      reason: 'Compra',
+      performed_by: 'admin@test.com'
+    });
+
+    await updateStock({ quantity: 3, operation: 'subtract', reason: 'Venta' }).expect(200);
+
+    const history = await getHistory();
+    expect(history.meta.pagination.total_items).toBe(3);
+    expect(history.data.events.map(event => [event.operation, event.previous_stock, event.current_stock])).toEqual([
+      ['subtract', 15, 12],
+      ['add', 10, 15],
+      ['add', 0, 10]
+    ]);
+    expect(history.data.events[2].reason).toBe('Stock inicial');
+  });
+
+  test('Debería filtrar el historial por operación y paginarlo', async () => {
+    const subtractions = await getHistory({ operation: 'subtract' });
+    expect(subtractions.data.events).toHaveLength(1);
+    expect(subtractions.data.events[0].reason).toBe('Venta');
+
+    const page = await getHistory({ limit: 2, page: 2 });
+    expect(page.data.events).toHaveLength(1);
+    expect(page.meta.pagination.has_prev_page).toBe(true);
+  });
+
+  test('No debería registrar movimientos si el stock es insuficiente', async () => {
+    const before = await StockMovement.count({ where: { product_id: product.id } });
+
+    const response = await updateStock({ quantity: 100, operation: 'subtract' }).expect(400);
+    expect(response.body.message).toContain('Stock insuficiente');
+
+    expect(await StockMovement.count({ where: { product_id: product.id } })).toBe(before);
+  });
+
+  test('Debería conservar el historial de un producto eliminado', async () => {
+    await request(app)
+      .delete(`/api/products/${product.id}`)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    const history = await getHistory();
+    expect(history.data.events).toHaveLength(3);
+  });
+});
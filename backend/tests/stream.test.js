@@ -0,0 +1,304 @@
+const http = require('http');
+const request = require('supertest');
+const { app, setupDatabase, createUserHeader } = require('./support/app');
+const { sequelize, StockMovement, Reservation, StreamEvent } = require('../models');
+
+describe('Stream de eventos en tiempo real', () => {
+  let server;
+  let authHeader;
+  let viewerHeader;
+
+  // Función para abrir una conexión SSE. Retorna los mensajes recibidos ({ id, event, data }),
+  // waitFor(event) para esperar el siguiente mensaje de un tipo y close() para cerrarla.
+  // headers agrega encabezados a la conexión (por ejemplo Last-Event-ID al reconectarse).
+  const openStream = (query, authorization, headers = {}) => new Promise((resolve, reject) => {
+    const { port } = server.address();
+    const messages = [];
+    const waiting = [];
+    let buffer = '';
+
+    const notify = () => {
+      for (const waiter of [...waiting]) {
+        const index = messages.findIndex((message, i) => i >= waiter.from && message.event === waiter.event);
+        if (index !== -1) {
+          waiting.splice(waiting.indexOf(waiter), 1);
+          waiter.resolve(messages[index]);
+        }
+      }
+    };
+
+    const req = http.get({
+      port,
+      path: `/api/stream?${new URLSearchParams(query)}`,
+      headers: { Authorization: authorization, ...headers }
+    }, (res) => {
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+
+        for (const block of blocks) {
+          const message = {};
+          for (const line of block.split('\n')) {
+            const [field, ...rest] = line.split(': ');
+            if (field === 'id') message.id = Number(rest.join(': '));
+            if (field === 'event') message.event = rest.join(': ');
+            if (field === 'data') message.data = JSON.parse(rest.join(': '));
+          }
+          if (message.event) messages.push(message);
+        }
+        notify();
+      });
+
+      resolve({
+        status: res.statusCode,
+        messages,
+        waitFor: (event) => new Promise((resolveWaiter) => {
+          waiting.push({ event, from: messages.length, resolve: resolveWaiter });
+          notify();
+        }),
+        close: () => req.destroy()
+      });
+    });
+    req.on('error', (error) => {
+      if (error.code !== 'ECONNRESET') reject(error);
+    });
+  });
+
+  // Función para leer los eventos guardados desde el principio (reenvío con last_event_id=0)
+  const readStoredEvents = async (query, authorization) => {
+    const stream = await openStream({ last_event_id: 0, ...query }, authorization);
+    await stream.waitFor('stream.ready');
+    stream.close();
+    return stream.messages.filter(message => message.event !== 'stream.ready');
+  };
+
+  beforeAll(async () => {
+    authHeader = await setupDatabase();
+    server = app.listen(0);
+
+    viewerHeader = await createUserHeader(authHeader, { email: 'viewer@test.com', name: 'Consulta', role: 'viewer' });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await sequelize.close();
+  });
+
+  test('No debería enviar el costo a usuarios sin permiso para verlo', async () => {
+    const created = await request(app)
+      .post('/api/products')
+      .set('Authorization', authHeader)
+      .send({ name: 'Producto Costo', sku: 'STR-COST', price: 100, cost: 40, stock: 5 })
+      .expect(201);
+    const query = { product_id: created.body.data.id };
+
+    const [adminEvent] = await readStoredEvents(query, authHeader);
+    expect(adminEvent.event).toBe('product.created');
+    expect(adminEvent.data.data.product.cost).toBe(40);
+
+    const [viewerEvent] = await readStoredEvents(query, viewerHeader);
+    expect(viewerEvent.event).toBe('product.created');
+    expect(viewerEvent.data.data.product).not.toHaveProperty('cost');
+    expect(viewerEvent.data.data.product.price).toBe(100);
+
+    const live = await openStream(query, viewerHeader);
+    await live.waitFor('stream.ready');
+    const changed = live.waitFor('stock.changed');
+    await request(app)
+      .patch(`/api/products/${query.product_id}/stock`)
+      .set('Authorization', authHeader)
+      .send({ quantity: 2, operation: 'add' })
+      .expect(200);
+
+    const liveEvent = await changed;
+    live.close();
+    expect(liveEvent.data.data.product).not.toHaveProperty('cost');
+    expect(liveEvent.data.data.product.stock).toBe(7);
+  });
+
+  test('Debería emitir eventos de transferencias, reservas, pronóstico y categorías', async () => {
+    const category = await request(app)
+      .post('/api/categories')
+      .set('Authorization', authHeader)
+      .send({ name: 'Eventos' })
+      .expect(201);
+    const created = await request(app)
+      .post('/api/products')
+      .set('Authorization', authHeader)
+      .send({ name: 'Producto Eventos', sku: 'STR-EVT', price: 10, stock: 20, category_id: category.body.data.id })
+      .expect(201);
+    const productId = created.body.data.id;
+    const query = { product_id: productId };
+    const send = (method, path, body) => request(app)[method](path).set('Authorization', authHeader).send(body);
+
+    const store = await send('post', '/api/locations', { code: 'TIENDA-EVT', name: 'Tienda Eventos', type: 'store' }).expect(201);
+    const locations = await send('get', '/api/locations').expect(200);
+    const main = locations.body.data.find(location => location.is_default);
+    await send('post', `/api/products/${productId}/transfer`, {
+      from_location_id: main.id,
+      to_location_id: store.body.data.id,
+      quantity: 5
+    }).expect(200);
+
+    const reservation = await send('post', '/api/reservations', { product_id: productId, quantity: 4 }).expect(201);
+    await send('post', `/api/reservations/${reservation.body.data.reservation.id}/release`).expect(200);
+
+    // El pronóstico usa los días completos: la salida se registra como de ayer
+    await send('patch', `/api/products/${productId}/stock`, { quantity: 9, operation: 'subtract' }).expect(200);
+    await StockMovement.update(
+      { createdAt: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+      { where: { product_id: productId, operation: 'subtract' }, silent: true }
+    );
+    const applied = await send('post', '/api/forecast/apply', { product_ids: [productId] }).expect(200);
+    expect(applied.body.data.results[0].changed).toBe(true);
+
+    await send('patch', `/api/categories/${category.body.data.id}`, { name: 'Eventos Renombrada' }).expect(200);
+
+    const events = (await readStoredEvents(query, authHeader)).map(message => message.data);
+    const summary = events.map(event => [event.type, event.data.changes || (event.data.stock_movement && event.data.stock_movement.operation)]);
+
+    expect(summary).toEqual([
+      ['product.created', undefined],
+      ['stock.changed', 'transfer_out'],
+      ['stock.changed', 'transfer_in'],
+      ['product.updated', ['reserved']],
+      ['product.updated', ['reserved']],
+      ['stock.changed', 'subtract'],
+      ['product.updated', ['min_stock']],
+      ['product.updated', ['category']]
+    ]);
+    expect(events[3].data.product.reserved).toBe(4);
+    expect(events[3].data.reservation.status).toBe('active');
+    expect(events[4].data.product.reserved).toBe(0);
+    expect(events[4].data.reservation.status).toBe('released');
+    expect(events[6].data.product.min_stock).toBe(applied.body.data.results[0].min_stock);
+    expect(events[7].data.product.category).toBe('Eventos Renombrada');
+  });
+
+  test('Debería emitir el cambio de stock reservado al vencer una reserva', async () => {
+    const created = await request(app)
+      .post('/api/products')
+      .set('Authorization', authHeader)
+      .send({ name: 'Producto Reserva', sku: 'STR-RES', price: 10, stock: 10 })
+      .expect(201);
+    const query = { product_id: created.body.data.id, types: 'product.updated' };
+
+    await request(app)
+      .post('/api/reservations')
+      .set('Authorization', authHeader)
+      .send({ product_id: query.product_id, quantity: 3 })
+      .expect(201);
+    await Reservation.update({ expires_at: new Date(Date.now() - 1000) }, { where: { product_id: query.product_id } });
+
+    await request(app)
+      .get('/api/reservations')
+      .query({ product_id: query.product_id })
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    const events = (await readStoredEvents(query, authHeader)).map(message => message.data.data);
+    expect(events).toHaveLength(2);
+    expect(events[1].reservation.status).toBe('expired');
+    expect(events[1].product.reserved).toBe(0);
+  });
+
+  test('Debería filtrar los eventos por categoría, tipo y cruces del stock mínimo', async () => {
+    const parent = await request(app)
+      .post('/api/categories')
+      .set('Authorization', authHeader)
+      .send({ name: 'Filtros' })
+      .expect(201);
+    const category = await request(app)
+      .post('/api/categories')
+      .set('Authorization', authHeader)
+      .send({ name: 'Filtros Hijos', parent_id: parent.body.data.id })
+      .expect(201);
+
+    const inCategory = await request(app)
+      .post('/api/products')
+      .set('Authorization', authHeader)
+      .send({ name: 'Producto Filtrado', sku: 'STR-FIL-1', price: 10, stock: 5, min_stock: 3, category_id: category.body.data.id })
+      .expect(201);
+    const other = await request(app)
+      .post('/api/products')
+      .set('Authorization', authHeader)
+      .send({ name: 'Producto Fuera', sku: 'STR-FIL-2', price: 10, stock: 5, min_stock: 3 })
+      .expect(201);
+
+    const live = await openStream({ category: 'filtros', low_stock: true }, authHeader);
+    await live.waitFor('stream.ready');
+    const low = live.waitFor('stock.low');
+    for (const product of [other, inCategory]) {
+      await request(app)
+        .patch(`/api/products/${product.body.data.id}/stock`)
+        .set('Authorization', authHeader)
+        .send({ quantity: 3, operation: 'subtract' })
+        .expect(200);
+    }
+
+    const lowEvent = await low;
+    live.close();
+    expect(lowEvent.data.data).toMatchObject({ min_stock: 3, stock: 2 });
+    expect(lowEvent.data.data.product.sku).toBe('STR-FIL-1');
+    expect(live.messages.map(message => message.event)).toEqual(['stream.ready', 'stock.low']);
+
+    // Sin filtro de categoría, el otro producto también informa su cruce del mínimo
+    const otherEvents = await readStoredEvents({ product_id: other.body.data.id, types: 'stock.low' }, authHeader);
+    expect(otherEvents.map(message => message.data.data.product.sku)).toEqual(['STR-FIL-2']);
+
+    await request(app)
+      .get('/api/stream')
+      .query({ category: 'no-existe' })
+      .set('Authorization', authHeader)
+      .expect(400);
+  });
+
+  test('Debería reenviar los eventos perdidos al reconectarse con Last-Event-ID', async () => {
+    const created = await request(app)
+      .post('/api/products')
+      .set('Authorization', authHeader)
+      .send({ name: 'Producto Reconexión', sku: 'STR-LEID', price: 10, stock: 10 })
+      .expect(201);
+    const query = { product_id: created.body.data.id };
+
+    const first = await openStream(query, authHeader);
+    const ready = await first.waitFor('stream.ready');
+    first.close();
+
+    // Eventos publicados mientras el cliente estaba desconectado
+    for (const quantity of [1, 2]) {
+      await request(app)
+        .patch(`/api/products/${query.product_id}/stock`)
+        .set('Authorization', authHeader)
+        .send({ quantity, operation: 'subtract' })
+        .expect(200);
+    }
+
+    const resumed = await openStream(query, authHeader, { 'Last-Event-ID': String(ready.id) });
+    const resumedReady = await resumed.waitFor('stream.ready');
+    resumed.close();
+
+    expect(resumedReady.data).toEqual({ resumed: true, replayed: 2 });
+    const replayed = resumed.messages.filter(message => message.event === 'stock.changed');
+    expect(replayed.map(message => message.data.data.stock_movement.quantity)).toEqual([1, 2]);
+    expect(replayed[0].id).toBeGreaterThan(ready.id);
+
+    await request(app)
+      .get('/api/stream')
+      .set('Authorization', authHeader)
+      .set('Last-Event-ID', 'abc')
+      .expect(400);
+  });
+
+  test('Debería avisar con stream.reset si ya no se conservan los eventos pedidos', async () => {
+    await StreamEvent.destroy({ where: { id: 1 } });
+
+    const stream = await openStream({ last_event_id: 0, types: 'stock.low' }, authHeader);
+    await stream.waitFor('stream.ready');
+    stream.close();
+
+    expect(stream.messages[0].event).toBe('stream.reset');
+  });
+});
@@ -0,0 +1,52 @@
+// Aplicación de las pruebas con una base de datos SQLite en memoria. La configuración de la base
+// de datos se lee al cargar los modelos: cada prueba debe requerir este módulo antes que
+// ../models o ../server.
+process.env.NODE_ENV = 'test';
+process.env.DB_DIALECT = 'sqlite';
+process.env.DB_STORAGE = ':memory:';
+process.env.BCRYPT_ROUNDS = '4';
+
+const request = require('supertest');
+const app = require('../../server');
+const { sequelize, User } = require('../../models');
+
+// Credenciales del usuario inicial y contraseña de los usuarios creados en las pruebas
+const ADMIN_EMAIL = 'admin@test.com';
+const TEST_PASSWORD = 'clave-segura';
+
+// Función para iniciar sesión y obtener el encabezado Authorization
+const login = async (email, password = TEST_PASSWORD) => {
+  const response = await request(app)
+    .post('/api/auth/login')
+    .send({ email, password })
+    .expect(200);
+
+  return `Bearer ${response.body.data.access_token}`;
+};
+
+// Función para crear las tablas vacías y el usuario inicial (admin).
+// Retorna el encabezado Authorization del usuario inicial.
+const setupDatabase = async () => {
+  await sequelize.sync({ force: true });
+  await User.ensureInitialUser({ email: ADMIN_EMAIL, password: TEST_PASSWORD });
+
+  return await login(ADMIN_EMAIL);
+};
+
+// Función para crear un usuario con un rol e iniciar sesión con él.
+// Retorna su encabezado Authorization.
+const createUserHeader = async (authHeader, { email, name, role }) => {
+  await request(app)
+    .post('/api/users')
+    .set('Authorization', authHeader)
+    .send({ email, name, password: TEST_PASSWORD, role })
+    .expect(201);
+
+  return await login(email);
+};
+
+module.exports = {
+  app,
+  setupDatabase,
+  createUserHeader
+};
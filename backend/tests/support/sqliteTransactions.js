@@ -0,0 +1,27 @@
+// SQLite en memoria comparte una única conexión y no admite transacciones simultáneas: un segundo
+// BEGIN falla mientras otra petición tiene una transacción abierta. Para lanzar peticiones en
+// paralelo en las pruebas, las transacciones administradas (con callback) se ejecutan en cola.
+// Solo para pruebas: una transacción administrada anidada sin pasar { transaction } esperaría a la
+// exterior y no terminaría nunca.
+const queueTransactions = (sequelize) => {
+  const startTransaction = sequelize.transaction.bind(sequelize);
+  let pending = Promise.resolve();
+
+  sequelize.transaction = (options, autoCallback) => {
+    if (typeof options === 'function') {
+      autoCallback = options;
+      options = undefined;
+    }
+    if (!autoCallback) {
+      return startTransaction(options);
+    }
+
+    const result = pending.then(() => startTransaction(options, autoCallback));
+    pending = result.catch(() => {});
+    return result;
+  };
+};
+
+module.exports = {
+  queueTransactions
+};
@@ -0,0 +1,150 @@
+const request = require('supertest');
+const { app, setupDatabase, createUserHeader } = require('./support/app');
+const { sequelize, CostLayer } = require('../models');
+
+describe('Valuación de inventario', () => {
+  let authHeader;
+
+  // Función para crear un producto con datos mínimos válidos
+  const createProduct = async (data) => {
+    const response = await request(app)
+      .post('/api/products')
+      .set('Authorization', authHeader)
+      .send({ name: `Producto ${data.sku}`, price: 20, ...data })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  // Función para mover stock con PATCH /:id/stock
+  const moveStock = (productId, quantity, operation) => request(app)
+    .patch(`/api/products/${productId}/stock`)
+    .set('Authorization', authHeader)
+    .send({ quantity, operation })
+    .expect(200);
+
+  // Función para obtener la valuación de un producto
+  const getValuation = async (productId, query = {}) => {
+    const response = await request(app)
+      .get(`/api/valuation/products/${productId}`)
+      .query(query)
+      .set('Authorization', authHeader)
+      .expect(200);
+
+    return response.body.data;
+  };
+
+  beforeAll(async () => {
+    authHeader = await setupDatabase();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('Debería valuar el stock actual con la capa de apertura de productos sin capas', async () => {
+    const product = await createProduct({ sku: 'VAL-OPEN', cost: 5, stock: 10 });
+    await moveStock(product.id, 3, 'subtract');
+
+    // Producto registrado antes de las capas de costo: solo tiene sus movimientos
+    await CostLayer.destroy({ where: { product_id: product.id } });
+    expect(await CostLayer.backfillFromProducts()).toBe(1);
+
+    const valuation = await getValuation(product.id);
+    expect(valuation.quantity).toBe(7);
+    expect(valuation.inventory_value).toBe(35);
+    expect(valuation.units_sold).toBe(3);
+    expect(valuation.cogs).toBe(15);
+    expect(valuation.uncosted_units).toBe(0);
+    expect(valuation.layers).toEqual([expect.objectContaining({ quantity: 7, unit_cost: 5 })]);
+  });
+
+  test('Debería crear en lotes las capas de apertura solo para los productos sin capas', async () => {
+    const products = [];
+    for (const sku of ['VAL-BF-1', 'VAL-BF-2', 'VAL-BF-3']) {
+      products.push(await createProduct({ sku, cost: 2, stock: 3 }));
+    }
+    const ids = products.map(product => product.id);
+    await CostLayer.destroy({ where: { product_id: ids } });
+
+    expect(await CostLayer.backfillFromProducts({ batchSize: 2 })).toBe(3);
+    expect(await CostLayer.count({ where: { product_id: ids, quantity: 3, stock_movement_id: null } })).toBe(3);
+
+    // Sin productos pendientes no se crea nada
+    expect(await CostLayer.backfillFromProducts()).toBe(0);
+  });
+
+  test('No debería contar las correcciones de inventario como costo de ventas', async () => {
+    const product = await createProduct({ sku: 'VAL-ADJ', cost: 4, stock: 10 });
+
+    await request(app)
+      .patch(`/api/products/${product.id}`)
+      .set('Authorization', authHeader)
+      .send({ stock: 6, version: product.version })
+      .expect(200);
+    await request(app)
+      .post('/api/products/stock/batch')
+      .set('Authorization', authHeader)
+      .send({ items: [{ id: product.id, quantity: 1, operation: 'subtract' }] })
+      .expect(200);
+    await moveStock(product.id, 2, 'subtract');
+
+    const valuation = await getValuation(product.id);
+    expect(valuation.quantity).toBe(3);
+    expect(valuation.inventory_value).toBe(12);
+    expect(valuation.units_sold).toBe(2);
+    expect(valuation.cogs).toBe(8);
+    expect(valuation.issues.map(issue => [issue.quantity, issue.adjustment])).toEqual([[4, true], [1, true], [2, false]]);
+  });
+
+  test('Debería valuar las capas recibidas según el método FIFO, LIFO o promedio', async () => {
+    const product = await createProduct({ sku: 'VAL-MET', cost: 4, stock: 10 });
+
+    // Recepción de una orden de compra: segunda capa a otro costo
+    const supplier = await request(app)
+      .post('/api/suppliers')
+      .set('Authorization', authHeader)
+      .send({ code: 'PROV-VAL', name: 'Proveedor Valuación' })
+      .expect(201);
+    const order = await request(app)
+      .post('/api/purchase-orders')
+      .set('Authorization', authHeader)
+      .send({ supplier_id: supplier.body.data.id, lines: [{ product_id: product.id, quantity: 10, unit_cost: 6 }] })
+      .expect(201);
+    const orderPath = `/api/purchase-orders/${order.body.data.id}`;
+    await request(app).post(`${orderPath}/send`).set('Authorization', authHeader).expect(200);
+    await request(app)
+      .post(`${orderPath}/receive`)
+      .set('Authorization', authHeader)
+      .send({ lines: [{ line_id: order.body.data.lines[0].id, quantity: 10 }] })
+      .expect(200);
+
+    await moveStock(product.id, 12, 'subtract');
+
+    const fifo = await getValuation(product.id, { method: 'fifo' });
+    expect(fifo).toMatchObject({ quantity: 8, inventory_value: 48, units_sold: 12, cogs: 52 });
+    expect(fifo.layers).toEqual([expect.objectContaining({ quantity: 8, unit_cost: 6 })]);
+
+    const lifo = await getValuation(product.id, { method: 'lifo' });
+    expect(lifo).toMatchObject({ quantity: 8, inventory_value: 32, cogs: 68 });
+
+    const average = await getValuation(product.id, { method: 'average' });
+    expect(average).toMatchObject({ quantity: 8, inventory_value: 40, average_unit_cost: 5, cogs: 60 });
+
+    const report = await request(app)
+      .get('/api/valuation')
+      .query({ method: 'fifo', product_id: product.id })
+      .set('Authorization', authHeader)
+      .expect(200);
+    expect(report.body.data.totals).toMatchObject({ quantity: 8, inventory_value: 48, cogs: 52 });
+  });
+
+  test('No debería mostrar la valuación a roles sin acceso a costos', async () => {
+    const operatorHeader = await createUserHeader(authHeader, { email: 'operario@test.com', name: 'Operario', role: 'warehouse_operator' });
+
+    await request(app)
+      .get('/api/valuation')
+      .set('Authorization', operatorHeader)
+      .expect(403);
+  });
+});
@@ -0,0 +1,139 @@
+const request = require('supertest');
+const { app, setupDatabase } = require('./support/app');
+const { sequelize, Product, StockLevel } = require('../models');
+
+describe('Variantes de productos', () => {
+  let authHeader;
+  let parent;
+  let small;
+  let large;
+
+  // Función para crear una variante del producto principal
+  const createVariant = (data, parentId = parent.id) => request(app)
+    .post(`/api/products/${parentId}/variants`)
+    .set('Authorization', authHeader)
+    .send(data);
+
+  // Función para obtener el stock y las reservas del producto principal
+  const getParentTotals = async () => {
+    const product = await Product.findByPk(parent.id);
+    return { stock: product.stock, reserved: product.reserved };
+  };
+
+  beforeAll(async () => {
+    authHeader = await setupDatabase();
+
+    const created = await request(app)
+      .post('/api/products')
+      .set('Authorization', authHeader)
+      .send({ name: 'Remera Básica', sku: 'REM-001', price: 15, stock: 0, brand: 'Algodón Sur' })
+      .expect(201);
+    parent = created.body.data;
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('Debería crear variantes con los datos compartidos del producto principal', async () => {
+    const response = await createVariant({ sku: 'REM-001-S', options: { talla: 'S', color: 'Blanco' }, stock: 4 }).expect(201);
+    small = response.body.data;
+
+    expect(small).toMatchObject({
+      name: 'Remera Básica - S / Blanco',
+      parent_id: parent.id,
+      price: 15,
+      brand: 'Algodón Sur',
+      stock: 4
+    });
+
+    large = (await createVariant({ sku: 'REM-001-L', options: { talla: 'L', color: 'Blanco' }, stock: 6, price: 17 }).expect(201)).body.data;
+    expect(large.price).toBe(17);
+
+    expect(await getParentTotals()).toEqual({ stock: 10, reserved: 0 });
+    expect((await Product.findByPk(parent.id)).has_variants).toBe(true);
+  });
+
+  test('Debería rechazar opciones repetidas y variantes de variantes', async () => {
+    const duplicate = await createVariant({ sku: 'REM-001-S2', options: { Color: 'blanco', Talla: 's' } }).expect(409);
+    expect(duplicate.body.message).toContain('REM-001-S');
+
+    await createVariant({ sku: 'REM-001-S-X', options: { talla: 'XS' } }, small.id).expect(400);
+  });
+
+  test('Debería mantener el total del producto principal con el stock y las reservas de sus variantes', async () => {
+    await request(app)
+      .patch(`/api/products/${small.id}/stock`)
+      .set('Authorization', authHeader)
+      .send({ quantity: 3, operation: 'subtract' })
+      .expect(200);
+    await request(app)
+      .post('/api/reservations')
+      .set('Authorization', authHeader)
+      .send({ product_id: large.id, quantity: 2 })
+      .expect(201);
+
+    expect(await getParentTotals()).toEqual({ stock: 7, reserved: 2 });
+
+    // El stock del principal solo cambia a través de sus variantes
+    await request(app)
+      .patch(`/api/products/${parent.id}/stock`)
+      .set('Authorization', authHeader)
+      .send({ quantity: 1, operation: 'add' })
+      .expect(400);
+  });
+
+  test('No debería asignar stock por ubicación al producto principal al completar niveles', async () => {
+    expect(await StockLevel.backfillFromProducts()).toBe(0);
+    expect(await StockLevel.count({ where: { product_id: parent.id } })).toBe(0);
+
+    const response = await request(app)
+      .get('/api/products/stats')
+      .set('Authorization', authHeader)
+      .expect(200);
+    const [location] = response.body.data.stock_by_location;
+    expect(Number(location.total_quantity)).toBe(7);
+    expect(Number(location.products)).toBe(2);
+  });
+
+  test('Debería copiar a las variantes los cambios de los datos compartidos', async () => {
+    await request(app)
+      .patch(`/api/products/${parent.id}`)
+      .set('Authorization', authHeader)
+      .set('If-Match', '*')
+      .send({ brand: 'Algodón Norte' })
+      .expect(200);
+
+    const variants = await request(app)
+      .get(`/api/products/${parent.id}/variants`)
+      .set('Authorization', authHeader)
+      .expect(200);
+    expect(variants.body.data.map(variant => [variant.sku, variant.brand])).toEqual([
+      ['REM-001-L', 'Algodón Norte'],
+      ['REM-001-S', 'Algodón Norte']
+    ]);
+  });
+
+  test('Debería listar variantes por separado, agrupadas o anidadas', async () => {
+    const list = async (variants) => (await request(app)
+      .get('/api/products')
+      .query({ variants, sort_by: 'sku', sort_order: 'ASC' })
+      .set('Authorization', authHeader)
+      .expect(200)).body.data;
+
+    expect((await list('flat')).map(product => product.sku)).toEqual(['REM-001-L', 'REM-001-S']);
+
+    const grouped = await list('group');
+    expect(grouped.map(product => [product.sku, product.stock])).toEqual([['REM-001', 7]]);
+
+    const [expanded] = await list('expand');
+    expect(expanded.variants.map(variant => variant.sku).sort()).toEqual(['REM-001-L', 'REM-001-S']);
+  });
+
+  test('No debería eliminar un producto principal con variantes', async () => {
+    await request(app)
+      .delete(`/api/products/${parent.id}`)
+      .set('Authorization', authHeader)
+      .expect(400);
+  });
+});
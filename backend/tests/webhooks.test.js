@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { app, setupDatabase } = require('./support/app');
+const { sequelize, Product, WebhookDelivery } = require('../models');
+const { retryDueDeliveries, flushDeliveries } = require('../utils/webhooks');
+
+describe('Webhooks salientes', () => {
+  let authHeader;
+  let subscription;
+  let fetchSpy;
+
+  // Función para simular la respuesta del destino
+  const respondWith = (status, body = 'ok') => fetchSpy.mockResolvedValue(new Response(body, { status }));
+
+  // Función para esperar el primer intento de una entrega (el envío inmediato corre en segundo plano)
+  const waitForAttempt = async (where) => {
+    for (let i = 0; i < 100; i++) {
+      const delivery = await WebhookDelivery.findOne({ where });
+      if (delivery && delivery.attempts > 0) return delivery;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('La entrega no se intentó');
+  };
+
+  // Función para crear un producto que dispara product.created
+  const createProduct = (sku) => request(app)
+    .post('/api/products')
+    .set('Authorization', authHeader)
+    .send({ name: `Producto ${sku}`, sku, price: 10, stock: 1 })
+    .expect(201);
+
+  beforeAll(async () => {
+    authHeader = await setupDatabase();
+  });
+
+  beforeEach(() => {
+    fetchSpy = jest.spyOn(global, 'fetch');
+    respondWith(200);
+  });
+
+  // Los envíos en segundo plano deben terminar con el destino simulado y antes de cerrar la base de datos
+  afterEach(async () => {
+    await flushDeliveries();
+    fetchSpy.mockRestore();
+  });
+
+  afterAll(async () => {
+    await flushDeliveries();
+    await sequelize.close();
+  });
+
+  test('Debería mostrar el secreto solo al crear la suscripción', async () => {
+    const response = await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', authHeader)
+      .send({ url: 'https://destino.test/hooks', events: ['product.created'] })
+      .expect(201);
+    subscription = response.body.data;
+    expect(subscription.secret).toMatch(/^[0-9a-f]{64}$/);
+
+    const list = await request(app)
+      .get('/api/webhooks')
+      .set('Authorization', authHeader)
+      .expect(200);
+    expect(list.body.data[0].secret).toBe(`${subscription.secret.slice(0, 4)}…`);
+  });
+
+  test('Debería enviar los eventos suscritos firmados con HMAC-SHA256', async () => {
+    const created = await createProduct('WH-001');
+    const delivery = await waitForAttempt({ event_type: 'product.created' });
+    expect(delivery.status).toBe('succeeded');
+
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+    const [url, options] = fetchSpy.mock.calls[0];
+    expect(url).toBe('https://destino.test/hooks');
+    expect(options.headers['X-Webhook-Event']).toBe('product.created');
+
+    const timestamp = options.headers['X-Webhook-Timestamp'];
+    const expected = crypto.createHmac('sha256', subscription.secret).update(`${timestamp}.${options.body}`).digest('hex');
+    expect(options.headers['X-Webhook-Signature']).toBe(`sha256=${expected}`);
+    expect(JSON.parse(options.body).data.product.id).toBe(created.body.data.id);
+
+    // Los eventos no suscritos no generan entregas
+    await request(app)
+      .patch(`/api/products/${created.body.data.id}/stock`)
+      .set('Authorization', authHeader)
+      .send({ quantity: 1, operation: 'add' })
+      .expect(200);
+    expect(await WebhookDelivery.count({ where: { event_type: 'stock.changed' } })).toBe(0);
+  });
+
+  test('Debería reintentar las entregas fallidas y registrar cada intento', async () => {
+    respondWith(500, 'Error interno');
+    await createProduct('WH-002');
+    const [delivery] = await WebhookDelivery.findAll({ order: [['createdAt', 'DESC']], limit: 1 });
+    const failed = await waitForAttempt({ id: delivery.id });
+
+    expect(failed).toMatchObject({ status: 'pending', attempts: 1, response_status: 500, error: 'El destino respondió 500' });
+    expect(failed.next_attempt_at.getTime()).toBeGreaterThan(Date.now());
+
+    // Un reintento antes de tiempo no se envía
+    expect(await retryDueDeliveries()).toBe(0);
+
+    respondWith(200);
+    await failed.update({ next_attempt_at: new Date(Date.now() - 1000) });
+    expect(await retryDueDeliveries()).toBe(1);
+
+    const log = await request(app)
+      .get(`/api/webhooks/${subscription.id}/deliveries`)
+      .set('Authorization', authHeader)
+      .expect(200);
+    expect(log.body.data.find(entry => entry.id === delivery.id)).toMatchObject({ status: 'succeeded', attempts: 2 });
+
+    const detail = await request(app)
+      .get(`/api/webhooks/${subscription.id}`)
+      .set('Authorization', authHeader)
+      .expect(200);
+    expect(detail.body.data.deliveries).toEqual({ pending: 0, succeeded: 2, failed: 0 });
+  });
+
+  test('Debería reenviar una entrega con el mismo evento', async () => {
+    const original = await WebhookDelivery.findOne({ where: { event_type: 'product.created' } });
+
+    const response = await request(app)
+      .post(`/api/webhooks/deliveries/${original.id}/replay`)
+      .set('Authorization', authHeader)
+      .expect(201);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.data).toMatchObject({ replay_of: original.id, event_id: original.event_id, status: 'succeeded' });
+    expect(fetchSpy).toHaveBeenCalledTimes(1);
+  });
+
+  test('Debería informar el resultado del evento de prueba', async () => {
+    fetchSpy.mockRejectedValue(new TypeError('fetch failed', { cause: new Error('connect ECONNREFUSED') }));
+
+    const response = await request(app)
+      .post(`/api/webhooks/${subscription.id}/test`)
+      .set('Authorization', authHeader)
+      .expect(201);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.data).toMatchObject({ event_type: 'webhook.test', status: 'pending', error: 'connect ECONNREFUSED' });
+  });
+
+  test('Debería avisar stock.low con el mismo umbral que muestra la API', async () => {
+    const lowStock = await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', authHeader)
+      .send({ url: 'https://destino.test/stock', events: ['stock.low'] })
+      .expect(201);
+
+    // Función para vender y obtener los avisos de stock bajo del producto
+    const sellAndGetAlerts = async (product, quantity) => {
+      const response = await request(app)
+        .patch(`/api/products/${product.id}/stock`)
+        .set('Authorization', authHeader)
+        .send({ quantity, operation: 'subtract' })
+        .expect(200);
+      const deliveries = await WebhookDelivery.findAll({ where: { subscription_id: lowStock.body.data.id } });
+      return {
+        needsRestock: response.body.data.product.needs_restock,
+        alerts: deliveries.filter(delivery => delivery.payload.data.product.id === product.id).map(delivery => delivery.payload.data)
+      };
+    };
+
+    // Sin min_stock (productos anteriores al campo) se usa el umbral por defecto
+    const legacy = (await createProduct('WH-LOW-1')).body.data;
+    await request(app)
+      .patch(`/api/products/${legacy.id}/stock`)
+      .set('Authorization', authHeader)
+      .send({ quantity: 9, operation: 'add' })
+      .expect(200);
+    await Product.update({ min_stock: null }, { where: { id: legacy.id } });
+
+    const crossed = await sellAndGetAlerts(legacy, 5);
+    expect(crossed.needsRestock).toBe(true);
+    expect(crossed.alerts).toEqual([expect.objectContaining({ min_stock: 5, stock: 5 })]);
+
+    // Un min_stock de 0 solo avisa al agotarse
+    const unlimited = (await request(app)
+      .post('/api/products')
+      .set('Authorization', authHeader)
+      .send({ name: 'Producto Sin Mínimo', sku: 'WH-LOW-2', price: 10, stock: 3, min_stock: 0 })
+      .expect(201)).body.data;
+
+    const partial = await sellAndGetAlerts(unlimited, 2);
+    expect(partial.needsRestock).toBe(false);
+    expect(partial.alerts).toEqual([]);
+
+    const soldOut = await sellAndGetAlerts(unlimited, 1);
+    expect(soldOut.needsRestock).toBe(true);
+    expect(soldOut.alerts).toEqual([expect.objectContaining({ min_stock: 0, stock: 0 })]);
+  });
+});
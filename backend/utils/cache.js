@@ -0,0 +1,164 @@
+const cacheConfig = require('../config/cache');
+
+// Los almacenamientos guardan texto con vencimiento y un número de generación. Las claves
+// incluyen la generación vigente: invalidar es incrementarla, así las respuestas anteriores
+// dejan de encontrarse (en Redis vencen solas) sin tener que buscarlas y borrarlas.
+
+// Función para crear la caché en memoria del proceso. Descarta las entradas menos usadas (LRU):
+// el Map conserva el orden de inserción, cada lectura mueve la entrada al final y al superar
+// maxEntries se eliminan las primeras.
+const createMemoryStore = ({ maxEntries = cacheConfig.maxEntries } = {}) => {
+  const entries = new Map();
+  let generation = 0;
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async getGeneration() {
+      return generation;
+    },
+
+    // Las entradas de generaciones anteriores ya no se leen: se liberan de inmediato
+    async bumpGeneration() {
+      generation++;
+      entries.clear();
+      return generation;
+    },
+
+    get size() {
+      return entries.size;
+    }
+  };
+};
+
+// Función para esperar una operación de la caché como máximo ms milisegundos
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`La caché no respondió en ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Función para crear la caché en Redis, compartida por todos los procesos de la API.
+// client es un cliente de node-redis (v4) o cualquier objeto con get(key), set(key, value, { EX })
+// e incr(key), por ejemplo un reemplazo en memoria en las pruebas. Cada comando falla si tarda
+// más de timeoutMs: con Redis caído las peticiones siguen sin caché en lugar de quedar esperando.
+const createRedisStore = ({ client, keyPrefix = cacheConfig.keyPrefix, timeoutMs = cacheConfig.timeoutMs }) => {
+  const generationKey = `${keyPrefix}:generation`;
+
+  return {
+    async get(key) {
+      return await withTimeout(client.get(`${keyPrefix}:${key}`), timeoutMs);
+    },
+
+    async set(key, value, ttlSeconds) {
+      await withTimeout(client.set(`${keyPrefix}:${key}`, value, { EX: ttlSeconds }), timeoutMs);
+    },
+
+    async getGeneration() {
+      return parseInt(await withTimeout(client.get(generationKey), timeoutMs)) || 0;
+    },
+
+    async bumpGeneration() {
+      return await withTimeout(client.incr(generationKey), timeoutMs);
+    },
+
+    async close() {
+      if (typeof client.quit === 'function') {
+        await client.quit();
+      }
+    }
+  };
+};
+
+// Función para crear el almacenamiento configurado (null si la caché está desactivada)
+const createConfiguredStore = () => {
+  if (cacheConfig.driver === 'none') return null;
+
+  if (cacheConfig.driver === 'redis') {
+    let redis;
+    try {
+      redis = require('redis');
+    } catch (error) {
+      throw new Error('CACHE_DRIVER=redis requiere el paquete redis (npm install redis)');
+    }
+
+    // Sin cola de comandos: mientras Redis no está conectado los comandos fallan de inmediato
+    // y las peticiones se responden sin caché (X-Cache: BYPASS)
+    const client = redis.createClient({ url: cacheConfig.redisUrl, disableOfflineQueue: true });
+    client.on('error', (error) => {
+      console.error('❌ Error de conexión con Redis:', error.message);
+    });
+    client.connect().catch((error) => {
+      console.error('❌ No se pudo conectar con Redis:', error.message);
+    });
+
+    return createRedisStore({ client });
+  }
+
+  return createMemoryStore();
+};
+
+// Almacenamiento en uso (se crea con el primer pedido)
+let store;
+
+// Función para obtener el almacenamiento de la caché (null si está desactivada)
+const getCacheStore = () => {
+  if (store === undefined) {
+    store = createConfiguredStore();
+  }
+  return store;
+};
+
+// Función para reemplazar el almacenamiento (ej: Redis de pruebas o null para desactivar)
+const setCacheStore = (newStore) => {
+  store = newStore;
+};
+
+// Función para invalidar todas las respuestas guardadas. Un error solo se informa en el log:
+// las respuestas anteriores vencen igual al cumplirse su TTL.
+const invalidateCache = async () => {
+  const cache = getCacheStore();
+  if (!cache) return;
+
+  try {
+    await cache.bumpGeneration();
+  } catch (error) {
+    console.error('❌ Error al invalidar la caché:', error.message);
+  }
+};
+
+// Función para cerrar la conexión del almacenamiento (al detener el servidor)
+const closeCache = async () => {
+  if (store && typeof store.close === 'function') {
+    await store.close();
+  }
+};
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+  getCacheStore,
+  setCacheStore,
+  invalidateCache,
+  closeCache
+};
@@ -0,0 +1,171 @@
+const { EventEmitter } = require('events');
+const { StreamEvent } = require('../models');
+const streamConfig = require('../config/stream');
+
+// Reparte los eventos registrados a las conexiones abiertas en este proceso
+const broker = new EventEmitter();
+broker.setMaxListeners(0);
+
+// Conexiones abiertas, para cerrarlas al detener el servidor
+const connections = new Set();
+
+// Función para registrar un evento en el stream y avisar a las conexiones abiertas.
+// Igual que las entregas de webhooks, un error solo se informa en el log.
+const publishStreamEvent = async (event) => {
+  const product = event.data && event.data.product;
+
+  try {
+    const record = await StreamEvent.create({
+      event_id: event.id,
+      type: event.type,
+      product_id: product ? product.id : null,
+      category_id: product ? product.category_id || null : null,
+      data: event.data,
+      createdAt: event.created_at
+    });
+    broker.emit('event', record);
+    return record;
+  } catch (error) {
+    console.error(`❌ Error al publicar el evento ${event.type} en el stream:`, error.message);
+    return null;
+  }
+};
+
+// Función para escribir un mensaje SSE (id es opcional: sin id el cliente conserva el último recibido)
+const writeMessage = (res, { id, event, data }) => {
+  const lines = [];
+  if (id !== undefined) lines.push(`id: ${id}`);
+  lines.push(`event: ${event}`);
+  lines.push(`data: ${JSON.stringify(data)}`);
+  res.write(`${lines.join('\n')}\n\n`);
+};
+
+// Función para quitar el costo de un producto y de sus variantes
+const withoutCost = (product) => {
+  const { cost, ...visible } = product;
+  if (Array.isArray(product.variants)) {
+    visible.variants = product.variants.map(withoutCost);
+  }
+  return visible;
+};
+
+// Función para enviar un evento registrado. Los eventos se guardan con el costo (los webhooks lo
+// reciben); options.includeCost = false lo quita para conexiones sin permiso products:view_cost.
+const writeEvent = (res, record, options = {}) => {
+  const { includeCost = true } = options;
+  const event = record.toEvent();
+
+  if (!includeCost && event.data && event.data.product) {
+    event.data = { ...event.data, product: withoutCost(event.data.product) };
+  }
+  writeMessage(res, { id: record.id, event: record.type, data: event });
+};
+
+// Función para reenviar los eventos posteriores a lastEventId que cumplen los filtros.
+// Si la retención ya eliminó eventos posteriores a lastEventId se avisa con stream.reset,
+// para que el cliente vuelva a cargar el estado completo. Retorna los ids enviados.
+const replayEvents = async (res, lastEventId, filters, options) => {
+  const sent = new Set();
+
+  const oldestId = await StreamEvent.min('id');
+  if (oldestId !== null && oldestId > lastEventId + 1) {
+    writeMessage(res, {
+      event: 'stream.reset',
+      data: { message: 'Hay eventos que ya no se conservan; vuelva a cargar el estado completo' }
+    });
+  }
+
+  let cursor = lastEventId;
+  let batch;
+  do {
+    batch = await StreamEvent.findAfter(cursor, filters, streamConfig.replayBatchSize);
+    for (const record of batch) {
+      if (res.writableEnded) return sent;
+      writeEvent(res, record, options);
+      sent.add(record.id);
+    }
+    if (batch.length > 0) cursor = batch[batch.length - 1].id;
+  } while (batch.length === streamConfig.replayBatchSize);
+
+  return sent;
+};
+
+// Función para atender una conexión SSE. Con lastEventId reenvía primero los eventos perdidos
+// y luego los nuevos; sin él envía un evento stream.ready con el id actual, para que el cliente
+// pueda reanudar desde ahí aunque se desconecte antes de recibir un evento.
+// Los eventos publicados mientras se reenvían los perdidos se guardan y se envían al final,
+// sin repetir los que ya salieron en el reenvío. includeCost = false quita el costo de los productos.
+const openEventStream = async (req, res, { filters, lastEventId = null, includeCost = true }) => {
+  const options = { includeCost };
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${streamConfig.retryMs}\n\n`);
+
+  let pending = [];
+  const onEvent = (record) => {
+    if (!record.matches(filters)) return;
+    if (pending) {
+      pending.push(record);
+    } else {
+      writeEvent(res, record, options);
+    }
+  };
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), streamConfig.heartbeatMs);
+  const close = () => {
+    clearInterval(heartbeat);
+    broker.off('event', onEvent);
+    connections.delete(res);
+  };
+
+  broker.on('event', onEvent);
+  connections.add(res);
+  req.on('close', close);
+
+  try {
+    let sent = new Set();
+    if (lastEventId === null) {
+      writeMessage(res, {
+        id: (await StreamEvent.max('id')) || 0,
+        event: 'stream.ready',
+        data: { resumed: false, replayed: 0 }
+      });
+    } else {
+      sent = await replayEvents(res, lastEventId, filters, options);
+      writeMessage(res, {
+        event: 'stream.ready',
+        data: { resumed: true, replayed: sent.size }
+      });
+    }
+
+    const buffered = pending;
+    pending = null;
+    buffered.filter(record => !sent.has(record.id)).forEach(record => writeEvent(res, record, options));
+  } catch (error) {
+    // Los encabezados ya se enviaron: se informa en el stream y se cierra la conexión
+    console.error('❌ Error al abrir el stream de eventos:', error.message);
+    writeMessage(res, { event: 'stream.error', data: { message: 'Error al leer los eventos' } });
+    close();
+    res.end();
+  }
+};
+
+// Función para cerrar todas las conexiones abiertas (al detener el servidor)
+const closeEventStreams = () => {
+  for (const res of connections) {
+    res.end();
+  }
+  connections.clear();
+};
+
+module.exports = {
+  publishStreamEvent,
+  openEventStream,
+  closeEventStreams
+};
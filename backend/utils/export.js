@@ -0,0 +1,170 @@
+const ExcelJS = require('exceljs');
+
+// Formatos de exportación disponibles con su tipo MIME y extensión
+const EXPORT_FORMATS = {
+  json: { mimeType: 'application/json', extension: 'json' },
+  csv: { mimeType: 'text/csv', extension: 'csv' },
+  xlsx: {
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+};
+
+// Cantidad de productos que se leen por consulta al exportar
+const EXPORT_BATCH_SIZE = 500;
+
+// Columnas exportadas de un producto (mismos campos que formatProductResponse)
+const PRODUCT_EXPORT_COLUMNS = [
+  'id', 'name', 'sku', 'description', 'price', 'cost', 'version', 'stock', 'on_hand',
+  'reserved', 'available', 'min_stock', 'category', 'category_id', 'brand', 'is_active', 'image_url',
+  'supplier_id', 'supplier_sku', 'lead_time_days', 'parent_id', 'options', 'has_variants',
+  'created_at', 'updated_at',
+  'needs_restock', 'is_out_of_stock', 'stock_value'
+];
+
+// Función para obtener el formato de exportación pedido: parámetro format o encabezado Accept.
+// Retorna null cuando corresponde la respuesta JSON habitual (paginada con createResponse).
+const resolveExportFormat = (req) => {
+  if (req.query.format) {
+    return req.query.format;
+  }
+
+  const accepted = req.accepts(['json', 'csv', 'xlsx'].map(format => EXPORT_FORMATS[format].mimeType));
+  const format = Object.keys(EXPORT_FORMATS).find(key => EXPORT_FORMATS[key].mimeType === accepted);
+
+  return format && format !== 'json' ? format : null;
+};
+
+// Función para obtener las columnas de productos según las opciones de formato (costo visible o no)
+const getProductExportColumns = (options = {}) => {
+  const { includeCost = true } = options;
+  return PRODUCT_EXPORT_COLUMNS.filter(column => includeCost || column !== 'cost');
+};
+
+// Función para convertir un valor en texto plano para CSV/XLSX
+const toCellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+// Función para escapar un valor CSV. Los textos que empiezan con =, +, - o @ se prefijan con '
+// para que Excel no los interprete como fórmulas.
+const escapeCsvValue = (value) => {
+  let text = String(toCellValue(value));
+
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Función para escribir en la respuesta respetando la contrapresión del stream
+const writeChunk = (res, chunk) => {
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => res.once('drain', resolve));
+};
+
+// Función para crear un escritor de exportación sobre la respuesta HTTP.
+// Los encabezados se envían con la primera escritura: si la primera consulta falla,
+// el error todavía puede responderse como JSON.
+const createExportWriter = (res, format, { filename, columns }) => {
+  const { mimeType, extension } = EXPORT_FORMATS[format];
+  let started = false;
+  let workbook;
+  let worksheet;
+  let firstJsonRow = true;
+
+  const start = async () => {
+    if (started) return;
+    started = true;
+
+    res.status(200);
+    res.set('Content-Type', format === 'csv' ? `${mimeType}; charset=utf-8` : mimeType);
+    res.set('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+
+    if (format === 'csv') {
+      // BOM para que Excel detecte UTF-8 (acentos)
+      await writeChunk(res, `\uFEFF${columns.join(',')}\r\n`);
+    } else if (format === 'xlsx') {
+      workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+      worksheet = workbook.addWorksheet('Datos');
+      worksheet.columns = columns.map(column => ({ header: column, key: column }));
+    } else {
+      await writeChunk(res, '[');
+    }
+  };
+
+  const writeRows = async (rows) => {
+    await start();
+
+    for (const row of rows) {
+      if (format === 'csv') {
+        await writeChunk(res, `${columns.map(column => escapeCsvValue(row[column])).join(',')}\r\n`);
+      } else if (format === 'xlsx') {
+        const values = {};
+        columns.forEach(column => { values[column] = toCellValue(row[column]); });
+        worksheet.addRow(values).commit();
+      } else {
+        const item = {};
+        columns.forEach(column => { item[column] = row[column] === undefined ? null : row[column]; });
+        await writeChunk(res, `${firstJsonRow ? '' : ','}${JSON.stringify(item)}`);
+        firstJsonRow = false;
+      }
+    }
+  };
+
+  const end = async () => {
+    await start();
+
+    if (format === 'xlsx') {
+      worksheet.commit();
+      await workbook.commit();
+      return;
+    }
+
+    if (format === 'json') {
+      res.end(']');
+      return;
+    }
+
+    res.end();
+  };
+
+  return { writeRows, end };
+};
+
+// Función para exportar en lotes: fetchBatch(offset, limit) retorna las filas ya formateadas.
+// Si falla a mitad de la descarga ya no se puede responder con JSON y se corta la conexión.
+const streamExport = async (res, format, { filename, columns, fetchBatch, batchSize = EXPORT_BATCH_SIZE }) => {
+  const writer = createExportWriter(res, format, { filename, columns });
+
+  try {
+    let offset = 0;
+    let batch;
+    do {
+      batch = await fetchBatch(offset, batchSize);
+      await writer.writeRows(batch);
+      offset += batch.length;
+    } while (batch.length === batchSize);
+
+    await writer.end();
+  } catch (error) {
+    if (!res.headersSent) {
+      throw error;
+    }
+    console.error('❌ Error durante la exportación:', error.message);
+    res.destroy(error);
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  resolveExportFormat,
+  getProductExportColumns,
+  streamExport
+};
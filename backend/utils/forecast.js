@@ -0,0 +1,120 @@
+// Métodos de pronóstico de demanda disponibles
+const FORECAST_METHODS = ['moving_average', 'exponential_smoothing'];
+
+// Milisegundos de un día
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Función para redondear a dos decimales
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Función para obtener el inicio (UTC) del primer día de la serie de consumo: days días
+// completos antes del día de until (el día en curso no se incluye porque está incompleto)
+const getUsageStart = (days, until = new Date()) => {
+  return Date.UTC(until.getUTCFullYear(), until.getUTCMonth(), until.getUTCDate()) - days * DAY_MS;
+};
+
+// Función para armar la serie de consumo diario (UTC) de los days días completos anteriores a until.
+// issues: salidas [{ quantity, created_at }]. Los días sin salidas cuentan como consumo 0.
+const buildDailyUsage = (issues, days, until = new Date()) => {
+  const start = getUsageStart(days, until);
+  const series = new Array(days).fill(0);
+
+  issues.forEach(issue => {
+    const date = new Date(issue.created_at);
+    const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    const index = Math.round((day - start) / DAY_MS);
+    if (index >= 0 && index < days) {
+      series[index] += issue.quantity;
+    }
+  });
+
+  return series;
+};
+
+// Función para calcular el promedio de una serie
+const mean = (series) => (series.length > 0 ? series.reduce((a, b) => a + b, 0) / series.length : 0);
+
+// Función para calcular la desviación estándar muestral de una serie
+const standardDeviation = (series) => {
+  if (series.length < 2) return 0;
+  const avg = mean(series);
+  return Math.sqrt(series.reduce((acc, value) => acc + (value - avg) ** 2, 0) / (series.length - 1));
+};
+
+// Función para pronosticar el consumo diario con el promedio de los últimos window días
+const movingAverage = (series, window) => mean(series.slice(-window));
+
+// Función para pronosticar el consumo diario con suavizado exponencial simple
+const exponentialSmoothing = (series, alpha) => {
+  if (series.length === 0) return 0;
+  return series.slice(1).reduce((level, value) => alpha * value + (1 - alpha) * level, series[0]);
+};
+
+// Función para obtener el factor z de un nivel de servicio (inversa de la normal estándar,
+// aproximación racional de Acklam con error menor a 1e-9)
+const serviceLevelToZ = (p) => {
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+    1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+    6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+    -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+    3.754408661907416e+00];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -serviceLevelToZ(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+// Función para calcular el pronóstico y la sugerencia de reposición de un producto.
+// El stock de seguridad cubre la variabilidad del consumo durante el tiempo de entrega
+// (z * desviación diaria * raíz del tiempo de entrega); el punto de reorden le suma
+// el consumo esperado en ese tiempo. El pedido sugerido repone hasta cubrir además reviewDays.
+const forecastDemand = ({ series, method, window, alpha, serviceLevel, leadTimeDays, reviewDays, available, onOrder = 0 }) => {
+  const averageDaily = mean(series);
+  const forecastDaily = method === 'exponential_smoothing'
+    ? exponentialSmoothing(series, alpha)
+    : movingAverage(series, window);
+  const deviation = standardDeviation(series);
+
+  const safetyStock = Math.ceil(Math.max(serviceLevelToZ(serviceLevel), 0) * deviation * Math.sqrt(leadTimeDays));
+  const reorderPoint = Math.ceil(forecastDaily * leadTimeDays) + safetyStock;
+  const position = available + onOrder;
+  const needsReorder = forecastDaily > 0 && position <= reorderPoint;
+  const targetLevel = reorderPoint + Math.ceil(forecastDaily * reviewDays);
+
+  return {
+    total_usage: series.reduce((a, b) => a + b, 0),
+    average_daily_usage: round2(averageDaily),
+    forecast_daily_usage: round2(forecastDaily),
+    usage_std_dev: round2(deviation),
+    days_of_cover: forecastDaily > 0 ? Math.floor(available / forecastDaily) : null,
+    safety_stock: safetyStock,
+    reorder_point: reorderPoint,
+    needs_reorder: needsReorder,
+    suggested_order_quantity: needsReorder ? Math.max(targetLevel - position, 0) : 0
+  };
+};
+
+module.exports = {
+  FORECAST_METHODS,
+  getUsageStart,
+  buildDailyUsage,
+  movingAverage,
+  exponentialSmoothing,
+  standardDeviation,
+  serviceLevelToZ,
+  forecastDemand
+};
@@ -1,4 +1,5 @@
-const { Op } = require('sequelize');
+const { Op, col, fn, literal, where: whereClause } = require('sequelize');
+const { sequelize } = require('../config/database');
 
 // Función para crear respuestas estandarizadas
 const createResponse = (success = true, message = '', data = null, errors = null, meta = null) => {
@@ -22,45 +23,219 @@ const createResponse = (success = true, message = '', data = null, errors = null
   return response;
 };
 
-// Función para crear metadatos de paginación
-const createPaginationMeta = (page, limit, total) => {
-  const totalPages = Math.ceil(total / limit);
-  
+// Función para crear metadatos de paginación. total es null cuando se omitió el conteo y page es
+// null al paginar por cursor; en esos casos options.hasNext y options.hasPrev indican si hay más.
+// Con options.cursors se agregan next_cursor y prev_cursor.
+const createPaginationMeta = (page, limit, total, options = {}) => {
+  const totalPages = total === null ? null : Math.ceil(total / limit);
+  const hasNext = options.hasNext ?? (totalPages !== null && page < totalPages);
+  const hasPrev = options.hasPrev ?? page > 1;
+
+  const pagination = {
+    current_page: page,
+    per_page: limit,
+    total_items: total,
+    total_pages: totalPages,
+    has_next_page: hasNext,
+    has_prev_page: hasPrev,
+    next_page: page && hasNext ? page + 1 : null,
+    prev_page: page && hasPrev ? page - 1 : null
+  };
+
+  if (options.cursors) {
+    pagination.next_cursor = options.cursors.next || null;
+    pagination.prev_cursor = options.cursors.prev || null;
+  }
+
+  return { pagination };
+};
+
+// Campos de ordenamiento de productos y su atributo en el modelo
+const SORT_ATTRIBUTES = {
+  name: 'name',
+  sku: 'sku',
+  price: 'price',
+  stock: 'stock',
+  created_at: 'createdAt',
+  updated_at: 'updatedAt'
+};
+
+// Función para crear un cursor opaco desde un producto: guarda el orden, el valor del campo de
+// orden y el id del producto. direction es next (productos posteriores) o prev (anteriores).
+const encodeCursor = (product, sort, direction) => {
+  const [[field, order]] = sort;
+  const value = product.get(SORT_ATTRIBUTES[field]);
+
+  return Buffer.from(JSON.stringify({
+    f: field,
+    o: order,
+    v: value instanceof Date ? value.toISOString() : value,
+    id: product.id,
+    d: direction
+  })).toString('base64url');
+};
+
+// Función para leer un cursor. Retorna { sort, value, id, direction } o null si no es válido.
+const decodeCursor = (token) => {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  const valid = data && SORT_ATTRIBUTES[data.f] && ['ASC', 'DESC'].includes(data.o) &&
+    ['next', 'prev'].includes(data.d) && typeof data.id === 'string' &&
+    data.v !== undefined && data.v !== null;
+  if (!valid) return null;
+
+  const isDate = ['created_at', 'updated_at'].includes(data.f);
+  const value = isDate ? new Date(data.v) : data.v;
+  if (isDate && isNaN(value.getTime())) return null;
+
+  return { sort: [[data.f, data.o]], value, id: data.id, direction: data.d };
+};
+
+// Función para construir la consulta por clave (keyset) de un cursor: los productos después
+// (o antes) del producto del cursor según el campo de orden, desempatando por id. A diferencia
+// de offset, la página no se corre si cambian productos anteriores.
+// Retorna { where, order }; con direction prev el orden se invierte y hay que revertir las filas.
+const buildKeysetQuery = (cursor) => {
+  const [[field, order]] = cursor.sort;
+  const attribute = SORT_ATTRIBUTES[field];
+  const ascending = (order === 'ASC') === (cursor.direction === 'next');
+  const operator = ascending ? Op.gt : Op.lt;
+  const direction = ascending ? 'ASC' : 'DESC';
+
   return {
-    pagination: {
-      current_page: page,
-      per_page: limit,
-      total_items: total,
-      total_pages: totalPages,
-      has_next_page: page < totalPages,
-      has_prev_page: page > 1,
-      next_page: page < totalPages ? page + 1 : null,
-      prev_page: page > 1 ? page - 1 : null
-    }
+    where: {
+      [Op.or]: [
+        { [attribute]: { [operator]: cursor.value } },
+        { [attribute]: cursor.value, id: { [operator]: cursor.id } }
+      ]
+    },
+    order: [[field, direction], ['id', direction]]
   };
 };
 
+// Función para filtrar productos según el modo de variantes: flat incluye los productos con stock
+// propio (simples y variantes); group y expand, solo los principales (simples y padres con el total)
+const buildVariantFilter = (mode = 'flat') => {
+  return mode === 'flat' ? { has_variants: false } : { parent_id: null };
+};
+
+// Función para construir la búsqueda de texto sobre una columna normalizada de productos
+// (search_text o brand_search, guardadas con normalizeSearchText): cada palabra del término debe
+// aparecer en la columna. Como ambos lados están en minúsculas y sin acentos, un LIKE simple
+// funciona igual en MySQL, PostgreSQL y SQLite; las palabras normalizadas solo tienen letras
+// y números, así que no llevan comodines. Retorna null si el término no tiene palabras.
+const buildTextSearch = (term, column = 'search_text') => {
+  const words = normalizeSearchText(term).split(' ').filter(Boolean);
+  if (words.length === 0) return null;
+
+  return {
+    [column]: { [Op.and]: words.map(word => ({ [Op.like]: `%${word}%` })) }
+  };
+};
+
+// Operadores de los filtros con corchetes (price[gte]=10)
+const RANGE_OPERATORS = {
+  gte: Op.gte,
+  gt: Op.gt,
+  lte: Op.lte,
+  lt: Op.lt,
+  eq: Op.eq
+};
+
+// Atributo del modelo de cada campo filtrable por rango
+const RANGE_ATTRIBUTES = {
+  price: 'price',
+  cost: 'cost',
+  stock: 'stock',
+  created_at: 'createdAt',
+  updated_at: 'updatedAt'
+};
+
+// Función para traducir un rango validado ({ gte: 10, lt: 50 }) a operadores de Sequelize
+const buildRangeFilter = (range) => {
+  const filter = {};
+
+  Object.entries(range).forEach(([operator, value]) => {
+    if (RANGE_OPERATORS[operator]) {
+      filter[RANGE_OPERATORS[operator]] = value;
+    }
+  });
+
+  return Object.getOwnPropertySymbols(filter).length > 0 ? filter : null;
+};
+
+// Función para filtrar por margen sobre el precio en porcentaje: (price - cost) / price * 100.
+// Se compara (price - cost) * 100 con price * valor para no dividir; sin costo no hay margen.
+const buildMarginFilter = (range) => {
+  const quote = (attribute) => sequelize.getQueryInterface().quoteIdentifiers(`Product.${attribute}`);
+  const margin = literal(`(${quote('price')} - ${quote('cost')}) * 100`);
+
+  return Object.entries(range)
+    .filter(([operator]) => RANGE_OPERATORS[operator])
+    .map(([operator, value]) => whereClause(
+      margin,
+      RANGE_OPERATORS[operator],
+      literal(`${quote('price')} * ${sequelize.escape(value)}`)
+    ));
+};
+
 // Función para construir filtros de búsqueda
 const buildSearchFilters = (searchParams) => {
   const where = {};
+  // Condiciones que deben cumplirse todas (búsqueda, marca, margen, SKU, imagen y stock bajo)
+  const conditions = [];
   
-  // Filtro por búsqueda general (nombre, SKU, descripción)
+  // Filtro por búsqueda general (nombre, SKU, descripción, categoría y marca)
   if (searchParams.search) {
-    where[Op.or] = [
-      { name: { [Op.iLike]: `%${searchParams.search}%` } },
-      { sku: { [Op.iLike]: `%${searchParams.search}%` } },
-      { description: { [Op.iLike]: `%${searchParams.search}%` } }
-    ];
+    conditions.push(buildTextSearch(searchParams.search));
+  }
+
+  // Filtro por categoría: ids de la categoría pedida y sus descendientes
+  if (searchParams.category_ids) {
+    where.category_id = { [Op.in]: searchParams.category_ids };
+  }
+
+  // Filtro por marca (con varias marcas alcanza con que coincida una)
+  if (Array.isArray(searchParams.brand)) {
+    const brands = searchParams.brand
+      .map(brand => buildTextSearch(brand, 'brand_search'))
+      .filter(Boolean);
+    if (brands.length > 0) {
+      conditions.push({ [Op.or]: brands });
+    }
+  } else if (searchParams.brand) {
+    conditions.push(buildTextSearch(searchParams.brand, 'brand_search'));
   }
 
-  // Filtro por categoría
-  if (searchParams.category) {
-    where.category = { [Op.iLike]: `%${searchParams.category}%` };
+  // Rangos de precio, costo, stock y fechas
+  Object.entries(RANGE_ATTRIBUTES).forEach(([field, attribute]) => {
+    const range = searchParams[field] && buildRangeFilter(searchParams[field]);
+    if (range) {
+      where[attribute] = range;
+    }
+  });
+
+  // Margen mínimo o máximo
+  if (searchParams.margin) {
+    conditions.push(...buildMarginFilter(searchParams.margin));
   }
 
-  // Filtro por marca
-  if (searchParams.brand) {
-    where.brand = { [Op.iLike]: `%${searchParams.brand}%` };
+  // Prefijo de SKU (SUBSTR en lugar de LIKE para que _ y % no sean comodines)
+  if (searchParams.sku && searchParams.sku.prefix) {
+    const { prefix } = searchParams.sku;
+    conditions.push(whereClause(fn('SUBSTR', col('Product.sku'), 1, prefix.length), prefix));
+  }
+
+  // Con o sin imagen
+  if (searchParams.has_image !== undefined) {
+    conditions.push(searchParams.has_image
+      ? { image_url: { [Op.and]: [{ [Op.ne]: null }, { [Op.ne]: '' }] } }
+      : { [Op.or]: [{ image_url: null }, { image_url: '' }] });
   }
 
   // Filtro por estado activo
@@ -70,10 +245,18 @@ const buildSearchFilters = (searchParams) => {
 
   // Filtro por stock bajo
   if (searchParams.low_stock) {
-    where[Op.or] = [
-      { stock: { [Op.lte]: { [Op.col]: 'min_stock' } } },
-      { stock: { [Op.lte]: 10 } } // Stock menor a 10 por defecto
-    ];
+    conditions.push({
+      [Op.or]: [
+        whereClause(col('Product.stock'), Op.lte, col('Product.min_stock')),
+        { stock: { [Op.lte]: 10 } } // Stock menor a 10 por defecto
+      ]
+    });
+  }
+
+  // Un término sin letras ni números no filtra
+  const activeConditions = conditions.filter(Boolean);
+  if (activeConditions.length > 0) {
+    where[Op.and] = activeConditions;
   }
 
   return where;
@@ -81,8 +264,7 @@ const buildSearchFilters = (searchParams) => {
 
 // Función para construir opciones de ordenamiento
 const buildSortOptions = (sortBy = 'created_at', sortOrder = 'DESC') => {
-  const validSortFields = ['name', 'sku', 'price', 'stock', 'created_at', 'updated_at'];
-  const field = validSortFields.includes(sortBy) ? sortBy : 'created_at';
+  const field = SORT_ATTRIBUTES[sortBy] ? sortBy : 'created_at';
   const order = ['ASC', 'DESC'].includes(sortOrder.toUpperCase()) ? sortOrder.toUpperCase() : 'DESC';
   
   return [[field, order]];
@@ -108,6 +290,13 @@ const sanitizeInput = (input) => {
     .substring(0, 1000); // Limitar longitud
 };
 
+// Umbral de stock bajo de los productos sin min_stock
+const DEFAULT_MIN_STOCK = 5;
+
+// Función para obtener el umbral de stock bajo de un producto: su min_stock o, si no tiene,
+// DEFAULT_MIN_STOCK. Un min_stock de 0 es válido: el producto solo está bajo al agotarse.
+const getMinStockThreshold = (minStock) => minStock ?? DEFAULT_MIN_STOCK;
+
 // Función para calcular estadísticas de inventario
 const calculateInventoryStats = (products) => {
   if (!Array.isArray(products) || products.length === 0) {
@@ -135,7 +324,7 @@ const calculateInventoryStats = (products) => {
     stats.total_value += (product.price * product.stock);
     
     // Contar productos con stock bajo
-    if (product.stock <= (product.min_stock || 5)) {
+    if (product.stock <= getMinStockThreshold(product.min_stock)) {
       stats.low_stock_count++;
     }
     
@@ -163,8 +352,61 @@ const calculateInventoryStats = (products) => {
   return stats;
 };
 
+// Función para formatear el stock de un producto en una ubicación (requiere la ubicación cargada)
+const formatStockByLocation = (level) => ({
+  location_id: level.location_id,
+  location_code: level.location.code,
+  location_name: level.location.name,
+  quantity: level.quantity,
+  min_stock: level.min_stock
+});
+
+// Campos de la respuesta de un producto que se pueden pedir con fields=, con los atributos
+// del modelo que necesita cada uno (los calculados leen varios)
+const PRODUCT_FIELDS = {
+  id: ['id'],
+  name: ['name'],
+  sku: ['sku'],
+  description: ['description'],
+  price: ['price'],
+  cost: ['cost'],
+  version: ['version'],
+  stock: ['stock'],
+  on_hand: ['stock'],
+  reserved: ['reserved'],
+  available: ['stock', 'reserved'],
+  min_stock: ['min_stock'],
+  category: ['category'],
+  category_id: ['category_id'],
+  brand: ['brand'],
+  is_active: ['is_active'],
+  image_url: ['image_url'],
+  supplier_id: ['supplier_id'],
+  supplier_sku: ['supplier_sku'],
+  lead_time_days: ['lead_time_days'],
+  parent_id: ['parent_id'],
+  options: ['options'],
+  has_variants: ['has_variants'],
+  created_at: ['createdAt'],
+  updated_at: ['updatedAt'],
+  needs_restock: ['stock', 'min_stock'],
+  is_out_of_stock: ['stock'],
+  stock_value: ['price', 'stock']
+};
+
+// Función para obtener los atributos a leer para los campos pedidos.
+// El id siempre se lee; extra agrega los que necesita la consulta (orden, asociaciones).
+const resolveProductAttributes = (fields, extra = []) => {
+  const attributes = fields.flatMap(field => PRODUCT_FIELDS[field] || []);
+  return [...new Set(['id', ...attributes, ...extra])];
+};
+
 // Función para formatear productos para respuesta
-const formatProductResponse = (product) => {
+// options.includeCost = false oculta el costo (usuarios sin permiso products:view_cost)
+// options.fields limita la respuesta a esos campos (se conservan los datos anidados y expandidos)
+const formatProductResponse = (product, options = {}) => {
+  const { includeCost = true, fields = null } = options;
+
   if (!product) return null;
 
   const formatted = {
@@ -174,29 +416,356 @@ const formatProductResponse = (product) => {
     description: product.description,
     price: parseFloat(product.price),
     cost: product.cost ? parseFloat(product.cost) : null,
+    version: product.version,
     stock: product.stock,
+    on_hand: product.stock,
+    reserved: product.reserved || 0,
+    available: Math.max(product.stock - (product.reserved || 0), 0),
     min_stock: product.min_stock,
     category: product.category,
+    category_id: product.category_id || null,
     brand: product.brand,
     is_active: product.is_active,
     image_url: product.image_url,
-    created_at: product.created_at,
-    updated_at: product.updated_at
+    supplier_id: product.supplier_id || null,
+    supplier_sku: product.supplier_sku || null,
+    lead_time_days: product.lead_time_days !== undefined ? product.lead_time_days : null,
+    parent_id: product.parent_id || null,
+    options: product.options || null,
+    has_variants: Boolean(product.has_variants),
+    created_at: product.createdAt,
+    updated_at: product.updatedAt
   };
 
   // Agregar campos calculados
-  formatted.needs_restock = product.stock <= (product.min_stock || 5);
+  formatted.needs_restock = product.stock <= getMinStockThreshold(product.min_stock);
   formatted.is_out_of_stock = product.stock === 0;
   formatted.stock_value = parseFloat(product.price) * product.stock;
 
+  // Desglose por ubicación cuando se cargaron los niveles de stock con su ubicación
+  if (Array.isArray(product.stockLevels) && product.stockLevels.every(level => level.location)) {
+    formatted.stock_by_location = product.stockLevels.map(formatStockByLocation);
+  }
+
+  // Variantes anidadas de un producto padre (el stock del padre ya es el total de ellas)
+  if (Array.isArray(product.variants) && product.has_variants) {
+    formatted.variant_count = product.variants.length;
+    formatted.variants = product.variants.map(variant => formatProductResponse(variant, options));
+  }
+
+  if (fields) {
+    Object.keys(PRODUCT_FIELDS)
+      .filter(field => !fields.includes(field))
+      .forEach(field => delete formatted[field]);
+  }
+
+  if (!includeCost) {
+    delete formatted.cost;
+  }
+
   return formatted;
 };
 
+// Función para construir el ETag de un recurso versionado
+const buildETag = (version) => `"${version}"`;
+
+// Función para obtener las versiones aceptadas por una petición de escritura:
+// encabezado If-Match (tiene prioridad) o campo version del cuerpo.
+// Retorna '*' si se acepta cualquier versión, un array de versiones o null si no se indicó ninguna.
+const getExpectedVersions = (req) => {
+  const ifMatch = req.get('If-Match');
+
+  if (ifMatch) {
+    if (ifMatch.trim() === '*') return '*';
+    return ifMatch.split(',').map(tag => Number(tag.trim().replace(/^W\//, '').replace(/"/g, '')));
+  }
+
+  if (req.body && req.body.version !== undefined) {
+    return [req.body.version];
+  }
+
+  return null;
+};
+
 // Función para formatear lista de productos
-const formatProductsList = (products) => {
+const formatProductsList = (products, options = {}) => {
   if (!Array.isArray(products)) return [];
   
-  return products.map(product => formatProductResponse(product));
+  return products.map(product => formatProductResponse(product, options));
+};
+
+// Función para obtener las opciones de formato según el usuario de la solicitud
+const getFormatOptions = (req) => {
+  return {
+    includeCost: req.user ? req.user.can('products:view_cost') : false
+  };
+};
+
+// Función para reemplazar el stock total por el stock de una ubicación.
+// Requiere que los productos incluyan stockLevels; retorna objetos planos.
+const applyLocationStock = (products, locationId) => {
+  return products.map(product => {
+    const plain = product.get({ plain: true });
+    const level = (plain.stockLevels || []).find(l => l.location_id === locationId);
+
+    plain.stock = level ? level.quantity : 0;
+    if (level && level.min_stock !== null && level.min_stock !== undefined) {
+      plain.min_stock = level.min_stock;
+    }
+    delete plain.stockLevels;
+
+    return plain;
+  });
+};
+
+// Función para formatear ubicaciones para respuesta
+const formatLocation = (location) => {
+  if (!location) return null;
+
+  return {
+    id: location.id,
+    code: location.code,
+    name: location.name,
+    type: location.type,
+    address: location.address,
+    is_default: location.is_default,
+    is_active: location.is_active
+  };
+};
+
+// Función para formatear categorías para respuesta
+const formatCategory = (category) => {
+  if (!category) return null;
+
+  return {
+    id: category.id,
+    name: category.name,
+    slug: category.slug,
+    parent_id: category.parent_id,
+    description: category.description
+  };
+};
+
+// Función para armar el árbol de categorías. counts ({ category_id: cantidad }) agrega a cada nodo
+// los productos propios y el total acumulado con sus subcategorías.
+const buildCategoryTree = (categories, counts = null) => {
+  const nodes = new Map(categories.map(category => [category.id, { ...formatCategory(category), children: [] }]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  if (counts) {
+    const rollUp = (node) => {
+      node.product_count = Number(counts[node.id] || 0);
+      node.total_product_count = node.children.reduce((total, child) => total + rollUp(child), node.product_count);
+      return node.total_product_count;
+    };
+    roots.forEach(rollUp);
+  }
+
+  return roots;
+};
+
+// Función para formatear proveedores para respuesta
+const formatSupplier = (supplier) => {
+  if (!supplier) return null;
+
+  return {
+    id: supplier.id,
+    code: supplier.code,
+    name: supplier.name,
+    contact_name: supplier.contact_name,
+    email: supplier.email,
+    phone: supplier.phone,
+    address: supplier.address,
+    default_lead_time_days: supplier.default_lead_time_days,
+    is_active: supplier.is_active
+  };
+};
+
+// Función para formatear órdenes de compra para respuesta
+const formatPurchaseOrder = (order) => {
+  if (!order) return null;
+
+  const formatted = {
+    id: order.id,
+    number: order.number,
+    supplier_id: order.supplier_id,
+    location_id: order.location_id,
+    status: order.status,
+    expected_at: order.expected_at,
+    notes: order.notes,
+    created_by: order.created_by,
+    sent_at: order.sent_at,
+    received_at: order.received_at,
+    cancelled_at: order.cancelled_at,
+    created_at: order.createdAt,
+    updated_at: order.updatedAt
+  };
+
+  if (order.supplier) {
+    formatted.supplier = formatSupplier(order.supplier);
+  }
+
+  if (Array.isArray(order.lines)) {
+    formatted.lines = order.lines.map(line => ({
+      id: line.id,
+      product_id: line.product_id,
+      quantity_ordered: line.quantity_ordered,
+      quantity_received: line.quantity_received,
+      quantity_pending: line.getPendingQuantity(),
+      unit_cost: line.unit_cost,
+      line_total: Math.round(line.quantity_ordered * line.unit_cost * 100) / 100
+    }));
+    formatted.totals = order.getTotals();
+  }
+
+  return formatted;
+};
+
+// Función para formatear reservas de stock para respuesta
+const formatReservation = (reservation) => {
+  if (!reservation) return null;
+
+  return {
+    id: reservation.id,
+    product_id: reservation.product_id,
+    location_id: reservation.location_id,
+    quantity: reservation.quantity,
+    status: reservation.status,
+    reference: reservation.reference,
+    expires_at: reservation.expires_at,
+    confirmed_at: reservation.confirmed_at,
+    released_at: reservation.released_at,
+    created_by: reservation.created_by,
+    created_at: reservation.createdAt
+  };
+};
+
+// Función para formatear movimientos de stock para respuesta
+const formatStockMovement = (movement) => {
+  if (!movement) return null;
+
+  return {
+    id: movement.id,
+    product_id: movement.product_id,
+    location_id: movement.location_id,
+    transfer_id: movement.transfer_id,
+    operation: movement.operation,
+    quantity: movement.quantity,
+    previous_stock: movement.previous_stock,
+    current_stock: movement.current_stock,
+    reason: movement.reason,
+    adjustment: Boolean(movement.adjustment),
+    performed_by: movement.performed_by,
+    timestamp: movement.createdAt
+  };
+};
+
+// Función para formatear suscripciones de webhook para respuesta.
+// El secreto solo se muestra al crearlo o rotarlo; después se informa enmascarado.
+const formatWebhookSubscription = (subscription, options = {}) => {
+  if (!subscription) return null;
+
+  const { includeSecret = false } = options;
+
+  return {
+    id: subscription.id,
+    url: subscription.url,
+    events: subscription.events,
+    description: subscription.description,
+    is_active: subscription.is_active,
+    secret: includeSecret ? subscription.secret : `${subscription.secret.slice(0, 4)}…`,
+    created_by: subscription.created_by,
+    created_at: subscription.createdAt,
+    updated_at: subscription.updatedAt
+  };
+};
+
+// Función para formatear entregas de webhook para respuesta
+const formatWebhookDelivery = (delivery, options = {}) => {
+  if (!delivery) return null;
+
+  const { includePayload = false } = options;
+  const formatted = {
+    id: delivery.id,
+    subscription_id: delivery.subscription_id,
+    event_id: delivery.event_id,
+    event_type: delivery.event_type,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    next_attempt_at: delivery.next_attempt_at,
+    last_attempt_at: delivery.last_attempt_at,
+    response_status: delivery.response_status,
+    error: delivery.error,
+    delivered_at: delivery.delivered_at,
+    replay_of: delivery.replay_of,
+    created_at: delivery.createdAt
+  };
+
+  if (includePayload) {
+    formatted.payload = delivery.payload;
+    formatted.response_body = delivery.response_body;
+  }
+
+  return formatted;
+};
+
+// Función para construir filtro por rango de fechas
+const buildDateRangeFilter = (from, to, field = 'created_at') => {
+  const where = {};
+
+  if (from || to) {
+    where[field] = {};
+    if (from) where[field][Op.gte] = from;
+    if (to) where[field][Op.lte] = to;
+  }
+
+  return where;
+};
+
+// Función para formatear entradas de auditoría para respuesta
+const formatAuditLog = (entry) => {
+  if (!entry) return null;
+
+  return {
+    id: entry.id,
+    entity_type: entry.entity_type,
+    entity_id: entry.entity_id,
+    action: entry.action,
+    changes: entry.changes,
+    performed_by: entry.performed_by,
+    timestamp: entry.createdAt
+  };
+};
+
+// Función para construir filtros de auditoría
+const buildAuditFilters = (params) => {
+  const where = buildDateRangeFilter(params.from, params.to);
+
+  if (params.entity_type) where.entity_type = params.entity_type;
+  if (params.entity_id) where.entity_id = params.entity_id;
+  if (params.action) where.action = params.action;
+  if (params.performed_by) where.performed_by = params.performed_by;
+
+  // changed_fields se guarda como ",campo1,campo2,"
+  if (params.field) {
+    where.changed_fields = { [Op.like]: `%,${params.field},%` };
+  }
+
+  return where;
+};
+
+// Función para obtener el responsable de la solicitud actual
+const getRequestActor = (req) => {
+  return req.user ? req.user.email : null;
 };
 
 // Función para validar operaciones de stock
@@ -212,43 +781,6 @@ const validateStockOperation = (currentStock, operation, quantity) => {
   return true;
 };
 
-// Función para generar reportes simples
-const generateSimpleReport = (products, type = 'inventory') => {
-  const report = {
-    generated_at: new Date().toISOString(),
-    type,
-    data: []
-  };
-
-  switch (type) {
-    case 'low_stock':
-      report.data = products.filter(p => p.stock <= (p.min_stock || 5));
-      report.title = 'Productos con Stock Bajo';
-      break;
-      
-    case 'out_of_stock':
-      report.data = products.filter(p => p.stock === 0);
-      report.title = 'Productos Agotados';
-      break;
-      
-    case 'high_value':
-      report.data = products
-        .filter(p => p.price * p.stock > 1000)
-        .sort((a, b) => (b.price * b.stock) - (a.price * a.stock));
-      report.title = 'Productos de Alto Valor en Inventario';
-      break;
-      
-    default:
-      report.data = products;
-      report.title = 'Inventario General';
-  }
-
-  report.total_items = report.data.length;
-  report.stats = calculateInventoryStats(report.data);
-
-  return report;
-};
-
 // Función para normalizar texto para búsquedas
 const normalizeSearchText = (text) => {
   if (typeof text !== 'string') return '';
@@ -257,21 +789,49 @@ const normalizeSearchText = (text) => {
     .toLowerCase()
     .normalize('NFD')
     .replace(/[\u0300-\u036f]/g, '') // Remover acentos
-    .replace(/[^a-z0-9\s]/g, '') // Solo letras, números y espacios
+    .replace(/[^a-z0-9\s]/g, ' ') // Solo letras, números y espacios (la puntuación separa palabras)
+    .replace(/\s+/g, ' ')
     .trim();
 };
 
 module.exports = {
   createResponse,
   createPaginationMeta,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetQuery,
   buildSearchFilters,
+  buildTextSearch,
+  buildVariantFilter,
   buildSortOptions,
+  SORT_ATTRIBUTES,
+  PRODUCT_FIELDS,
+  resolveProductAttributes,
   generateSKU,
   sanitizeInput,
+  DEFAULT_MIN_STOCK,
+  getMinStockThreshold,
   calculateInventoryStats,
   formatProductResponse,
   formatProductsList,
+  formatStockByLocation,
+  buildETag,
+  getExpectedVersions,
+  getFormatOptions,
+  applyLocationStock,
+  formatLocation,
+  formatCategory,
+  buildCategoryTree,
+  formatSupplier,
+  formatWebhookSubscription,
+  formatWebhookDelivery,
+  formatPurchaseOrder,
+  formatReservation,
+  formatStockMovement,
+  buildDateRangeFilter,
+  formatAuditLog,
+  buildAuditFilters,
+  getRequestActor,
   validateStockOperation,
-  generateSimpleReport,
   normalizeSearchText
 };
\ No newline at end of file
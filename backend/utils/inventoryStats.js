@@ -0,0 +1,153 @@
+const { Op, col, fn, literal } = require('sequelize');
+const { sequelize, Product, StockLevel } = require('../models');
+const { DEFAULT_MIN_STOCK } = require('./helpers');
+
+// Valor en inventario (precio x stock) a partir del cual un producto es de alto valor
+const HIGH_VALUE_THRESHOLD = 1000;
+
+// Tipos de reporte y su título
+const REPORT_TYPES = {
+  inventory: 'Inventario General',
+  low_stock: 'Productos con Stock Bajo',
+  out_of_stock: 'Productos Agotados',
+  high_value: 'Productos de Alto Valor en Inventario'
+};
+
+// Función para redondear importes a centavos
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Función para citar una columna según el dialecto (ej: Product.stock)
+const quote = (path) => sequelize.getQueryInterface().quoteIdentifiers(path);
+
+// Función para incluir el nivel de stock de una ubicación (solo los productos que lo tienen)
+const stockLevelAt = (locationId, attributes) => ({
+  model: StockLevel,
+  as: 'stockLevels',
+  where: { location_id: locationId },
+  required: true,
+  attributes
+});
+
+// Función para armar las expresiones SQL del stock de un producto: el total o, con locationId,
+// el de esa ubicación con su mínimo propio si lo tiene (lo mismo que hace applyLocationStock).
+// Un min_stock vacío usa DEFAULT_MIN_STOCK (como getMinStockThreshold).
+const buildStockExpressions = (locationId) => {
+  const stock = locationId ? quote('stockLevels.quantity') : quote('Product.stock');
+  const minStock = locationId
+    ? `COALESCE(${quote('stockLevels.min_stock')}, ${quote('Product.min_stock')})`
+    : quote('Product.min_stock');
+  const threshold = `COALESCE(${minStock}, ${DEFAULT_MIN_STOCK})`;
+
+  return {
+    value: `${quote('Product.price')} * ${stock}`,
+    lowStock: `${stock} <= ${threshold}`,
+    outOfStock: `${stock} = 0`
+  };
+};
+
+// Función para calcular los totales de los productos que cumplen where en una sola consulta:
+// cantidad, valor, productos con stock bajo y agotados, y categorías y marcas distintas
+const summarizeInventory = async (where, locationId = null) => {
+  const { value, lowStock, outOfStock } = buildStockExpressions(locationId);
+
+  const [totals] = await Product.findAll({
+    attributes: [
+      [fn('COUNT', col('Product.id')), 'total_products'],
+      [fn('SUM', literal(value)), 'total_value'],
+      [fn('SUM', literal(`CASE WHEN ${lowStock} THEN 1 ELSE 0 END`)), 'low_stock_count'],
+      [fn('SUM', literal(`CASE WHEN ${outOfStock} THEN 1 ELSE 0 END`)), 'out_of_stock_count'],
+      [literal(`COUNT(DISTINCT NULLIF(${quote('Product.category')}, ''))`), 'categories'],
+      [literal(`COUNT(DISTINCT NULLIF(${quote('Product.brand')}, ''))`), 'brands']
+    ],
+    where,
+    include: locationId ? [stockLevelAt(locationId, [])] : [],
+    raw: true
+  });
+
+  // Sin filas las sumas son NULL; PostgreSQL retorna los conteos como texto
+  return {
+    total_products: Number(totals.total_products) || 0,
+    total_value: roundMoney(Number(totals.total_value) || 0),
+    low_stock_count: Number(totals.low_stock_count) || 0,
+    out_of_stock_count: Number(totals.out_of_stock_count) || 0,
+    categories: Number(totals.categories) || 0,
+    brands: Number(totals.brands) || 0
+  };
+};
+
+// Función para contar los productos que cumplen where agrupados por un campo (category o brand),
+// de mayor a menor y sin los vacíos. Retorna [{ [field]: valor, count }].
+const countProductsBy = async (field, where) => {
+  const rows = await Product.findAll({
+    attributes: [field, [fn('COUNT', col('id')), 'count']],
+    where: { ...where, [field]: { [Op.and]: [{ [Op.not]: null }, { [Op.ne]: '' }] } },
+    group: [field],
+    order: [[fn('COUNT', col('id')), 'DESC'], [field, 'ASC']],
+    raw: true
+  });
+
+  return rows.map(row => ({ [field]: row[field], count: Number(row.count) }));
+};
+
+// Función para armar la consulta de un reporte sobre los productos que cumplen where:
+// el filtro del tipo y su orden (por nombre, o por valor en inventario en high_value)
+const buildReportQuery = (type, where, locationId = null) => {
+  const { value, lowStock, outOfStock } = buildStockExpressions(locationId);
+  const conditions = {
+    low_stock: lowStock,
+    out_of_stock: outOfStock,
+    high_value: `${value} > ${HIGH_VALUE_THRESHOLD}`
+  };
+
+  return {
+    where: conditions[type] ? { [Op.and]: [where, literal(conditions[type])] } : where,
+    order: [
+      ...(type === 'high_value' ? [[literal(value), 'DESC']] : []),
+      ['name', 'ASC'],
+      ['id', 'ASC']
+    ]
+  };
+};
+
+// Función para leer una página de los productos de un reporte. Con locationId cada producto
+// incluye su nivel de stock en la ubicación (para applyLocationStock).
+const findReportProducts = async (type, { where, locationId = null, limit, offset = 0 }) => {
+  const query = buildReportQuery(type, where, locationId);
+
+  return await Product.findAll({
+    ...query,
+    include: locationId ? [stockLevelAt(locationId, ['location_id', 'quantity', 'min_stock'])] : [],
+    limit,
+    offset,
+    // Hay un solo nivel por producto y ubicación: la unión no repite productos
+    subQuery: false
+  });
+};
+
+// Función para generar un reporte: una página de productos, el total de productos que cumplen
+// el filtro y sus estadísticas (calculadas en la base sobre todos ellos, no solo la página)
+const generateInventoryReport = async (type, { where, locationId = null, limit, offset = 0 }) => {
+  const query = buildReportQuery(type, where, locationId);
+
+  const [data, stats] = await Promise.all([
+    findReportProducts(type, { where, locationId, limit, offset }),
+    summarizeInventory(query.where, locationId)
+  ]);
+
+  return {
+    generated_at: new Date().toISOString(),
+    type,
+    data,
+    title: REPORT_TYPES[type],
+    total_items: stats.total_products,
+    stats
+  };
+};
+
+module.exports = {
+  REPORT_TYPES,
+  summarizeInventory,
+  countProductsBy,
+  findReportProducts,
+  generateInventoryReport
+};
@@ -0,0 +1,141 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const { validateData, productSchema } = require('../middleware/validation');
+
+// Cantidad máxima de filas por archivo de importación
+const MAX_IMPORT_ROWS = 10000;
+
+// Función para normalizar encabezados de columnas (ej: "Min Stock" -> "min_stock")
+const normalizeHeader = (header) => {
+  return String(header === undefined || header === null ? '' : header)
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '_');
+};
+
+// Función para obtener el valor plano de una celda XLSX (texto enriquecido, hipervínculos, fórmulas)
+const cellToValue = (value) => {
+  if (value === null || value === undefined) return undefined;
+  if (value instanceof Date) return value.toISOString();
+
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return value.text;
+    if (value.result !== undefined) return value.result;
+    return undefined;
+  }
+
+  return value;
+};
+
+// Función para descartar celdas vacías: un campo vacío se trata como no informado
+const compactRecord = (record) => {
+  return Object.fromEntries(
+    Object.entries(record).filter(([key, value]) => (
+      key && value !== undefined && value !== null && String(value).trim() !== ''
+    ))
+  );
+};
+
+// Función para leer un CSV. Retorna [{ row, data }] con el número de línea del archivo
+const parseCsv = (buffer) => {
+  const records = parse(buffer, {
+    columns: (headers) => headers.map(normalizeHeader),
+    bom: true,
+    trim: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    info: true
+  });
+
+  return records.map(({ record, info }) => ({
+    row: info.lines,
+    data: compactRecord(record)
+  }));
+};
+
+// Función para leer la primera hoja de un XLSX. Retorna [{ row, data }] con el número de fila
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = normalizeHeader(cellToValue(cell.value));
+  });
+
+  const rows = [];
+  sheet.eachRow((sheetRow, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const record = {};
+    sheetRow.eachCell((cell, column) => {
+      if (headers[column]) {
+        record[headers[column]] = cellToValue(cell.value);
+      }
+    });
+
+    const data = compactRecord(record);
+    if (Object.keys(data).length > 0) {
+      rows.push({ row: rowNumber, data });
+    }
+  });
+
+  return rows;
+};
+
+// Función para leer un archivo de importación subido (CSV o XLSX)
+const parseImportFile = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  try {
+    return extension === '.xlsx' ? await parseXlsx(file.buffer) : parseCsv(file.buffer);
+  } catch (error) {
+    throw new Error(`No se pudo leer el archivo: ${error.message}`);
+  }
+};
+
+// Función para validar cada fila con productSchema y detectar SKUs repetidos en el archivo.
+// Retorna las filas válidas (con el valor limpio) y los errores por fila con la forma de validate()
+const validateImportRows = (rows) => {
+  const entries = [];
+  const errors = [];
+  const firstRowBySku = new Map();
+
+  rows.forEach(({ row, data }) => {
+    const { value, errors: rowErrors } = validateData(productSchema, data);
+
+    if (rowErrors) {
+      errors.push({ row, sku: data.sku || null, errors: rowErrors });
+      return;
+    }
+
+    if (firstRowBySku.has(value.sku)) {
+      errors.push({
+        row,
+        sku: value.sku,
+        errors: [{
+          field: 'sku',
+          message: `El SKU está repetido en el archivo (fila ${firstRowBySku.get(value.sku)})`,
+          value: value.sku
+        }]
+      });
+      return;
+    }
+
+    firstRowBySku.set(value.sku, row);
+    entries.push({ row, data: value });
+  });
+
+  return { entries, errors };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  parseImportFile,
+  validateImportRows
+};
@@ -0,0 +1,69 @@
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+const { RefreshToken } = require('../models');
+
+// Función para firmar un access token asociado a una sesión
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { sub: user.id, sid: sessionId, type: 'access' },
+    authConfig.jwtSecret,
+    { expiresIn: authConfig.jwtExpiresIn, issuer: authConfig.issuer }
+  );
+};
+
+// Función para firmar un refresh token (el jti es el id de la sesión)
+const signRefreshToken = (user, sessionId) => {
+  return jwt.sign(
+    { sub: user.id, type: 'refresh' },
+    authConfig.refreshSecret,
+    { expiresIn: authConfig.refreshExpiresIn, issuer: authConfig.issuer, jwtid: sessionId }
+  );
+};
+
+// Función para verificar un access token
+const verifyAccessToken = (token) => {
+  const payload = jwt.verify(token, authConfig.jwtSecret, { issuer: authConfig.issuer });
+  if (payload.type !== 'access') {
+    throw new jwt.JsonWebTokenError('Tipo de token inválido');
+  }
+  return payload;
+};
+
+// Función para verificar un refresh token
+const verifyRefreshToken = (token) => {
+  const payload = jwt.verify(token, authConfig.refreshSecret, { issuer: authConfig.issuer });
+  if (payload.type !== 'refresh') {
+    throw new jwt.JsonWebTokenError('Tipo de token inválido');
+  }
+  return payload;
+};
+
+// Función para abrir una sesión y emitir el par de tokens. Al rotar, options.familyId es la familia
+// de la sesión anterior; sin él la sesión inicia una familia nueva.
+const issueTokens = async (user, options = {}) => {
+  const session = RefreshToken.build({ user_id: user.id });
+  session.family_id = options.familyId || session.id;
+  const refreshToken = signRefreshToken(user, session.id);
+  const accessToken = signAccessToken(user, session.id);
+
+  session.expires_at = new Date(jwt.decode(refreshToken).exp * 1000);
+  await session.save({ transaction: options.transaction });
+
+  return {
+    session,
+    tokens: {
+      token_type: 'Bearer',
+      access_token: accessToken,
+      expires_in: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+      refresh_token: refreshToken
+    }
+  };
+};
+
+module.exports = {
+  signAccessToken,
+  signRefreshToken,
+  verifyAccessToken,
+  verifyRefreshToken,
+  issueTokens
+};
@@ -0,0 +1,196 @@
+// Métodos de valuación de inventario
+const VALUATION_METHODS = ['fifo', 'lifo', 'average'];
+
+// Agrupaciones por período disponibles
+const VALUATION_PERIODS = ['day', 'week', 'month'];
+
+// Cantidad máxima de períodos de un reporte agrupado por período
+const MAX_VALUATION_PERIODS = 366;
+
+// Función para redondear importes a centavos
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Función para obtener el inicio (UTC) del período que contiene una fecha
+const getPeriodStart = (date, period) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+  if (period === 'week') {
+    // Semanas ISO: comienzan el lunes
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (period === 'month') {
+    start.setUTCDate(1);
+  }
+
+  return start;
+};
+
+// Función para obtener el inicio del período siguiente
+const getNextPeriodStart = (start, period) => {
+  const next = new Date(start);
+
+  if (period === 'day') {
+    next.setUTCDate(next.getUTCDate() + 1);
+  } else if (period === 'week') {
+    next.setUTCDate(next.getUTCDate() + 7);
+  } else {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  }
+
+  return next;
+};
+
+// Función para obtener la etiqueta de un período (ej: 2026-10, 2026-10-18)
+const getPeriodLabel = (start, period) => {
+  const iso = start.toISOString();
+  return period === 'month' ? iso.slice(0, 7) : iso.slice(0, 10);
+};
+
+// Función para listar los períodos entre dos fechas: [{ period, start, end }].
+// end es el último instante del período (o la fecha to, si es anterior).
+const buildPeriods = (from, to, period) => {
+  const periods = [];
+  let start = getPeriodStart(from, period);
+
+  while (start <= to) {
+    if (periods.length >= MAX_VALUATION_PERIODS) {
+      throw new Error(`El rango abarca más de ${MAX_VALUATION_PERIODS} períodos: use un período más largo`);
+    }
+
+    const next = getNextPeriodStart(start, period);
+    const end = new Date(Math.min(next.getTime() - 1, to.getTime()));
+    periods.push({ period: getPeriodLabel(start, period), start, end });
+    start = next;
+  }
+
+  return periods;
+};
+
+// Función para crear el inventario valuado de un producto según el método.
+// FIFO y LIFO conservan las capas; el promedio ponderado las funde en una sola a costo promedio.
+const createCostPool = (method) => {
+  const layers = [];
+
+  const receive = (quantity, unitCost, receivedAt) => {
+    if (method !== 'average') {
+      layers.push({ quantity, unit_cost: unitCost, received_at: receivedAt });
+      return;
+    }
+
+    if (layers.length === 0) {
+      layers.push({ quantity, unit_cost: unitCost, received_at: receivedAt });
+      return;
+    }
+
+    const [pool] = layers;
+    const total = pool.quantity + quantity;
+    pool.unit_cost = total > 0 ? (pool.quantity * pool.unit_cost + quantity * unitCost) / total : unitCost;
+    pool.quantity = total;
+    pool.received_at = receivedAt;
+  };
+
+  // Consume unidades y retorna su costo. Las unidades sin capa (historial incompleto)
+  // se valúan a fallbackCost y se informan como shortage.
+  const issue = (quantity, fallbackCost) => {
+    let pending = quantity;
+    let cost = 0;
+
+    while (pending > 0 && layers.length > 0) {
+      const index = method === 'lifo' ? layers.length - 1 : 0;
+      const layer = layers[index];
+      const taken = Math.min(layer.quantity, pending);
+
+      cost += taken * layer.unit_cost;
+      layer.quantity -= taken;
+      pending -= taken;
+
+      if (layer.quantity === 0 && method !== 'average') {
+        layers.splice(index, 1);
+      }
+    }
+
+    return { cost: cost + pending * fallbackCost, shortage: pending };
+  };
+
+  const snapshot = () => {
+    const quantity = layers.reduce((total, layer) => total + layer.quantity, 0);
+    const value = layers.reduce((total, layer) => total + layer.quantity * layer.unit_cost, 0);
+    return { quantity, value };
+  };
+
+  const getLayers = () => layers
+    .filter(layer => layer.quantity > 0)
+    .map(layer => ({ ...layer, unit_cost: roundMoney(layer.unit_cost) }));
+
+  return { receive, issue, snapshot, getLayers };
+};
+
+// Función para valuar un producto reproduciendo en orden sus capas de costo (entradas) y sus salidas.
+// checkpoints: fechas ordenadas en las que se toma el valor del inventario.
+// Retorna el valor en cada checkpoint, las salidas con su costo y las capas que quedan al final.
+const valueProduct = ({ layers, issues, method, fallbackCost = 0, checkpoints = [] }) => {
+  const events = [
+    ...layers.map(layer => ({ at: new Date(layer.received_at), type: 'receipt', layer })),
+    ...issues.map(issue => ({ at: new Date(issue.created_at), type: 'issue', issue }))
+  ].sort((a, b) => {
+    const diff = a.at - b.at;
+    // A igual fecha las entradas van primero: una salida no puede consumir lo que aún no ingresó
+    if (diff !== 0) return diff;
+    return a.type === b.type ? 0 : (a.type === 'receipt' ? -1 : 1);
+  });
+
+  const pool = createCostPool(method);
+  const snapshots = [];
+  const costedIssues = [];
+  let checkpointIndex = 0;
+
+  const takeSnapshotsUntil = (date) => {
+    while (checkpointIndex < checkpoints.length && checkpoints[checkpointIndex] < date) {
+      snapshots.push(pool.snapshot());
+      checkpointIndex += 1;
+    }
+  };
+
+  events.forEach(event => {
+    takeSnapshotsUntil(event.at);
+
+    if (event.type === 'receipt') {
+      pool.receive(event.layer.quantity, event.layer.unit_cost, event.at);
+    } else {
+      const { cost, shortage } = pool.issue(event.issue.quantity, fallbackCost);
+      costedIssues.push({
+        at: event.at,
+        quantity: event.issue.quantity,
+        adjustment: Boolean(event.issue.adjustment),
+        cost,
+        shortage
+      });
+    }
+  });
+
+  takeSnapshotsUntil(new Date(8640000000000000));
+
+  return { snapshots, issues: costedIssues, layers: pool.getLayers() };
+};
+
+// Función para acumular las salidas costeadas dentro de un rango de fechas. Las correcciones de
+// inventario descuentan capas pero no son ventas: no suman al costo de ventas.
+const summarizeIssues = (issues, from, to) => {
+  return issues
+    .filter(issue => !issue.adjustment && (!from || issue.at >= from) && (!to || issue.at <= to))
+    .reduce((acc, issue) => {
+      acc.units_sold += issue.quantity;
+      acc.cogs += issue.cost;
+      return acc;
+    }, { units_sold: 0, cogs: 0 });
+};
+
+module.exports = {
+  VALUATION_METHODS,
+  VALUATION_PERIODS,
+  MAX_VALUATION_PERIODS,
+  roundMoney,
+  buildPeriods,
+  createCostPool,
+  valueProduct,
+  summarizeIssues
+};
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const { Product, WebhookSubscription, WebhookDelivery } = require('../models');
+const { formatProductResponse, formatStockMovement, formatReservation, getMinStockThreshold } = require('./helpers');
+const webhooksConfig = require('../config/webhooks');
+const { publishStreamEvent } = require('./eventStream');
+
+// Función para firmar una entrega: HMAC-SHA256 de "timestamp.cuerpo" con el secreto de la suscripción.
+// El destino recalcula la firma con el cuerpo recibido y descarta timestamps antiguos.
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Función para armar los encabezados de una entrega firmada
+const buildWebhookHeaders = (delivery, secret, body) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  return {
+    'Content-Type': 'application/json',
+    'User-Agent': 'Inventory-Webhooks/1.0',
+    'X-Webhook-Id': delivery.id,
+    'X-Webhook-Event': delivery.event_type,
+    'X-Webhook-Event-Id': delivery.event_id,
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Signature': `sha256=${signPayload(secret, timestamp, body)}`
+  };
+};
+
+// Función para hacer un intento de entrega y registrar el resultado (respuesta 2xx = entregada).
+// Retorna la entrega actualizada, o null si otro proceso la estaba enviando.
+const sendDelivery = async (delivery) => {
+  if (!(await delivery.claim(webhooksConfig.timeoutMs * 2))) {
+    return null;
+  }
+
+  const subscription = await WebhookSubscription.findByPk(delivery.subscription_id);
+  if (!subscription || !subscription.is_active) {
+    return await delivery.update({
+      status: 'failed',
+      next_attempt_at: null,
+      error: subscription ? 'La suscripción está inactiva' : 'La suscripción fue eliminada'
+    });
+  }
+
+  const body = JSON.stringify(delivery.payload);
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: buildWebhookHeaders(delivery, subscription.secret, body),
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(webhooksConfig.timeoutMs)
+    });
+    const responseBody = (await response.text()).slice(0, webhooksConfig.maxResponseBodyLength);
+
+    return await delivery.recordAttempt({
+      ok: response.ok,
+      responseStatus: response.status,
+      responseBody,
+      error: response.ok ? null : `El destino respondió ${response.status}`
+    });
+  } catch (error) {
+    const message = error.name === 'TimeoutError'
+      ? `Sin respuesta en ${webhooksConfig.timeoutMs} ms`
+      : (error.cause && error.cause.message) || error.message;
+    return await delivery.recordAttempt({ ok: false, error: message.slice(0, 500) });
+  }
+};
+
+// Envíos en segundo plano en curso
+const pendingDispatches = new Set();
+
+// Función para enviar entregas en segundo plano, sin demorar la respuesta de la petición
+const dispatchDeliveries = (deliveries) => {
+  if (deliveries.length === 0) return;
+
+  const dispatch = new Promise(resolve => setImmediate(resolve)).then(async () => {
+    for (const delivery of deliveries) {
+      try {
+        await sendDelivery(delivery);
+      } catch (error) {
+        console.error(`❌ Error al enviar el webhook ${delivery.id}:`, error.message);
+      }
+    }
+  });
+  pendingDispatches.add(dispatch);
+  dispatch.then(() => pendingDispatches.delete(dispatch));
+};
+
+// Función para esperar los envíos en segundo plano en curso (antes de cerrar la base de datos)
+const flushDeliveries = async () => {
+  while (pendingDispatches.size > 0) {
+    await Promise.all(pendingDispatches);
+  }
+};
+
+// Función para enviar las entregas pendientes cuyo reintento ya corresponde (barrido periódico).
+// Retorna la cantidad de entregas intentadas.
+const retryDueDeliveries = async () => {
+  const deliveries = await WebhookDelivery.findDue();
+  for (const delivery of deliveries) {
+    await sendDelivery(delivery);
+  }
+  return deliveries.length;
+};
+
+// Función para crear el evento { id, type, created_at, data } que se entrega a los destinos
+const buildEvent = (type, data) => ({
+  id: crypto.randomUUID(),
+  type,
+  created_at: new Date().toISOString(),
+  data
+});
+
+// Función para crear una entrega de un evento a una suscripción
+const createDelivery = async (subscription, event, options = {}) => {
+  return await WebhookDelivery.create({
+    subscription_id: subscription.id,
+    event_id: event.id,
+    event_type: event.type,
+    payload: event,
+    replay_of: options.replayOf || null
+  });
+};
+
+// Función para emitir un evento al stream en tiempo real y a las suscripciones activas que lo reciben.
+// Se llama después de confirmar la transacción: un error al registrar las entregas no debe
+// hacer fallar la operación, que ya se guardó, así que solo se informa en el log.
+const emitEvent = async (type, data) => {
+  const event = buildEvent(type, data);
+  await publishStreamEvent(event);
+
+  try {
+    const subscriptions = (await WebhookSubscription.findAll({ where: { is_active: true } }))
+      .filter(subscription => subscription.matches(type));
+    if (subscriptions.length === 0) return [];
+
+    const deliveries = await WebhookDelivery.bulkCreate(subscriptions.map(subscription => ({
+      subscription_id: subscription.id,
+      event_id: event.id,
+      event_type: type,
+      payload: event
+    })));
+
+    dispatchDeliveries(deliveries);
+    return deliveries;
+  } catch (error) {
+    console.error(`❌ Error al emitir el evento ${type}:`, error.message);
+    return [];
+  }
+};
+
+// Función para emitir un evento de producto (product.created, product.updated, product.deleted,
+// product.restored); extra agrega datos al evento, como los campos cambiados
+const emitProductEvent = async (type, product, extra = {}) => {
+  return await emitEvent(type, { product: formatProductResponse(product), ...extra });
+};
+
+// Función para emitir los eventos de un movimiento de stock: stock.changed y, si el stock cruzó
+// el mínimo, stock.low (llegó al mínimo o menos) o stock.restored (volvió a quedar por encima)
+const emitStockMovement = async (product, movement) => {
+  if (!movement) return;
+
+  const formattedProduct = formatProductResponse(product);
+  await emitEvent('stock.changed', {
+    product: formattedProduct,
+    stock_movement: formatStockMovement(movement)
+  });
+
+  const minStock = getMinStockThreshold(product.min_stock);
+  if (movement.previous_stock > minStock && movement.current_stock <= minStock) {
+    await emitEvent('stock.low', {
+      product: formattedProduct,
+      min_stock: minStock,
+      stock: movement.current_stock
+    });
+  } else if (movement.previous_stock <= minStock && movement.current_stock > minStock) {
+    await emitEvent('stock.restored', {
+      product: formattedProduct,
+      min_stock: minStock,
+      stock: movement.current_stock
+    });
+  }
+};
+
+// Función para emitir el cambio de la cantidad reservada de un producto (reserva creada, liberada
+// o vencida) como product.updated
+const emitReservationChange = async (product, reservation) => {
+  return await emitProductEvent('product.updated', product, {
+    changes: ['reserved'],
+    reservation: formatReservation(reservation)
+  });
+};
+
+// Función para emitir los cambios de las reservas liberadas por vencimiento
+// (el producto pudo eliminarse mientras la reserva seguía activa)
+const emitExpiredReservations = async (reservations) => {
+  for (const reservation of reservations) {
+    const product = await Product.findByPk(reservation.product_id, { paranoid: false });
+    if (product) {
+      await emitReservationChange(product, reservation);
+    }
+  }
+};
+
+module.exports = {
+  signPayload,
+  sendDelivery,
+  retryDueDeliveries,
+  flushDeliveries,
+  buildEvent,
+  createDelivery,
+  emitEvent,
+  emitProductEvent,
+  emitStockMovement,
+  emitReservationChange,
+  emitExpiredReservations
+};